@@ -0,0 +1,237 @@
+import { kv } from "./storage.js";
+import { revokeAllSessions } from "./sessions.js";
+import { readMemberships } from "./memberships.js";
+import { isTwoFactorEnabled } from "./two-factor.js";
+
+/**
+ * Dashboard accounts (`partnerUser:{email}` hashes, listed in `partnerUsers`).
+ *
+ * Creating an account and setting its password live in the admin accounts
+ * route and `lib/passwords.js`; this module covers everything an admin does
+ * to an account after that. Disabled accounts are also listed in
+ * `partnerUsers:disabled`, which `lib/auth.js` checks on every token, so a
+ * disabled account is locked out at once even by tokens from before.
+ */
+
+const ACCOUNTS_KEY = "partnerUsers";
+const DISABLED_KEY = "partnerUsers:disabled";
+
+function normalize(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function accountKey(email) {
+  return `partnerUser:${normalize(email)}`;
+}
+
+function accountError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * An account as admins see it, without the password hash.
+ */
+function publicAccount(record) {
+  const role = record.role || "partner";
+  return {
+    email: normalize(record.email),
+    role,
+    partnerId: normalize(record.partnerId) || null,
+    partners: readMemberships(record),
+    name: record.name || "",
+    createdAt: record.createdAt || null,
+    updatedAt: record.updatedAt || null,
+    lastLoginAt: record.lastLoginAt || null,
+    lastLoginIp: record.lastLoginIp || null,
+    disabled: Boolean(record.disabledAt),
+    disabledAt: record.disabledAt || null,
+    disabledReason: record.disabledReason || null,
+    twoFactorEnabled: isTwoFactorEnabled(record),
+  };
+}
+
+/**
+ * The partner id → staff role map to store for an account. Admins work at no
+ * partner; `partnerId` with `staffRole` and the `memberships` list merge,
+ * later entries winning.
+ */
+function buildMemberships({ role, partnerId, staffRole = "owner", memberships = [] }) {
+  const result = {};
+  if (role === "admin") return result;
+  if (partnerId) {
+    result[normalize(partnerId)] = staffRole;
+  }
+  for (const membership of memberships) {
+    result[normalize(membership.partnerId)] = membership.role;
+  }
+  return result;
+}
+
+function toList(memberships) {
+  return Object.entries(memberships).map(([partnerId, role]) => ({ partnerId, role }));
+}
+
+async function loadAccount(email) {
+  const record = await kv.hgetall(accountKey(email));
+  if (!record || !record.email) return null;
+  return record;
+}
+
+async function getAccount(email) {
+  const record = await loadAccount(email);
+  return record ? publicAccount(record) : null;
+}
+
+/**
+ * Accounts sorted by email, one page at a time. Filters apply before paging;
+ * `cursor` is the last email of the previous page.
+ * @param {{ partnerId?: string, role?: string, status?: "active"|"disabled",
+ *   search?: string, limit?: number, cursor?: string }} [options]
+ */
+async function listAccounts({ partnerId, role, status, search, limit = 50, cursor } = {}) {
+  const emails = ((await kv.smembers(ACCOUNTS_KEY)) || []).map(normalize).sort();
+  const partner = normalize(partnerId);
+  const term = normalize(search);
+
+  const matches = [];
+  for (const email of emails) {
+    const record = await loadAccount(email);
+    if (!record) continue;
+    const account = publicAccount(record);
+    if (role && account.role !== role) continue;
+    if (partner && !account.partners[partner]) continue;
+    if (status === "active" && account.disabled) continue;
+    if (status === "disabled" && !account.disabled) continue;
+    if (term && !`${account.email} ${account.name}`.toLowerCase().includes(term)) continue;
+    matches.push(account);
+  }
+
+  const start = cursor ? matches.findIndex((account) => account.email > normalize(cursor)) : 0;
+  const items = start === -1 ? [] : matches.slice(start, start + limit);
+  const hasMore = start !== -1 && start + limit < matches.length;
+
+  return {
+    items,
+    total: matches.length,
+    nextCursor: hasMore ? items[items.length - 1].email : null,
+  };
+}
+
+/**
+ * Change an account's role, partners or name, keeping its password. A
+ * `partnerId` or `memberships` replaces the account's partners; `staffRole`
+ * on its own changes the role at the primary partner. Role and partner
+ * changes log the account out everywhere.
+ * @param {string} email
+ * @param {{ role?: "partner"|"admin", partnerId?: string,
+ *   staffRole?: string, memberships?: Array<{ partnerId: string, role: string }>,
+ *   name?: string }} changes
+ * @returns {Promise<{ account: object, revokedSessions: number }>}
+ */
+async function updateAccount(email, changes) {
+  const record = await loadAccount(email);
+  if (!record) throw accountError("Account not found", "ACCOUNT_NOT_FOUND");
+
+  const role = changes.role || record.role || "partner";
+  const replacesPartners = changes.partnerId !== undefined || changes.memberships !== undefined;
+  const accessChanged =
+    role !== (record.role || "partner") || replacesPartners || changes.staffRole !== undefined;
+
+  const fields = { role, updatedAt: new Date().toISOString() };
+  if (changes.name !== undefined) fields.name = changes.name;
+
+  if (accessChanged) {
+    const current = readMemberships(record);
+    const primary = normalize(record.partnerId);
+    if (!replacesPartners && changes.staffRole && current[primary]) {
+      current[primary] = changes.staffRole;
+    }
+    const memberships = replacesPartners
+      ? buildMemberships({ ...changes, role })
+      : buildMemberships({ role, memberships: toList(current) });
+    if (role !== "admin" && !Object.keys(memberships).length) {
+      throw accountError("Partner accounts need at least one partner", "NO_PARTNER");
+    }
+    fields.memberships = JSON.stringify(memberships);
+    // Keep the primary partner while the account still works there
+    fields.partnerId =
+      normalize(changes.partnerId) ||
+      (memberships[primary] ? primary : "") ||
+      Object.keys(memberships)[0] ||
+      "";
+  }
+
+  await kv.hset(accountKey(email), fields);
+  const revokedSessions = accessChanged ? await revokeAllSessions(email) : 0;
+  return { account: await getAccount(email), revokedSessions };
+}
+
+/**
+ * Disable or re-enable an account. Disabling logs it out everywhere.
+ * @returns {Promise<{ account: object, revokedSessions: number }>}
+ */
+async function setAccountDisabled(email, disabled, { reason } = {}) {
+  const record = await loadAccount(email);
+  if (!record) throw accountError("Account not found", "ACCOUNT_NOT_FOUND");
+
+  const now = new Date().toISOString();
+  let revokedSessions = 0;
+  if (disabled) {
+    await kv.hset(accountKey(email), {
+      disabledAt: record.disabledAt || now,
+      disabledReason: reason || "",
+      updatedAt: now,
+    });
+    await kv.sadd(DISABLED_KEY, normalize(email));
+    revokedSessions = await revokeAllSessions(email);
+  } else {
+    await kv.hset(accountKey(email), { disabledAt: "", disabledReason: "", updatedAt: now });
+    await kv.srem(DISABLED_KEY, normalize(email));
+  }
+  return { account: await getAccount(email), revokedSessions };
+}
+
+/**
+ * Remove an account and close its sessions. Returns false if there was none.
+ */
+async function deleteAccount(email) {
+  const normalized = normalize(email);
+  const record = await loadAccount(normalized);
+  if (!record) return false;
+
+  await revokeAllSessions(normalized);
+  await kv.del(accountKey(normalized));
+  await kv.srem(ACCOUNTS_KEY, normalized);
+  await kv.srem(DISABLED_KEY, normalized);
+  return true;
+}
+
+async function isAccountDisabled(email) {
+  const normalized = normalize(email);
+  if (!normalized) return false;
+  return Boolean(await kv.sismember(DISABLED_KEY, normalized));
+}
+
+/**
+ * Note a successful login on the account.
+ */
+async function recordLogin(email, context = {}) {
+  await kv.hset(accountKey(email), {
+    lastLoginAt: new Date().toISOString(),
+    lastLoginIp: context.ip || "",
+  });
+}
+
+export {
+  publicAccount,
+  buildMemberships,
+  getAccount,
+  listAccounts,
+  updateAccount,
+  setAccountDisabled,
+  deleteAccount,
+  isAccountDisabled,
+  recordLogin,
+};
@@ -0,0 +1,221 @@
+import crypto from "crypto";
+import { kv } from "./storage.js";
+
+/**
+ * Partner API keys for server-to-server integrations.
+ *
+ * A key belongs to one partner and carries a list of scopes. Routes name the
+ * scope a key needs with `apiKeyScope` in `server/router.js`; a key opens no
+ * other route. The key itself, `zbk_<id>_<secret>`, is shown once when it is
+ * created or rotated. Only a SHA-256 hash of the secret is stored, in the
+ * `apikey:{id}` hash, which is listed in `apikeys` and
+ * `apikeys:partner:{partnerId}`.
+ *
+ * Rotating a key replaces its secret at once; revoking it keeps the record,
+ * marked revoked, for the key list. Each use records when and from where.
+ */
+
+const API_KEY_SCOPES = ["bookings:write", "visits:write", "redemptions:write", "analytics:read"];
+
+const KEY_PREFIX = "zbk";
+const KEYS_SET = "apikeys";
+// Writing lastUsedAt on every request would cost a KV write per call
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function normalize(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function keyRecordKey(id) {
+  return `apikey:${id}`;
+}
+
+function partnerKeysKey(partnerId) {
+  return `apikeys:partner:${partnerId}`;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+function apiKeyError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function newSecret() {
+  return crypto.randomBytes(24).toString("base64url").replace(/[-_]/g, "");
+}
+
+function formatKey(id, secret) {
+  return `${KEY_PREFIX}_${id}_${secret}`;
+}
+
+function parseKey(rawKey) {
+  const [prefix, id, secret, extra] = String(rawKey || "").split("_");
+  if (prefix !== KEY_PREFIX || !id || !secret || extra !== undefined) return null;
+  return { id, secret };
+}
+
+function readScopes(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * A key as partners and admins see it: no secret, only its first characters
+ * (`hint`).
+ */
+function publicApiKey(record) {
+  return {
+    id: record.id,
+    partnerId: record.partnerId,
+    name: record.name || "",
+    scopes: readScopes(record.scopes),
+    hint: record.hint || null,
+    createdAt: record.createdAt || null,
+    createdBy: record.createdBy || null,
+    rotatedAt: record.rotatedAt || null,
+    lastUsedAt: record.lastUsedAt || null,
+    lastUsedIp: record.lastUsedIp || null,
+    revoked: Boolean(record.revokedAt),
+    revokedAt: record.revokedAt || null,
+  };
+}
+
+async function loadRecord(id) {
+  const record = await kv.hgetall(keyRecordKey(id));
+  if (!record || !record.id) return null;
+  return record;
+}
+
+/**
+ * @param {{ partnerId: string, name: string, scopes: string[], createdBy?: string }} input
+ * @returns {Promise<{ key: string, apiKey: object }>} `key` is the only copy
+ *   of the secret
+ */
+async function createApiKey({ partnerId, name, scopes, createdBy }) {
+  const normalizedPartnerId = normalize(partnerId);
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (!normalizedPartnerId || unknown.length || !scopes.length) {
+    throw apiKeyError(
+      unknown.length ? `Unknown scopes: ${unknown.join(", ")}` : "partnerId and scopes are required",
+      "INVALID_API_KEY_REQUEST"
+    );
+  }
+
+  // Leading letter: KV would read an all-digit id back as a number
+  const id = `k${crypto.randomBytes(8).toString("hex")}`;
+  const secret = newSecret();
+  const record = {
+    id,
+    partnerId: normalizedPartnerId,
+    name: name || "",
+    scopes: JSON.stringify([...new Set(scopes)]),
+    secretHash: hashSecret(secret),
+    hint: formatKey(id, secret.slice(0, 4)),
+    createdAt: new Date().toISOString(),
+    createdBy: createdBy || "",
+  };
+
+  await kv.hset(keyRecordKey(id), record);
+  await kv.sadd(KEYS_SET, id);
+  await kv.sadd(partnerKeysKey(normalizedPartnerId), id);
+
+  return { key: formatKey(id, secret), apiKey: publicApiKey(record) };
+}
+
+async function getApiKey(id) {
+  const record = await loadRecord(id);
+  return record ? publicApiKey(record) : null;
+}
+
+/**
+ * Keys of one partner, or of every partner, newest first.
+ */
+async function listApiKeys({ partnerId } = {}) {
+  const ids = partnerId
+    ? await kv.smembers(partnerKeysKey(normalize(partnerId)))
+    : await kv.smembers(KEYS_SET);
+  const keys = [];
+  for (const id of ids || []) {
+    const record = await loadRecord(id);
+    if (record) keys.push(publicApiKey(record));
+  }
+  return keys.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Give a key a new secret. The old one stops working straight away.
+ */
+async function rotateApiKey(id) {
+  const record = await loadRecord(id);
+  if (!record) throw apiKeyError("API key not found", "API_KEY_NOT_FOUND");
+  if (record.revokedAt) throw apiKeyError("API key is revoked", "API_KEY_REVOKED");
+
+  const secret = newSecret();
+  const changes = {
+    secretHash: hashSecret(secret),
+    hint: formatKey(id, secret.slice(0, 4)),
+    rotatedAt: new Date().toISOString(),
+  };
+  await kv.hset(keyRecordKey(id), changes);
+  return { key: formatKey(id, secret), apiKey: publicApiKey({ ...record, ...changes }) };
+}
+
+async function revokeApiKey(id) {
+  const record = await loadRecord(id);
+  if (!record) throw apiKeyError("API key not found", "API_KEY_NOT_FOUND");
+  const revokedAt = record.revokedAt || new Date().toISOString();
+  await kv.hset(keyRecordKey(id), { revokedAt });
+  return publicApiKey({ ...record, revokedAt });
+}
+
+/**
+ * The key record for a presented key, or null if it is unknown, revoked or
+ * has the wrong secret. Records the use.
+ * @param {string} rawKey
+ * @param {{ ip?: string }} [context]
+ */
+async function verifyApiKey(rawKey, context = {}) {
+  const parsed = parseKey(rawKey);
+  if (!parsed) return null;
+  const record = await loadRecord(parsed.id);
+  if (!record || record.revokedAt) return null;
+
+  const expected = Buffer.from(record.secretHash || "", "hex");
+  const presented = Buffer.from(hashSecret(parsed.secret), "hex");
+  if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+    return null;
+  }
+
+  const lastUsed = new Date(record.lastUsedAt || 0).getTime();
+  if (Date.now() - lastUsed >= LAST_USED_RESOLUTION_MS) {
+    await kv.hset(keyRecordKey(parsed.id), {
+      lastUsedAt: new Date().toISOString(),
+      lastUsedIp: context.ip || "",
+    });
+  }
+  return publicApiKey(record);
+}
+
+function isApiKey(value) {
+  return String(value || "").startsWith(`${KEY_PREFIX}_`);
+}
+
+export {
+  API_KEY_SCOPES,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey,
+  verifyApiKey,
+  isApiKey,
+};
@@ -0,0 +1,218 @@
+import crypto from "crypto";
+import { kv } from "./storage.js";
+import { clientIp } from "./utils.js";
+
+/**
+ * Append-only audit log of state-changing operations.
+ *
+ * Every entry is written once to `audit:entry:{id}` (JSON) and indexed by
+ * time in three sorted sets: `audit:log`, `audit:actor:{actorId}` and
+ * `audit:target:{target}`. Nothing updates or deletes entries. Ids carry a
+ * counter (`audit:seq`) so entries written in the same millisecond still
+ * sort in the order they were written.
+ *
+ * An entry records who acted (`actor`: admin secret, dashboard or customer
+ * user, API key or anonymous caller), the `action` (`booking.update`,
+ * `reward.delete`, ...), the KV key or id it acted on (`target`), the fields
+ * that changed with their old and new values (`changes`), the caller's IP and
+ * when. Secrets are never copied into the log, only the fact that they
+ * changed.
+ *
+ * Writing the log never fails the operation it records.
+ */
+
+const LOG_KEY = "audit:log";
+const SEQUENCE_KEY = "audit:seq";
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const SECRET_FIELDS = new Set([
+  "password",
+  "passwordHash",
+  "secretHash",
+  "refreshHash",
+  "previousHash",
+  "token",
+  "totpSecret",
+  "totpPendingSecret",
+  "totpRecoveryCodes",
+]);
+
+function entryKey(id) {
+  return `audit:entry:${id}`;
+}
+
+function actorKey(actorId) {
+  return `audit:actor:${actorId}`;
+}
+
+function targetKey(target) {
+  return `audit:target:${target}`;
+}
+
+/**
+ * Who is calling, from `req.auth`, in the shape the log stores.
+ */
+function describeActor(principal) {
+  if (!principal) return { type: "anonymous", id: "anonymous" };
+  if (principal.via === "secret") return { type: "admin", via: "secret", id: "admin-secret" };
+  if (principal.via === "partnerKey") {
+    return {
+      type: "apiKey",
+      via: "partnerKey",
+      id: `apikey:${principal.keyId}`,
+      partnerId: principal.partnerId,
+    };
+  }
+  if (principal.via === "apiKey") return { type: "apiKey", via: "apiKey", id: "pending-token" };
+  if (principal.via === "cron") return { type: "cron", via: "cron", id: "cron" };
+  return {
+    type: principal.type,
+    via: principal.via,
+    id: principal.email || "unknown",
+    ...(principal.partnerId ? { partnerId: principal.partnerId } : {}),
+    ...(principal.sessionId ? { sessionId: principal.sessionId } : {}),
+  };
+}
+
+function comparable(value) {
+  if (value === undefined || value === null || value === "") return null;
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/**
+ * Fields whose values differ between two records, as `{ field: { before,
+ * after } }`. Missing and empty values count as the same.
+ */
+function diffRecords(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    const previous = before?.[field];
+    const next = after?.[field];
+    if (comparable(previous) === comparable(next)) continue;
+    changes[field] = SECRET_FIELDS.has(field)
+      ? { before: "[redacted]", after: "[redacted]" }
+      : { before: previous ?? null, after: next ?? null };
+  }
+  return changes;
+}
+
+/**
+ * Append an entry for the request's caller.
+ * @param {object} req
+ * @param {object} entry
+ * @param {string} entry.action - e.g. `booking.update`
+ * @param {string} entry.target - The KV key (or id) acted on
+ * @param {object} [entry.before] - The record before the change, if it existed
+ * @param {object} [entry.after] - The record after the change, if it still exists
+ * @param {object} [entry.metadata] - Anything else worth keeping
+ * @param {object} [entry.actor] - Principal to record instead of `req.auth`,
+ *   for callers who prove who they are without logging in (invite, reset link)
+ * @returns {Promise<object|null>} the stored entry, or null if writing failed
+ */
+async function recordAudit(req, { action, target, before, after, metadata, actor }) {
+  try {
+    const now = Date.now();
+    const sequence = String(await kv.incr(SEQUENCE_KEY)).padStart(12, "0");
+    const entry = {
+      id: `evt_${now.toString(36)}_${sequence}${crypto.randomBytes(3).toString("hex")}`,
+      at: new Date(now).toISOString(),
+      action,
+      target: String(target),
+      actor: describeActor(actor || req?.auth),
+      changes: diffRecords(before, after),
+      created: !before && Boolean(after),
+      deleted: Boolean(before) && !after,
+      ip: (req && clientIp(req)) || null,
+      ...(metadata ? { metadata } : {}),
+    };
+
+    await kv.set(entryKey(entry.id), JSON.stringify(entry));
+    for (const key of [LOG_KEY, actorKey(entry.actor.id), targetKey(entry.target)]) {
+      await kv.zadd(key, { score: now, member: entry.id });
+    }
+    return entry;
+  } catch (err) {
+    console.error("audit log write failed", action, target, err);
+    return null;
+  }
+}
+
+function encodeCursor(score, skip) {
+  return Buffer.from(JSON.stringify({ score, skip })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const { score, skip } = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    return Number.isFinite(score) ? { score, skip: Number(skip) || 0 } : null;
+  } catch {
+    return null;
+  }
+}
+
+function bound(value, fallback) {
+  if (!value) return fallback;
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : fallback;
+}
+
+/**
+ * Read entries newest first. `target` and `actor` pick the index to read;
+ * with both, entries are read by target and filtered by actor, so a page can
+ * hold fewer than `limit` entries while `nextCursor` is still set.
+ * @param {object} [options]
+ * @param {string} [options.actor] - Actor id: an email, `apikey:{id}`,
+ *   `admin-secret`, `pending-token`, `cron` or `anonymous`
+ * @param {string} [options.target]
+ * @param {string} [options.action] - Exact action, or a prefix ending in `.`
+ * @param {string} [options.from] - Earliest time, inclusive
+ * @param {string} [options.to] - Latest time, inclusive
+ * @param {number} [options.limit]
+ * @param {string} [options.cursor] - `nextCursor` of the previous page
+ * @returns {Promise<{ items: object[], nextCursor: string|null }>}
+ */
+async function queryAudit({ actor, target, action, from, to, limit, cursor } = {}) {
+  const key = target ? targetKey(target) : actor ? actorKey(actor) : LOG_KEY;
+  const pageSize = Math.min(Math.max(1, Number(limit) || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const position = decodeCursor(cursor);
+
+  const max = position ? position.score : bound(to, "+inf");
+  const rows = await kv.zrange(key, max, bound(from, "-inf"), {
+    byScore: true,
+    rev: true,
+    withScores: true,
+    offset: position?.skip || 0,
+    count: pageSize + 1,
+  });
+
+  const found = [];
+  for (let i = 0; i < rows.length; i += 2) {
+    found.push({ id: String(rows[i]), score: Number(rows[i + 1]) });
+  }
+  const page = found.slice(0, pageSize);
+
+  let nextCursor = null;
+  if (found.length > pageSize) {
+    const last = page[page.length - 1];
+    const sameScore = page.filter((item) => item.score === last.score).length;
+    const skip =
+      position && position.score === last.score ? position.skip + sameScore : sameScore;
+    nextCursor = encodeCursor(last.score, skip);
+  }
+
+  const items = [];
+  for (const { id } of page) {
+    const entry = await kv.get(entryKey(id));
+    if (!entry) continue;
+    if (target && actor && entry.actor?.id !== actor) continue;
+    if (action && !(action.endsWith(".") ? entry.action.startsWith(action) : entry.action === action)) {
+      continue;
+    }
+    items.push(entry);
+  }
+  return { items, nextCursor };
+}
+
+export { describeActor, diffRecords, recordAudit, queryAudit };
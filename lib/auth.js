@@ -0,0 +1,198 @@
+import jwt from "jsonwebtoken";
+import { isRevoked } from "./sessions.js";
+import { isAccountDisabled } from "./accounts.js";
+import { isApiKey, verifyApiKey } from "./api-keys.js";
+import { clientIp } from "./utils.js";
+import {
+  hasPartnerPermission,
+  partnersWith,
+  readMemberships,
+} from "./memberships.js";
+
+/**
+ * Request authentication and the access levels routes declare in
+ * `server/router.js`. The router authenticates the caller once, checks the
+ * route's level and hands the result to the handler as `req.auth`.
+ *
+ * - `public`   – anyone
+ * - `customer` – a customer session, limited to its own email
+ * - `partner`  – a partner user, limited to the partners it is staff at
+ * - `admin`    – the admin secret or an admin user
+ * - `apiKey`   – the shared integration token (`PENDING_ACCESS_TOKEN`)
+ * - `cron`     – scheduled jobs, which send `Authorization: Bearer $CRON_SECRET`
+ *
+ * Admins pass every level. A route's `scope` reads the partner id (or the
+ * customer's email) the request acts on; partners and customers may only act
+ * on their own. Partner routes can also name the staff `permission` they need
+ * (see `lib/memberships.js`), which the caller must hold at that partner, or
+ * at some partner when the request names none. When a scoped request names no
+ * partner the handler's own validation rejects it.
+ *
+ * Partner API keys (`lib/api-keys.js`) pass no level on their own: a route
+ * opens to them by naming the scope it needs as `apiKeyScope`, and the key must
+ * hold that scope and belong to the partner the request acts on.
+ *
+ * Bearer tokens are checked against their login session (`lib/sessions.js`)
+ * and the account (`lib/accounts.js`), so logged-out and revoked tokens and
+ * those of disabled accounts stop working before they expire.
+ */
+
+const ACCESS_LEVELS = ["public", "customer", "partner", "admin", "apiKey", "cron"];
+
+const ADMIN_SECRET = process.env.ADMIN_SECRET || "";
+const JWT_SECRET = process.env.JWT_SECRET || "";
+const PENDING_ACCESS_TOKEN = process.env.PENDING_ACCESS_TOKEN || "";
+const CRON_SECRET = process.env.CRON_SECRET || "";
+
+function normalize(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function readBearer(req) {
+  const header = req.headers?.authorization;
+  if (!header || typeof header !== "string" || !header.startsWith("Bearer ")) {
+    return null;
+  }
+  return header.slice(7).trim() || null;
+}
+
+function fromClaims(claims) {
+  const role = claims.role || "partner";
+  return {
+    type: role,
+    via: "jwt",
+    email: normalize(claims.sub) || null,
+    partnerId: normalize(claims.partnerId) || null,
+    partners: readMemberships(claims),
+    sessionId: claims.sid || null,
+    claims,
+  };
+}
+
+/**
+ * Work out who is calling.
+ * @returns {Promise<{ principal: object|null, error?: string }>} `error` is
+ *   set when a credential was sent but is not valid
+ */
+async function authenticate(req) {
+  const headers = req.headers || {};
+
+  if (ADMIN_SECRET && headers["x-admin-secret"] === ADMIN_SECRET) {
+    return { principal: { type: "admin", via: "secret", email: null, partnerId: null } };
+  }
+
+  const apiKey = headers["x-api-key"] || headers["x-pending-token"];
+  if (PENDING_ACCESS_TOKEN && apiKey === PENDING_ACCESS_TOKEN) {
+    return { principal: { type: "apiKey", via: "apiKey", email: null, partnerId: null } };
+  }
+
+  const token = readBearer(req);
+  if (CRON_SECRET && token === CRON_SECRET) {
+    return { principal: { type: "cron", via: "cron", email: null, partnerId: null } };
+  }
+
+  const partnerKey = [headers["x-api-key"], token].find(isApiKey);
+  if (partnerKey) {
+    const key = await verifyApiKey(partnerKey, { ip: clientIp(req) });
+    if (!key) {
+      return { principal: null, error: "Invalid API key" };
+    }
+    return {
+      principal: {
+        type: "apiKey",
+        via: "partnerKey",
+        email: null,
+        partnerId: key.partnerId,
+        keyId: key.id,
+        scopes: key.scopes,
+      },
+    };
+  }
+
+  if (!token) {
+    return { principal: null };
+  }
+  if (!JWT_SECRET) {
+    console.error("JWT_SECRET is not configured");
+    return { principal: null, error: "Invalid token" };
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return { principal: null, error: "Invalid token" };
+  }
+  if (await isRevoked(claims)) {
+    return { principal: null, error: "Token revoked" };
+  }
+  if (await isAccountDisabled(claims.sub)) {
+    return { principal: null, error: "Account disabled" };
+  }
+  return { principal: fromClaims(claims) };
+}
+
+function grants(principal, level, route) {
+  if (level === "public") return true;
+  if (!principal) return false;
+  if (principal.type === "admin") return true;
+  if (principal.via === "partnerKey") return Boolean(route.apiKeyScope);
+  return principal.type === level;
+}
+
+function inScope(principal, level, route, req) {
+  if (principal.type === "admin") return true;
+  const value = route.scope?.(req);
+  if (principal.via === "partnerKey") {
+    // A key acts for one partner, so a scoped request must name that partner
+    if (!route.scope) return true;
+    return Boolean(value) && normalize(value) === principal.partnerId;
+  }
+  if (level === "partner") {
+    if (value) return hasPartnerPermission(principal, value, route.permission);
+    return !route.permission || partnersWith(principal, route.permission).length > 0;
+  }
+  if (level === "customer") return !value || principal.email === normalize(value);
+  return true;
+}
+
+/**
+ * Enforce a route's declared access level. Sets `req.auth` and returns null
+ * when the request may proceed, otherwise the status and body to reply with.
+ * @param {object} req
+ * @param {{ auth?: string, scope?: (req: object) => string|undefined,
+ *   permission?: string, apiKeyScope?: string }} route
+ * @returns {Promise<{ status: number, body: object }|null>}
+ */
+async function authorizeRoute(req, route) {
+  const level = route.auth || "public";
+  if (!ACCESS_LEVELS.includes(level)) {
+    throw new Error(`Unknown access level "${level}"`);
+  }
+
+  const { principal, error } = await authenticate(req);
+  req.auth = principal;
+
+  if (!grants(principal, level, route)) {
+    return { status: 401, body: { error: error || "Unauthorized" } };
+  }
+
+  if (
+    principal?.via === "partnerKey" &&
+    route.apiKeyScope &&
+    !principal.scopes.includes(route.apiKeyScope)
+  ) {
+    return {
+      status: 403,
+      body: { error: "API key lacks the required scope", scope: route.apiKeyScope },
+    };
+  }
+
+  if (principal && !inScope(principal, level, route, req)) {
+    return { status: 403, body: { error: "Forbidden" } };
+  }
+
+  return null;
+}
+
+export { ACCESS_LEVELS, authenticate, authorizeRoute };
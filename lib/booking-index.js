@@ -0,0 +1,181 @@
+import { kv } from "./storage.js";
+
+/**
+ * Time-ordered booking indexes, kept next to the plain set indexes in
+ * `lib/bookings.js`. Each one is a sorted set of booking ids scored by a
+ * timestamp in milliseconds, kept globally and per partner:
+ *
+ * - `bookings:by-created[:partner:{partnerId}]` – when the booking was made
+ * - `bookings:by-visited[:partner:{partnerId}]` – when it was visited, or
+ *   scanned if it was never marked visited separately
+ * - `bookings:by-date[:partner:{partnerId}]`    – the customer's preferred date
+ *
+ * Pages are read newest first by default. A cursor holds the score of the last
+ * item returned and how many items with that score were already returned, so
+ * bookings added while paging never shift later pages.
+ */
+
+const INDEX_PREFIX = "bookings:by-";
+const TIME_INDEXES = ["created", "visited", "date"];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+function indexKey(index, partnerId) {
+  if (!TIME_INDEXES.includes(index)) {
+    throw new Error(`Unknown booking index "${index}"`);
+  }
+  return partnerId
+    ? `${INDEX_PREFIX}${index}:partner:${partnerId}`
+    : `${INDEX_PREFIX}${index}`;
+}
+
+function toScore(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * The score of a booking in each index, or null when it does not belong there.
+ */
+function bookingScores(booking) {
+  const visitedAt =
+    booking.visitedAt || (booking.used ? booking.scannedAt : null);
+  const preferredDate =
+    booking.payload?.preferredDateTime || booking.payload?.preferredDate;
+  return {
+    created: toScore(booking.createdAt),
+    visited: toScore(visitedAt),
+    date: toScore(preferredDate),
+  };
+}
+
+/**
+ * Add, move or drop a booking in every time index. Safe to call after any
+ * write; scores are simply overwritten.
+ */
+async function indexBookingTimes(booking) {
+  const scores = bookingScores(booking);
+  for (const index of TIME_INDEXES) {
+    const keys = [indexKey(index)];
+    if (booking.partnerId) keys.push(indexKey(index, booking.partnerId));
+
+    for (const key of keys) {
+      if (scores[index] === null) {
+        await kv.zrem(key, booking.id);
+      } else {
+        await kv.zadd(key, { score: scores[index], member: booking.id });
+      }
+    }
+  }
+}
+
+async function unindexPartnerTimes(bookingId, partnerId) {
+  if (!partnerId) return;
+  for (const index of TIME_INDEXES) {
+    await kv.zrem(indexKey(index, partnerId), bookingId);
+  }
+}
+
+function encodeCursor(score, skip) {
+  return Buffer.from(`${score}:${skip}`).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  const [score, skip] = Buffer.from(String(cursor), "base64url")
+    .toString("utf8")
+    .split(":")
+    .map(Number);
+  if (!Number.isFinite(score) || !Number.isInteger(skip) || skip < 0) {
+    const err = new Error("Invalid cursor");
+    err.code = "INVALID_CURSOR";
+    throw err;
+  }
+  return { score, skip };
+}
+
+function bound(value, fallback) {
+  const score = toScore(value);
+  return score === null ? fallback : score;
+}
+
+/**
+ * Read one page of booking ids from a time index.
+ * @param {object} [options]
+ * @param {"created"|"visited"|"date"} [options.index]
+ * @param {string} [options.partnerId] - Per-partner index instead of the global one
+ * @param {string} [options.from] - Earliest time, inclusive
+ * @param {string} [options.to] - Latest time, inclusive
+ * @param {number} [options.limit]
+ * @param {string} [options.cursor] - `nextCursor` of the previous page
+ * @param {"desc"|"asc"} [options.order]
+ * @returns {Promise<{ ids: string[], nextCursor: string|null }>}
+ */
+async function queryBookingIds({
+  index = "created",
+  partnerId,
+  from,
+  to,
+  limit = DEFAULT_PAGE_SIZE,
+  cursor,
+  order = "desc",
+} = {}) {
+  const key = indexKey(index, partnerId);
+  const pageSize = Math.min(Math.max(1, Number(limit) || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const position = decodeCursor(cursor);
+  const descending = order !== "asc";
+
+  let min = bound(from, "-inf");
+  let max = bound(to, "+inf");
+  if (position) {
+    if (descending) max = position.score;
+    else min = position.score;
+  }
+
+  const rows = await kv.zrange(key, descending ? max : min, descending ? min : max, {
+    byScore: true,
+    rev: descending,
+    withScores: true,
+    offset: position?.skip || 0,
+    count: pageSize + 1,
+  });
+
+  const items = [];
+  for (let i = 0; i < rows.length; i += 2) {
+    items.push({ id: String(rows[i]), score: Number(rows[i + 1]) });
+  }
+  const page = items.slice(0, pageSize);
+
+  let nextCursor = null;
+  if (items.length > pageSize) {
+    const last = page[page.length - 1];
+    const sameScore = page.filter((item) => item.score === last.score).length;
+    const skip =
+      position && position.score === last.score ? position.skip + sameScore : sameScore;
+    nextCursor = encodeCursor(last.score, skip);
+  }
+
+  return { ids: page.map((item) => item.id), nextCursor };
+}
+
+/**
+ * Count the bookings in a time index, optionally within a time range.
+ */
+async function countBookings({ index = "created", partnerId, from, to } = {}) {
+  const key = indexKey(index, partnerId);
+  if (!from && !to) {
+    return (await kv.zcard(key)) || 0;
+  }
+  return (await kv.zcount(key, bound(from, "-inf"), bound(to, "+inf"))) || 0;
+}
+
+export {
+  TIME_INDEXES,
+  indexKey,
+  bookingScores,
+  indexBookingTimes,
+  unindexPartnerTimes,
+  queryBookingIds,
+  countBookings,
+};
@@ -0,0 +1,467 @@
+import { v4 as uuidv4 } from "uuid";
+import { kv } from "./storage.js";
+import {
+  indexBookingTimes,
+  queryBookingIds,
+  unindexPartnerTimes,
+} from "./booking-index.js";
+
+/**
+ * Bookings are the single source of truth for customer registrations.
+ *
+ * - `booking:{id}`                   – booking hash
+ * - `bookings:customer:{email}`      – set of booking ids per customer
+ * - `bookings:partner:{partnerId}`   – set of booking ids per partner
+ * - `bookings:by-*`                  – time-ordered indexes, see `booking-index.js`
+ *
+ * Legacy data lived in one `qr:email:{email}` hash per customer (and, for
+ * `qr/register`, in `qr:{email}:{partner}:{visitId}` hashes). Those records are
+ * copied into bookings on first access and tagged with `bookingId`, so they
+ * are never imported twice.
+ */
+
+const BOOKING_PREFIX = "booking:";
+const CUSTOMER_INDEX_PREFIX = "bookings:customer:";
+const PARTNER_INDEX_PREFIX = "bookings:partner:";
+const MIGRATED_PARTNERS_KEY = "bookings:migrated-partners";
+const LEGACY_EMAIL_PREFIX = "qr:email:";
+
+const PARTNER_KEY_CANDIDATES = [
+  "partner_id",
+  "partner",
+  "partnerId",
+  "partnerID",
+  "PartnerID",
+];
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function normalizePartnerId(partnerId) {
+  return String(partnerId || "").trim().toLowerCase();
+}
+
+function isTrue(value) {
+  return String(value ?? "").toLowerCase() === "true";
+}
+
+function bookingKey(bookingId) {
+  return `${BOOKING_PREFIX}${bookingId}`;
+}
+
+function parsePayload(record) {
+  let payload = {};
+  if (record.payload) {
+    try {
+      payload =
+        typeof record.payload === "string"
+          ? JSON.parse(record.payload)
+          : record.payload;
+
+      if (payload.data && typeof payload.data === "string") {
+        try {
+          const nested = JSON.parse(payload.data);
+          payload = { ...payload, ...nested };
+        } catch (err) {
+          console.warn("Failed to parse nested payload", err);
+        }
+      }
+    } catch (err) {
+      console.warn("Failed to parse payload", err);
+      payload = { rawPayload: record.payload };
+    }
+  }
+  return payload;
+}
+
+function toBooking(record) {
+  if (!record || !record.id) return null;
+  return {
+    ...record,
+    id: String(record.id),
+    key: bookingKey(record.id),
+    email: normalizeEmail(record.email),
+    partnerId: normalizePartnerId(record.partnerId),
+    used: isTrue(record.used),
+    visited: isTrue(record.visited),
+    payload: parsePayload(record),
+    createdAt: record.createdAt || null,
+    scannedAt: record.scannedAt || null,
+    visitedAt: record.visitedAt || null,
+  };
+}
+
+function sortNewestFirst(bookings) {
+  return bookings.sort((a, b) => {
+    const aTime = new Date(a.createdAt || 0).getTime();
+    const bTime = new Date(b.createdAt || 0).getTime();
+    return bTime - aTime;
+  });
+}
+
+async function safeSAdd(key, value) {
+  try {
+    await kv.sadd(key, value);
+  } catch (err) {
+    if (String(err?.message || "").includes("WRONGTYPE")) {
+      await kv.del(key);
+      await kv.sadd(key, value);
+    } else {
+      throw err;
+    }
+  }
+}
+
+async function indexBooking(booking) {
+  await kv.sadd(`${CUSTOMER_INDEX_PREFIX}${booking.email}`, booking.id);
+  if (booking.partnerId) {
+    await kv.sadd(`${PARTNER_INDEX_PREFIX}${booking.partnerId}`, booking.id);
+    // Legacy membership set, still read by admin tooling and older clients
+    await safeSAdd(`partner:${booking.partnerId}`, booking.email);
+    await safeSAdd("partners", booking.partnerId);
+  }
+  await indexBookingTimes(toBooking(booking));
+}
+
+/**
+ * Create and index a booking.
+ * @param {object} input
+ * @param {string} input.email
+ * @param {string} [input.partnerId]
+ * @param {object} [input.payload] - Submitted form data
+ * @param {object} [input.fields] - Extra hash fields stored as-is
+ * @param {string} [input.id] - Explicit id (used when importing legacy data)
+ */
+async function createBooking({ email, partnerId, payload, fields, id }) {
+  const normalizedEmail = normalizeEmail(email);
+  if (!normalizedEmail) {
+    throw new Error("email is required");
+  }
+
+  const bookingId = id || uuidv4();
+  const record = {
+    id: bookingId,
+    email: normalizedEmail,
+    partnerId: normalizePartnerId(partnerId),
+    used: "false",
+    visited: "false",
+    payload: JSON.stringify(payload || {}),
+    createdAt: new Date().toISOString(),
+    scannedAt: "",
+    visitedAt: "",
+    ...(fields || {}),
+  };
+
+  await kv.hset(bookingKey(bookingId), record);
+  await indexBooking(record);
+  return toBooking(record);
+}
+
+async function getBooking(bookingId) {
+  if (!bookingId) return null;
+  const record = await kv.hgetall(bookingKey(bookingId));
+  return toBooking(record);
+}
+
+async function updateBooking(bookingId, fields) {
+  await kv.hset(bookingKey(bookingId), fields);
+  const booking = await getBooking(bookingId);
+  if (booking) {
+    await indexBookingTimes(booking);
+  }
+  return booking;
+}
+
+/**
+ * Move a booking to another partner, keeping the partner indexes in sync.
+ */
+async function reassignBooking(booking, partnerId) {
+  const nextPartnerId = normalizePartnerId(partnerId);
+  if (booking.partnerId === nextPartnerId) return booking;
+
+  if (booking.partnerId) {
+    await kv.srem(`${PARTNER_INDEX_PREFIX}${booking.partnerId}`, booking.id);
+    await unindexPartnerTimes(booking.id, booking.partnerId);
+  }
+  await kv.hset(bookingKey(booking.id), { partnerId: nextPartnerId });
+  const updated = { ...booking, partnerId: nextPartnerId };
+  await indexBooking(updated);
+  return updated;
+}
+
+async function loadBookings(ids) {
+  const bookings = [];
+  for (const id of ids || []) {
+    try {
+      const booking = await getBooking(id);
+      if (booking) bookings.push(booking);
+    } catch (err) {
+      console.warn(`Failed to fetch booking ${id}`, err);
+    }
+  }
+  return sortNewestFirst(bookings);
+}
+
+function legacyPartnerId(record, payload) {
+  return normalizePartnerId(
+    record.partnerId ||
+      record.partner_id ||
+      payload.partner_id ||
+      payload.partnerId ||
+      payload.partner
+  );
+}
+
+/**
+ * The partner id a submitted booking body names, under any of the field names
+ * the booking forms use, or in a nested `data` object or JSON string.
+ * Returned as sent; an empty string when there is none.
+ */
+function extractPartnerId(source) {
+  if (!source) return "";
+
+  const scan = (obj) => {
+    if (!obj || typeof obj !== "object") return "";
+    for (const key of PARTNER_KEY_CANDIDATES) {
+      if (obj[key]) {
+        return String(obj[key]);
+      }
+    }
+    return "";
+  };
+
+  if (typeof source === "string") {
+    try {
+      const parsed = JSON.parse(source);
+      const value = extractPartnerId(parsed);
+      if (value) {
+        return value;
+      }
+    } catch (err) {
+      console.warn("Failed to parse partner payload string", err);
+    }
+    return "";
+  }
+
+  const direct = scan(source);
+  if (direct) return direct;
+
+  if (source.data) {
+    const nested = extractPartnerId(source.data);
+    if (nested) {
+      return nested;
+    }
+  }
+
+  return "";
+}
+
+/**
+ * Copy a legacy QR hash into a booking unless that already happened.
+ * Returns the booking id, or null when there is nothing to import.
+ */
+async function importLegacyRecord(legacyKey, { dryRun = false } = {}) {
+  const record = await kv.hgetall(legacyKey);
+  if (!record || !record.email) return null;
+  if (record.bookingId) return String(record.bookingId);
+
+  const bookingId = record.visitId ? String(record.visitId) : uuidv4();
+  if (dryRun) return bookingId;
+
+  const existing = await getBooking(bookingId);
+  if (!existing) {
+    const payload = parsePayload(record);
+    const { payload: _payload, visitId: _visitId, ...rest } = record;
+    await createBooking({
+      id: bookingId,
+      email: record.email,
+      partnerId: legacyPartnerId(record, payload),
+      payload,
+      fields: {
+        ...Object.fromEntries(
+          Object.entries(rest).map(([field, value]) => [
+            field,
+            value == null || typeof value === "string"
+              ? value ?? ""
+              : JSON.stringify(value),
+          ])
+        ),
+        id: bookingId,
+        email: normalizeEmail(record.email),
+        partnerId: legacyPartnerId(record, payload),
+        createdAt: record.createdAt || new Date().toISOString(),
+        source: "legacy",
+        legacyKey,
+      },
+    });
+  }
+
+  await kv.hset(legacyKey, { bookingId });
+  return bookingId;
+}
+
+async function importLegacyCustomer(email, options) {
+  const normalizedEmail = normalizeEmail(email);
+  const imported = [];
+  const legacyKeys = [
+    `${LEGACY_EMAIL_PREFIX}${normalizedEmail}`,
+    ...((await kv.smembers(`user:visits:${normalizedEmail}`)) || []),
+  ];
+
+  for (const legacyKey of legacyKeys) {
+    try {
+      const bookingId = await importLegacyRecord(legacyKey, options);
+      if (bookingId && !imported.includes(bookingId)) {
+        imported.push(bookingId);
+      }
+    } catch (err) {
+      if (!String(err?.message || "").includes("WRONGTYPE")) throw err;
+    }
+  }
+  return imported;
+}
+
+async function importLegacyPartner(partnerId, { force = false, dryRun = false } = {}) {
+  const normalizedId = normalizePartnerId(partnerId);
+  if (!normalizedId) return [];
+  if (!force && (await kv.sismember(MIGRATED_PARTNERS_KEY, normalizedId))) {
+    return [];
+  }
+
+  const emails = (await kv.smembers(`partner:${normalizedId}`)) || [];
+  const imported = [];
+  for (const email of emails) {
+    imported.push(...(await importLegacyCustomer(email, { dryRun })));
+  }
+  if (!dryRun) {
+    await kv.sadd(MIGRATED_PARTNERS_KEY, normalizedId);
+  }
+  return imported;
+}
+
+/**
+ * Import every legacy QR record into bookings. Safe to run repeatedly.
+ */
+async function migrateLegacyBookings({ dryRun = false } = {}) {
+  const emails = new Set();
+  const legacyKeys = (await kv.keys(`${LEGACY_EMAIL_PREFIX}*`)) || [];
+  legacyKeys.forEach((key) => emails.add(key.slice(LEGACY_EMAIL_PREFIX.length)));
+
+  const partners = (await kv.smembers("partners")) || [];
+  for (const partnerId of partners) {
+    const members = (await kv.smembers(`partner:${partnerId}`)) || [];
+    members.forEach((email) => emails.add(normalizeEmail(email)));
+  }
+
+  const bookingIds = [];
+  for (const email of emails) {
+    if (!email || email.includes(":")) continue;
+    bookingIds.push(...(await importLegacyCustomer(email, { dryRun })));
+  }
+
+  if (!dryRun) {
+    for (const partnerId of partners) {
+      await kv.sadd(MIGRATED_PARTNERS_KEY, normalizePartnerId(partnerId));
+    }
+  }
+
+  return { customers: emails.size, bookings: bookingIds.length, dryRun };
+}
+
+async function listCustomerBookings(email) {
+  const normalizedEmail = normalizeEmail(email);
+  if (!normalizedEmail) return [];
+  await importLegacyCustomer(normalizedEmail);
+  const ids = await kv.smembers(`${CUSTOMER_INDEX_PREFIX}${normalizedEmail}`);
+  return loadBookings(ids);
+}
+
+async function listPartnerBookings(partnerId) {
+  const normalizedId = normalizePartnerId(partnerId);
+  if (!normalizedId) return [];
+  await importLegacyPartner(normalizedId);
+  const ids = await kv.smembers(`${PARTNER_INDEX_PREFIX}${normalizedId}`);
+  return loadBookings(ids);
+}
+
+/**
+ * One page of bookings from a time index, e.g. a partner's newest bookings or
+ * the visits in a date range. Takes the options of `queryBookingIds`.
+ * @returns {Promise<{ items: object[], nextCursor: string|null }>}
+ */
+async function queryBookings(options = {}) {
+  const partnerId = normalizePartnerId(options.partnerId);
+  if (partnerId) {
+    await importLegacyPartner(partnerId);
+  }
+
+  const { ids, nextCursor } = await queryBookingIds({ ...options, partnerId });
+  const items = [];
+  for (const id of ids) {
+    const booking = await getBooking(id);
+    if (booking) items.push(booking);
+  }
+  return { items, nextCursor };
+}
+
+/**
+ * Re-add every stored booking to the time indexes, e.g. for bookings created
+ * before the indexes existed.
+ */
+async function rebuildBookingIndexes({ dryRun = false } = {}) {
+  const keys = (await kv.keys(`${BOOKING_PREFIX}*`)) || [];
+  let indexed = 0;
+  for (const key of keys) {
+    const booking = toBooking(await kv.hgetall(key));
+    if (!booking) continue;
+    indexed += 1;
+    if (!dryRun) {
+      await indexBookingTimes(booking);
+    }
+  }
+  return { bookings: indexed, dryRun };
+}
+
+/**
+ * Resolve the booking a request refers to. An explicit `bookingId` wins;
+ * otherwise the customer's most recent booking (optionally for one partner)
+ * is used, preferring bookings that still match `prefer`.
+ */
+async function findCustomerBooking({ bookingId, email, partnerId, prefer }) {
+  if (bookingId) {
+    const booking = await getBooking(bookingId);
+    if (!booking) return null;
+    if (email && booking.email !== normalizeEmail(email)) return null;
+    return booking;
+  }
+
+  const normalizedPartnerId = normalizePartnerId(partnerId);
+  const bookings = (await listCustomerBookings(email)).filter(
+    (booking) => !normalizedPartnerId || booking.partnerId === normalizedPartnerId
+  );
+  if (prefer) {
+    const preferred = bookings.find(prefer);
+    if (preferred) return preferred;
+  }
+  return bookings[0] || null;
+}
+
+export {
+  normalizePartnerId,
+  extractPartnerId,
+  parsePayload,
+  bookingKey,
+  createBooking,
+  getBooking,
+  updateBooking,
+  reassignBooking,
+  listCustomerBookings,
+  listPartnerBookings,
+  queryBookings,
+  rebuildBookingIndexes,
+  findCustomerBooking,
+  importLegacyCustomer,
+  importLegacyPartner,
+  migrateLegacyBookings,
+};
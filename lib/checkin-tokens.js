@@ -0,0 +1,169 @@
+import crypto from "crypto";
+
+/**
+ * Signed check-in tokens carried by QR verify URLs.
+ *
+ * A token is `<payload>.<signature>`, both base64url. The payload holds the
+ * booking id (`b`), expiry in unix seconds (`exp`), the signing key id (`kid`)
+ * and, optionally, the partner the booking must belong to (`p`). The
+ * signature is an HMAC-SHA256 of the encoded payload.
+ *
+ * Keys come from `QR_SIGNING_KEYS` as `kid:secret` pairs separated by commas.
+ * The first key signs new tokens; the others are still accepted, so a key can
+ * be rotated by prepending a new one and dropping the old one once its tokens
+ * have expired. `QR_SIGNING_SECRET` is used as a single key when no list is
+ * configured. Failing that, a key is derived from `JWT_SECRET` with an HMAC
+ * over a purpose label, so a check-in token never shares a key with a login
+ * token.
+ */
+
+const DEFAULT_TTL_SECONDS =
+  Number(process.env.QR_TOKEN_TTL_SECONDS) || 90 * 24 * 3600;
+const DERIVED_KEY_LABEL = "zabava/checkin-token/v1";
+
+function loadSigningKeys() {
+  const keys = String(process.env.QR_SIGNING_KEYS || "")
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const separator = pair.indexOf(":");
+      if (separator <= 0) {
+        throw new Error("QR_SIGNING_KEYS entries must look like kid:secret");
+      }
+      return { kid: pair.slice(0, separator), secret: pair.slice(separator + 1) };
+    });
+  if (keys.length) return keys;
+
+  if (process.env.QR_SIGNING_SECRET) {
+    return [{ kid: "default", secret: process.env.QR_SIGNING_SECRET }];
+  }
+  if (process.env.JWT_SECRET) {
+    const secret = crypto
+      .createHmac("sha256", process.env.JWT_SECRET)
+      .update(DERIVED_KEY_LABEL)
+      .digest();
+    return [{ kid: "derived", secret }];
+  }
+  return [];
+}
+
+function encode(value) {
+  return Buffer.from(value).toString("base64url");
+}
+
+function sign(encodedPayload, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(encodedPayload)
+    .digest("base64url");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Issue a token for a booking.
+ * @param {object} input
+ * @param {string} input.bookingId
+ * @param {string} [input.partnerId] - Only accept the token for this partner
+ * @param {number} [input.expiresIn] - Lifetime in seconds
+ * @returns {{ token: string, expiresAt: string }}
+ */
+function issueCheckinToken({ bookingId, partnerId, expiresIn }) {
+  if (!bookingId) {
+    throw new Error("bookingId is required");
+  }
+  const [key] = loadSigningKeys();
+  if (!key) {
+    throw new Error("QR_SIGNING_KEYS (or QR_SIGNING_SECRET) is not configured");
+  }
+
+  const exp = Math.floor(Date.now() / 1000) + (expiresIn || DEFAULT_TTL_SECONDS);
+  const payload = { b: String(bookingId), exp, kid: key.kid };
+  if (partnerId) {
+    payload.p = String(partnerId).trim().toLowerCase();
+  }
+
+  const encodedPayload = encode(JSON.stringify(payload));
+  return {
+    token: `${encodedPayload}.${sign(encodedPayload, key.secret)}`,
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+}
+
+/**
+ * Check a token's signature and expiry.
+ * Returns `{ ok: true, bookingId, partnerId, expiresAt }` or
+ * `{ ok: false, reason }` with reason `malformed`, `unknown-key`,
+ * `bad-signature` or `expired`.
+ */
+function verifyCheckinToken(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    return { ok: false, reason: "malformed" };
+  }
+  const [encodedPayload, signature] = parts;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+  } catch {
+    return { ok: false, reason: "malformed" };
+  }
+  if (!payload || typeof payload !== "object" || !payload.b || !payload.exp) {
+    return { ok: false, reason: "malformed" };
+  }
+
+  const key = loadSigningKeys().find((candidate) => candidate.kid === payload.kid);
+  if (!key) {
+    return { ok: false, reason: "unknown-key" };
+  }
+  if (!safeEqual(signature, sign(encodedPayload, key.secret))) {
+    return { ok: false, reason: "bad-signature" };
+  }
+
+  const expiresAt = new Date(payload.exp * 1000).toISOString();
+  if (payload.exp * 1000 <= Date.now()) {
+    return { ok: false, reason: "expired", bookingId: payload.b, expiresAt };
+  }
+
+  return {
+    ok: true,
+    bookingId: String(payload.b),
+    partnerId: payload.p || null,
+    expiresAt,
+  };
+}
+
+function buildVerifyUrl(baseUrl, token) {
+  const base = String(baseUrl || "").replace(/\/$/, "");
+  return `${base}/api/verify?token=${encodeURIComponent(token)}`;
+}
+
+function buildQrImageUrl(baseUrl, token, format = "png") {
+  const base = String(baseUrl || "").replace(/\/$/, "");
+  return `${base}/api/qr/image?token=${encodeURIComponent(token)}&format=${format}`;
+}
+
+/**
+ * Pull the token out of a verify URL, if it has one.
+ */
+function tokenFromVerifyUrl(url) {
+  try {
+    return new URL(url).searchParams.get("token") || "";
+  } catch {
+    return "";
+  }
+}
+
+export {
+  issueCheckinToken,
+  verifyCheckinToken,
+  buildVerifyUrl,
+  buildQrImageUrl,
+  tokenFromVerifyUrl,
+};
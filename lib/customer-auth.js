@@ -0,0 +1,140 @@
+import crypto from "crypto";
+import { kv } from "./storage.js";
+import { sendMail } from "./mailer.js";
+
+/**
+ * Passwordless login for customers (the people collecting bonus points).
+ *
+ * Asking to log in emails a magic link and a six-digit code, both good for
+ * `CUSTOMER_LOGIN_TTL_SECONDS` and for one login; asking again replaces
+ * them. Only hashes are stored: the challenge at `customer-login:{email}` and
+ * the link token at `customer-login:token:{hash}`. A code may be guessed
+ * `MAX_CODE_ATTEMPTS` times before the challenge is dropped.
+ *
+ * A verified login opens a `customer` session through `lib/sessions.js`, the
+ * same way dashboard logins do. `customer:{email}` records when the customer
+ * first and last logged in.
+ */
+
+const LOGIN_TTL_SECONDS = Number(process.env.CUSTOMER_LOGIN_TTL_SECONDS) || 15 * 60;
+const MAX_CODE_ATTEMPTS = 5;
+
+function normalize(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function challengeKey(email) {
+  return `customer-login:${email}`;
+}
+
+function tokenKey(tokenHash) {
+  return `customer-login:token:${tokenHash}`;
+}
+
+function customerKey(email) {
+  return `customer:${email}`;
+}
+
+function hash(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+function loginError() {
+  const err = new Error("Invalid or expired login code");
+  err.code = "INVALID_LOGIN_CODE";
+  return err;
+}
+
+function buildLoginUrl(token) {
+  const base = process.env.CUSTOMER_LOGIN_URL || "";
+  if (!base) return null;
+  const url = new URL(base);
+  url.searchParams.set("token", token);
+  return url.toString();
+}
+
+async function dropChallenge(email, challenge) {
+  if (challenge?.tokenHash) await kv.del(tokenKey(challenge.tokenHash));
+  await kv.del(challengeKey(email));
+}
+
+/**
+ * Email a login link and code. Anyone may log in this way: the mailbox is
+ * the proof of identity, so there is no account to look up first.
+ */
+async function requestCustomerLogin(email) {
+  const normalized = normalize(email);
+  await dropChallenge(normalized, await kv.hgetall(challengeKey(normalized)));
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+  const tokenHash = hash(token);
+  const expiresAt = new Date(Date.now() + LOGIN_TTL_SECONDS * 1000).toISOString();
+
+  await kv.hset(challengeKey(normalized), {
+    tokenHash,
+    codeHash: hash(`${normalized}:${code}`),
+    attempts: 0,
+    expiresAt,
+  });
+  await kv.expire(challengeKey(normalized), LOGIN_TTL_SECONDS);
+  await kv.set(tokenKey(tokenHash), normalized, { ex: LOGIN_TTL_SECONDS });
+
+  const loginUrl = buildLoginUrl(token);
+  await sendMail({
+    to: normalized,
+    subject: `Your Zabava login code: ${code}`,
+    text: [
+      `Your login code is ${code}.`,
+      loginUrl ? `Or log in with this link: ${loginUrl}` : null,
+      `The code expires in ${Math.round(LOGIN_TTL_SECONDS / 60)} minutes.`,
+      "If you did not ask to log in, you can ignore this email.",
+    ]
+      .filter(Boolean)
+      .join("\n\n"),
+    template: "customer-login",
+    data: { code, loginUrl, expiresAt },
+  });
+}
+
+/**
+ * Check a magic link token, or an email and code, and use up the challenge.
+ * @param {{ token?: string, email?: string, code?: string }} input
+ * @returns {Promise<string>} the customer's email
+ */
+async function verifyCustomerLogin({ token, email, code }) {
+  let normalized = normalize(email);
+  if (token) {
+    normalized = normalize(await kv.get(tokenKey(hash(token))));
+  }
+  if (!normalized) throw loginError();
+
+  const challenge = await kv.hgetall(challengeKey(normalized));
+  if (!challenge || !challenge.codeHash || new Date(challenge.expiresAt) <= new Date()) {
+    throw loginError();
+  }
+
+  const matches = token
+    ? challenge.tokenHash === hash(token)
+    : Boolean(code) && challenge.codeHash === hash(`${normalized}:${String(code).trim()}`);
+  if (!matches) {
+    const attempts = await kv.hincrby(challengeKey(normalized), "attempts", 1);
+    if (attempts >= MAX_CODE_ATTEMPTS) {
+      await dropChallenge(normalized, challenge);
+    }
+    throw loginError();
+  }
+
+  await dropChallenge(normalized, challenge);
+
+  const now = new Date().toISOString();
+  const existing = await kv.hgetall(customerKey(normalized));
+  await kv.hset(customerKey(normalized), {
+    email: normalized,
+    createdAt: existing?.createdAt || now,
+    lastLoginAt: now,
+  });
+  return normalized;
+}
+
+export { requestCustomerLogin, verifyCustomerLogin };
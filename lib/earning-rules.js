@@ -0,0 +1,233 @@
+import { z } from "zod";
+
+/**
+ * Per-partner points earning rules, stored as `earningRules` in partner meta.
+ *
+ * A booking's points are worked out from its submitted payload:
+ *
+ * 1. base points, from the price (`pointsPerCurrencyUnit`), the ticket type
+ *    (`ticketPoints`, optionally per person) or both, depending on `basis`
+ * 2. plus every bonus whose conditions match the payload
+ * 3. clamped to `minPoints` / `maxPoints`
+ *
+ * The defaults reproduce the formula that used to be hard-coded in the routes.
+ */
+
+const BASES = ["price", "ticket", "priceOrTicket", "max"];
+const CONDITION_OPS = ["equals", "notEquals", "in", "present", "gte", "lte"];
+
+const DEFAULT_EARNING_RULES = {
+  basis: "priceOrTicket",
+  pointsPerCurrencyUnit: 0.01,
+  ticketPoints: {
+    vip: 50,
+    family: 30,
+    group: 20,
+  },
+  defaultTicketPoints: 10,
+  perPerson: true,
+  useEstimatedPoints: true,
+  bonuses: [
+    {
+      label: "Transport",
+      match: "any",
+      when: [
+        { field: "Transport", op: "equals", value: "Yes" },
+        { field: "Bus_Rental", op: "present" },
+      ],
+      points: 5,
+      perPerson: false,
+    },
+  ],
+  minPoints: 0,
+  maxPoints: null,
+};
+
+const conditionSchema = z
+  .object({
+    field: z.string().min(1),
+    op: z.enum(CONDITION_OPS).default("equals"),
+    value: z
+      .union([
+        z.string(),
+        z.number(),
+        z.boolean(),
+        z.array(z.union([z.string(), z.number()])),
+      ])
+      .optional(),
+  })
+  .refine((condition) => condition.op === "present" || condition.value !== undefined, {
+    message: "value is required unless op is present",
+    path: ["value"],
+  });
+
+const bonusSchema = z.object({
+  label: z.string().optional(),
+  when: z.array(conditionSchema).min(1),
+  match: z.enum(["all", "any"]).default("all"),
+  points: z.coerce.number().int(),
+  perPerson: z.boolean().default(false),
+});
+
+const earningRulesSchema = z
+  .object({
+    basis: z.enum(BASES).optional(),
+    pointsPerCurrencyUnit: z.coerce.number().min(0).optional(),
+    ticketPoints: z.record(z.coerce.number().int().min(0)).optional(),
+    defaultTicketPoints: z.coerce.number().int().min(0).optional(),
+    perPerson: z.boolean().optional(),
+    useEstimatedPoints: z.boolean().optional(),
+    bonuses: z.array(bonusSchema).max(20).optional(),
+    minPoints: z.coerce.number().int().min(0).optional(),
+    maxPoints: z.coerce.number().int().min(0).nullable().optional(),
+  })
+  .refine(
+    (rules) =>
+      rules.maxPoints == null ||
+      rules.minPoints == null ||
+      rules.minPoints <= rules.maxPoints,
+    { message: "minPoints must not exceed maxPoints", path: ["minPoints"] }
+  );
+
+function normalizeTicketPoints(ticketPoints) {
+  const normalized = {};
+  for (const [ticketType, points] of Object.entries(ticketPoints || {})) {
+    const key = String(ticketType).trim().toLowerCase();
+    if (key) normalized[key] = Number(points) || 0;
+  }
+  return normalized;
+}
+
+/**
+ * Fill in defaults for stored (or partially updated) rules.
+ */
+function resolveEarningRules(rules) {
+  const resolved = {
+    ...DEFAULT_EARNING_RULES,
+    ...(rules || {}),
+  };
+  resolved.ticketPoints = normalizeTicketPoints(resolved.ticketPoints);
+  resolved.bonuses = Array.isArray(resolved.bonuses) ? resolved.bonuses : [];
+  return resolved;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function sameValue(actual, expected) {
+  if (typeof expected === "string" || typeof actual === "string") {
+    return (
+      String(actual ?? "").trim().toLowerCase() ===
+      String(expected ?? "").trim().toLowerCase()
+    );
+  }
+  return actual === expected;
+}
+
+function matchesCondition(payload, condition) {
+  const actual = payload?.[condition.field];
+  const op = condition.op || "equals";
+  switch (op) {
+    case "present":
+      return actual !== undefined && actual !== null && actual !== "";
+    case "equals":
+      return sameValue(actual, condition.value);
+    case "notEquals":
+      return !sameValue(actual, condition.value);
+    case "in":
+      return (Array.isArray(condition.value) ? condition.value : [condition.value])
+        .some((value) => sameValue(actual, value));
+    case "gte": {
+      const number = toNumber(actual);
+      return number !== null && number >= Number(condition.value);
+    }
+    case "lte": {
+      const number = toNumber(actual);
+      return number !== null && number <= Number(condition.value);
+    }
+    default:
+      return false;
+  }
+}
+
+function matchesBonus(payload, bonus) {
+  const conditions = bonus.when || [];
+  if (!conditions.length) return false;
+  return bonus.match === "any"
+    ? conditions.some((condition) => matchesCondition(payload, condition))
+    : conditions.every((condition) => matchesCondition(payload, condition));
+}
+
+/**
+ * Work out how many points a booking payload earns under `rules`.
+ * Returns the total and a breakdown that explains it.
+ */
+function evaluateEarningRules(rules, payload = {}) {
+  const resolved = resolveEarningRules(rules);
+  const numPeople = Math.max(1, parseInt(payload.numPeople) || 1);
+
+  const price = toNumber(payload.totalPrice);
+  const pricePoints =
+    price && price > 0
+      ? Math.floor(price * resolved.pointsPerCurrencyUnit + 1e-9)
+      : null;
+
+  const ticketType = String(payload.ticket || payload.ticketType || "Standard")
+    .trim()
+    .toLowerCase();
+  const ticketRate =
+    resolved.ticketPoints[ticketType] ?? resolved.defaultTicketPoints;
+  const ticketPoints = resolved.perPerson ? ticketRate * numPeople : ticketRate;
+
+  let basis = resolved.basis;
+  let base;
+  const estimated = parseInt(payload.estimatedPoints);
+  if (resolved.useEstimatedPoints && estimated > 0) {
+    basis = "estimated";
+    base = estimated;
+  } else if (resolved.basis === "price") {
+    base = pricePoints ?? 0;
+  } else if (resolved.basis === "ticket") {
+    base = ticketPoints;
+  } else if (resolved.basis === "max") {
+    base = Math.max(pricePoints ?? 0, ticketPoints);
+  } else {
+    base = pricePoints ?? ticketPoints;
+  }
+
+  const bonuses = [];
+  for (const bonus of resolved.bonuses) {
+    if (!matchesBonus(payload, bonus)) continue;
+    const points = bonus.perPerson ? bonus.points * numPeople : bonus.points;
+    bonuses.push({ label: bonus.label || "Bonus", points });
+  }
+
+  const uncapped = base + bonuses.reduce((sum, bonus) => sum + bonus.points, 0);
+  let points = Math.max(uncapped, resolved.minPoints || 0);
+  if (resolved.maxPoints != null) {
+    points = Math.min(points, resolved.maxPoints);
+  }
+
+  return {
+    points,
+    breakdown: {
+      basis,
+      base,
+      pricePoints,
+      ticketType,
+      ticketPoints,
+      numPeople,
+      bonuses,
+      capped: points !== uncapped,
+    },
+  };
+}
+
+export {
+  DEFAULT_EARNING_RULES,
+  earningRulesSchema,
+  resolveEarningRules,
+  evaluateEarningRules,
+};
@@ -0,0 +1,82 @@
+import { randomBytes } from "crypto";
+import { kv } from "./storage.js";
+
+/**
+ * Dashboard invites, created by admins for any partner and by partner owners
+ * for their own staff. An invite is a `partnerInvite:{token}` hash listed in
+ * the `partnerInvites` set; `auth/signup` redeems it.
+ */
+
+const DASHBOARD_BASE_URL = process.env.DASHBOARD_BASE_URL || "";
+const DEFAULT_EXPIRY_MINUTES = 60 * 24 * 7;
+
+function buildInviteUrl(token, email) {
+  if (!DASHBOARD_BASE_URL) return null;
+  const base = DASHBOARD_BASE_URL.replace(/\/$/, "");
+  const params = new URLSearchParams({ token });
+  if (email) {
+    params.set("email", email);
+  }
+  return `${base}/signup?${params.toString()}`;
+}
+
+/**
+ * @param {object} input
+ * @param {string} input.email
+ * @param {string} [input.partnerId] - Required unless `role` is admin
+ * @param {"partner"|"admin"} [input.role]
+ * @param {"owner"|"manager"|"scanner"} [input.staffRole]
+ * @param {string} [input.name]
+ * @param {number} [input.expiresInMinutes]
+ * @param {string} [input.invitedBy] - Email of the inviting user, or "admin"
+ */
+async function createInvite({
+  email,
+  partnerId,
+  role = "partner",
+  staffRole = "owner",
+  name,
+  expiresInMinutes = DEFAULT_EXPIRY_MINUTES,
+  invitedBy,
+}) {
+  const token = randomBytes(24).toString("hex");
+  const inviteKey = `partnerInvite:${token}`;
+
+  const now = new Date();
+  const createdAtIso = now.toISOString();
+  const expiresAt = new Date(now.getTime() + expiresInMinutes * 60_000);
+  const normalizedPartnerId = String(partnerId || "").trim().toLowerCase();
+
+  await kv.hset(inviteKey, {
+    token,
+    email: email.toLowerCase(),
+    partnerId: normalizedPartnerId,
+    role,
+    staffRole: role === "admin" ? "" : staffRole,
+    name: name || "",
+    invitedBy: invitedBy || "",
+    createdAt: createdAtIso,
+    expiresAt: expiresAt.toISOString(),
+    used: "false",
+  });
+
+  await kv.expire(inviteKey, expiresInMinutes * 60);
+  await kv.sadd("partnerInvites", inviteKey);
+
+  return {
+    token,
+    partnerId: normalizedPartnerId,
+    role,
+    staffRole: role === "admin" ? null : staffRole,
+    email,
+    name: name || "",
+    invitedBy: invitedBy || null,
+    createdAt: createdAtIso,
+    expiresAt: expiresAt.toISOString(),
+    used: false,
+    usedAt: null,
+    inviteUrl: buildInviteUrl(token, email),
+  };
+}
+
+export { buildInviteUrl, createInvite };
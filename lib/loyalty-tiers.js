@@ -0,0 +1,335 @@
+import { z } from "zod";
+import { kv } from "./storage.js";
+import { listCustomerBookings } from "./bookings.js";
+import {
+  calculateBookingPoints,
+  earnForBooking,
+  isVisitedBooking,
+  listEntries,
+} from "./points-ledger.js";
+import { addMonths } from "./utils.js";
+
+/**
+ * Loyalty tiers, defined by admins and stored as one document at
+ * `loyalty:tiers`: the tiers, lowest first, and the `qualificationMonths`
+ * they are counted over.
+ *
+ * A customer qualifies for a tier by meeting all of its thresholds within the
+ * rolling window: points earned (`minPoints`), visits (`minVisits`) and
+ * distinct partners visited (`minPartners`); a window of 0 counts everything
+ * ever. Their tier is the highest they qualify for, kept in
+ * `loyalty:member:{email}`. Qualifying again keeps a tier for another
+ * `qualificationMonths`; a customer who stops qualifying drops only once that
+ * time is up. Customers are evaluated when they earn points for a visit and
+ * when they spend them on a reward; listing rewards or reading the balance
+ * only reads the stored tier.
+ *
+ * Tiers bring an earning `multiplier`, applied to the points a visit earns,
+ * and `benefits` to show. Rewards can be limited to tiers (see
+ * lib/reward-rules.js).
+ */
+
+const CONFIG_KEY = "loyalty:tiers";
+const MEMBER_PREFIX = "loyalty:member:";
+const DEFAULT_QUALIFICATION_MONTHS = 12;
+const THRESHOLDS = { points: "minPoints", visits: "minVisits", partners: "minPartners" };
+
+const threshold = z.coerce.number().int().min(0).default(0);
+
+const tierSchema = z.object({
+  // Not all digits: KV would read it back as a number
+  id: z
+    .string()
+    .trim()
+    .toLowerCase()
+    .regex(/^[a-z][a-z0-9-]{0,39}$/, "id must be a lowercase slug"),
+  name: z.string().trim().min(1).max(60),
+  minPoints: threshold,
+  minVisits: threshold,
+  minPartners: threshold,
+  multiplier: z.coerce.number().positive().max(10).default(1),
+  benefits: z.array(z.string().trim().min(1).max(200)).max(20).default([]),
+});
+
+const tierConfigSchema = z
+  .object({
+    qualificationMonths: z.coerce
+      .number()
+      .int()
+      .min(0)
+      .max(60)
+      .default(DEFAULT_QUALIFICATION_MONTHS),
+    tiers: z.array(tierSchema).max(10),
+  })
+  .superRefine(({ tiers }, ctx) => {
+    const ids = new Set();
+    tiers.forEach((tier, index) => {
+      if (ids.has(tier.id)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["tiers", index, "id"],
+          message: `Duplicate tier id "${tier.id}"`,
+        });
+      }
+      ids.add(tier.id);
+
+      const lower = tiers[index - 1];
+      if (lower && Object.values(THRESHOLDS).some((field) => tier[field] < lower[field])) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["tiers", index],
+          message: "Tiers go lowest first; thresholds may not go down",
+        });
+      }
+    });
+  });
+
+function normalize(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function memberKey(email) {
+  return `${MEMBER_PREFIX}${email}`;
+}
+
+/**
+ * The tier setup, or no tiers when none was saved.
+ * @returns {Promise<{ qualificationMonths: number, tiers: object[] }>}
+ */
+async function loadTierConfig() {
+  let stored = await kv.get(CONFIG_KEY);
+  if (typeof stored === "string") {
+    try {
+      stored = JSON.parse(stored);
+    } catch {
+      stored = null;
+    }
+  }
+  const parsed = tierConfigSchema.safeParse(stored || { tiers: [] });
+  return parsed.success
+    ? parsed.data
+    : { qualificationMonths: DEFAULT_QUALIFICATION_MONTHS, tiers: [] };
+}
+
+/**
+ * Replace the tier setup. Customers move to their new tier the next time
+ * they are evaluated.
+ * @returns {Promise<object>} the saved setup
+ */
+async function saveTierConfig(config) {
+  const parsed = tierConfigSchema.parse(config);
+  await kv.set(CONFIG_KEY, JSON.stringify(parsed));
+  return parsed;
+}
+
+/**
+ * What counts toward tiers, over the last `months` (all time when 0).
+ * @returns {Promise<{ points: number, visits: number, partners: number }>}
+ */
+async function qualifyingStats(email, { months, bookings, now = Date.now() }) {
+  const from = months ? addMonths(now, -months) : -Infinity;
+  const within = (value) => new Date(value).getTime() >= from;
+
+  let points = 0;
+  for (const entry of await listEntries(email)) {
+    if (entry.type === "earn" && within(entry.createdAt)) points += Number(entry.points) || 0;
+  }
+
+  let visits = 0;
+  const partners = new Set();
+  for (const booking of bookings || (await listCustomerBookings(email))) {
+    if (!isVisitedBooking(booking)) continue;
+    if (!within(booking.visitedAt || booking.scannedAt || booking.createdAt)) continue;
+    visits += 1;
+    if (booking.partnerId) partners.add(String(booking.partnerId).toLowerCase());
+  }
+
+  return { points, visits, partners: partners.size };
+}
+
+function meetsTier(tier, stats) {
+  return Object.entries(THRESHOLDS).every(([stat, field]) => stats[stat] >= tier[field]);
+}
+
+function describeTier(tier) {
+  if (!tier) return null;
+  const { id, name, multiplier, benefits } = tier;
+  return { id, name, multiplier, benefits };
+}
+
+// How far the customer is from a tier; `progress` is the least met threshold
+function progressTo(tier, stats) {
+  const requirements = {};
+  const remaining = {};
+  let progress = 1;
+  for (const [stat, field] of Object.entries(THRESHOLDS)) {
+    if (!tier[field]) continue;
+    requirements[stat] = tier[field];
+    remaining[stat] = Math.max(0, tier[field] - stats[stat]);
+    progress = Math.min(progress, stats[stat] / tier[field]);
+  }
+  return {
+    ...describeTier(tier),
+    requirements,
+    remaining,
+    progress: Math.round(Math.min(1, progress) * 100) / 100,
+  };
+}
+
+/**
+ * The tier a customer holds as of their last evaluation.
+ * @returns {Promise<object|null>} the tier from the setup, or null
+ */
+async function readCustomerTier(email) {
+  const member = await kv.hgetall(memberKey(normalize(email)));
+  if (!member?.tierId) return null;
+  const { tiers } = await loadTierConfig();
+  return tiers.find((tier) => tier.id === member.tierId) || null;
+}
+
+// What a customer's tier looks like while no tiers are set up
+function noTiers(months) {
+  return {
+    current: null,
+    since: null,
+    heldUntil: null,
+    qualificationMonths: months,
+    stats: null,
+    next: null,
+  };
+}
+
+/**
+ * A customer's stored tier, with the stats counting toward the next one.
+ * Stores nothing: a customer never evaluated is shown the tier their stats
+ * meet, without keeping it.
+ * @param {string} email
+ * @param {object} [options]
+ * @param {object[]} [options.bookings] - The customer's bookings, when the
+ *   caller has them already
+ * @param {number} [options.now]
+ * @returns {Promise<{ current: object|null, since: string|null,
+ *   heldUntil: string|null, qualificationMonths: number, stats: object|null,
+ *   next: object|null }>}
+ */
+async function readTierStatus(email, { bookings, now = Date.now() } = {}) {
+  const normalizedEmail = normalize(email);
+  const { qualificationMonths: months, tiers } = await loadTierConfig();
+  const member = (await kv.hgetall(memberKey(normalizedEmail))) || {};
+  if (!tiers.length) return noTiers(months);
+
+  const stats = await qualifyingStats(normalizedEmail, { months, bookings, now });
+  const rank = member.evaluatedAt
+    ? tiers.findIndex((tier) => tier.id === member.tierId)
+    : tiers.findLastIndex((tier) => meetsTier(tier, stats));
+  const current = tiers[rank] || null;
+
+  return {
+    current: describeTier(current),
+    since: current ? member.since || null : null,
+    heldUntil: (current && member.heldUntil) || null,
+    qualificationMonths: months,
+    stats,
+    next: tiers[rank + 1] ? progressTo(tiers[rank + 1], stats) : null,
+  };
+}
+
+/**
+ * Work out a customer's tier and store it. A customer who no longer
+ * qualifies keeps their tier until its `heldUntil`.
+ * @param {string} email
+ * @param {object} [options]
+ * @param {object[]} [options.bookings] - The customer's bookings, when the
+ *   caller has them already
+ * @param {number} [options.now]
+ * @returns {Promise<{ current: object|null, since: string|null,
+ *   heldUntil: string|null, qualificationMonths: number, stats: object|null,
+ *   next: object|null, changed: boolean, previous: string|null }>}
+ */
+async function evaluateCustomerTier(email, { bookings, now = Date.now() } = {}) {
+  const normalizedEmail = normalize(email);
+  const { qualificationMonths: months, tiers } = await loadTierConfig();
+  const member = (await kv.hgetall(memberKey(normalizedEmail))) || {};
+  const previous = member.tierId || null;
+
+  if (!tiers.length) return { ...noTiers(months), changed: false, previous };
+
+  const stats = await qualifyingStats(normalizedEmail, { months, bookings, now });
+  const qualified = tiers.findLastIndex((tier) => meetsTier(tier, stats));
+
+  const held = tiers.findIndex((tier) => tier.id === previous);
+  const heldUntil = member.heldUntil ? new Date(member.heldUntil).getTime() : 0;
+  const keep = held > qualified && months > 0 && now < heldUntil;
+  const rank = keep ? held : qualified;
+  const current = tiers[rank] || null;
+  const changed = (current?.id || null) !== previous;
+
+  const record = {
+    tierId: current?.id || "",
+    since: changed ? new Date(now).toISOString() : member.since || new Date(now).toISOString(),
+    heldUntil: keep
+      ? member.heldUntil
+      : current && months
+        ? new Date(addMonths(now, months)).toISOString()
+        : "",
+    evaluatedAt: new Date(now).toISOString(),
+    ...(changed ? { previousTierId: previous || "" } : {}),
+  };
+  await kv.hset(memberKey(normalizedEmail), record);
+
+  return {
+    current: describeTier(current),
+    since: current ? record.since : null,
+    heldUntil: record.heldUntil || null,
+    qualificationMonths: months,
+    stats,
+    next: tiers[rank + 1] ? progressTo(tiers[rank + 1], stats) : null,
+    changed,
+    previous,
+  };
+}
+
+/**
+ * Points a visit earns at the customer's tier.
+ * @returns {Promise<{ points: number, basePoints: number, multiplier: number,
+ *   tierId: string|null }>}
+ */
+async function tierPoints(email, basePoints) {
+  const tier = await readCustomerTier(email);
+  const multiplier = tier?.multiplier || 1;
+  return {
+    points: Math.round(basePoints * multiplier),
+    basePoints,
+    multiplier,
+    tierId: tier?.id || null,
+  };
+}
+
+/**
+ * Credit a confirmed visit at the customer's tier, then evaluate the tier
+ * with the visit counted.
+ * @returns {Promise<{ entry: object|null, points: number, tier: object }>}
+ *   `entry` is null when the booking was credited before
+ */
+async function earnVisitPoints(booking, fields = {}) {
+  const base = fields.points ?? (await calculateBookingPoints(booking));
+  const { points, multiplier, tierId } = await tierPoints(booking.email, base);
+  const entry = await earnForBooking(booking, {
+    ...fields,
+    points,
+    ...(multiplier !== 1 ? { basePoints: base, multiplier, tierId } : {}),
+  });
+  const tier = await evaluateCustomerTier(booking.email);
+  return { entry, points, tier };
+}
+
+export {
+  tierConfigSchema,
+  loadTierConfig,
+  saveTierConfig,
+  readCustomerTier,
+  readTierStatus,
+  evaluateCustomerTier,
+  tierPoints,
+  earnVisitPoints,
+};
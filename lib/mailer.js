@@ -0,0 +1,113 @@
+import crypto from "crypto";
+import { kv } from "./storage.js";
+
+/**
+ * Outgoing mail, behind a swappable transport picked with `MAIL_TRANSPORT`:
+ *
+ * - `outbox`  – queue messages in the `mail:outbox` KV list for a sender job
+ *   (or a developer) to pick up; nothing leaves the server
+ * - `webhook` – POST each message as JSON to `MAIL_WEBHOOK_URL`, e.g. a Zapier
+ *   hook that hands it to the mail provider
+ *
+ * When `MAIL_TRANSPORT` is not set the webhook is used if it is configured and
+ * the outbox otherwise. Every message is also kept in the outbox, trimmed to
+ * the most recent `OUTBOX_LIMIT`, so support can see what was sent.
+ */
+
+const TRANSPORTS = ["outbox", "webhook"];
+const OUTBOX_KEY = "mail:outbox";
+const OUTBOX_LIMIT = 500;
+
+let activeTransport = null;
+
+async function deliverToOutbox() {
+  // Messages are always recorded in the outbox; nothing more to do
+}
+
+async function deliverToWebhook(message) {
+  const url = process.env.MAIL_WEBHOOK_URL;
+  if (!url) {
+    throw new Error("The webhook mail transport requires MAIL_WEBHOOK_URL");
+  }
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(message),
+  });
+  if (!response.ok) {
+    throw new Error(`Mail webhook answered ${response.status}`);
+  }
+}
+
+function createTransport(name) {
+  if (name === "outbox") return deliverToOutbox;
+  if (name === "webhook") return deliverToWebhook;
+  throw new Error(
+    `Unknown MAIL_TRANSPORT "${name}" (expected one of ${TRANSPORTS.join(", ")})`
+  );
+}
+
+function resolveTransport() {
+  const configured = String(process.env.MAIL_TRANSPORT || "")
+    .trim()
+    .toLowerCase();
+  if (configured) return configured;
+  return process.env.MAIL_WEBHOOK_URL ? "webhook" : "outbox";
+}
+
+function getTransport() {
+  if (!activeTransport) {
+    activeTransport = createTransport(resolveTransport());
+  }
+  return activeTransport;
+}
+
+/**
+ * Replace the transport, e.g. with a local stub. Pass null to go back to the
+ * configured one.
+ * @param {((message: object) => Promise<void>)|null} transport
+ */
+function setMailTransport(transport) {
+  activeTransport = transport;
+}
+
+/**
+ * Send one message.
+ * @param {object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @param {string} [message.template] - Template name for providers that render their own
+ * @param {object} [message.data] - Template variables
+ * @returns {Promise<object>} The message as sent, with its id and timestamp
+ */
+async function sendMail({ to, subject, text, template, data }) {
+  const message = {
+    id: crypto.randomBytes(8).toString("hex"),
+    to: String(to).trim().toLowerCase(),
+    subject,
+    text,
+    template: template || null,
+    data: data || {},
+    createdAt: new Date().toISOString(),
+  };
+
+  await kv.lpush(OUTBOX_KEY, JSON.stringify(message));
+  await kv.ltrim(OUTBOX_KEY, 0, OUTBOX_LIMIT - 1);
+  await getTransport()(message);
+  return message;
+}
+
+/**
+ * Most recent messages first, optionally only those sent to one address.
+ */
+async function listOutbox({ to, limit = 50 } = {}) {
+  const rows = (await kv.lrange(OUTBOX_KEY, 0, OUTBOX_LIMIT - 1)) || [];
+  const recipient = to ? String(to).trim().toLowerCase() : null;
+  return rows
+    .map((row) => (typeof row === "string" ? JSON.parse(row) : row))
+    .filter((message) => !recipient || message.to === recipient)
+    .slice(0, limit);
+}
+
+export { sendMail, setMailTransport, listOutbox };
@@ -0,0 +1,125 @@
+import { kv } from "./storage.js";
+
+/**
+ * Partner staff memberships of dashboard accounts.
+ *
+ * A `partnerUser:{email}` account with role `partner` belongs to one or more
+ * partners, each with a staff role, stored as a JSON `memberships` map of
+ * partner id to role. `partnerId` stays on the record as the account's
+ * primary partner. Accounts from before memberships existed only have
+ * `partnerId`; they are owners of that partner.
+ *
+ * - `scanner` – check visitors in and validate redemption codes
+ * - `manager` – also the partner dashboard, with revenue
+ * - `owner`   – also invite staff and manage API keys
+ *
+ * Access tokens carry the same map as the `partners` claim.
+ */
+
+const STAFF_ROLES = ["owner", "manager", "scanner"];
+
+const ROLE_PERMISSIONS = {
+  scanner: ["checkin", "redemptions"],
+  manager: ["checkin", "redemptions", "dashboard"],
+  owner: ["checkin", "redemptions", "dashboard", "staff", "apiKeys"],
+};
+
+const PERMISSIONS = ROLE_PERMISSIONS.owner;
+
+function normalize(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function cleanMemberships(value) {
+  let map = value;
+  if (typeof map === "string") {
+    try {
+      map = JSON.parse(map);
+    } catch {
+      map = null;
+    }
+  }
+  if (!map || typeof map !== "object" || Array.isArray(map)) return {};
+
+  const result = {};
+  for (const [partnerId, role] of Object.entries(map)) {
+    const id = normalize(partnerId);
+    if (id && STAFF_ROLES.includes(role)) result[id] = role;
+  }
+  return result;
+}
+
+/**
+ * The partner id → staff role map of an account record or token claims.
+ * @param {{ role?: string, partnerId?: string, memberships?: object|string,
+ *   partners?: object }} record
+ * @returns {Record<string, "owner"|"manager"|"scanner">}
+ */
+function readMemberships(record) {
+  if (!record || record.role === "admin") return {};
+  const memberships = cleanMemberships(record.memberships ?? record.partners);
+  if (Object.keys(memberships).length) return memberships;
+
+  const partnerId = normalize(record.partnerId);
+  return partnerId ? { [partnerId]: "owner" } : {};
+}
+
+function roleGrants(role, permission) {
+  return Boolean(ROLE_PERMISSIONS[role]?.includes(permission));
+}
+
+/**
+ * Whether an authenticated caller (`req.auth`) may do something for a partner.
+ * Admins may do everything.
+ */
+function hasPartnerPermission(principal, partnerId, permission) {
+  if (!principal) return false;
+  if (principal.type === "admin") return true;
+  // API keys act for their one partner; the router has checked their scope
+  if (principal.via === "partnerKey") return principal.partnerId === normalize(partnerId);
+  const role = principal.partners?.[normalize(partnerId)];
+  return permission ? roleGrants(role, permission) : Boolean(role);
+}
+
+/**
+ * Partner ids where the caller holds a permission.
+ */
+function partnersWith(principal, permission) {
+  if (principal?.via === "partnerKey") return [principal.partnerId];
+  return Object.entries(principal?.partners || {})
+    .filter(([, role]) => roleGrants(role, permission))
+    .map(([partnerId]) => partnerId);
+}
+
+/**
+ * Give an existing account a staff role at a partner, replacing any role it
+ * had there. The first membership also becomes the primary partner.
+ */
+async function addMembership(email, partnerId, staffRole) {
+  const key = `partnerUser:${normalize(email)}`;
+  const user = await kv.hgetall(key);
+  if (!user || !user.email) {
+    throw new Error(`Unknown account ${email}`);
+  }
+  const memberships = {
+    ...readMemberships(user),
+    [normalize(partnerId)]: staffRole,
+  };
+  await kv.hset(key, {
+    memberships: JSON.stringify(memberships),
+    partnerId: normalize(user.partnerId) || normalize(partnerId),
+    updatedAt: new Date().toISOString(),
+  });
+  return memberships;
+}
+
+export {
+  STAFF_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  readMemberships,
+  roleGrants,
+  hasPartnerPermission,
+  partnersWith,
+  addMembership,
+};
@@ -0,0 +1,303 @@
+import { kv } from "./storage.js";
+import { rebuildBookingIndexes } from "./bookings.js";
+import { indexOpenRedemptions } from "./redemptions.js";
+
+/**
+ * Versioned data migrations for the KV store.
+ *
+ * Each migration moves one leftover layout to its canonical form:
+ *
+ * - partner ids are lower case (`partner:lz001`, never `partner:LZ001`)
+ * - rewards live in `reward:{id}` hashes listed in the `rewards` set; the
+ *   `reward_simple:{id}` JSON copies are dropped
+ * - partner meta is a JSON string at `partner:meta:{id}`, as written by
+ *   `savePartnerMeta`
+ * - every booking is in the time-ordered `bookings:by-*` indexes
+ * - every open redemption is in the `redemptions:open` expiry index
+ *
+ * Applied migrations are recorded in the `migrations:applied` hash and skipped
+ * on later runs. Every migration is also idempotent on its own, so forcing a
+ * re-run only touches keys that are still in the old layout.
+ *
+ * A run in dry-run mode reports the exact changes it would make, per key,
+ * without writing anything. Each migration sees the data as it is now, so a
+ * change that depends on an earlier pending migration is reported against the
+ * old key.
+ */
+
+const APPLIED_KEY = "migrations:applied";
+const LOCK_KEY = "migrations:lock";
+const LOCK_TTL_SECONDS = 300;
+
+async function keyType(key) {
+  return (await kv.type(key)) || "none";
+}
+
+async function mergeSet(ctx, from, into) {
+  const members = (await kv.smembers(from)) || [];
+  ctx.change({ key: from, action: "merge", into, members: members.length }, async () => {
+    if (members.length) {
+      await kv.sadd(into, ...members);
+    }
+    await kv.del(from);
+  });
+}
+
+const partnerIdCase = {
+  id: "001-partner-id-case",
+  description: "Fold upper- and mixed-case partner ids into their lower-case keys",
+  async run(ctx) {
+    const ids = new Set((await kv.smembers("partners")) || []);
+    for (const key of (await kv.keys("partner:*")) || []) {
+      const parts = key.split(":");
+      if (parts.length === 2) ids.add(parts[1]);
+      if (parts.length === 3 && ["meta", "rewards"].includes(parts[1])) {
+        ids.add(parts[2]);
+      }
+    }
+
+    for (const id of ids) {
+      const normalizedId = String(id).trim().toLowerCase();
+      if (!normalizedId || normalizedId === id) continue;
+
+      if ((await keyType(`partner:${id}`)) === "set") {
+        await mergeSet(ctx, `partner:${id}`, `partner:${normalizedId}`);
+      }
+
+      if ((await keyType(`partner:rewards:${id}`)) === "set") {
+        await mergeSet(ctx, `partner:rewards:${id}`, `partner:rewards:${normalizedId}`);
+      }
+
+      const metaKey = `partner:meta:${id}`;
+      if ((await keyType(metaKey)) !== "none") {
+        const target = `partner:meta:${normalizedId}`;
+        if ((await keyType(target)) === "none") {
+          ctx.change({ key: metaKey, action: "rename", into: target }, () =>
+            kv.rename(metaKey, target)
+          );
+        } else {
+          // Both spellings carry settings; an admin has to pick one
+          ctx.change({ key: metaKey, action: "conflict", into: target });
+        }
+      }
+
+      if (await kv.sismember("partners", id)) {
+        ctx.change(
+          { key: "partners", action: "replace-member", from: id, to: normalizedId },
+          async () => {
+            await kv.sadd("partners", normalizedId);
+            await kv.srem("partners", id);
+          }
+        );
+      }
+    }
+  },
+};
+
+const rewardHashes = {
+  id: "002-reward-hashes",
+  description: "Keep rewards only as reward:{id} hashes indexed by the rewards set",
+  async run(ctx) {
+    const indexed = new Set((await kv.smembers("rewards")) || []);
+
+    for (const key of (await kv.keys("reward_simple:*")) || []) {
+      const rewardId = key.slice("reward_simple:".length);
+      const hashKey = `reward:${rewardId}`;
+
+      if ((await keyType(hashKey)) === "none") {
+        let simple = await kv.get(key);
+        if (typeof simple === "string") {
+          try {
+            simple = JSON.parse(simple);
+          } catch {
+            simple = null;
+          }
+        }
+        if (!simple || typeof simple !== "object") {
+          ctx.change({ key, action: "invalid" });
+          continue;
+        }
+
+        const { id: _id, ...fields } = simple;
+        const reward = {
+          ...fields,
+          availableFor: JSON.stringify(
+            Array.isArray(fields.availableFor) ? fields.availableFor : []
+          ),
+        };
+        ctx.change({ key: hashKey, action: "create", from: key }, () =>
+          kv.hset(hashKey, reward)
+        );
+      }
+
+      ctx.change({ key, action: "delete" }, () => kv.del(key));
+      indexed.add(rewardId);
+      ctx.change({ key: "rewards", action: "add-member", member: rewardId }, () =>
+        kv.sadd("rewards", rewardId)
+      );
+    }
+
+    for (const key of (await kv.keys("reward:*")) || []) {
+      const rewardId = key.slice("reward:".length);
+      if (rewardId.includes(":") || indexed.has(rewardId)) continue;
+      indexed.add(rewardId);
+      ctx.change({ key: "rewards", action: "add-member", member: rewardId }, () =>
+        kv.sadd("rewards", rewardId)
+      );
+    }
+  },
+};
+
+const partnerMetaJson = {
+  id: "003-partner-meta-json",
+  description: "Store partner meta as JSON strings instead of hashes",
+  async run(ctx) {
+    for (const key of (await kv.keys("partner:meta:*")) || []) {
+      if ((await keyType(key)) !== "hash") continue;
+      const fields = (await kv.hgetall(key)) || {};
+      ctx.change({ key, action: "convert", fields: Object.keys(fields).length }, async () => {
+        await kv.del(key);
+        await kv.set(key, JSON.stringify(fields));
+      });
+    }
+  },
+};
+
+const bookingTimeIndexes = {
+  id: "004-booking-time-indexes",
+  description: "Add existing bookings to the time-ordered booking indexes",
+  async run(ctx) {
+    const { bookings } = await rebuildBookingIndexes({ dryRun: true });
+    ctx.change({ key: "bookings:by-*", action: "rebuild", bookings }, () =>
+      rebuildBookingIndexes()
+    );
+  },
+};
+
+const redemptionExpiryIndex = {
+  id: "005-redemption-expiry-index",
+  description: "Add open redemptions to the expiry index the sweep reads",
+  async run(ctx) {
+    const { redemptions } = await indexOpenRedemptions({ dryRun: true });
+    if (!redemptions) return;
+    ctx.change({ key: "redemptions:open", action: "index", redemptions }, () =>
+      indexOpenRedemptions()
+    );
+  },
+};
+
+const MIGRATIONS = [
+  partnerIdCase,
+  rewardHashes,
+  partnerMetaJson,
+  bookingTimeIndexes,
+  redemptionExpiryIndex,
+];
+
+async function loadApplied() {
+  const applied = (await kv.hgetall(APPLIED_KEY)) || {};
+  const result = {};
+  for (const [id, value] of Object.entries(applied)) {
+    result[id] = typeof value === "string" ? { appliedAt: value } : value;
+  }
+  return result;
+}
+
+/**
+ * Every known migration with the time it was applied, if it was.
+ */
+async function listMigrations() {
+  const applied = await loadApplied();
+  return MIGRATIONS.map((migration) => ({
+    id: migration.id,
+    description: migration.description,
+    applied: Boolean(applied[migration.id]),
+    appliedAt: applied[migration.id]?.appliedAt || null,
+  }));
+}
+
+async function runMigration(migration, { dryRun }) {
+  const changes = [];
+  const ctx = {
+    dryRun,
+    change(entry, apply) {
+      changes.push(entry);
+      if (!dryRun && apply) {
+        ctx.pending.push(apply);
+      }
+    },
+    pending: [],
+  };
+
+  await migration.run(ctx);
+  // Writes happen after the scan so a migration never reads its own changes
+  for (const apply of ctx.pending) {
+    await apply();
+  }
+  return changes;
+}
+
+/**
+ * Run pending migrations in order.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Report changes without writing them
+ * @param {string[]} [options.only] - Limit the run to these migration ids
+ * @param {boolean} [options.force] - Run even if already recorded as applied
+ */
+async function runMigrations({ dryRun = false, only, force = false } = {}) {
+  const unknown = (only || []).filter(
+    (id) => !MIGRATIONS.some((migration) => migration.id === id)
+  );
+  if (unknown.length) {
+    const err = new Error(`Unknown migration: ${unknown.join(", ")}`);
+    err.code = "UNKNOWN_MIGRATION";
+    throw err;
+  }
+
+  if (!dryRun) {
+    const locked = await kv.set(LOCK_KEY, new Date().toISOString(), {
+      nx: true,
+      ex: LOCK_TTL_SECONDS,
+    });
+    if (!locked) {
+      const err = new Error("Another migration run is in progress");
+      err.code = "MIGRATION_LOCKED";
+      throw err;
+    }
+  }
+
+  try {
+    const applied = await loadApplied();
+    const results = [];
+    for (const migration of MIGRATIONS) {
+      if (only?.length && !only.includes(migration.id)) continue;
+      if (applied[migration.id] && !force) {
+        results.push({
+          id: migration.id,
+          status: "skipped",
+          appliedAt: applied[migration.id].appliedAt,
+          changes: [],
+        });
+        continue;
+      }
+
+      const changes = await runMigration(migration, { dryRun });
+      if (!dryRun) {
+        const appliedAt = new Date().toISOString();
+        await kv.hset(APPLIED_KEY, {
+          [migration.id]: JSON.stringify({ appliedAt, changes: changes.length }),
+        });
+        results.push({ id: migration.id, status: "applied", appliedAt, changes });
+      } else {
+        results.push({ id: migration.id, status: "pending", changes });
+      }
+    }
+    return { dryRun, results };
+  } finally {
+    if (!dryRun) {
+      await kv.del(LOCK_KEY);
+    }
+  }
+}
+
+export { MIGRATIONS, listMigrations, runMigrations };
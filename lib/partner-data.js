@@ -1,4 +1,8 @@
-import { kv } from "@vercel/kv";
+import {
+  listPartnerBookings,
+  parsePayload,
+  queryBookings,
+} from "./bookings.js";
 
 const EMPTY_METRICS = {
   count: 0,
@@ -17,32 +21,110 @@ function normalizePartnerId(partnerId) {
   return String(partnerId || "").trim().toLowerCase();
 }
 
-export function parsePayload(record) {
-  let payload = {};
-  if (record.payload) {
-    try {
-      payload =
-        typeof record.payload === "string"
-          ? JSON.parse(record.payload)
-          : record.payload;
-
-      if (payload.data && typeof payload.data === "string") {
-        try {
-          const nested = JSON.parse(payload.data);
-          payload = { ...payload, ...nested };
-        } catch (err) {
-          console.warn("Failed to parse nested payload", err);
-        }
-      }
-    } catch (err) {
-      console.warn("Failed to parse payload", err);
-      payload = { rawPayload: record.payload };
-    }
+function isTrue(value) {
+  return String(value ?? "").toLowerCase() === "true";
+}
+
+function toSubmission(booking) {
+  const payload = booking.payload;
+  const totalPrice =
+    Number(payload.totalPrice || booking.totalPrice || 0) || 0;
+  const estimatedPoints =
+    Number(payload.estimatedPoints || booking.estimatedPoints || 0) || 0;
+
+  return {
+    partnerId: booking.partnerId,
+    bookingId: booking.id,
+    email: booking.email,
+    used: booking.used,
+    createdAt: booking.createdAt,
+    scannedAt: booking.scannedAt,
+    totalPrice,
+    estimatedPoints,
+    visited: booking.visited,
+    visitedAt: booking.visitedAt,
+    redemptionCode: booking.redemptionCode || null,
+    hasRedemption: isTrue(booking.hasRedemption) || !!booking.redemptionCode,
+    originalPayload: payload,
+    ...payload,
+  };
+}
+
+function sortNewestFirst(submissions) {
+  return submissions.sort((a, b) => {
+    const aTime = new Date(a.createdAt || 0).getTime();
+    const bTime = new Date(b.createdAt || 0).getTime();
+    if (aTime !== bTime) return bTime - aTime;
+    return String(b.bookingId).localeCompare(String(a.bookingId));
+  });
+}
+
+function emptyTotals() {
+  return { count: 0, used: 0, visited: 0, revenue: 0, points: 0, bonusRedemptions: 0 };
+}
+
+function addToTotals(totals, submission) {
+  totals.count += 1;
+  totals.revenue += Number(submission.totalPrice || 0);
+  totals.points += Number(submission.estimatedPoints || 0);
+  if (submission.ticket === "BonusReward") {
+    totals.bonusRedemptions += 1;
   }
-  return payload;
+  if (submission.used) {
+    totals.used += 1;
+  }
+  if (submission.visited) {
+    totals.visited += 1;
+  }
+  return totals;
 }
 
-export async function loadPartnerData(partnerId) {
+function toMetrics({ count, used, visited, revenue, points, bonusRedemptions }) {
+  return {
+    count,
+    used,
+    unused: count - used,
+    visited,
+    notVisited: count - visited,
+    revenue,
+    points,
+    bonusRedemptions,
+    averageRevenue: count ? Math.round(revenue / count) : 0,
+    averagePoints: count ? Math.round(points / count) : 0,
+  };
+}
+
+function computeMetrics(submissions) {
+  return toMetrics(submissions.reduce(addToTotals, emptyTotals()));
+}
+
+const BATCH_SIZE = 500;
+// Index entries one page of filtered submissions may read
+const MAX_PAGE_SCAN = 2000;
+
+// Bookings created within [from, to], read page by page from the time index
+async function loadBookingsInRange(partnerId, { from, to }) {
+  const bookings = [];
+  let cursor = null;
+  do {
+    const page = await queryBookings({
+      partnerId,
+      from,
+      to,
+      cursor,
+      limit: BATCH_SIZE,
+    });
+    bookings.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return bookings;
+}
+
+/**
+ * Submissions and metrics for one partner. Pass `from` / `to` to only look
+ * at bookings created in that range.
+ */
+export async function loadPartnerData(partnerId, { from, to } = {}) {
   const normalizedId = normalizePartnerId(partnerId);
   if (!normalizedId) {
     return {
@@ -52,8 +134,11 @@ export async function loadPartnerData(partnerId) {
     };
   }
 
-  const emails = await kv.smembers(`partner:${normalizedId}`);
-  if (!emails || emails.length === 0) {
+  const bookings =
+    from || to
+      ? await loadBookingsInRange(normalizedId, { from, to })
+      : await listPartnerBookings(normalizedId);
+  if (bookings.length === 0) {
     return {
       partnerId,
       submissions: [],
@@ -61,82 +146,132 @@ export async function loadPartnerData(partnerId) {
     };
   }
 
-  const submissions = [];
+  const submissions = bookings.map(toSubmission);
 
-  for (const email of emails) {
-    try {
-      const record = await kv.hgetall(`qr:email:${email}`);
-      if (!record || !record.email) continue;
-
-      const payload = parsePayload(record);
-      const totalPrice = Number(payload.totalPrice || record.totalPrice || 0) || 0;
-      const estimatedPoints =
-        Number(payload.estimatedPoints || record.estimatedPoints || 0) || 0;
-
-      const visited = String(record.visited || "").toLowerCase() === "true";
-      submissions.push({
-        partnerId: normalizedId,
-        email: record.email,
-        used: String(record.used || "").toLowerCase() === "true",
-        createdAt: record.createdAt || null,
-        scannedAt: record.scannedAt || null,
-        totalPrice,
-        estimatedPoints,
-        visited,
-        visitedAt: record.visitedAt || null,
-        originalPayload: payload,
-        ...payload,
-      });
-    } catch (err) {
-      console.warn(`Failed to fetch record for ${email}`, err);
-    }
-  }
+  sortNewestFirst(submissions);
+  const metrics = computeMetrics(submissions);
 
-  submissions.sort((a, b) => {
-    const aTime = new Date(a.createdAt || 0).getTime();
-    const bTime = new Date(b.createdAt || 0).getTime();
-    return bTime - aTime;
-  });
+  return {
+    partnerId,
+    submissions,
+    metrics,
+  };
+}
 
-  let revenue = 0;
-  let points = 0;
-  let used = 0;
-  let visitedCount = 0;
-  let bonusRedemptions = 0;
-
-  submissions.forEach((submission) => {
-    revenue += Number(submission.totalPrice || 0);
-    points += Number(submission.estimatedPoints || 0);
-    if (submission.ticket === "BonusReward") {
-      bonusRedemptions += 1;
-    }
-    if (submission.used) {
-      used += 1;
-    }
-    if (submission.visited) {
-      visitedCount += 1;
+function matchesFilters(submission, filters) {
+  if (filters.visited !== undefined && submission.visited !== filters.visited) {
+    return false;
+  }
+  if (filters.used !== undefined && submission.used !== filters.used) {
+    return false;
+  }
+  if (
+    filters.redemption !== undefined &&
+    submission.hasRedemption !== filters.redemption
+  ) {
+    return false;
+  }
+  if (filters.ticket) {
+    const ticket = String(submission.ticket || submission.ticketType || "")
+      .trim()
+      .toLowerCase();
+    if (ticket !== filters.ticket.trim().toLowerCase()) return false;
+  }
+  if (filters.search) {
+    const term = filters.search.trim().toLowerCase();
+    const haystack = [
+      submission.email,
+      submission.bookingId,
+      submission.ticket,
+      submission.Categories,
+      submission.redemptionCode,
+    ]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+    if (term && !haystack.includes(term)) return false;
+  }
+  return true;
+}
+
+// Metrics over every submission in range that matches, a batch at a time
+async function metricsFor(partnerId, { from, to }, filters) {
+  const totals = emptyTotals();
+  let cursor = null;
+  do {
+    const page = await queryBookings({ partnerId, from, to, cursor, limit: BATCH_SIZE });
+    for (const booking of page.items) {
+      const submission = toSubmission(booking);
+      if (matchesFilters(submission, filters)) addToTotals(totals, submission);
     }
-  });
+    cursor = page.nextCursor;
+  } while (cursor);
+  return toMetrics(totals);
+}
 
-  const count = submissions.length;
-  const metrics = {
-    count,
-    used,
-    unused: count - used,
-    visited: visitedCount,
-    notVisited: count - visitedCount,
-    revenue,
-    points,
-    bonusRedemptions,
-    averageRevenue: count ? Math.round(revenue / count) : 0,
-    averagePoints: count ? Math.round(points / count) : 0,
-  };
+/**
+ * One page of a partner's submissions, newest first. The first page (no
+ * `cursor`) also has metrics and a total for everything that matches the
+ * filters, not just the page; later pages have them as null. Pages come from
+ * the creation-time index; with filters, a page may hold fewer than `limit`
+ * submissions even when `nextCursor` is set.
+ * @param {string} partnerId
+ * @param {object} [options]
+ * @param {string} [options.from] - Created at or after, ISO date
+ * @param {string} [options.to] - Created at or before, ISO date
+ * @param {boolean} [options.visited]
+ * @param {boolean} [options.used]
+ * @param {boolean} [options.redemption] - Has a reward redemption attached
+ * @param {string} [options.ticket] - Ticket type, case-insensitive
+ * @param {string} [options.search] - Free text over email, booking id, ticket, category and redemption code
+ * @param {number} [options.limit]
+ * @param {string} [options.cursor] - `nextCursor` of the previous page
+ * @throws {Error} with `code` INVALID_CURSOR
+ */
+export async function queryPartnerSubmissions(partnerId, options = {}) {
+  const normalizedId = normalizePartnerId(partnerId);
+  const { from, to, limit = 50, cursor, ...filters } = options;
+  if (!normalizedId) {
+    return {
+      partnerId,
+      submissions: [],
+      metrics: { ...EMPTY_METRICS },
+      total: 0,
+      nextCursor: null,
+    };
+  }
+
+  // Ask the index only for what the page still lacks, so its cursor lands
+  // right after the last submission returned. Filters that match rarely stop
+  // the page after MAX_PAGE_SCAN index entries rather than walking them all.
+  const submissions = [];
+  let scanned = 0;
+  let nextCursor = cursor || null;
+  do {
+    const page = await queryBookings({
+      partnerId: normalizedId,
+      from,
+      to,
+      cursor: nextCursor,
+      limit: Math.min(limit - submissions.length, MAX_PAGE_SCAN - scanned),
+    });
+    scanned += page.items.length;
+    for (const booking of page.items) {
+      const submission = toSubmission(booking);
+      if (matchesFilters(submission, filters)) submissions.push(submission);
+    }
+    nextCursor = page.nextCursor;
+  } while (nextCursor && submissions.length < limit && scanned < MAX_PAGE_SCAN);
 
+  // Totals do not change from page to page, so only the first page has them
+  const metrics = cursor ? null : await metricsFor(normalizedId, { from, to }, filters);
   return {
     partnerId,
     submissions,
     metrics,
+    total: metrics ? metrics.count : null,
+    nextCursor,
   };
 }
 
-export { EMPTY_METRICS };
+export { EMPTY_METRICS, parsePayload, toSubmission };
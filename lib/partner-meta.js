@@ -1,4 +1,5 @@
-import { kv } from "@vercel/kv";
+import { kv } from "./storage.js";
+import { DEFAULT_EARNING_RULES, resolveEarningRules } from "./earning-rules.js";
 
 const META_PREFIX = "partner:meta:";
 
@@ -13,6 +14,7 @@ function buildDefaultPartnerMeta(partnerId) {
       commissionRate: 0,
       commissionBasis: "discounted",
     },
+    earningRules: resolveEarningRules(DEFAULT_EARNING_RULES),
     ticketing: {
       ticketTypes: [],
       familyRule: "",
@@ -73,6 +75,7 @@ async function loadPartnerMeta(partnerId) {
       ...defaults.contract,
       ...(existing.contract || {}),
     },
+    earningRules: resolveEarningRules(existing.earningRules),
     ticketing: {
       ...defaults.ticketing,
       ...(existing.ticketing || {}),
@@ -117,6 +120,13 @@ function mergePartnerMeta(existing, updates) {
     };
   }
 
+  if (updates.earningRules) {
+    merged.earningRules = resolveEarningRules({
+      ...existing.earningRules,
+      ...updates.earningRules,
+    });
+  }
+
   if (updates.ticketing) {
     merged.ticketing = {
       ...existing.ticketing,
@@ -172,6 +182,14 @@ async function savePartnerMeta(partnerId, updates) {
   return merged;
 }
 
+async function loadEarningRules(partnerId) {
+  if (!String(partnerId || "").trim()) {
+    return resolveEarningRules(DEFAULT_EARNING_RULES);
+  }
+  const meta = await loadPartnerMeta(partnerId);
+  return meta.earningRules;
+}
+
 async function listPartnerMetas(partnerIds) {
   const items = [];
   for (const id of partnerIds) {
@@ -186,5 +204,6 @@ export {
   buildDefaultPartnerMeta,
   loadPartnerMeta,
   savePartnerMeta,
+  loadEarningRules,
   listPartnerMetas,
 };
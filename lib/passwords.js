@@ -0,0 +1,152 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { z } from "zod";
+import { kv } from "./storage.js";
+import { sendMail } from "./mailer.js";
+import { revokeAllSessions } from "./sessions.js";
+
+/**
+ * Password policy and self-service resets for dashboard accounts
+ * (`partnerUser:{email}`).
+ *
+ * A reset token is 32 random bytes sent to the account's email. Only its
+ * SHA-256 hash is stored, at `password-reset:{hash}`, and it expires after
+ * `PASSWORD_RESET_TTL_SECONDS`. Requesting a new one cancels the previous
+ * one, and a token works once. Setting a password closes every open session.
+ */
+
+const DASHBOARD_BASE_URL = process.env.DASHBOARD_BASE_URL || "";
+const RESET_TTL_SECONDS = Number(process.env.PASSWORD_RESET_TTL_SECONDS) || 3600;
+const BCRYPT_ROUNDS = 12;
+
+const passwordSchema = z
+  .string()
+  .min(8, "Password must be at least 8 characters")
+  .max(200, "Password must be at most 200 characters");
+
+function resetKey(tokenHash) {
+  return `password-reset:${tokenHash}`;
+}
+
+function userResetKey(email) {
+  return `password-reset:user:${email}`;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function buildResetUrl(token) {
+  if (!DASHBOARD_BASE_URL) return null;
+  const base = DASHBOARD_BASE_URL.replace(/\/$/, "");
+  return `${base}/reset-password?${new URLSearchParams({ token }).toString()}`;
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Store a new password hash and log the account out everywhere.
+ * @param {string} email
+ * @param {string} password - Already checked against `passwordSchema`
+ * @param {object} [options]
+ * @param {string} [options.keepSessionId] - Session to leave open
+ */
+async function setPassword(email, password, { keepSessionId } = {}) {
+  await kv.hset(`partnerUser:${email}`, {
+    passwordHash: await hashPassword(password),
+    passwordChangedAt: new Date().toISOString(),
+  });
+  return revokeAllSessions(email, { except: keepSessionId });
+}
+
+/**
+ * Email a reset link if the account exists. Resolves the same way whether or
+ * not it does, so callers cannot use it to find accounts.
+ */
+async function requestPasswordReset(email) {
+  const normalized = String(email || "").trim().toLowerCase();
+  const user = await kv.hgetall(`partnerUser:${normalized}`);
+  if (!user || !user.email || user.disabledAt) return;
+
+  const previous = await kv.get(userResetKey(normalized));
+  if (previous) await kv.del(resetKey(previous));
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const tokenHash = hashToken(token);
+  const expiresAt = new Date(Date.now() + RESET_TTL_SECONDS * 1000).toISOString();
+
+  await kv.set(
+    resetKey(tokenHash),
+    JSON.stringify({ email: normalized, createdAt: new Date().toISOString(), expiresAt }),
+    { ex: RESET_TTL_SECONDS }
+  );
+  await kv.set(userResetKey(normalized), tokenHash, { ex: RESET_TTL_SECONDS });
+
+  const resetUrl = buildResetUrl(token);
+  await sendMail({
+    to: normalized,
+    subject: "Reset your Zabava dashboard password",
+    text: [
+      "Someone asked to reset the password of your Zabava dashboard account.",
+      resetUrl ? `Choose a new password here: ${resetUrl}` : `Your reset code: ${token}`,
+      `The link expires at ${expiresAt}. If you did not ask for it, ignore this email.`,
+    ].join("\n\n"),
+    template: "password-reset",
+    data: { resetUrl, token, expiresAt },
+  });
+}
+
+/**
+ * Set a new password with a reset token. The token is spent even if it turns
+ * out the account no longer exists.
+ */
+async function resetPassword(token, password) {
+  const tokenHash = hashToken(token);
+  let record = await kv.get(resetKey(tokenHash));
+  if (typeof record === "string") record = JSON.parse(record);
+  if (!record || !record.email || new Date(record.expiresAt) <= new Date()) {
+    const err = new Error("Invalid or expired reset token");
+    err.code = "INVALID_RESET_TOKEN";
+    throw err;
+  }
+
+  await kv.del(resetKey(tokenHash));
+  await kv.del(userResetKey(record.email));
+
+  const user = await kv.hgetall(`partnerUser:${record.email}`);
+  if (!user || !user.email) {
+    const err = new Error("Invalid or expired reset token");
+    err.code = "INVALID_RESET_TOKEN";
+    throw err;
+  }
+
+  await setPassword(record.email, password);
+  return record.email;
+}
+
+/**
+ * Change the password of a logged-in user after checking the current one.
+ * Other sessions are closed; the one making the change stays open.
+ */
+async function changePassword(email, currentPassword, newPassword, { sessionId } = {}) {
+  const user = await kv.hgetall(`partnerUser:${email}`);
+  const valid =
+    user?.passwordHash && (await bcrypt.compare(currentPassword, user.passwordHash));
+  if (!valid) {
+    const err = new Error("Current password is incorrect");
+    err.code = "INVALID_PASSWORD";
+    throw err;
+  }
+  return setPassword(email, newPassword, { keepSessionId: sessionId });
+}
+
+export {
+  passwordSchema,
+  hashPassword,
+  setPassword,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+};
@@ -0,0 +1,236 @@
+import { kv } from "./storage.js";
+import { expirePoints, listEntries } from "./points-ledger.js";
+import { addMonths } from "./utils.js";
+
+/**
+ * When points run out. `POINTS_EXPIRY_POLICY` picks the rule:
+ *
+ * - `none` (default) - points never expire
+ * - `fixed` - each credit (earn, refund, positive adjust) expires
+ *   `POINTS_EXPIRY_MONTHS` after it was booked
+ * - `inactivity` - the whole balance expires once the customer has neither
+ *   earned nor redeemed for `POINTS_EXPIRY_MONTHS`
+ *
+ * Points are spent oldest first. Replaying the ledger in order, every credit
+ * opens a lot and every debit takes from the oldest lots that still have
+ * points left; a debit with no lots left is owed by the next credits. The
+ * policy is applied to the lots when they are read, so changing it also
+ * covers points already in the ledger.
+ *
+ * `expireDuePoints` books an `expire` entry for each lapsed lot, with ref
+ * `expire:{entryId}` so a lot is only ever expired once, even when the
+ * scheduled sweep and a redemption get to it at the same time. Lots that lapse
+ * within `POINTS_EXPIRY_NOTICE_DAYS` are "expiring soon".
+ */
+
+const EXPIRY_POLICIES = ["none", "fixed", "inactivity"];
+const DEFAULT_EXPIRY_MONTHS = 12;
+const DEFAULT_NOTICE_DAYS = 30;
+const ACTIVITY_TYPES = ["earn", "redeem"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BALANCE_PREFIX = "points:balance:";
+const SWEEP_BATCH_SIZE = 500;
+
+/**
+ * The configured policy, read on every call.
+ * @returns {{ policy: string, months: number, noticeDays: number }}
+ */
+function expiryPolicy() {
+  const policy = String(process.env.POINTS_EXPIRY_POLICY || "none").trim().toLowerCase();
+  return {
+    policy: EXPIRY_POLICIES.includes(policy) ? policy : "none",
+    months: parseInt(process.env.POINTS_EXPIRY_MONTHS) || DEFAULT_EXPIRY_MONTHS,
+    noticeDays: parseInt(process.env.POINTS_EXPIRY_NOTICE_DAYS) || DEFAULT_NOTICE_DAYS,
+  };
+}
+
+function takeFrom(lot, amount) {
+  const taken = Math.min(lot.remaining, amount);
+  lot.remaining -= taken;
+  return amount - taken;
+}
+
+/**
+ * Replay ledger entries (oldest first) into credit lots.
+ * @returns {{ lots: object[], lastActivityAt: number|null }} each lot has the
+ *   crediting `entryId`, `createdAt`, `points` and what is `remaining`
+ */
+function buildLots(entries) {
+  const lots = [];
+  let owed = 0;
+  let lastActivityAt = null;
+
+  for (const entry of entries) {
+    const delta = Number(entry.delta) || 0;
+    const createdAt = new Date(entry.createdAt).getTime() || 0;
+    if (ACTIVITY_TYPES.includes(entry.type)) {
+      lastActivityAt = Math.max(lastActivityAt ?? 0, createdAt);
+    }
+
+    if (delta > 0) {
+      const paid = Math.min(owed, delta);
+      owed -= paid;
+      lots.push({ entryId: entry.id, createdAt, points: delta, remaining: delta - paid });
+      continue;
+    }
+
+    let amount = -delta;
+    // An expiry names the lot it lapsed; everything else spends oldest first
+    const named = entry.lotId && lots.find((lot) => lot.entryId === entry.lotId);
+    if (named) amount = takeFrom(named, amount);
+    for (const lot of lots) {
+      if (amount <= 0) break;
+      amount = takeFrom(lot, amount);
+    }
+    owed += amount;
+  }
+
+  return { lots, lastActivityAt };
+}
+
+function lotExpiry(lot, lastActivityAt, { policy, months }) {
+  if (policy === "fixed") return addMonths(lot.createdAt, months);
+  if (policy === "inactivity") return addMonths(lastActivityAt ?? lot.createdAt, months);
+  return null;
+}
+
+/**
+ * A customer's lots that still hold points, oldest first, with the time each
+ * expires under the current policy (`null` when it does not).
+ * @returns {Promise<object[]>}
+ */
+async function openLots(email) {
+  const settings = expiryPolicy();
+  const entries = (await listEntries(email)).reverse();
+  const { lots, lastActivityAt } = buildLots(entries);
+  return lots
+    .filter((lot) => lot.remaining > 0)
+    .map((lot) => ({ ...lot, expiresAt: lotExpiry(lot, lastActivityAt, settings) }));
+}
+
+function describeLot(lot) {
+  return {
+    entryId: lot.entryId,
+    points: lot.remaining,
+    earnedAt: new Date(lot.createdAt).toISOString(),
+    expiresAt: new Date(lot.expiresAt).toISOString(),
+  };
+}
+
+/**
+ * Points that expire within the notice window (or are already due).
+ * @param {string} email
+ * @param {object} [options]
+ * @param {number} [options.now]
+ * @returns {Promise<{ policy: string, months: number, withinDays: number,
+ *   points: number, nextExpiresAt: string|null, lots: object[] }>}
+ */
+async function getExpiringPoints(email, { now = Date.now() } = {}) {
+  const { policy, months, noticeDays } = expiryPolicy();
+  const summary = { policy, months, withinDays: noticeDays };
+  if (policy === "none") {
+    return { ...summary, points: 0, nextExpiresAt: null, lots: [] };
+  }
+
+  const lots = (await openLots(email))
+    .filter((lot) => lot.expiresAt <= now + noticeDays * DAY_MS)
+    .sort((a, b) => a.expiresAt - b.expiresAt)
+    .map(describeLot);
+  return {
+    ...summary,
+    points: lots.reduce((sum, lot) => sum + lot.points, 0),
+    nextExpiresAt: lots[0]?.expiresAt || null,
+    lots,
+  };
+}
+
+/**
+ * Book `expire` entries for every lot of a customer that has lapsed.
+ * @param {string} email
+ * @param {object} [options]
+ * @param {number} [options.now]
+ * @param {boolean} [options.dryRun] - Only report what would expire
+ * @returns {Promise<{ email: string, points: number, lots: object[],
+ *   dryRun: boolean }>}
+ */
+async function expireDuePoints(email, { now = Date.now(), dryRun = false } = {}) {
+  const normalizedEmail = String(email || "").trim().toLowerCase();
+  const { policy } = expiryPolicy();
+  const result = { email: normalizedEmail, points: 0, lots: [], dryRun };
+  if (policy === "none" || !normalizedEmail) return result;
+
+  for (const lot of await openLots(normalizedEmail)) {
+    if (lot.expiresAt > now) continue;
+    if (!dryRun) {
+      const entry = await expirePoints(normalizedEmail, lot.remaining, {
+        ref: `expire:${lot.entryId}`,
+        lotId: lot.entryId,
+        policy,
+        earnedAt: new Date(lot.createdAt).toISOString(),
+      });
+      if (!entry) continue; // expired by someone else just now
+    }
+    result.points += lot.remaining;
+    result.lots.push(describeLot(lot));
+  }
+  return result;
+}
+
+/**
+ * Expire lapsed points for every customer with a ledger balance. Customers
+ * are read a batch at a time with SCAN, so the sweep never lists every
+ * balance key at once.
+ * @param {object} [options]
+ * @param {number} [options.now]
+ * @param {boolean} [options.dryRun]
+ * @param {number} [options.batchSize] - Keys asked for per SCAN call
+ * @returns {Promise<{ customers: number, points: number, expired: object[],
+ *   dryRun: boolean }>} `expired` holds the `expireDuePoints` result of each
+ *   customer who lost points
+ */
+async function expireAllPoints({
+  now = Date.now(),
+  dryRun = false,
+  batchSize = SWEEP_BATCH_SIZE,
+} = {}) {
+  const { policy } = expiryPolicy();
+  const result = { customers: 0, points: 0, expired: [], dryRun };
+  if (policy === "none") return result;
+
+  let cursor = "0";
+  do {
+    const [next, keys] = await kv.scan(cursor, {
+      match: `${BALANCE_PREFIX}*`,
+      count: batchSize,
+    });
+    cursor = String(next);
+
+    const emails = keys
+      .map((key) => key.slice(BALANCE_PREFIX.length))
+      .filter((email) => email.includes("@"));
+    if (!emails.length) continue;
+    const balances = kv.pipeline();
+    emails.forEach((email) => balances.hget(`${BALANCE_PREFIX}${email}`, "balance"));
+    const amounts = await balances.exec();
+
+    for (const [index, email] of emails.entries()) {
+      if (!(Number(amounts[index]) > 0)) continue;
+      result.customers += 1;
+      const expired = await expireDuePoints(email, { now, dryRun });
+      if (expired.points > 0) {
+        result.points += expired.points;
+        result.expired.push(expired);
+      }
+    }
+  } while (cursor !== "0");
+  return result;
+}
+
+export {
+  EXPIRY_POLICIES,
+  expiryPolicy,
+  buildLots,
+  getExpiringPoints,
+  expireDuePoints,
+  expireAllPoints,
+};
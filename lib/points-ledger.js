@@ -0,0 +1,443 @@
+import { v4 as uuidv4 } from "uuid";
+import { kv } from "./storage.js";
+import { listCustomerBookings } from "./bookings.js";
+import { evaluateEarningRules } from "./earning-rules.js";
+import { loadEarningRules } from "./partner-meta.js";
+
+/**
+ * Append-only points ledger, the only place balances come from.
+ *
+ * - `points:ledger:{email}`       – list of ledger entries (oldest first)
+ * - `points:ledger:refs:{email}`  – set of entry refs, so one event is never
+ *                                   booked twice (e.g. `booking:{id}`)
+ * - `points:balance:{email}`      – cached totals, kept in step with the list
+ *
+ * Entries carry a positive `points` amount and a signed `delta`:
+ * earn (+), redeem (-), adjust (+/-), expire (-), refund (+). Which credits
+ * a debit uses up, and when credits expire, is lib/points-expiry.js.
+ *
+ * Customers who only have the older `points:history:{email}` list get their
+ * ledger rebuilt from it (plus their visited bookings) on first access.
+ */
+
+const LEDGER_PREFIX = "points:ledger:";
+const REFS_PREFIX = "points:ledger:refs:";
+const BALANCE_PREFIX = "points:balance:";
+const REBUILT_KEY = "points:ledger:rebuilt";
+const LEGACY_HISTORY_PREFIX = "points:history:";
+
+const ENTRY_TYPES = ["earn", "redeem", "adjust", "expire", "refund"];
+const DEBIT_TYPES = ["redeem", "expire"];
+
+const TOTAL_FIELDS = {
+  earn: "earned",
+  redeem: "redeemed",
+  adjust: "adjusted",
+  expire: "expired",
+  refund: "refunded",
+};
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function parseItem(item) {
+  if (typeof item !== "string") return item;
+  try {
+    return JSON.parse(item);
+  } catch {
+    return null;
+  }
+}
+
+function emptyBalance() {
+  return {
+    balance: 0,
+    earned: 0,
+    redeemed: 0,
+    adjusted: 0,
+    expired: 0,
+    refunded: 0,
+  };
+}
+
+function toBalance(record) {
+  const balance = emptyBalance();
+  for (const field of Object.keys(balance)) {
+    balance[field] = Number(record?.[field]) || 0;
+  }
+  balance.updatedAt = record?.updatedAt || null;
+  return balance;
+}
+
+/**
+ * Points a booking is worth when the visit is confirmed, under its partner's
+ * earning rules. `pointsAwarded` (set when a partner confirmed the visit)
+ * always wins.
+ */
+async function calculateBookingPoints(booking) {
+  if (booking.pointsAwarded) {
+    return parseInt(booking.pointsAwarded) || 0;
+  }
+  const rules = await loadEarningRules(booking.partnerId);
+  return evaluateEarningRules(rules, booking.payload || {}).points;
+}
+
+function isVisitedBooking(booking) {
+  return (
+    booking.visited === true ||
+    booking.status === "Visited" ||
+    booking.status === "visited" ||
+    !!booking.visitedAt ||
+    (booking.used === true && !!booking.scannedAt)
+  );
+}
+
+function buildEntry(email, type, points, fields = {}) {
+  if (!ENTRY_TYPES.includes(type)) {
+    throw new Error(`Unknown ledger entry type "${type}"`);
+  }
+  const amount = parseInt(points);
+  if (!Number.isFinite(amount) || amount === 0) {
+    throw new Error("points must be a non-zero integer");
+  }
+  if (type !== "adjust" && amount < 0) {
+    throw new Error(`${type} entries need a positive amount`);
+  }
+
+  const delta = DEBIT_TYPES.includes(type) ? -amount : amount;
+  return {
+    ...fields,
+    id: uuidv4(),
+    email,
+    type,
+    points: Math.abs(amount),
+    delta,
+    createdAt: fields.createdAt || new Date().toISOString(),
+  };
+}
+
+// Per-type totals hold plain amounts; only `adjusted` keeps its sign
+function totalIncrement(entry) {
+  return entry.type === "adjust"
+    ? Number(entry.delta) || 0
+    : Number(entry.points) || 0;
+}
+
+async function writeEntry(entry) {
+  if (entry.ref) {
+    const added = await kv.sadd(`${REFS_PREFIX}${entry.email}`, entry.ref);
+    if (!added) return null;
+  }
+
+  const balanceKey = `${BALANCE_PREFIX}${entry.email}`;
+  const tx = kv.multi();
+  tx.rpush(`${LEDGER_PREFIX}${entry.email}`, JSON.stringify(entry));
+  tx.hincrby(balanceKey, "balance", entry.delta);
+  tx.hincrby(balanceKey, TOTAL_FIELDS[entry.type], totalIncrement(entry));
+  tx.hset(balanceKey, { updatedAt: entry.createdAt });
+  try {
+    await tx.exec();
+  } catch (err) {
+    // The entry was not written, so its ref must not block a retry
+    if (entry.ref) await kv.srem(`${REFS_PREFIX}${entry.email}`, entry.ref);
+    throw err;
+  }
+  return entry;
+}
+
+async function readEntries(email) {
+  const items = (await kv.lrange(`${LEDGER_PREFIX}${email}`, 0, -1)) || [];
+  return items.map(parseItem).filter(Boolean);
+}
+
+function sumEntries(entries) {
+  const balance = emptyBalance();
+  for (const entry of entries) {
+    balance.balance += Number(entry.delta) || 0;
+    balance[TOTAL_FIELDS[entry.type]] += totalIncrement(entry);
+  }
+  return balance;
+}
+
+/**
+ * Recompute the cached balance from the ledger list.
+ */
+async function recomputeBalance(email) {
+  const normalizedEmail = normalizeEmail(email);
+  const entries = await readEntries(normalizedEmail);
+  const balance = sumEntries(entries);
+  balance.updatedAt = new Date().toISOString();
+  await kv.hset(`${BALANCE_PREFIX}${normalizedEmail}`, balance);
+  return balance;
+}
+
+function historyEntryFor(bookings, claimed, entry) {
+  const byRef = bookings.find(
+    (booking) =>
+      (entry.bookingId && booking.id === String(entry.bookingId)) ||
+      (entry.visitId &&
+        (booking.key === entry.visitId || booking.legacyKey === entry.visitId))
+  );
+  if (byRef) return byRef;
+
+  const partnerId = String(entry.partnerId || "").toLowerCase();
+  return (
+    bookings.find(
+      (booking) =>
+        booking.partnerId === partnerId &&
+        isVisitedBooking(booking) &&
+        !claimed.has(booking.id)
+    ) || bookings.find((booking) => booking.partnerId === partnerId)
+  );
+}
+
+/**
+ * Work out the ledger entries a customer's legacy data stands for:
+ * visited bookings, `points:history` items and the redemption list.
+ * A history item and a visited booking for the same visit count once.
+ * `exceptBookingId` leaves out a booking that is being credited right now.
+ */
+async function collectLegacyEntries(email, { exceptBookingId } = {}) {
+  const bookings = (await listCustomerBookings(email)).filter(
+    (booking) => booking.id !== exceptBookingId
+  );
+  const history = (
+    (await kv.lrange(`${LEGACY_HISTORY_PREFIX}${email}`, 0, -1)) || []
+  )
+    .map(parseItem)
+    .filter(Boolean)
+    .reverse(); // stored with lpush, newest first
+  const redemptions = (
+    (await kv.lrange(`redemptions:${email}`, 0, -1)) || []
+  )
+    .map(parseItem)
+    .filter(Boolean);
+
+  const entries = [];
+  const claimed = new Set();
+
+  history.forEach((item, index) => {
+    const points = parseInt(item.points) || 0;
+    if (points <= 0) return;
+    const createdAt = item.timestamp || item.createdAt;
+
+    if (item.type === "earned") {
+      const booking = historyEntryFor(bookings, claimed, item);
+      if (booking && claimed.has(booking.id)) return; // counted already
+      if (booking) claimed.add(booking.id);
+      entries.push(
+        buildEntry(email, "earn", points, {
+          ref: booking ? `booking:${booking.id}` : `history:${index}`,
+          bookingId: booking?.id,
+          partnerId: String(item.partnerId || "").toLowerCase() || undefined,
+          source: "history",
+          createdAt,
+        })
+      );
+    } else if (item.type === "redemption") {
+      entries.push(
+        buildEntry(email, "redeem", points, {
+          ref: item.redemptionCode
+            ? `redemption:${item.redemptionCode}`
+            : `history:${index}`,
+          redemptionCode: item.redemptionCode,
+          rewardId: item.rewardId,
+          rewardName: item.rewardName,
+          source: "history",
+          createdAt,
+        })
+      );
+    }
+  });
+
+  for (const booking of bookings) {
+    if (claimed.has(booking.id) || !isVisitedBooking(booking)) continue;
+    const points = await calculateBookingPoints(booking);
+    if (points <= 0) continue;
+    entries.push(
+      buildEntry(email, "earn", points, {
+        ref: `booking:${booking.id}`,
+        bookingId: booking.id,
+        partnerId: booking.partnerId,
+        source: "booking",
+        createdAt: booking.visitedAt || booking.scannedAt || booking.createdAt,
+      })
+    );
+  }
+
+  const redeemedRefs = new Set(entries.map((entry) => entry.ref));
+  for (const redemption of redemptions) {
+    const points = parseInt(redemption.pointsSpent) || 0;
+    const ref = `redemption:${redemption.id}`;
+    if (!redemption.id || points <= 0 || redeemedRefs.has(ref)) continue;
+    entries.push(
+      buildEntry(email, "redeem", points, {
+        ref,
+        redemptionCode: redemption.id,
+        rewardId: redemption.rewardId,
+        rewardName: redemption.rewardName,
+        source: "redemptions",
+        createdAt: redemption.redeemedAt,
+      })
+    );
+  }
+
+  return entries.sort(
+    (a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime()
+  );
+}
+
+/**
+ * Rebuild a customer's ledger from legacy data. Entries already in the
+ * ledger (matched by ref) are kept, so this is safe to run repeatedly.
+ */
+async function rebuildLedger(email, { dryRun = false, exceptBookingId } = {}) {
+  const normalizedEmail = normalizeEmail(email);
+  const entries = await collectLegacyEntries(normalizedEmail, { exceptBookingId });
+
+  if (dryRun) {
+    const existing = new Set(
+      (await kv.smembers(`${REFS_PREFIX}${normalizedEmail}`)) || []
+    );
+    const pending = entries.filter((entry) => !existing.has(entry.ref));
+    return { email: normalizedEmail, entries: pending.length, dryRun };
+  }
+
+  let written = 0;
+  for (const entry of entries) {
+    if (await writeEntry(entry)) written += 1;
+  }
+  await kv.sadd(REBUILT_KEY, normalizedEmail);
+  const balance = await recomputeBalance(normalizedEmail);
+  return { email: normalizedEmail, entries: written, balance, dryRun };
+}
+
+/**
+ * Rebuild the ledger of every customer with bookings or points history.
+ */
+async function rebuildAllLedgers({ dryRun = false } = {}) {
+  const emails = new Set();
+  const prefixes = ["bookings:customer:", LEGACY_HISTORY_PREFIX, "redemptions:"];
+  for (const prefix of prefixes) {
+    const keys = (await kv.keys(`${prefix}*`)) || [];
+    for (const key of keys) {
+      // Not keys that only share a prefix, like redemptions:customer:{email}:{rewardId}
+      if (!key.slice(prefix.length).includes(":")) emails.add(key.slice(prefix.length));
+    }
+  }
+
+  let entries = 0;
+  for (const email of emails) {
+    if (!email || !email.includes("@")) continue;
+    const result = await rebuildLedger(email, { dryRun });
+    entries += result.entries;
+  }
+  return { customers: emails.size, entries, dryRun };
+}
+
+async function ensureLedger(email, options) {
+  if (!(await kv.sismember(REBUILT_KEY, email))) {
+    await rebuildLedger(email, options);
+  }
+}
+
+async function getBalance(email) {
+  const normalizedEmail = normalizeEmail(email);
+  if (!normalizedEmail) return toBalance(null);
+  await ensureLedger(normalizedEmail);
+
+  const cached = await kv.hgetall(`${BALANCE_PREFIX}${normalizedEmail}`);
+  if (cached) return toBalance(cached);
+  return recomputeBalance(normalizedEmail);
+}
+
+/**
+ * Ledger entries for a customer, newest first.
+ */
+async function listEntries(email, { limit } = {}) {
+  const normalizedEmail = normalizeEmail(email);
+  if (!normalizedEmail) return [];
+  await ensureLedger(normalizedEmail);
+
+  const entries = (await readEntries(normalizedEmail)).sort(
+    (a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime()
+  );
+  return limit ? entries.slice(0, limit) : entries;
+}
+
+async function appendEntry(email, type, points, fields, ledgerOptions) {
+  const normalizedEmail = normalizeEmail(email);
+  if (!normalizedEmail) {
+    throw new Error("email is required");
+  }
+  await ensureLedger(normalizedEmail, ledgerOptions);
+  return writeEntry(buildEntry(normalizedEmail, type, points, fields));
+}
+
+/**
+ * Credit the points for a visited booking, once per booking.
+ * Returns the new entry, or null when the booking was credited before.
+ */
+async function earnForBooking(booking, fields = {}) {
+  const points = fields.points ?? (await calculateBookingPoints(booking));
+  if (!(points > 0)) return null;
+  const { points: _points, ...rest } = fields;
+  // The booking is usually marked visited already; a first-time rebuild must
+  // not credit it as legacy data ahead of this entry
+  return appendEntry(
+    booking.email,
+    "earn",
+    points,
+    {
+      ...rest,
+      ref: `booking:${booking.id}`,
+      bookingId: booking.id,
+      partnerId: booking.partnerId,
+    },
+    { exceptBookingId: booking.id }
+  );
+}
+
+/**
+ * Debit points for a redemption. Throws an error with
+ * `code = "INSUFFICIENT_POINTS"` when the balance does not cover it.
+ */
+async function redeemPoints(email, points, fields = {}) {
+  const { balance } = await getBalance(email);
+  if (balance < points) {
+    const err = new Error("Insufficient points");
+    err.code = "INSUFFICIENT_POINTS";
+    err.available = balance;
+    throw err;
+  }
+  return appendEntry(email, "redeem", points, fields);
+}
+
+function adjustPoints(email, points, fields) {
+  return appendEntry(email, "adjust", points, fields);
+}
+
+function expirePoints(email, points, fields) {
+  return appendEntry(email, "expire", points, fields);
+}
+
+function refundPoints(email, points, fields) {
+  return appendEntry(email, "refund", points, fields);
+}
+
+export {
+  ENTRY_TYPES,
+  calculateBookingPoints,
+  isVisitedBooking,
+  getBalance,
+  listEntries,
+  earnForBooking,
+  redeemPoints,
+  adjustPoints,
+  expirePoints,
+  refundPoints,
+  recomputeBalance,
+  rebuildLedger,
+  rebuildAllLedgers,
+};
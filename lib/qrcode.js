@@ -0,0 +1,495 @@
+import zlib from "zlib";
+
+/**
+ * Small QR code encoder (ISO/IEC 18004, byte mode, versions 1–40) with SVG
+ * and PNG renderers. Only what the check-in QR codes need, no dependencies.
+ */
+
+const ECC_LEVELS = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+  Q: { ordinal: 2, formatBits: 3 },
+  H: { ordinal: 3, formatBits: 2 },
+};
+
+// Indexed by [ecc ordinal][version]
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// --- Reed–Solomon over GF(2^8) with polynomial 0x11D ---
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z & 0xff;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < result.length; j += 1) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+// --- Capacity ---
+
+function numRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function numDataCodewords(version, ecc) {
+  return (
+    Math.floor(numRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[ecc.ordinal][version] *
+      NUM_ERROR_CORRECTION_BLOCKS[ecc.ordinal][version]
+  );
+}
+
+function byteModeCountBits(version) {
+  return version <= 9 ? 8 : 16;
+}
+
+function alignmentPositions(version) {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step =
+    Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+// --- Encoding ---
+
+function appendBits(bits, value, length) {
+  for (let i = length - 1; i >= 0; i -= 1) {
+    bits.push((value >>> i) & 1);
+  }
+}
+
+function encodeData(bytes, version, ecc) {
+  const capacityBits = numDataCodewords(version, ecc) * 8;
+  const bits = [];
+  appendBits(bits, 0x4, 4); // byte mode
+  appendBits(bits, bytes.length, byteModeCountBits(version));
+  bytes.forEach((byte) => appendBits(bits, byte, 8));
+
+  appendBits(bits, 0, Math.min(4, capacityBits - bits.length));
+  appendBits(bits, 0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    appendBits(bits, pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    let byte = 0;
+    for (let j = 0; j < 8; j += 1) byte = (byte << 1) | bits[i + j];
+    codewords.push(byte);
+  }
+  return codewords;
+}
+
+function addEccAndInterleave(data, version, ecc) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecc.ordinal][version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecc.ordinal][version];
+  const rawCodewords = Math.floor(numRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = reedSolomonDivisor(blockEccLen);
+  const blocks = [];
+  for (let i = 0, offset = 0; i < numBlocks; i += 1) {
+    const length = shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const eccBytes = reedSolomonRemainder(block, divisor);
+    if (i < numShortBlocks) block.push(0);
+    blocks.push(block.concat(eccBytes));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i += 1) {
+    blocks.forEach((block, j) => {
+      // Skip the padding byte of short blocks
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+// --- Module matrix ---
+
+class Matrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () =>
+      new Array(this.size).fill(false)
+    );
+    this.isFunction = Array.from({ length: this.size }, () =>
+      new Array(this.size).fill(false)
+    );
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i += 1) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    this.drawFinder(3, 3);
+    this.drawFinder(size - 4, 3);
+    this.drawFinder(3, size - 4);
+
+    const positions = alignmentPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        const overlapsFinder =
+          (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+        if (!overlapsFinder) this.drawAlignment(x, y);
+      });
+    });
+
+    this.drawFormatBits(ECC_LEVELS.L, 0); // reserve the area, redrawn later
+    this.drawVersion();
+  }
+
+  drawFinder(cx, cy) {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= this.size || y >= this.size) continue;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        this.setFunction(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  drawAlignment(cx, cy) {
+    for (let dy = -2; dy <= 2; dy += 1) {
+      for (let dx = -2; dx <= 2; dx += 1) {
+        this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  drawFormatBits(ecc, mask) {
+    const data = (ecc.formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i += 1) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) !== 0;
+    const { size } = this;
+
+    for (let i = 0; i <= 5; i += 1) this.setFunction(8, i, bit(i));
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i += 1) this.setFunction(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i += 1) this.setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i += 1) this.setFunction(8, size - 15 + i, bit(i));
+    this.setFunction(8, size - 8, true); // dark module
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+    let remainder = this.version;
+    for (let i = 0; i < 12; i += 1) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (this.version << 12) | remainder;
+    for (let i = 0; i < 18; i += 1) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  }
+
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // skip the vertical timing column
+      for (let vert = 0; vert < size; vert += 1) {
+        for (let j = 0; j < 2; j += 1) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i += 1;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const test = MASKS[mask];
+    for (let y = 0; y < this.size; y += 1) {
+      for (let x = 0; x < this.size; x += 1) {
+        if (!this.isFunction[y][x] && test(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+    let dark = 0;
+
+    const lines = [];
+    for (let y = 0; y < size; y += 1) lines.push(modules[y]);
+    for (let x = 0; x < size; x += 1) lines.push(modules.map((row) => row[x]));
+
+    for (const line of lines) {
+      // Runs of five or more same-coloured modules
+      let runColor = line[0];
+      let runLength = 1;
+      for (let i = 1; i <= size; i += 1) {
+        if (i < size && line[i] === runColor) {
+          runLength += 1;
+          continue;
+        }
+        if (runLength >= 5) score += 3 + (runLength - 5);
+        runColor = line[i];
+        runLength = 1;
+      }
+
+      // Finder-like 1:1:3:1:1 patterns with four light modules on one side
+      const text = line.map((module) => (module ? "1" : "0")).join("");
+      for (const pattern of ["10111010000", "00001011101"]) {
+        let index = text.indexOf(pattern);
+        while (index !== -1) {
+          score += 40;
+          index = text.indexOf(pattern, index + 1);
+        }
+      }
+    }
+
+    for (let y = 0; y < size - 1; y += 1) {
+      for (let x = 0; x < size - 1; x += 1) {
+        const color = modules[y][x];
+        if (
+          color === modules[y][x + 1] &&
+          color === modules[y + 1][x] &&
+          color === modules[y + 1][x + 1]
+        ) {
+          score += 3;
+        }
+      }
+    }
+
+    modules.forEach((row) => row.forEach((module) => (dark += module ? 1 : 0)));
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    score += Math.max(0, k) * 10;
+    return score;
+  }
+}
+
+/**
+ * Encode text into a QR code.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {"L"|"M"|"Q"|"H"} [options.ecc="M"] - Error correction level
+ * @returns {{ version: number, size: number, modules: boolean[][] }}
+ */
+function encodeQr(text, { ecc = "M" } = {}) {
+  const level = ECC_LEVELS[String(ecc).toUpperCase()];
+  if (!level) {
+    throw new Error(`Unknown error correction level "${ecc}"`);
+  }
+
+  const bytes = [...Buffer.from(String(text), "utf8")];
+  let version = 1;
+  for (; version <= 40; version += 1) {
+    const usedBits = 4 + byteModeCountBits(version) + bytes.length * 8;
+    if (usedBits <= numDataCodewords(version, level) * 8) break;
+  }
+  if (version > 40) {
+    throw new Error("Text is too long for a QR code");
+  }
+
+  const matrix = new Matrix(version);
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(
+    addEccAndInterleave(encodeData(bytes, version, level), version, level)
+  );
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask += 1) {
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(level, mask);
+    const penalty = matrix.penalty();
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    matrix.applyMask(mask); // XOR again to undo
+  }
+  matrix.applyMask(bestMask);
+  matrix.drawFormatBits(level, bestMask);
+
+  return { version, size: matrix.size, modules: matrix.modules };
+}
+
+// --- Rendering ---
+
+function renderSvg(qr, { size = 300, margin = 4 } = {}) {
+  const dimension = qr.size + margin * 2;
+  const path = [];
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+    });
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" version="1.1" width="${size}" height="${size}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">
+<rect width="100%" height="100%" fill="#ffffff"/>
+<path d="${path.join("")}" fill="#000000"/>
+</svg>
+`;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Render a 1-bit greyscale PNG. Modules are scaled by a whole number of
+ * pixels, so the image is at most `size` pixels wide (and never smaller than
+ * one pixel per module).
+ */
+function renderPng(qr, { size = 300, margin = 4 } = {}) {
+  const dimension = qr.size + margin * 2;
+  const scale = Math.max(1, Math.floor(size / dimension));
+  const width = dimension * scale;
+  const rowBytes = Math.ceil(width / 8);
+
+  const raw = Buffer.alloc((rowBytes + 1) * width);
+  for (let py = 0; py < width; py += 1) {
+    const offset = py * (rowBytes + 1);
+    raw[offset] = 0; // filter: none
+    const y = Math.floor(py / scale) - margin;
+    for (let px = 0; px < width; px += 1) {
+      const x = Math.floor(px / scale) - margin;
+      const dark =
+        y >= 0 && y < qr.size && x >= 0 && x < qr.size && qr.modules[y][x];
+      if (!dark) {
+        // white is 1 in greyscale
+        raw[offset + 1 + (px >>> 3)] |= 0x80 >>> (px & 7);
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(width, 4);
+  header[8] = 1; // bit depth
+  header[9] = 0; // colour type: greyscale
+  header[10] = 0;
+  header[11] = 0;
+  header[12] = 0;
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+export { encodeQr, renderSvg, renderPng };
@@ -0,0 +1,199 @@
+import crypto from "crypto";
+import { kv } from "./storage.js";
+import { clientIp } from "./utils.js";
+
+/**
+ * KV-backed rate limiting and login lockouts.
+ *
+ * Routes declare `limits` in `server/router.js`. Each limit counts requests
+ * in a sliding window, in a sorted set `ratelimit:{name}:{id}` scored by
+ * request time, where the id is the caller's IP (`by: "ip"`) or whatever
+ * `by(req)` returns, such as the account or code the request targets. A
+ * request with no id for a limit is not counted against it.
+ *
+ * Failed logins are tracked per account. After `LOCKOUT_THRESHOLD` failures
+ * within `FAILURE_WINDOW_SECONDS` the account is locked, for a period that
+ * doubles with each further lockout up to `MAX_LOCKOUT_SECONDS`. A successful
+ * login clears the count. Locked accounts are listed in `login:lockouts` for
+ * admins to review and clear.
+ *
+ * KV errors never block a request: limits fail open.
+ */
+
+const FAILURE_WINDOW_SECONDS = 15 * 60;
+const LOCKOUT_THRESHOLD = 5;
+const BASE_LOCKOUT_SECONDS = 60;
+const MAX_LOCKOUT_SECONDS = 60 * 60;
+const LOCKOUTS_KEY = "login:lockouts";
+
+function limitKey(name, id) {
+  return `ratelimit:${name}:${String(id).trim().toLowerCase()}`;
+}
+
+function failuresKey(email) {
+  return `login:failures:${email}`;
+}
+
+function lockoutKey(email) {
+  return `login:lockout:${email}`;
+}
+
+function normalize(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function limitId(limit, req) {
+  if (limit.by === "ip") return clientIp(req) || "unknown";
+  const value = typeof limit.by === "function" ? limit.by(req) : null;
+  return value ? String(value) : null;
+}
+
+/**
+ * Count one request against a sliding window.
+ * @param {string} key
+ * @param {{ limit: number, windowSeconds: number }} options
+ * @returns {Promise<{ allowed: boolean, remaining: number, retryAfter: number }>}
+ *   `retryAfter` is in whole seconds
+ */
+async function hit(key, { limit, windowSeconds }) {
+  const now = Date.now();
+  const windowStart = now - windowSeconds * 1000;
+
+  await kv.zremrangebyscore(key, "-inf", windowStart);
+  const count = (await kv.zcard(key)) || 0;
+  if (count >= limit) {
+    const [, oldest] = (await kv.zrange(key, 0, 0, { withScores: true })) || [];
+    const retryAt = Number(oldest || now) + windowSeconds * 1000;
+    return {
+      allowed: false,
+      remaining: 0,
+      retryAfter: Math.max(1, Math.ceil((retryAt - now) / 1000)),
+    };
+  }
+
+  await kv.zadd(key, {
+    score: now,
+    member: `${now}-${crypto.randomBytes(4).toString("hex")}`,
+  });
+  await kv.expire(key, windowSeconds);
+  return { allowed: true, remaining: limit - count - 1, retryAfter: 0 };
+}
+
+/**
+ * Apply a route's declared limits, in order. Returns null when the request
+ * may proceed, otherwise the limit that stopped it and when to retry.
+ * @param {object} req
+ * @param {Array<{ name: string, by: "ip"|((req: object) => string|undefined),
+ *   limit: number, windowSeconds: number }>} [limits]
+ */
+async function checkRateLimits(req, limits = []) {
+  for (const limit of limits) {
+    const id = limitId(limit, req);
+    if (!id) continue;
+    try {
+      const result = await hit(limitKey(limit.name, id), limit);
+      if (!result.allowed) {
+        return { name: limit.name, retryAfter: result.retryAfter };
+      }
+    } catch (err) {
+      console.error("rate limit check failed", limit.name, err);
+    }
+  }
+  return null;
+}
+
+function lockoutSeconds(level) {
+  return Math.min(BASE_LOCKOUT_SECONDS * 2 ** Math.max(0, level - 1), MAX_LOCKOUT_SECONDS);
+}
+
+/**
+ * The lockout currently on an account, or null.
+ * @returns {Promise<{ email: string, lockedUntil: string, retryAfter: number,
+ *   level: number }|null>}
+ */
+async function getLockout(email) {
+  const normalized = normalize(email);
+  const lockout = await kv.hgetall(lockoutKey(normalized));
+  if (!lockout || !lockout.lockedUntil) return null;
+
+  const remaining = new Date(lockout.lockedUntil).getTime() - Date.now();
+  if (remaining <= 0) return null;
+  return {
+    email: normalized,
+    lockedUntil: lockout.lockedUntil,
+    retryAfter: Math.ceil(remaining / 1000),
+    level: Number(lockout.level) || 1,
+    failures: Number(lockout.failures) || 0,
+  };
+}
+
+/**
+ * Record a failed login. Returns the lockout it caused, if any.
+ */
+async function recordLoginFailure(email) {
+  const normalized = normalize(email);
+  if (!normalized) return null;
+
+  const failures = await kv.incr(failuresKey(normalized));
+  if (failures === 1) {
+    await kv.expire(failuresKey(normalized), FAILURE_WINDOW_SECONDS);
+  }
+  if (failures < LOCKOUT_THRESHOLD) return null;
+
+  // Each lockout in a row lasts twice as long as the one before it
+  const previous = await kv.hgetall(lockoutKey(normalized));
+  const level = (Number(previous?.level) || 0) + 1;
+  const seconds = lockoutSeconds(level);
+  const lockedUntil = new Date(Date.now() + seconds * 1000).toISOString();
+
+  await kv.hset(lockoutKey(normalized), {
+    level,
+    failures,
+    lockedAt: new Date().toISOString(),
+    lockedUntil,
+  });
+  // Keep the level around long enough to escalate the next lockout
+  await kv.expire(lockoutKey(normalized), seconds + MAX_LOCKOUT_SECONDS);
+  await kv.del(failuresKey(normalized));
+  await kv.sadd(LOCKOUTS_KEY, normalized);
+
+  return getLockout(normalized);
+}
+
+/**
+ * Forget failed logins and any lockout, after a successful login or when an
+ * admin clears it. Returns whether the account was locked.
+ */
+async function clearLoginFailures(email) {
+  const normalized = normalize(email);
+  const wasLocked = Boolean(await getLockout(normalized));
+  await kv.del(failuresKey(normalized));
+  await kv.del(lockoutKey(normalized));
+  await kv.srem(LOCKOUTS_KEY, normalized);
+  return wasLocked;
+}
+
+/**
+ * Accounts that are locked out right now. Lapsed entries are pruned.
+ */
+async function listLockouts() {
+  const emails = (await kv.smembers(LOCKOUTS_KEY)) || [];
+  const lockouts = [];
+  for (const email of emails) {
+    const lockout = await getLockout(email);
+    if (lockout) {
+      lockouts.push(lockout);
+    } else if (!(await kv.exists(lockoutKey(normalize(email))))) {
+      await kv.srem(LOCKOUTS_KEY, email);
+    }
+  }
+  return lockouts.sort((a, b) => a.lockedUntil.localeCompare(b.lockedUntil));
+}
+
+export {
+  checkRateLimits,
+  getLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  listLockouts,
+};
@@ -0,0 +1,499 @@
+import crypto from "crypto";
+import { deleteIfEquals, kv } from "./storage.js";
+import { getBalance, redeemPoints, refundPoints } from "./points-ledger.js";
+import { expireDuePoints } from "./points-expiry.js";
+import { evaluateCustomerTier } from "./loyalty-tiers.js";
+import { evaluateRewardRules, loadRewardCustomer } from "./reward-rules.js";
+
+/**
+ * Reward redemptions: a customer spends points on a reward and gets a code
+ * (`redemption:{code}`) to show at the venue.
+ *
+ * One customer redeems one thing at a time: `redemption:lock:{email}` is
+ * held while the balance, caps and idempotency key are checked and the
+ * points debited, so two quick requests cannot both spend the same points.
+ * Limited stock (`stock` on the reward) is reserved with an atomic
+ * decrement and handed back if the redemption fails, so it never goes below
+ * zero; `stock` left empty means unlimited.
+ *
+ * Rewards may cap redemptions per customer, in total (`maxPerCustomer`) and
+ * within a rolling `period` of a day, week or month (`maxPerPeriod`). Each
+ * customer's redemptions of a reward are indexed by time in
+ * `redemptions:customer:{email}:{rewardId}`.
+ *
+ * A request that carries an idempotency key is answered once: a retry with
+ * the same key gets the first redemption back instead of spending again.
+ * Keys live in `redemption:idempotency:{email}:{key}` for a day.
+ *
+ * A redemption only moves along `REDEMPTION_TRANSITIONS`:
+ *
+ *   pending → applied (attached to a booking), cancelled or expired
+ *   applied → used (processed at the venue), rejected or expired
+ *
+ * `used`, `rejected`, `cancelled` and `expired` are final. The last three give
+ * the points back with a `refund` ledger entry (once, by ref), return the
+ * stock unit and stop counting toward the reward's caps. Open redemptions are
+ * indexed by expiry in `redemptions:open`, which `expireRedemptions` sweeps.
+ * Records that register once marked `approved` count as `applied`.
+ */
+
+const LOCK_TTL_SECONDS = 15;
+const LOCK_WAIT_MS = 5000;
+const LOCK_RETRY_MS = 50;
+const IDEMPOTENCY_TTL_SECONDS = 24 * 3600;
+const REDEMPTION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const REDEMPTION_PERIODS = { day: 1, week: 7, month: 30 };
+const REDEMPTION_TRANSITIONS = {
+  pending: ["applied", "cancelled", "expired"],
+  applied: ["used", "rejected", "expired"],
+  used: [],
+  rejected: [],
+  cancelled: [],
+  expired: [],
+};
+const REFUNDED_STATUSES = ["rejected", "cancelled", "expired"];
+const OPEN_KEY = "redemptions:open";
+const SWEEP_BATCH_SIZE = 500;
+
+function normalize(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function rewardKey(rewardId) {
+  return `reward:${rewardId}`;
+}
+
+function redemptionKey(code) {
+  return `redemption:${code}`;
+}
+
+function lockKey(email) {
+  return `redemption:lock:${email}`;
+}
+
+function idempotencyKey(email, key) {
+  return `redemption:idempotency:${email}:${key}`;
+}
+
+function customerRewardKey(email, rewardId) {
+  return `redemptions:customer:${email}:${rewardId}`;
+}
+
+function redemptionError(message, code, details = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, details);
+  return err;
+}
+
+// Empty, missing or non-numeric means "no limit"
+function readLimit(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(0, Math.floor(number)) : null;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run `fn` holding the customer's redemption lock, waiting briefly for a
+ * redemption already in progress.
+ */
+async function withCustomerLock(email, fn) {
+  const key = lockKey(email);
+  // Not all digits: KV would read it back as a number
+  const owner = `lock_${crypto.randomBytes(8).toString("hex")}`;
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  while (!(await kv.set(key, owner, { nx: true, ex: LOCK_TTL_SECONDS }))) {
+    if (Date.now() >= deadline) {
+      throw redemptionError("Another redemption is in progress, try again", "REDEMPTION_BUSY");
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+  try {
+    return await fn();
+  } finally {
+    // Only release our own lock, not one taken after ours expired
+    await deleteIfEquals(key, owner);
+  }
+}
+
+/**
+ * Take one unit of a limited reward. Returns false when none is left.
+ */
+async function reserveStock(rewardId, reward) {
+  if (readLimit(reward.stock) === null) return true;
+  const remaining = await kv.hincrby(rewardKey(rewardId), "stock", -1);
+  if (remaining < 0) {
+    await kv.hincrby(rewardKey(rewardId), "stock", 1);
+    return false;
+  }
+  return true;
+}
+
+async function releaseStock(rewardId, reward) {
+  if (readLimit(reward.stock) === null) return;
+  await kv.hincrby(rewardKey(rewardId), "stock", 1);
+}
+
+async function checkCaps(email, rewardId, reward) {
+  const maxPerCustomer = readLimit(reward.maxPerCustomer);
+  const maxPerPeriod = readLimit(reward.maxPerPeriod);
+  const periodDays = REDEMPTION_PERIODS[reward.period];
+  const key = customerRewardKey(email, rewardId);
+
+  if (maxPerCustomer !== null && (await kv.zcard(key)) >= maxPerCustomer) {
+    throw redemptionError(
+      "You have redeemed this reward the maximum number of times",
+      "REDEMPTION_LIMIT",
+      { limit: maxPerCustomer }
+    );
+  }
+
+  if (maxPerPeriod !== null && periodDays) {
+    const since = Date.now() - periodDays * 24 * 3600 * 1000;
+    const recent = await kv.zcount(key, since, "+inf");
+    if (recent >= maxPerPeriod) {
+      throw redemptionError(
+        `You can redeem this reward ${maxPerPeriod} time(s) per ${reward.period}`,
+        "REDEMPTION_LIMIT",
+        { limit: maxPerPeriod, period: reward.period }
+      );
+    }
+  }
+}
+
+// The reward's rules (lib/reward-rules.js), as the reward list shows them.
+// Spending points is one of the times the customer's tier is re-evaluated
+async function checkEligibility(email, reward) {
+  await evaluateCustomerTier(email);
+  const { eligible, reasons } = evaluateRewardRules(reward, await loadRewardCustomer(email));
+  if (eligible) return;
+  const partner = reasons.find((reason) => reason.code === "PARTNER");
+  throw redemptionError(reasons[0].message, "NOT_ELIGIBLE", {
+    reasons,
+    ...(partner
+      ? { requiredPartners: partner.requiredPartners, yourPartners: partner.yourPartners }
+      : {}),
+  });
+}
+
+async function replay(email, key, rewardId) {
+  const stored = await kv.get(idempotencyKey(email, key));
+  if (!stored) return null;
+  // KV hands JSON back parsed
+  const { code, rewardId: storedRewardId } =
+    typeof stored === "string" ? JSON.parse(stored) : stored;
+  if (String(storedRewardId) !== String(rewardId)) {
+    throw redemptionError(
+      "This idempotency key was already used for another reward",
+      "IDEMPOTENCY_CONFLICT"
+    );
+  }
+  const redemption = await kv.hgetall(redemptionKey(code));
+  return redemption ? { ...redemption, id: code } : null;
+}
+
+/**
+ * Redeem a reward for a customer.
+ * @param {object} input
+ * @param {string} input.email
+ * @param {string} input.rewardId
+ * @param {string} [input.idempotencyKey] - Retries with the same key get the
+ *   first result back
+ * @returns {Promise<{ redemption: object, reward: object, balance: number,
+ *   replayed: boolean }>}
+ * @throws {Error} with `code` REWARD_NOT_FOUND, REWARD_UNAVAILABLE,
+ *   NOT_ELIGIBLE (with the rules' `reasons`), INSUFFICIENT_POINTS, OUT_OF_STOCK, REDEMPTION_LIMIT,
+ *   IDEMPOTENCY_CONFLICT or REDEMPTION_BUSY
+ */
+async function redeemReward({ email, rewardId, idempotencyKey: key }) {
+  const normalizedEmail = normalize(email);
+
+  return withCustomerLock(normalizedEmail, async () => {
+    if (key) {
+      const previous = await replay(normalizedEmail, key, rewardId);
+      if (previous) {
+        const reward = (await kv.hgetall(rewardKey(rewardId))) || {};
+        const { balance } = await getBalance(normalizedEmail);
+        return { redemption: previous, reward, balance, replayed: true };
+      }
+    }
+
+    const reward = await kv.hgetall(rewardKey(rewardId));
+    if (!reward) {
+      throw redemptionError("Reward not found", "REWARD_NOT_FOUND");
+    }
+    if (reward.status !== "active") {
+      throw redemptionError("Reward is not available", "REWARD_UNAVAILABLE");
+    }
+
+    // Lapsed points cannot be spent, even before the nightly sweep books them
+    await expireDuePoints(normalizedEmail);
+    const pointsCost = parseInt(reward.pointsCost) || 0;
+    const { balance } = await getBalance(normalizedEmail);
+    if (Math.max(0, balance) < pointsCost) {
+      throw redemptionError("Insufficient points", "INSUFFICIENT_POINTS", {
+        required: pointsCost,
+        available: Math.max(0, balance),
+      });
+    }
+
+    await checkEligibility(normalizedEmail, reward);
+    await checkCaps(normalizedEmail, rewardId, reward);
+
+    if (!(await reserveStock(rewardId, reward))) {
+      throw redemptionError("Reward is out of stock", "OUT_OF_STOCK");
+    }
+
+    const code = `RDM-${Date.now()}-${Math.random().toString(36).substring(2, 9).toUpperCase()}`;
+    const now = Date.now();
+    const redemption = {
+      id: code,
+      email: normalizedEmail,
+      rewardId,
+      rewardName: reward.name,
+      pointsSpent: pointsCost,
+      redeemedAt: new Date(now).toISOString(),
+      status: "pending",
+      expiresAt: new Date(now + REDEMPTION_TTL_MS).toISOString(),
+      ...(key ? { idempotencyKey: key } : {}),
+    };
+
+    // Debit before writing the redemption, so a failed debit leaves nothing behind
+    try {
+      if (pointsCost > 0) {
+        await redeemPoints(normalizedEmail, pointsCost, {
+          ref: redemptionKey(code),
+          redemptionCode: code,
+          rewardId,
+          rewardName: reward.name,
+        });
+      }
+    } catch (err) {
+      await releaseStock(rewardId, reward);
+      if (err.code === "INSUFFICIENT_POINTS") {
+        err.required = pointsCost;
+      }
+      throw err;
+    }
+
+    // The points are spent now; if the redemption cannot be saved, refund
+    // them under the ref a cancel would use and return the stock
+    try {
+      await kv.hset(redemptionKey(code), redemption);
+      await kv.lpush(`redemptions:${normalizedEmail}`, JSON.stringify(redemption));
+      await kv.zadd(customerRewardKey(normalizedEmail, rewardId), { score: now, member: code });
+      await kv.zadd(OPEN_KEY, { score: now + REDEMPTION_TTL_MS, member: code });
+      if (key) {
+        await kv.set(idempotencyKey(normalizedEmail, key), JSON.stringify({ code, rewardId }), {
+          ex: IDEMPOTENCY_TTL_SECONDS,
+        });
+      }
+    } catch (err) {
+      if (pointsCost > 0) {
+        await refundPoints(normalizedEmail, pointsCost, {
+          ref: `${redemptionKey(code)}:refund`,
+          redemptionCode: code,
+          rewardId,
+          rewardName: reward.name,
+          reason: "failed",
+        });
+      }
+      await releaseStock(rewardId, reward);
+      await kv.del(redemptionKey(code));
+      await kv.lrem(`redemptions:${normalizedEmail}`, 0, JSON.stringify(redemption));
+      await kv.zrem(customerRewardKey(normalizedEmail, rewardId), code);
+      await kv.zrem(OPEN_KEY, code);
+      throw err;
+    }
+
+    return { redemption, reward, balance: balance - pointsCost, replayed: false };
+  });
+}
+
+function redemptionStatus(redemption) {
+  const status = redemption?.status || "pending";
+  return status === "approved" ? "applied" : status;
+}
+
+function canTransition(from, to) {
+  return Boolean(REDEMPTION_TRANSITIONS[from]?.includes(to));
+}
+
+function isExpired(redemption, now = Date.now()) {
+  const expiresAt = new Date(redemption?.expiresAt).getTime();
+  return Number.isFinite(expiresAt) && expiresAt <= now;
+}
+
+/**
+ * A redemption by code, with `id` set and legacy statuses read as current
+ * ones, or null.
+ */
+async function getRedemption(code) {
+  const redemption = await kv.hgetall(redemptionKey(code));
+  if (!redemption || !redemption.email) return null;
+  return { ...redemption, id: code, status: redemptionStatus(redemption) };
+}
+
+/**
+ * Move a redemption to another status, refunding its points when the new
+ * status is rejected, cancelled or expired.
+ * @param {string} code
+ * @param {string} status - Target status
+ * @param {object} [options]
+ * @param {string} [options.email] - Only act on this customer's redemption
+ * @param {object} [options.fields] - Extra fields to store, e.g. who acted
+ * @returns {Promise<{ before: object, after: object, refunded: number }>}
+ * @throws {Error} with `code` REDEMPTION_NOT_FOUND, INVALID_TRANSITION (with
+ *   `currentStatus`) or REDEMPTION_BUSY
+ */
+async function transitionRedemption(code, status, { email, fields = {} } = {}) {
+  const found = await getRedemption(code);
+  // Someone else's code is reported as missing, not as theirs
+  if (!found || (email && normalize(found.email) !== normalize(email))) {
+    throw redemptionError("Redemption not found", "REDEMPTION_NOT_FOUND");
+  }
+  const owner = normalize(found.email);
+
+  return withCustomerLock(owner, async () => {
+    const before = await getRedemption(code);
+    if (!canTransition(before.status, status)) {
+      throw redemptionError(
+        `A ${before.status} redemption cannot become ${status}`,
+        "INVALID_TRANSITION",
+        { currentStatus: before.status }
+      );
+    }
+
+    const points = parseInt(before.pointsSpent) || 0;
+    const refunded = REFUNDED_STATUSES.includes(status) ? points : 0;
+    // The ref makes a retried refund a no-op
+    if (refunded > 0) {
+      await refundPoints(owner, refunded, {
+        ref: `${redemptionKey(code)}:refund`,
+        redemptionCode: code,
+        rewardId: before.rewardId,
+        rewardName: before.rewardName,
+        reason: status,
+      });
+    }
+
+    const changes = {
+      ...fields,
+      status,
+      [`${status}At`]: new Date().toISOString(),
+      ...(refunded > 0 ? { refundedPoints: refunded } : {}),
+    };
+    await kv.hset(redemptionKey(code), changes);
+
+    if (REFUNDED_STATUSES.includes(status)) {
+      const reward = await kv.hgetall(rewardKey(before.rewardId));
+      if (reward) await releaseStock(before.rewardId, reward);
+      await kv.zrem(customerRewardKey(owner, before.rewardId), code);
+    }
+    if (!REDEMPTION_TRANSITIONS[status].length) {
+      await kv.zrem(OPEN_KEY, code);
+    }
+
+    return { before, after: { ...before, ...changes }, refunded };
+  });
+}
+
+/**
+ * Take back an apply whose booking could not be saved, restoring the fields
+ * `transitionRedemption` changed. Does nothing once the redemption has moved
+ * on from that apply.
+ * @param {string} code
+ * @param {{ before: object, after: object }} applied - What
+ *   `transitionRedemption(code, "applied")` returned
+ * @returns {Promise<boolean>} whether the apply was undone
+ */
+async function undoApply(code, { before, after }) {
+  return withCustomerLock(normalize(before.email), async () => {
+    const current = await getRedemption(code);
+    if (current?.status !== "applied" || current.appliedAt !== after.appliedAt) return false;
+
+    const changed = Object.keys(after).filter(
+      (field) => field !== "id" && after[field] !== before[field]
+    );
+    const added = changed.filter((field) => !(field in before));
+    const restored = Object.fromEntries(
+      changed.filter((field) => field in before).map((field) => [field, before[field]])
+    );
+    if (added.length) await kv.hdel(redemptionKey(code), ...added);
+    await kv.hset(redemptionKey(code), restored);
+    return true;
+  });
+}
+
+/**
+ * Expire open redemptions whose `expiresAt` has passed, refunding them.
+ * @param {object} [options]
+ * @param {number} [options.now]
+ * @param {number} [options.limit] - Most redemptions to look at in one run
+ * @returns {Promise<{ expired: object[], skipped: number, more: boolean }>}
+ *   `expired` holds `{ before, after, refunded }` per redemption
+ */
+async function expireRedemptions({ now = Date.now(), limit = SWEEP_BATCH_SIZE } = {}) {
+  const due = (await kv.zrange(OPEN_KEY, "-inf", now, {
+    byScore: true,
+    offset: 0,
+    count: limit + 1,
+  })) || [];
+
+  const expired = [];
+  let skipped = 0;
+  for (const code of due.slice(0, limit).map(String)) {
+    try {
+      expired.push(await transitionRedemption(code, "expired"));
+    } catch (err) {
+      if (err.code === "REDEMPTION_BUSY") {
+        // Being changed right now; the next run picks it up
+        skipped += 1;
+      } else if (err.code === "REDEMPTION_NOT_FOUND" || err.code === "INVALID_TRANSITION") {
+        await kv.zrem(OPEN_KEY, code);
+      } else {
+        throw err;
+      }
+    }
+  }
+  return { expired, skipped, more: due.length > limit };
+}
+
+/**
+ * Add open redemptions written before the expiry index existed to it.
+ * @returns {Promise<{ redemptions: number, dryRun: boolean }>}
+ */
+async function indexOpenRedemptions({ dryRun = false } = {}) {
+  let redemptions = 0;
+  for (const key of (await kv.keys("redemption:*")) || []) {
+    // Only redemption:{code}; locks and idempotency keys share the prefix
+    if (key.split(":").length !== 2) continue;
+    const code = key.slice("redemption:".length);
+    const redemption = await getRedemption(code);
+    if (!redemption || !REDEMPTION_TRANSITIONS[redemption.status]?.length) continue;
+    if ((await kv.zscore(OPEN_KEY, code)) !== null) continue;
+
+    const expiresAt = new Date(redemption.expiresAt).getTime();
+    redemptions += 1;
+    if (!dryRun) {
+      await kv.zadd(OPEN_KEY, { score: Number.isFinite(expiresAt) ? expiresAt : 0, member: code });
+    }
+  }
+  return { redemptions, dryRun };
+}
+
+export {
+  REDEMPTION_PERIODS,
+  REDEMPTION_TRANSITIONS,
+  redeemReward,
+  getRedemption,
+  isExpired,
+  transitionRedemption,
+  undoApply,
+  expireRedemptions,
+  indexOpenRedemptions,
+};
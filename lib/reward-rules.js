@@ -0,0 +1,205 @@
+import { listCustomerBookings } from "./bookings.js";
+import { isVisitedBooking } from "./points-ledger.js";
+import { readTierStatus } from "./loyalty-tiers.js";
+import { parseList } from "./utils.js";
+
+/**
+ * Who may redeem a reward, and when. Rules are optional fields on the
+ * `reward:{id}` hash:
+ *
+ * - `validFrom` / `validUntil` - the window the reward can be redeemed in;
+ *   a bare date (`2026-12-31`) covers that whole day, in UTC
+ * - `daysOfWeek` - JSON list of `mon` ... `sun`, in `REWARDS_TIME_ZONE`
+ * - `minVisits` - visited bookings the customer needs
+ * - `segments` - JSON list of customer segments the reward targets
+ * - `availableFor` - JSON list of partner ids; the customer must have booked
+ *   with one of them
+ * - `tiers` - JSON list of loyalty tier ids (lib/loyalty-tiers.js) the
+ *   reward is kept for
+ *
+ * Segments follow from the customer's visits: `new` (none yet), `returning`
+ * (visited in the last `LAPSED_AFTER_DAYS`) and `lapsed` (visited before, but
+ * not since).
+ *
+ * `evaluateRewardRules` is the one check used both to list rewards and to
+ * redeem them. A reward that ended or targets other segments is `hidden`;
+ * any other failed rule leaves it visible but locked, with a reason the
+ * customer can act on.
+ */
+
+const TIME_ZONE = process.env.REWARDS_TIME_ZONE || "UTC";
+const WEEKDAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+const CUSTOMER_SEGMENTS = ["new", "returning", "lapsed"];
+const LAPSED_AFTER_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Reasons that mean the reward is not for this customer at all
+const HIDING_REASONS = ["ENDED", "SEGMENT"];
+
+function parseTime(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  if (!Number.isFinite(time)) return null;
+  return endOfDay && DATE_ONLY.test(String(value).trim()) ? time + DAY_MS - 1 : time;
+}
+
+/**
+ * The reward's window as timestamps; `null` ends are open.
+ * @returns {{ from: number|null, until: number|null }}
+ */
+function rewardWindow(reward) {
+  return {
+    from: parseTime(reward?.validFrom),
+    until: parseTime(reward?.validUntil, { endOfDay: true }),
+  };
+}
+
+function weekday(now) {
+  const name = new Intl.DateTimeFormat("en-US", { weekday: "short", timeZone: TIME_ZONE })
+    .format(new Date(now))
+    .toLowerCase();
+  return name.slice(0, 3);
+}
+
+function customerSegments({ visits, lastVisitAt }, now) {
+  if (!visits) return ["new"];
+  const last = parseTime(lastVisitAt);
+  return last !== null && now - last > LAPSED_AFTER_DAYS * DAY_MS ? ["lapsed"] : ["returning"];
+}
+
+/**
+ * What the rules need to know about a customer.
+ * @param {string} email
+ * @param {object} [options]
+ * @param {object[]} [options.bookings] - The customer's bookings, when the
+ *   caller has them already
+ * @param {number} [options.now]
+ * @returns {Promise<{ email: string, partners: string[], visits: number,
+ *   lastVisitAt: string|null, segments: string[], tier: string|null,
+ *   loyalty: object }>} `loyalty` is the customer's stored tier, from
+ *   `readTierStatus`
+ */
+async function loadRewardCustomer(email, { bookings, now = Date.now() } = {}) {
+  const normalized = String(email || "").trim().toLowerCase();
+  const list = bookings || (await listCustomerBookings(normalized));
+
+  const partners = new Set();
+  let visits = 0;
+  let lastVisitAt = null;
+  for (const booking of list) {
+    if (booking.partnerId) partners.add(String(booking.partnerId).toLowerCase());
+    if (!isVisitedBooking(booking)) continue;
+    visits += 1;
+    const visitedAt = booking.visitedAt || booking.scannedAt || booking.createdAt;
+    if (visitedAt && (!lastVisitAt || parseTime(visitedAt) > parseTime(lastVisitAt))) {
+      lastVisitAt = visitedAt;
+    }
+  }
+
+  const customer = { email: normalized, partners: Array.from(partners), visits, lastVisitAt };
+  const loyalty = await readTierStatus(normalized, { bookings: list, now });
+  return {
+    ...customer,
+    segments: customerSegments(customer, now),
+    tier: loyalty.current?.id || null,
+    loyalty,
+  };
+}
+
+/**
+ * Check a reward's rules for a customer.
+ * @param {object} reward - The stored reward
+ * @param {object} customer - From `loadRewardCustomer`
+ * @param {object} [options]
+ * @param {number} [options.now]
+ * @returns {{ eligible: boolean, hidden: boolean, reasons: object[] }} each
+ *   reason has a `code` (NOT_STARTED, ENDED, WRONG_DAY, MIN_VISITS, SEGMENT,
+ *   PARTNER or TIER), a `message` for the customer and the rule's values
+ */
+function evaluateRewardRules(reward, customer, { now = Date.now() } = {}) {
+  const reasons = [];
+
+  const { from, until } = rewardWindow(reward);
+  if (from !== null && now < from) {
+    reasons.push({
+      code: "NOT_STARTED",
+      message: `Available from ${new Date(from).toISOString()}`,
+      validFrom: new Date(from).toISOString(),
+    });
+  }
+  if (until !== null && now > until) {
+    reasons.push({
+      code: "ENDED",
+      message: "This reward is no longer available",
+      validUntil: new Date(until).toISOString(),
+    });
+  }
+
+  const days = parseList(reward?.daysOfWeek).map((day) => String(day).toLowerCase());
+  if (days.length && !days.includes(weekday(now))) {
+    reasons.push({
+      code: "WRONG_DAY",
+      message: `Only available on ${days.join(", ")}`,
+      daysOfWeek: days,
+    });
+  }
+
+  const minVisits = parseInt(reward?.minVisits) || 0;
+  if (minVisits > customer.visits) {
+    const missing = minVisits - customer.visits;
+    reasons.push({
+      code: "MIN_VISITS",
+      message: `Visit ${missing} more time${missing === 1 ? "" : "s"} to unlock`,
+      required: minVisits,
+      current: customer.visits,
+    });
+  }
+
+  const segments = parseList(reward?.segments);
+  if (segments.length && !segments.some((segment) => customer.segments.includes(segment))) {
+    reasons.push({
+      code: "SEGMENT",
+      message: "This reward is not offered to you",
+      segments,
+    });
+  }
+
+  const availableFor = parseList(reward?.availableFor);
+  if (
+    availableFor.length &&
+    !availableFor.some((partnerId) => customer.partners.includes(String(partnerId).toLowerCase()))
+  ) {
+    reasons.push({
+      code: "PARTNER",
+      message: "Reward not available for your visited partners",
+      requiredPartners: availableFor,
+      yourPartners: customer.partners,
+    });
+  }
+
+  const tiers = parseList(reward?.tiers).map((tier) => String(tier).toLowerCase());
+  if (tiers.length && !tiers.includes(customer.tier)) {
+    reasons.push({
+      code: "TIER",
+      message: `Only for ${tiers.join(", ")} members`,
+      tiers,
+      currentTier: customer.tier || null,
+    });
+  }
+
+  return {
+    eligible: reasons.length === 0,
+    hidden: reasons.some((reason) => HIDING_REASONS.includes(reason.code)),
+    reasons,
+  };
+}
+
+export {
+  WEEKDAYS,
+  CUSTOMER_SEGMENTS,
+  LAPSED_AFTER_DAYS,
+  rewardWindow,
+  loadRewardCustomer,
+  evaluateRewardRules,
+};
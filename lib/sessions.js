@@ -0,0 +1,285 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { kv } from "./storage.js";
+import { clientIp } from "./utils.js";
+import { readMemberships } from "./memberships.js";
+
+/**
+ * Login sessions, for dashboard users and for customers (role `customer`,
+ * opened by `lib/customer-auth.js`).
+ *
+ * A login opens a session at `session:{sid}` and hands out a short-lived JWT
+ * access token carrying the session id (`sid`) plus a refresh token
+ * `<sid>.<secret>`. Only a SHA-256 hash of the secret is stored. Each refresh
+ * rotates the secret; presenting a secret that was already rotated away means
+ * the token was copied, so the whole session is revoked.
+ *
+ * Revoking a session deletes it, which invalidates its access tokens at the
+ * next request. `sessions:{email}` lists a user's open sessions. Tokens issued
+ * before sessions existed carry no `sid`; they are cut off by the
+ * `sessions:revoked-before:{email}` timestamp written when all of a user's
+ * sessions are revoked.
+ */
+
+const JWT_SECRET = process.env.JWT_SECRET || "";
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+const REFRESH_TTL_SECONDS =
+  Number(process.env.REFRESH_TOKEN_TTL_SECONDS) || 30 * 24 * 3600;
+
+function sessionKey(sessionId) {
+  return `session:${sessionId}`;
+}
+
+function userSessionsKey(email) {
+  return `sessions:${email}`;
+}
+
+function revokedBeforeKey(email) {
+  return `sessions:revoked-before:${email}`;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function sessionError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret, extra] = String(refreshToken || "").split(".");
+  if (!sessionId || !secret || extra !== undefined) {
+    throw sessionError("Invalid refresh token", "INVALID_REFRESH_TOKEN");
+  }
+  return { sessionId, secret };
+}
+
+function signAccessToken(session) {
+  return jwt.sign(
+    {
+      sub: session.email,
+      partnerId: session.partnerId || undefined,
+      partners: session.role === "partner" ? readMemberships(session) : undefined,
+      role: session.role,
+      name: session.name || undefined,
+      sid: session.id,
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+function toTokens(session, secret) {
+  return {
+    token: signAccessToken(session),
+    refreshToken: `${session.id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    refreshExpiresAt: session.expiresAt,
+    sessionId: session.id,
+  };
+}
+
+function publicSession(session) {
+  return {
+    id: session.id,
+    email: session.email,
+    role: session.role,
+    partnerId: session.partnerId || null,
+    partners: readMemberships(session),
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt || null,
+    expiresAt: session.expiresAt,
+    ip: session.ip || null,
+    userAgent: session.userAgent || null,
+  };
+}
+
+/**
+ * Where a request came from, for the session list.
+ */
+function requestContext(req) {
+  return {
+    ip: clientIp(req),
+    userAgent: String(req.headers?.["user-agent"] || "").slice(0, 200),
+  };
+}
+
+/**
+ * Open a session for a user that has just logged in.
+ * @param {{ email: string, role: string, partnerId?: string, name?: string,
+ *   memberships?: object }} user
+ * @param {{ ip?: string, userAgent?: string }} [context]
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: string,
+ *   refreshExpiresAt: string, sessionId: string }>}
+ */
+async function createSession(user, context = {}) {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const now = new Date();
+  const session = {
+    id: crypto.randomBytes(12).toString("base64url"),
+    email: String(user.email).toLowerCase(),
+    role: user.role || "partner",
+    partnerId: user.partnerId || "",
+    memberships: JSON.stringify(readMemberships(user)),
+    name: user.name || "",
+    refreshHash: hashSecret(secret),
+    previousHash: "",
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TTL_SECONDS * 1000).toISOString(),
+    ip: context.ip || "",
+    userAgent: context.userAgent || "",
+  };
+
+  await kv.hset(sessionKey(session.id), session);
+  await kv.expire(sessionKey(session.id), REFRESH_TTL_SECONDS);
+  await kv.sadd(userSessionsKey(session.email), session.id);
+
+  return toTokens(session, secret);
+}
+
+async function loadSession(sessionId) {
+  const session = await kv.hgetall(sessionKey(sessionId));
+  if (!session || !session.email) return null;
+  return { ...session, id: sessionId };
+}
+
+/**
+ * Swap a refresh token for a new access token and refresh token. The user
+ * record is read again, so role and membership changes apply from here on and
+ * deleted or disabled users are logged out.
+ */
+async function refreshSession(refreshToken, context = {}) {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const session = await loadSession(sessionId);
+  if (!session || new Date(session.expiresAt) <= new Date()) {
+    throw sessionError("Invalid refresh token", "INVALID_REFRESH_TOKEN");
+  }
+
+  const presented = hashSecret(secret);
+  if (presented !== session.refreshHash) {
+    if (presented === session.previousHash) {
+      await revokeSession(sessionId);
+      throw sessionError("Refresh token was already used", "REFRESH_TOKEN_REUSED");
+    }
+    throw sessionError("Invalid refresh token", "INVALID_REFRESH_TOKEN");
+  }
+
+  // Customers have no account record to pick changes up from
+  let account = {};
+  if (session.role !== "customer") {
+    const user = await kv.hgetall(`partnerUser:${session.email}`);
+    if (!user || !user.email) {
+      await revokeSession(sessionId);
+      throw sessionError("Invalid refresh token", "INVALID_REFRESH_TOKEN");
+    }
+    if (user.disabledAt) {
+      await revokeSession(sessionId);
+      throw sessionError("Account disabled", "ACCOUNT_DISABLED");
+    }
+    account = {
+      role: user.role || "partner",
+      partnerId: user.partnerId || "",
+      memberships: JSON.stringify(readMemberships(user)),
+      name: user.name || "",
+    };
+  }
+
+  const nextSecret = crypto.randomBytes(32).toString("base64url");
+  const updated = {
+    ...session,
+    ...account,
+    refreshHash: hashSecret(nextSecret),
+    previousHash: session.refreshHash,
+    lastUsedAt: new Date().toISOString(),
+    ...(context.ip ? { ip: context.ip } : {}),
+    ...(context.userAgent ? { userAgent: context.userAgent } : {}),
+  };
+  const { id: _id, ...fields } = updated;
+  await kv.hset(sessionKey(sessionId), fields);
+
+  return toTokens(updated, nextSecret);
+}
+
+/**
+ * Close one session. Returns false if it was not open.
+ */
+async function revokeSession(sessionId) {
+  const session = await loadSession(sessionId);
+  if (!session) return false;
+  await kv.del(sessionKey(sessionId));
+  await kv.srem(userSessionsKey(session.email), sessionId);
+  return true;
+}
+
+/**
+ * The session a refresh token belongs to, without checking its secret
+ * against rotation. Used to log out with a refresh token.
+ */
+async function findRefreshSession(refreshToken) {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const session = await loadSession(sessionId);
+  if (!session || hashSecret(secret) !== session.refreshHash) return null;
+  return session;
+}
+
+/**
+ * Open sessions of a user, newest first. Expired ids are pruned on the way.
+ */
+async function listSessions(email) {
+  const normalized = String(email || "").trim().toLowerCase();
+  const ids = (await kv.smembers(userSessionsKey(normalized))) || [];
+  const sessions = [];
+  for (const id of ids) {
+    const session = await loadSession(id);
+    if (!session) {
+      await kv.srem(userSessionsKey(normalized), id);
+      continue;
+    }
+    sessions.push(publicSession(session));
+  }
+  return sessions.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Close every session of a user, except `options.except`, and cut off any
+ * older token without a session. Returns the number of sessions closed.
+ */
+async function revokeAllSessions(email, { except } = {}) {
+  const normalized = String(email || "").trim().toLowerCase();
+  const ids = (await kv.smembers(userSessionsKey(normalized))) || [];
+  let revoked = 0;
+  for (const id of ids) {
+    if (except && String(id) === except) continue;
+    if ((await kv.del(sessionKey(id))) > 0) revoked += 1;
+    await kv.srem(userSessionsKey(normalized), id);
+  }
+  await kv.set(revokedBeforeKey(normalized), Date.now());
+  return revoked;
+}
+
+/**
+ * Whether verified JWT claims belong to a closed session.
+ */
+async function isRevoked(claims) {
+  if (claims.sid) {
+    return !(await kv.exists(sessionKey(claims.sid)));
+  }
+  const email = String(claims.sub || "").toLowerCase();
+  if (!email || !claims.iat) return false;
+  const revokedBefore = Number(await kv.get(revokedBeforeKey(email)));
+  return Boolean(revokedBefore) && claims.iat * 1000 < revokedBefore;
+}
+
+export {
+  requestContext,
+  createSession,
+  refreshSession,
+  revokeSession,
+  findRefreshSession,
+  listSessions,
+  revokeAllSessions,
+  isRevoked,
+};
@@ -0,0 +1,638 @@
+/**
+ * In-process Redis command executor used as a storage backend for local
+ * development and tests. It speaks the same request/response shape as the
+ * Upstash REST API, so it can be plugged into the regular `VercelKV` client
+ * and keep the exact same (de)serialization behaviour as production.
+ */
+
+const WRONGTYPE =
+  "WRONGTYPE Operation against a key holding the wrong kind of value";
+
+class CommandError extends Error {}
+
+function toInt(value) {
+  const parsed = Number.parseInt(value, 10);
+  if (Number.isNaN(parsed)) {
+    throw new CommandError("ERR value is not an integer or out of range");
+  }
+  return parsed;
+}
+
+function formatScore(score) {
+  if (score === Infinity) return "inf";
+  if (score === -Infinity) return "-inf";
+  return String(score);
+}
+
+function parseScoreBound(raw) {
+  const value = String(raw).toLowerCase();
+  const exclusive = value.startsWith("(");
+  const text = exclusive ? value.slice(1) : value;
+  let score;
+  if (text === "-inf") score = -Infinity;
+  else if (text === "+inf" || text === "inf") score = Infinity;
+  else score = Number(text);
+  if (Number.isNaN(score)) {
+    throw new CommandError("ERR min or max is not a float");
+  }
+  return { score, exclusive };
+}
+
+function withinBounds(score, min, max) {
+  const aboveMin = min.exclusive ? score > min.score : score >= min.score;
+  const belowMax = max.exclusive ? score < max.score : score <= max.score;
+  return aboveMin && belowMax;
+}
+
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === "*") source += ".*";
+    else if (char === "?") source += ".";
+    else if (char === "[") {
+      const end = pattern.indexOf("]", i);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, "^")}]`;
+        i = end;
+      }
+    } else if (char === "\\" && i + 1 < pattern.length) {
+      source += `\\${pattern[i + 1]}`;
+      i += 1;
+    } else {
+      source += char.replace(/[.+^${}()|\\/]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function normalizeRange(start, stop, length) {
+  let from = toInt(start);
+  let to = toInt(stop);
+  if (from < 0) from = Math.max(length + from, 0);
+  if (to < 0) to = length + to;
+  if (to >= length) to = length - 1;
+  return [from, to];
+}
+
+/**
+ * Lua scripts the memory store can run, by source. It has no Lua interpreter,
+ * so each one is mirrored by a JS function taking `(keys, args)`.
+ */
+export const DELETE_IF_EQUALS =
+  'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) end return 0';
+
+export class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Upstash-compatible requester entry point.
+   * Single commands arrive as `body: ["cmd", ...args]`, pipelines and
+   * transactions as `path: ["pipeline" | "multi-exec"]` with a list of commands.
+   */
+  async request(req) {
+    const path = req.path?.[0];
+    if (path === "pipeline" || path === "multi-exec") {
+      return req.body.map((command) => this.run(command));
+    }
+    return this.run(req.body);
+  }
+
+  run(command) {
+    try {
+      return { result: this.execute(command) };
+    } catch (err) {
+      if (err instanceof CommandError) {
+        return { error: err.message };
+      }
+      throw err;
+    }
+  }
+
+  execute([name, ...rawArgs]) {
+    const command = String(name).toLowerCase();
+    const args = rawArgs.map((arg) => String(arg));
+    const handler = this.commands[command];
+    if (!handler) {
+      throw new CommandError(`ERR unknown command '${command}'`);
+    }
+    return handler.call(this, ...args);
+  }
+
+  flush() {
+    this.entries.clear();
+  }
+
+  read(key, type) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    if (type && entry.type !== type) {
+      throw new CommandError(WRONGTYPE);
+    }
+    return entry;
+  }
+
+  write(key, type, create) {
+    const existing = this.read(key, type);
+    if (existing) return existing;
+    const entry = { type, value: create(), expiresAt: null };
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  dropIfEmpty(key, entry) {
+    const size =
+      entry.value instanceof Map || entry.value instanceof Set
+        ? entry.value.size
+        : entry.value.length;
+    if (size === 0) {
+      this.entries.delete(key);
+    }
+  }
+
+  liveKeys() {
+    return Array.from(this.entries.keys()).filter((key) => this.read(key));
+  }
+
+  sortedMembers(entry) {
+    return Array.from(entry.value.entries()).sort((a, b) =>
+      a[1] === b[1] ? a[0].localeCompare(b[0]) : a[1] - b[1]
+    );
+  }
+
+  commands = {
+    ping(message) {
+      return message ?? "PONG";
+    },
+    flushall() {
+      this.flush();
+      return "OK";
+    },
+    flushdb() {
+      this.flush();
+      return "OK";
+    },
+    dbsize() {
+      return this.liveKeys().length;
+    },
+
+    // Keys
+    del(...keys) {
+      let removed = 0;
+      for (const key of keys) {
+        if (this.read(key)) {
+          this.entries.delete(key);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+    unlink(...keys) {
+      return this.commands.del.call(this, ...keys);
+    },
+    exists(...keys) {
+      return keys.filter((key) => this.read(key)).length;
+    },
+    type(key) {
+      return this.read(key)?.type ?? "none";
+    },
+    expire(key, seconds) {
+      const entry = this.read(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + toInt(seconds) * 1000;
+      return 1;
+    },
+    pexpire(key, ms) {
+      const entry = this.read(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + toInt(ms);
+      return 1;
+    },
+    expireat(key, timestamp) {
+      const entry = this.read(key);
+      if (!entry) return 0;
+      entry.expiresAt = toInt(timestamp) * 1000;
+      return 1;
+    },
+    persist(key) {
+      const entry = this.read(key);
+      if (!entry || entry.expiresAt === null) return 0;
+      entry.expiresAt = null;
+      return 1;
+    },
+    ttl(key) {
+      const entry = this.read(key);
+      if (!entry) return -2;
+      if (entry.expiresAt === null) return -1;
+      return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+    },
+    pttl(key) {
+      const entry = this.read(key);
+      if (!entry) return -2;
+      if (entry.expiresAt === null) return -1;
+      return entry.expiresAt - Date.now();
+    },
+    keys(pattern) {
+      const matcher = globToRegExp(pattern);
+      return this.liveKeys().filter((key) => matcher.test(key));
+    },
+    scan(cursor, ...options) {
+      let match = "*";
+      let count = 10;
+      let type = null;
+      for (let i = 0; i < options.length; i += 1) {
+        const option = options[i].toLowerCase();
+        if (option === "match") match = options[++i];
+        else if (option === "count") count = toInt(options[++i]);
+        else if (option === "type") type = options[++i];
+      }
+      const matcher = globToRegExp(match);
+      const all = this.liveKeys().sort();
+      const start = toInt(cursor);
+      const page = all.slice(start, start + count);
+      const next = start + count >= all.length ? "0" : String(start + count);
+      return [
+        next,
+        page.filter(
+          (key) => matcher.test(key) && (!type || this.read(key).type === type)
+        ),
+      ];
+    },
+    rename(key, target) {
+      const entry = this.read(key);
+      if (!entry) throw new CommandError("ERR no such key");
+      this.entries.delete(key);
+      this.entries.set(target, entry);
+      return "OK";
+    },
+
+    // Strings
+    get(key) {
+      return this.read(key, "string")?.value ?? null;
+    },
+    mget(...keys) {
+      return keys.map((key) => {
+        const entry = this.read(key);
+        return entry?.type === "string" ? entry.value : null;
+      });
+    },
+    set(key, value, ...options) {
+      let nx = false;
+      let xx = false;
+      let returnOld = false;
+      let keepTtl = false;
+      let expiresAt = null;
+      for (let i = 0; i < options.length; i += 1) {
+        const option = options[i].toLowerCase();
+        if (option === "nx") nx = true;
+        else if (option === "xx") xx = true;
+        else if (option === "get") returnOld = true;
+        else if (option === "keepttl") keepTtl = true;
+        else if (option === "ex") expiresAt = Date.now() + toInt(options[++i]) * 1000;
+        else if (option === "px") expiresAt = Date.now() + toInt(options[++i]);
+        else if (option === "exat") expiresAt = toInt(options[++i]) * 1000;
+        else if (option === "pxat") expiresAt = toInt(options[++i]);
+      }
+      const existing = this.read(key);
+      const previous = existing?.type === "string" ? existing.value : null;
+      if ((nx && existing) || (xx && !existing)) {
+        return returnOld ? previous : null;
+      }
+      this.entries.set(key, {
+        type: "string",
+        value,
+        expiresAt: keepTtl && existing ? existing.expiresAt : expiresAt,
+      });
+      return returnOld ? previous : "OK";
+    },
+    setnx(key, value) {
+      return this.commands.set.call(this, key, value, "nx") === "OK" ? 1 : 0;
+    },
+    setex(key, seconds, value) {
+      return this.commands.set.call(this, key, value, "ex", seconds);
+    },
+    getdel(key) {
+      const value = this.commands.get.call(this, key);
+      this.entries.delete(key);
+      return value;
+    },
+    incrby(key, amount) {
+      const entry = this.write(key, "string", () => "0");
+      const next = toInt(entry.value) + toInt(amount);
+      entry.value = String(next);
+      return next;
+    },
+    incr(key) {
+      return this.commands.incrby.call(this, key, "1");
+    },
+    decrby(key, amount) {
+      return this.commands.incrby.call(this, key, String(-toInt(amount)));
+    },
+    decr(key) {
+      return this.commands.incrby.call(this, key, "-1");
+    },
+
+    // Hashes
+    hset(key, ...pairs) {
+      if (pairs.length === 0 || pairs.length % 2 !== 0) {
+        throw new CommandError("ERR wrong number of arguments for 'hset' command");
+      }
+      const entry = this.write(key, "hash", () => new Map());
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        if (!entry.value.has(pairs[i])) added += 1;
+        entry.value.set(pairs[i], pairs[i + 1]);
+      }
+      return added;
+    },
+    hmset(key, ...pairs) {
+      this.commands.hset.call(this, key, ...pairs);
+      return "OK";
+    },
+    hsetnx(key, field, value) {
+      const entry = this.write(key, "hash", () => new Map());
+      if (entry.value.has(field)) return 0;
+      entry.value.set(field, value);
+      return 1;
+    },
+    hget(key, field) {
+      return this.read(key, "hash")?.value.get(field) ?? null;
+    },
+    hmget(key, ...fields) {
+      const entry = this.read(key, "hash");
+      return fields.map((field) => entry?.value.get(field) ?? null);
+    },
+    hgetall(key) {
+      const entry = this.read(key, "hash");
+      return entry ? Array.from(entry.value.entries()).flat() : [];
+    },
+    hkeys(key) {
+      return Array.from(this.read(key, "hash")?.value.keys() ?? []);
+    },
+    hvals(key) {
+      return Array.from(this.read(key, "hash")?.value.values() ?? []);
+    },
+    hlen(key) {
+      return this.read(key, "hash")?.value.size ?? 0;
+    },
+    hexists(key, field) {
+      return this.read(key, "hash")?.value.has(field) ? 1 : 0;
+    },
+    hdel(key, ...fields) {
+      const entry = this.read(key, "hash");
+      if (!entry) return 0;
+      const removed = fields.filter((field) => entry.value.delete(field)).length;
+      this.dropIfEmpty(key, entry);
+      return removed;
+    },
+    hincrby(key, field, amount) {
+      const entry = this.write(key, "hash", () => new Map());
+      const next = toInt(entry.value.get(field) ?? "0") + toInt(amount);
+      entry.value.set(field, String(next));
+      return next;
+    },
+
+    // Sets
+    sadd(key, ...members) {
+      const entry = this.write(key, "set", () => new Set());
+      let added = 0;
+      for (const member of members) {
+        if (!entry.value.has(member)) {
+          entry.value.add(member);
+          added += 1;
+        }
+      }
+      return added;
+    },
+    srem(key, ...members) {
+      const entry = this.read(key, "set");
+      if (!entry) return 0;
+      const removed = members.filter((member) => entry.value.delete(member)).length;
+      this.dropIfEmpty(key, entry);
+      return removed;
+    },
+    smembers(key) {
+      return Array.from(this.read(key, "set")?.value ?? []);
+    },
+    sismember(key, member) {
+      return this.read(key, "set")?.value.has(member) ? 1 : 0;
+    },
+    scard(key) {
+      return this.read(key, "set")?.value.size ?? 0;
+    },
+
+    // Lists
+    lpush(key, ...values) {
+      const entry = this.write(key, "list", () => []);
+      for (const value of values) entry.value.unshift(value);
+      return entry.value.length;
+    },
+    rpush(key, ...values) {
+      const entry = this.write(key, "list", () => []);
+      entry.value.push(...values);
+      return entry.value.length;
+    },
+    lpop(key) {
+      const entry = this.read(key, "list");
+      if (!entry) return null;
+      const value = entry.value.shift();
+      this.dropIfEmpty(key, entry);
+      return value ?? null;
+    },
+    rpop(key) {
+      const entry = this.read(key, "list");
+      if (!entry) return null;
+      const value = entry.value.pop();
+      this.dropIfEmpty(key, entry);
+      return value ?? null;
+    },
+    llen(key) {
+      return this.read(key, "list")?.value.length ?? 0;
+    },
+    lindex(key, index) {
+      const list = this.read(key, "list")?.value ?? [];
+      const position = toInt(index) < 0 ? list.length + toInt(index) : toInt(index);
+      return list[position] ?? null;
+    },
+    lrange(key, start, stop) {
+      const list = this.read(key, "list")?.value ?? [];
+      const [from, to] = normalizeRange(start, stop, list.length);
+      return from > to ? [] : list.slice(from, to + 1);
+    },
+    ltrim(key, start, stop) {
+      const entry = this.read(key, "list");
+      if (!entry) return "OK";
+      const [from, to] = normalizeRange(start, stop, entry.value.length);
+      entry.value = from > to ? [] : entry.value.slice(from, to + 1);
+      this.dropIfEmpty(key, entry);
+      return "OK";
+    },
+    lrem(key, count, value) {
+      const entry = this.read(key, "list");
+      if (!entry) return 0;
+      const limit = toInt(count);
+      const list = limit < 0 ? [...entry.value].reverse() : [...entry.value];
+      const kept = [];
+      let removed = 0;
+      for (const item of list) {
+        if (item === value && (limit === 0 || removed < Math.abs(limit))) {
+          removed += 1;
+        } else {
+          kept.push(item);
+        }
+      }
+      entry.value = limit < 0 ? kept.reverse() : kept;
+      this.dropIfEmpty(key, entry);
+      return removed;
+    },
+
+    // Sorted sets
+    zadd(key, ...args) {
+      const flags = new Set();
+      while (args.length && /^(nx|xx|ch|incr|gt|lt)$/i.test(args[0])) {
+        flags.add(args.shift().toLowerCase());
+      }
+      const entry = this.write(key, "zset", () => new Map());
+      let changed = 0;
+      let lastScore = null;
+      for (let i = 0; i < args.length; i += 2) {
+        const increment = Number(args[i]);
+        const member = args[i + 1];
+        const current = entry.value.get(member);
+        const exists = current !== undefined;
+        if ((flags.has("nx") && exists) || (flags.has("xx") && !exists)) continue;
+        const score = flags.has("incr") ? (current ?? 0) + increment : increment;
+        if (exists && flags.has("gt") && score <= current) continue;
+        if (exists && flags.has("lt") && score >= current) continue;
+        if (!exists || (flags.has("ch") && current !== score)) changed += 1;
+        entry.value.set(member, score);
+        lastScore = score;
+      }
+      this.dropIfEmpty(key, entry);
+      if (flags.has("incr")) {
+        return lastScore === null ? null : formatScore(lastScore);
+      }
+      return changed;
+    },
+    zincrby(key, amount, member) {
+      return this.commands.zadd.call(this, key, "incr", amount, member);
+    },
+    zrem(key, ...members) {
+      const entry = this.read(key, "zset");
+      if (!entry) return 0;
+      const removed = members.filter((member) => entry.value.delete(member)).length;
+      this.dropIfEmpty(key, entry);
+      return removed;
+    },
+    zscore(key, member) {
+      const score = this.read(key, "zset")?.value.get(member);
+      return score === undefined ? null : formatScore(score);
+    },
+    zcard(key) {
+      return this.read(key, "zset")?.value.size ?? 0;
+    },
+    zcount(key, min, max) {
+      const entry = this.read(key, "zset");
+      if (!entry) return 0;
+      const lower = parseScoreBound(min);
+      const upper = parseScoreBound(max);
+      return Array.from(entry.value.values()).filter((score) =>
+        withinBounds(score, lower, upper)
+      ).length;
+    },
+    zrank(key, member) {
+      const entry = this.read(key, "zset");
+      if (!entry) return null;
+      const index = this.sortedMembers(entry).findIndex(([name]) => name === member);
+      return index === -1 ? null : index;
+    },
+    zrange(key, start, stop, ...options) {
+      let byScore = false;
+      let rev = false;
+      let withScores = false;
+      let offset = 0;
+      let count = -1;
+      for (let i = 0; i < options.length; i += 1) {
+        const option = options[i].toLowerCase();
+        if (option === "byscore") byScore = true;
+        else if (option === "rev") rev = true;
+        else if (option === "withscores") withScores = true;
+        else if (option === "limit") {
+          offset = toInt(options[++i]);
+          count = toInt(options[++i]);
+        } else if (option === "bylex") {
+          throw new CommandError("ERR BYLEX is not supported by the memory store");
+        }
+      }
+      const entry = this.read(key, "zset");
+      if (!entry) return [];
+      let members = this.sortedMembers(entry);
+      if (rev) members.reverse();
+      if (byScore) {
+        const lower = parseScoreBound(rev ? stop : start);
+        const upper = parseScoreBound(rev ? start : stop);
+        members = members.filter(([, score]) => withinBounds(score, lower, upper));
+        members = members.slice(offset, count < 0 ? undefined : offset + count);
+      } else {
+        const [from, to] = normalizeRange(start, stop, members.length);
+        members = from > to ? [] : members.slice(from, to + 1);
+      }
+      return withScores
+        ? members.flatMap(([member, score]) => [member, formatScore(score)])
+        : members.map(([member]) => member);
+    },
+    zrevrange(key, start, stop, ...options) {
+      return this.commands.zrange.call(this, key, start, stop, "rev", ...options);
+    },
+    zrangebyscore(key, min, max, ...options) {
+      return this.commands.zrange.call(this, key, min, max, "byscore", ...options);
+    },
+    zrevrangebyscore(key, max, min, ...options) {
+      return this.commands.zrange.call(this, key, max, min, "byscore", "rev", ...options);
+    },
+    zremrangebyscore(key, min, max) {
+      const entry = this.read(key, "zset");
+      if (!entry) return 0;
+      const lower = parseScoreBound(min);
+      const upper = parseScoreBound(max);
+      let removed = 0;
+      for (const [member, score] of entry.value) {
+        if (withinBounds(score, lower, upper)) {
+          entry.value.delete(member);
+          removed += 1;
+        }
+      }
+      this.dropIfEmpty(key, entry);
+      return removed;
+    },
+
+    // Scripting
+    eval(script, numkeys, ...rest) {
+      const run = this.scripts[script];
+      if (!run) {
+        throw new CommandError("ERR script is not supported by the memory store");
+      }
+      const count = toInt(numkeys);
+      return run.call(this, rest.slice(0, count), rest.slice(count));
+    },
+  };
+
+  scripts = {
+    [DELETE_IF_EQUALS]([key], [value]) {
+      if (this.read(key, "string")?.value !== value) return 0;
+      return this.commands.del.call(this, key);
+    },
+  };
+}
+
+export function createMemoryStore() {
+  return new MemoryStore();
+}
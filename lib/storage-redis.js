@@ -0,0 +1,206 @@
+/**
+ * Minimal RESP client that lets a plain Redis server (REDIS_URL) back the
+ * regular `VercelKV` client. It only implements what the Upstash requester
+ * contract needs: single commands, pipelines and MULTI/EXEC transactions.
+ */
+
+import net from "net";
+import tls from "tls";
+
+class ReplyError {
+  constructor(message) {
+    this.message = message;
+  }
+}
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one reply from `buffer` starting at `offset`.
+ * Returns `null` when the buffer does not hold a complete reply yet.
+ */
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, offset: next };
+    case "-":
+      return { value: new ReplyError(line), offset: next };
+    case ":":
+      return { value: Number(line), offset: next };
+    case "$": {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return {
+        value: buffer.toString("utf8", next, next + length),
+        offset: next + length + 2,
+      };
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i += 1) {
+        const item = parseReply(buffer, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type "${type}"`);
+  }
+}
+
+function toResponse(value) {
+  if (value instanceof ReplyError) {
+    return { error: value.message };
+  }
+  if (Array.isArray(value)) {
+    const nestedError = value.find((item) => item instanceof ReplyError);
+    if (nestedError) return { error: nestedError.message };
+  }
+  return { result: value };
+}
+
+export class RedisRequester {
+  constructor(url) {
+    this.url = new URL(url);
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    const secure = this.url.protocol === "rediss:";
+    const options = {
+      host: this.url.hostname,
+      port: Number(this.url.port || 6379),
+    };
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = secure
+        ? tls.connect({ ...options, servername: options.host })
+        : net.connect(options);
+      socket.once(secure ? "secureConnect" : "connect", () => {
+        this.socket = socket;
+        this.connecting = null;
+        resolve();
+      });
+      socket.on("data", (chunk) => this.onData(chunk));
+      socket.on("error", (err) => {
+        this.connecting = null;
+        this.fail(err);
+        reject(err);
+      });
+      socket.on("close", () => {
+        this.socket = null;
+        this.fail(new Error("Redis connection closed"));
+      });
+    });
+
+    return this.connecting.then(() => this.handshake());
+  }
+
+  async handshake() {
+    const password = decodeURIComponent(this.url.password || "");
+    const username = decodeURIComponent(this.url.username || "");
+    if (password) {
+      const args = username ? ["AUTH", username, password] : ["AUTH", password];
+      const reply = await this.send([args]);
+      if (reply[0] instanceof ReplyError) throw new Error(reply[0].message);
+    }
+    const db = this.url.pathname.replace(/^\//, "");
+    if (db) {
+      const reply = await this.send([["SELECT", db]]);
+      if (reply[0] instanceof ReplyError) throw new Error(reply[0].message);
+    }
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (this.pending.length) {
+      const waiter = this.pending[0];
+      const parsed = parseReply(this.buffer, 0);
+      if (!parsed) return;
+      this.buffer = this.buffer.subarray(parsed.offset);
+      waiter.replies.push(parsed.value);
+      if (waiter.replies.length === waiter.expected) {
+        this.pending.shift();
+        waiter.resolve(waiter.replies);
+      }
+    }
+  }
+
+  fail(err) {
+    const waiting = this.pending.splice(0);
+    this.buffer = Buffer.alloc(0);
+    waiting.forEach((waiter) => waiter.reject(err));
+  }
+
+  send(commands) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({
+        expected: commands.length,
+        replies: [],
+        resolve,
+        reject,
+      });
+      this.socket.write(commands.map(encodeCommand).join(""));
+    });
+  }
+
+  /**
+   * Upstash-compatible requester entry point.
+   */
+  async request(req) {
+    await this.connect();
+    const path = req.path?.[0];
+
+    if (path === "pipeline") {
+      const replies = await this.send(req.body);
+      return replies.map(toResponse);
+    }
+
+    if (path === "multi-exec") {
+      const replies = await this.send([["MULTI"], ...req.body, ["EXEC"]]);
+      const results = replies[replies.length - 1];
+      if (!Array.isArray(results)) {
+        const queued = replies.find((reply) => reply instanceof ReplyError);
+        throw new Error(queued?.message || "Transaction aborted");
+      }
+      return results.map(toResponse);
+    }
+
+    const [reply] = await this.send([req.body]);
+    return toResponse(reply);
+  }
+
+  close() {
+    this.socket?.end();
+    this.socket = null;
+  }
+}
+
+export function createRedisRequester(url) {
+  return new RedisRequester(url);
+}
@@ -0,0 +1,127 @@
+/**
+ * Storage adapter shared by every route.
+ *
+ * All backends are exposed through the same `VercelKV` client, so values are
+ * serialized and deserialized exactly the way Vercel KV does it regardless of
+ * where they are stored. The backend is picked with `STORAGE_BACKEND`:
+ *
+ * - `vercel` – Vercel KV over REST (KV_REST_API_URL / KV_REST_API_TOKEN)
+ * - `redis`  – a plain Redis server (REDIS_URL)
+ * - `memory` – an in-process store, for local runs and tests
+ *
+ * When `STORAGE_BACKEND` is not set, Vercel KV is used if its credentials are
+ * configured and the in-memory store otherwise.
+ */
+
+import { VercelKV, createClient } from "@vercel/kv";
+import { DELETE_IF_EQUALS, createMemoryStore } from "./storage-memory.js";
+import { createRedisRequester } from "./storage-redis.js";
+
+const BACKENDS = ["vercel", "redis", "memory"];
+
+let activeClient = null;
+let activeBackend = null;
+
+function resolveBackend() {
+  const configured = String(process.env.STORAGE_BACKEND || "")
+    .trim()
+    .toLowerCase();
+  if (configured) {
+    if (!BACKENDS.includes(configured)) {
+      throw new Error(
+        `Unknown STORAGE_BACKEND "${configured}" (expected one of ${BACKENDS.join(", ")})`
+      );
+    }
+    return configured;
+  }
+  if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
+    return "vercel";
+  }
+  return "memory";
+}
+
+/**
+ * Build a KV client for the given backend.
+ * @param {"vercel"|"redis"|"memory"} backend
+ * @param {object} [options]
+ * @param {string} [options.url] - Overrides KV_REST_API_URL / REDIS_URL
+ * @param {string} [options.token] - Overrides KV_REST_API_TOKEN
+ * @param {object} [options.store] - Existing MemoryStore to reuse
+ */
+function createStorage(backend, options = {}) {
+  if (backend === "vercel") {
+    const url = options.url || process.env.KV_REST_API_URL;
+    const token = options.token || process.env.KV_REST_API_TOKEN;
+    if (!url || !token) {
+      throw new Error(
+        "Vercel KV storage requires KV_REST_API_URL and KV_REST_API_TOKEN"
+      );
+    }
+    return createClient({ url, token });
+  }
+
+  if (backend === "redis") {
+    const url = options.url || process.env.REDIS_URL;
+    if (!url) {
+      throw new Error("Redis storage requires REDIS_URL");
+    }
+    return new VercelKV(createRedisRequester(url));
+  }
+
+  if (backend === "memory") {
+    return new VercelKV(options.store || createMemoryStore());
+  }
+
+  throw new Error(`Unknown storage backend "${backend}"`);
+}
+
+function getStorage() {
+  if (!activeClient) {
+    activeBackend = resolveBackend();
+    activeClient = createStorage(activeBackend);
+  }
+  return activeClient;
+}
+
+/**
+ * Replace the active client, e.g. with a fresh in-memory store in tests.
+ * Passing nothing resets to the configured backend on next use.
+ */
+function setStorage(client, backend = "custom") {
+  activeClient = client || null;
+  activeBackend = client ? backend : null;
+}
+
+function getStorageBackend() {
+  getStorage();
+  return activeBackend;
+}
+
+const kv = new Proxy(
+  {},
+  {
+    get(target, prop) {
+      const client = getStorage();
+      const value = Reflect.get(client, prop);
+      return typeof value === "function" ? value.bind(client) : value;
+    },
+  }
+);
+
+/**
+ * Delete `key` only while it still holds `value`, in one step: the way to
+ * release a lock without dropping one another caller took after it expired.
+ * @returns {Promise<boolean>} whether the key was deleted
+ */
+async function deleteIfEquals(key, value) {
+  return (await kv.eval(DELETE_IF_EQUALS, [key], [value])) === 1;
+}
+
+export {
+  kv,
+  createStorage,
+  getStorage,
+  setStorage,
+  getStorageBackend,
+  deleteIfEquals,
+};
@@ -0,0 +1,341 @@
+import crypto from "crypto";
+import { kv } from "./storage.js";
+import { revokeAllSessions } from "./sessions.js";
+
+/**
+ * TOTP two-factor authentication (RFC 6238: SHA-1, six digits, 30 second
+ * steps) for dashboard accounts (`partnerUser:{email}`).
+ *
+ * Enrolling stores a new secret as `totpPendingSecret` and hands it out once,
+ * with an `otpauth://` URI for authenticator apps. The first valid code moves
+ * it to `totpSecret`, sets `totpEnabledAt` and returns ten single-use
+ * recovery codes, of which only SHA-256 hashes are kept (`totpRecoveryCodes`).
+ * A code is accepted one step either side of now, and never twice
+ * (`totpLastStep`).
+ *
+ * Logging in to an account with two-factor turned on takes two steps: the
+ * password opens a short-lived challenge at `login:2fa:{hash}`, and a code
+ * against that challenge opens the session. Admins must enroll before their
+ * first session when `ADMIN_REQUIRE_2FA=true`; their challenge then allows
+ * enrollment instead. A challenge survives `MAX_CODE_ATTEMPTS` wrong codes.
+ */
+
+const ISSUER = process.env.TOTP_ISSUER || "Zabava";
+const CHALLENGE_TTL_SECONDS = Number(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS) || 5 * 60;
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const WINDOW = 1;
+const MAX_CODE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function userKey(email) {
+  return `partnerUser:${email}`;
+}
+
+function challengeKey(tokenHash) {
+  return `login:2fa:${tokenHash}`;
+}
+
+function normalize(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function hash(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+function twoFactorError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+}
+
+function base32Decode(value) {
+  let bits = "";
+  for (const char of String(value).toUpperCase().replace(/[\s=]/g, "")) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    bits += index.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+/**
+ * The code for a base32 secret at a time step (`floor(unix seconds / 30)`).
+ */
+function totpCode(secret, step = Math.floor(Date.now() / 1000 / STEP_SECONDS)) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const value = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(value).padStart(DIGITS, "0");
+}
+
+// The step a code belongs to, or null
+function matchingStep(secret, code) {
+  const current = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let offset = -WINDOW; offset <= WINDOW; offset += 1) {
+    const expected = Buffer.from(totpCode(secret, current + offset));
+    const presented = Buffer.from(String(code || "").trim());
+    if (expected.length === presented.length && crypto.timingSafeEqual(expected, presented)) {
+      return current + offset;
+    }
+  }
+  return null;
+}
+
+function buildOtpauthUri(email, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function readCodeHashes(record) {
+  if (Array.isArray(record?.totpRecoveryCodes)) return [...record.totpRecoveryCodes];
+  try {
+    const parsed = JSON.parse(record?.totpRecoveryCodes || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function newRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").trim().toLowerCase().replace(/[^0-9a-f]/g, "");
+}
+
+function hashRecoveryCodes(codes) {
+  return JSON.stringify(codes.map((code) => hash(normalizeRecoveryCode(code))));
+}
+
+async function loadAccount(email) {
+  const record = await kv.hgetall(userKey(email));
+  if (!record || !record.email) {
+    throw twoFactorError("Account not found", "ACCOUNT_NOT_FOUND");
+  }
+  return record;
+}
+
+function isTwoFactorEnabled(record) {
+  return Boolean(record?.totpSecret && record?.totpEnabledAt);
+}
+
+/**
+ * Whether the account may not log in without two-factor.
+ */
+function isTwoFactorRequired(record) {
+  return record?.role === "admin" && process.env.ADMIN_REQUIRE_2FA === "true";
+}
+
+function twoFactorStatus(record) {
+  return {
+    enabled: isTwoFactorEnabled(record),
+    enabledAt: record?.totpEnabledAt || null,
+    required: isTwoFactorRequired(record),
+    recoveryCodesLeft: isTwoFactorEnabled(record) ? readCodeHashes(record).length : 0,
+  };
+}
+
+/**
+ * Provision a new secret. Until it is confirmed the account logs in as
+ * before.
+ * @returns {Promise<{ secret: string, otpauthUri: string }>}
+ */
+async function startEnrollment(email) {
+  const normalized = normalize(email);
+  const record = await loadAccount(normalized);
+  if (isTwoFactorEnabled(record)) {
+    throw twoFactorError("Two-factor authentication is already on", "TWO_FACTOR_ENABLED");
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await kv.hset(userKey(normalized), { totpPendingSecret: secret });
+  return { secret, otpauthUri: buildOtpauthUri(normalized, secret) };
+}
+
+/**
+ * Turn two-factor on with the first code from the new secret, and log out
+ * every other session.
+ * @param {string} email
+ * @param {string} code
+ * @param {{ keepSessionId?: string }} [options]
+ * @returns {Promise<{ recoveryCodes: string[] }>} shown once
+ */
+async function confirmEnrollment(email, code, { keepSessionId } = {}) {
+  const normalized = normalize(email);
+  const record = await loadAccount(normalized);
+  if (isTwoFactorEnabled(record)) {
+    throw twoFactorError("Two-factor authentication is already on", "TWO_FACTOR_ENABLED");
+  }
+  if (!record.totpPendingSecret) {
+    throw twoFactorError("Start enrollment first", "TWO_FACTOR_NOT_STARTED");
+  }
+
+  const step = matchingStep(record.totpPendingSecret, code);
+  if (step === null) {
+    throw twoFactorError("Invalid two-factor code", "INVALID_TWO_FACTOR_CODE");
+  }
+
+  const recoveryCodes = newRecoveryCodes();
+  await kv.hset(userKey(normalized), {
+    totpSecret: record.totpPendingSecret,
+    totpEnabledAt: new Date().toISOString(),
+    totpLastStep: step,
+    totpRecoveryCodes: hashRecoveryCodes(recoveryCodes),
+  });
+  await kv.hdel(userKey(normalized), "totpPendingSecret");
+  await revokeAllSessions(normalized, { except: keepSessionId });
+  return { recoveryCodes };
+}
+
+/**
+ * Check a code from the authenticator app, or use up a recovery code.
+ * @returns {Promise<false|"totp"|"recovery">}
+ */
+async function verifyTwoFactorCode(email, code) {
+  const normalized = normalize(email);
+  const record = await loadAccount(normalized);
+  if (!isTwoFactorEnabled(record)) return false;
+
+  const step = matchingStep(record.totpSecret, code);
+  if (step !== null) {
+    if (step <= Number(record.totpLastStep || 0)) return false;
+    await kv.hset(userKey(normalized), { totpLastStep: step });
+    return "totp";
+  }
+
+  const presented = normalizeRecoveryCode(code);
+  const hashes = readCodeHashes(record);
+  const index = presented ? hashes.indexOf(hash(presented)) : -1;
+  if (index === -1) return false;
+  hashes.splice(index, 1);
+  await kv.hset(userKey(normalized), { totpRecoveryCodes: JSON.stringify(hashes) });
+  return "recovery";
+}
+
+/**
+ * Replace the recovery codes; the old ones stop working.
+ * @returns {Promise<{ recoveryCodes: string[] }>}
+ */
+async function regenerateRecoveryCodes(email) {
+  const normalized = normalize(email);
+  const record = await loadAccount(normalized);
+  if (!isTwoFactorEnabled(record)) {
+    throw twoFactorError("Two-factor authentication is off", "TWO_FACTOR_DISABLED");
+  }
+  const recoveryCodes = newRecoveryCodes();
+  await kv.hset(userKey(normalized), {
+    totpRecoveryCodes: hashRecoveryCodes(recoveryCodes),
+  });
+  return { recoveryCodes };
+}
+
+/**
+ * Turn two-factor off and forget the secret and recovery codes.
+ */
+async function disableTwoFactor(email) {
+  const normalized = normalize(email);
+  await loadAccount(normalized);
+  await kv.hdel(
+    userKey(normalized),
+    "totpSecret",
+    "totpPendingSecret",
+    "totpEnabledAt",
+    "totpLastStep",
+    "totpRecoveryCodes"
+  );
+}
+
+/**
+ * Open a login challenge for an account whose password was just checked.
+ * @param {string} email
+ * @param {"verify"|"enroll"} purpose - `enroll` when the account must set up
+ *   two-factor before it may log in
+ * @returns {Promise<{ challengeToken: string, expiresAt: string }>}
+ */
+async function createLoginChallenge(email, purpose = "verify") {
+  const challengeToken = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_SECONDS * 1000).toISOString();
+  await kv.hset(challengeKey(hash(challengeToken)), {
+    email: normalize(email),
+    purpose,
+    attempts: 0,
+    expiresAt,
+  });
+  await kv.expire(challengeKey(hash(challengeToken)), CHALLENGE_TTL_SECONDS);
+  return { challengeToken, expiresAt };
+}
+
+/**
+ * The open challenge for a token.
+ * @returns {Promise<{ email: string, purpose: string }>}
+ */
+async function readLoginChallenge(challengeToken, purpose) {
+  const challenge = await kv.hgetall(challengeKey(hash(challengeToken)));
+  if (
+    !challenge ||
+    !challenge.email ||
+    challenge.purpose !== purpose ||
+    new Date(challenge.expiresAt) <= new Date()
+  ) {
+    throw twoFactorError("Invalid or expired login challenge", "INVALID_TWO_FACTOR_CHALLENGE");
+  }
+  return { email: String(challenge.email), purpose: challenge.purpose };
+}
+
+/**
+ * Count a wrong code against a challenge, dropping it after too many.
+ */
+async function failLoginChallenge(challengeToken) {
+  const key = challengeKey(hash(challengeToken));
+  const attempts = await kv.hincrby(key, "attempts", 1);
+  if (attempts >= MAX_CODE_ATTEMPTS) await kv.del(key);
+}
+
+async function closeLoginChallenge(challengeToken) {
+  await kv.del(challengeKey(hash(challengeToken)));
+}
+
+export {
+  totpCode,
+  buildOtpauthUri,
+  isTwoFactorEnabled,
+  isTwoFactorRequired,
+  twoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifyTwoFactorCode,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createLoginChallenge,
+  readLoginChallenge,
+  failLoginChallenge,
+  closeLoginChallenge,
+};
@@ -10,7 +10,7 @@ export function setCors(res) {
   const allowedOrigin = process.env.ALLOWED_ORIGIN || '*';
   res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-admin-secret');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-admin-secret, Idempotency-Key');
   res.setHeader('Access-Control-Max-Age', '86400');
 }
 
@@ -22,4 +22,49 @@ export function setCors(res) {
  */
 export function respond(res, status, data) {
   res.status(status).json(data);
-}
\ No newline at end of file
+}
+
+/**
+ * Read a list field that may be stored as a JSON string or already decoded
+ * (KV deserializes JSON hash values on read)
+ * @param {string|Array|null} value - Stored value
+ * @returns {Array} The list, or an empty array if it cannot be read
+ */
+export function parseList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string' || !value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Best guess at the caller's IP address. Vercel puts the client first in
+ * x-forwarded-for.
+ * @param {Request} req - The request object
+ * @returns {string} The address, or an empty string if unknown
+ */
+export function clientIp(req) {
+  const forwarded = String(req.headers?.['x-forwarded-for'] || '');
+  return forwarded.split(',')[0].trim() || req.socket?.remoteAddress || '';
+}
+
+/**
+ * Move a time by whole calendar months (UTC), landing on the month's last day
+ * when it is shorter, e.g. Jan 31 + 1 month = Feb 28
+ * @param {number|string|Date} time - Start time
+ * @param {number} months - Months to add, negative to go back
+ * @returns {number} The new time in milliseconds
+ */
+export function addMonths(time, months) {
+  const date = new Date(time);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return date.getTime();
+}
@@ -5,6 +5,11 @@ import tildaProxyHandler from "./routes/tilda-proxy.js";
 import authLoginHandler from "./routes/auth/login.js";
 import authSignupHandler from "./routes/auth/signup.js";
 import authProfileHandler from "./routes/auth/profile.js";
+import authRefreshHandler from "./routes/auth/refresh.js";
+import authLogoutHandler from "./routes/auth/logout.js";
+import authTwoFactorHandler from "./routes/auth/two-factor.js";
+import authCustomerHandler from "./routes/auth/customer.js";
+import authPasswordHandler from "./routes/auth/password.js";
 import adminAnalyticsHandler from "./routes/admin/analytics.js";
 import adminInvitesHandler from "./routes/admin/invites.js";
 import adminAccountsHandler from "./routes/admin/accounts.js";
@@ -12,32 +17,298 @@ import adminUpdateHandler from "./routes/admin/update.js";
 import adminOverviewHandler from "./routes/admin/overview.js";
 import adminPartnersHandler from "./routes/admin/partners.js";
 import adminRewardsHandler from "./routes/admin/rewards.js";
+import adminBookingsHandler from "./routes/admin/bookings.js";
+import adminPointsHandler from "./routes/admin/points.js";
+import adminMigrationsHandler from "./routes/admin/migrations.js";
+import adminSessionsHandler from "./routes/admin/sessions.js";
+import adminLockoutsHandler from "./routes/admin/lockouts.js";
+import adminApiKeysHandler from "./routes/admin/api-keys.js";
+import adminAuditHandler from "./routes/admin/audit.js";
+import adminRedemptionsHandler from "./routes/admin/redemptions.js";
+import adminTiersHandler from "./routes/admin/tiers.js";
 import partnerByIdHandler from "./routes/partner/by-id.js";
 import partnerVisitHandler from "./routes/partner/visit.js";
 import partnerMarkVisitedHandler from "./routes/partner/mark-visited.js";
 import partnerCheckRedemptionHandler from "./routes/partner/check-redemption.js";
-import bonusUserPointsHandler from "./routes/bonus/user-points-final.js";
-import bonusUserPointsFixedHandler from "./routes/bonus/user-points-fixed.js";
+import partnerInvitesHandler from "./routes/partner/invites.js";
+import partnerApiKeysHandler from "./routes/partner/api-keys.js";
+import bonusUserPointsHandler from "./routes/bonus/user-points.js";
 import bonusRedeemRewardHandler from "./routes/bonus/redeem-reward.js";
+import bonusCancelRedemptionHandler from "./routes/bonus/cancel-redemption.js";
 import bonusDebugUserHandler from "./routes/bonus/debug-user.js";
 import qrRegisterImprovedHandler from "./routes/qr/register-improved.js";
+import qrImageHandler from "./routes/qr/image.js";
+import { authorizeRoute } from "../lib/auth.js";
+import { extractPartnerId } from "../lib/bookings.js";
+import { checkRateLimits } from "../lib/rate-limit.js";
+import { clientIp } from "../lib/utils.js";
 
+// Rate limits routes can declare (see lib/rate-limit.js)
+const LOGIN_LIMITS = [
+  { name: "login-ip", by: "ip", limit: 30, windowSeconds: 60 },
+  {
+    name: "login-account",
+    by: (req) => req.body?.email,
+    limit: 10,
+    windowSeconds: 15 * 60,
+  },
+];
+
+// Per challenge on top of the login lockout, which wrong codes also count toward
+const TWO_FACTOR_LIMITS = [
+  { name: "two-factor-ip", by: "ip", limit: 30, windowSeconds: 15 * 60 },
+  {
+    name: "two-factor-challenge",
+    by: (req) => req.body?.challengeToken,
+    limit: 10,
+    windowSeconds: 15 * 60,
+  },
+];
+
+const TWO_FACTOR_SETTINGS_LIMITS = [
+  {
+    name: "two-factor-settings-account",
+    by: (req) => req.auth?.email,
+    limit: 10,
+    windowSeconds: 15 * 60,
+  },
+];
+
+const PASSWORD_RESET_LIMITS = [
+  { name: "password-reset-ip", by: "ip", limit: 10, windowSeconds: 15 * 60 },
+  {
+    name: "password-reset-account",
+    by: (req) => req.body?.email,
+    limit: 3,
+    windowSeconds: 60 * 60,
+  },
+];
+
+const PASSWORD_CHANGE_LIMITS = [
+  {
+    name: "password-change-account",
+    by: (req) => req.auth?.email,
+    limit: 5,
+    windowSeconds: 15 * 60,
+  },
+];
+
+const CUSTOMER_LOGIN_LIMITS = [
+  { name: "customer-login-ip", by: "ip", limit: 10, windowSeconds: 15 * 60 },
+  {
+    name: "customer-login-account",
+    by: (req) => req.body?.email,
+    limit: 5,
+    windowSeconds: 60 * 60,
+  },
+];
+
+// Codes are also dropped after a few wrong guesses (lib/customer-auth.js)
+const CUSTOMER_VERIFY_LIMITS = [
+  { name: "customer-verify-ip", by: "ip", limit: 30, windowSeconds: 15 * 60 },
+  {
+    name: "customer-verify-account",
+    by: (req) => req.body?.email,
+    limit: 10,
+    windowSeconds: 15 * 60,
+  },
+];
+
+const REDEMPTION_CODE_LIMITS = [
+  { name: "redemption-ip", by: "ip", limit: 60, windowSeconds: 60 },
+  {
+    name: "redemption-code",
+    by: (req) => req.query.code || req.body?.code,
+    limit: 10,
+    windowSeconds: 10 * 60,
+  },
+];
+
+const REGISTER_LIMITS = [
+  {
+    name: "register-redemption-code",
+    by: (req) => req.body?.redemptionCode,
+    limit: 5,
+    windowSeconds: 10 * 60,
+  },
+];
+
+// Legacy ?email= / ?booking= verify links can be guessed; signed tokens cannot
+const VERIFY_LIMITS = [
+  {
+    name: "verify-lookup-ip",
+    by: (req) =>
+      req.query.email || req.query.booking ? clientIp(req) || "unknown" : null,
+    limit: 10,
+    windowSeconds: 10 * 60,
+  },
+];
+
+// Each route declares who may call it (see lib/auth.js). Partner routes with a
+// scope only accept partners acting on their own partner id, customer routes
+// only customers acting on their own email. Routes with an apiKeyScope also
+// accept partner API keys that hold it.
+//
+// `req.query.action` picks a branch inside a handler, so only the route sets
+// it (in `prepare`); a client's `?action=` is dropped unless the route takes
+// it as a plain parameter (`actionParam`).
 const routes = [
-  { method: "POST", pattern: /^register$/, handler: registerHandler },
-  { method: "GET", pattern: /^verify$/, handler: verifyHandler },
-  { method: "GET", pattern: /^pending$/, handler: pendingHandler },
-  { method: "POST", pattern: /^pending$/, handler: pendingHandler },
-  { method: "GET", pattern: /^tilda-proxy$/, handler: tildaProxyHandler },
-  { method: "POST", pattern: /^tilda-proxy$/, handler: tildaProxyHandler },
-  { method: "POST", pattern: /^auth\/login$/, handler: authLoginHandler },
-  { method: "POST", pattern: /^auth\/signup$/, handler: authSignupHandler },
-  { method: "GET", pattern: /^auth\/profile$/, handler: authProfileHandler },
-  { method: "GET", pattern: /^admin\/overview$/, handler: adminOverviewHandler },
-  { method: "GET", pattern: /^admin\/partners$/, handler: adminPartnersHandler },
+  {
+    method: "POST",
+    pattern: /^register$/,
+    handler: registerHandler,
+    auth: "public",
+    scope: (req) => extractPartnerId(req.body),
+    apiKeyScope: "bookings:write",
+    limits: REGISTER_LIMITS,
+  },
+  {
+    method: "GET",
+    pattern: /^verify$/,
+    handler: verifyHandler,
+    auth: "public",
+    limits: VERIFY_LIMITS,
+  },
+  { method: "GET", pattern: /^pending$/, handler: pendingHandler, auth: "apiKey" },
+  { method: "POST", pattern: /^pending$/, handler: pendingHandler, auth: "apiKey" },
+  { method: "GET", pattern: /^tilda-proxy$/, handler: tildaProxyHandler, auth: "public" },
+  {
+    method: "POST",
+    pattern: /^tilda-proxy$/,
+    handler: tildaProxyHandler,
+    auth: "public",
+  },
+  {
+    method: "POST",
+    pattern: /^auth\/login$/,
+    handler: authLoginHandler,
+    auth: "public",
+    limits: LOGIN_LIMITS,
+  },
+  {
+    method: "POST",
+    pattern: /^auth\/login\/2fa(?:\/(setup|confirm))?$/,
+    handler: authLoginHandler,
+    auth: "public",
+    limits: TWO_FACTOR_LIMITS,
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.action = match[1] ? `2fa-${match[1]}` : "2fa";
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^auth\/2fa$/,
+    handler: authTwoFactorHandler,
+    auth: "partner",
+  },
+  {
+    method: "POST",
+    pattern: /^auth\/2fa\/(setup|confirm|disable|recovery-codes)$/,
+    handler: authTwoFactorHandler,
+    auth: "partner",
+    limits: TWO_FACTOR_SETTINGS_LIMITS,
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.action = match[1];
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^auth\/signup$/,
+    handler: authSignupHandler,
+    auth: "public",
+  },
+  {
+    method: "GET",
+    pattern: /^auth\/profile$/,
+    handler: authProfileHandler,
+    auth: "partner",
+  },
+  {
+    method: "POST",
+    pattern: /^auth\/refresh$/,
+    handler: authRefreshHandler,
+    auth: "public",
+  },
+  // Logout also takes a refresh token, for sessions whose access token expired
+  {
+    method: "POST",
+    pattern: /^auth\/logout$/,
+    handler: authLogoutHandler,
+    auth: "public",
+  },
+  {
+    method: "POST",
+    pattern: /^auth\/logout-all$/,
+    handler: authLogoutHandler,
+    auth: "partner",
+    prepare: (req) => {
+      if (!req.query) req.query = {};
+      req.query.action = "all";
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^auth\/(forgot|reset)-password$/,
+    handler: authPasswordHandler,
+    auth: "public",
+    limits: PASSWORD_RESET_LIMITS,
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.action = match[1];
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^auth\/change-password$/,
+    handler: authPasswordHandler,
+    auth: "partner",
+    limits: PASSWORD_CHANGE_LIMITS,
+    prepare: (req) => {
+      if (!req.query) req.query = {};
+      req.query.action = "change";
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^auth\/customer\/login$/,
+    handler: authCustomerHandler,
+    auth: "public",
+    limits: CUSTOMER_LOGIN_LIMITS,
+    prepare: (req) => {
+      if (!req.query) req.query = {};
+      req.query.action = "login";
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^auth\/customer\/verify$/,
+    handler: authCustomerHandler,
+    auth: "public",
+    limits: CUSTOMER_VERIFY_LIMITS,
+    prepare: (req) => {
+      if (!req.query) req.query = {};
+      req.query.action = "verify";
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^admin\/overview$/,
+    handler: adminOverviewHandler,
+    auth: "admin",
+  },
+  {
+    method: "GET",
+    pattern: /^admin\/partners$/,
+    handler: adminPartnersHandler,
+    auth: "admin",
+  },
   {
     method: "GET",
     pattern: /^admin\/partners\/([^/]+)$/,
     handler: adminPartnersHandler,
+    auth: "admin",
     prepare: (req, match) => {
       if (!req.query) req.query = {};
       req.query.partnerId = match[1];
@@ -47,88 +318,506 @@ const routes = [
     method: "PUT",
     pattern: /^admin\/partners\/([^/]+)$/,
     handler: adminPartnersHandler,
+    auth: "admin",
     prepare: (req, match) => {
       if (!req.query) req.query = {};
       req.query.partnerId = match[1];
     },
   },
-  { method: "GET", pattern: /^admin\/analytics$/, handler: adminAnalyticsHandler },
-  { method: "GET", pattern: /^admin\/invites$/, handler: adminInvitesHandler },
-  { method: "POST", pattern: /^admin\/invites$/, handler: adminInvitesHandler },
-  { method: "POST", pattern: /^admin\/accounts$/, handler: adminAccountsHandler },
-  { method: "PUT", pattern: /^admin\/accounts$/, handler: adminAccountsHandler },
-  { method: "POST", pattern: /^admin\/update$/, handler: adminUpdateHandler },
   {
-    method: "GET",
-    pattern: /^partner\/([^/]+)$/,
-    handler: partnerByIdHandler,
+    method: "POST",
+    pattern: /^admin\/partners\/([^/]+)\/points-preview$/,
+    handler: adminPartnersHandler,
+    auth: "admin",
     prepare: (req, match) => {
       if (!req.query) req.query = {};
       req.query.partnerId = match[1];
+      req.query.action = "preview";
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^admin\/analytics$/,
+    handler: adminAnalyticsHandler,
+    auth: "admin",
+  },
+  {
+    method: "GET",
+    pattern: /^admin\/invites$/,
+    handler: adminInvitesHandler,
+    auth: "admin",
+  },
+  {
+    method: "POST",
+    pattern: /^admin\/invites$/,
+    handler: adminInvitesHandler,
+    auth: "admin",
+  },
+  {
+    method: "POST",
+    pattern: /^admin\/accounts$/,
+    handler: adminAccountsHandler,
+    auth: "admin",
+  },
+  {
+    method: "PUT",
+    pattern: /^admin\/accounts$/,
+    handler: adminAccountsHandler,
+    auth: "admin",
+  },
+  {
+    method: "GET",
+    pattern: /^admin\/accounts$/,
+    handler: adminAccountsHandler,
+    auth: "admin",
+  },
+  {
+    method: "GET",
+    pattern: /^admin\/accounts\/([^/]+)$/,
+    handler: adminAccountsHandler,
+    auth: "admin",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.email = decodeURIComponent(match[1]);
+    },
+  },
+  {
+    method: "PATCH",
+    pattern: /^admin\/accounts\/([^/]+)$/,
+    handler: adminAccountsHandler,
+    auth: "admin",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.email = decodeURIComponent(match[1]);
+    },
+  },
+  {
+    method: "DELETE",
+    pattern: /^admin\/accounts\/([^/]+)$/,
+    handler: adminAccountsHandler,
+    auth: "admin",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.email = decodeURIComponent(match[1]);
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^admin\/accounts\/([^/]+)\/(disable|enable)$/,
+    handler: adminAccountsHandler,
+    auth: "admin",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.email = decodeURIComponent(match[1]);
+      req.query.action = match[2];
+    },
+  },
+  {
+    method: "DELETE",
+    pattern: /^admin\/accounts\/([^/]+)\/2fa$/,
+    handler: adminAccountsHandler,
+    auth: "admin",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.email = decodeURIComponent(match[1]);
+      req.query.action = "reset-2fa";
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^admin\/accounts\/([^/]+)\/sessions$/,
+    handler: adminSessionsHandler,
+    auth: "admin",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.email = decodeURIComponent(match[1]);
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^admin\/lockouts$/,
+    handler: adminLockoutsHandler,
+    auth: "admin",
+  },
+  {
+    method: "DELETE",
+    pattern: /^admin\/lockouts\/([^/]+)$/,
+    handler: adminLockoutsHandler,
+    auth: "admin",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.email = decodeURIComponent(match[1]);
+    },
+  },
+  {
+    method: "DELETE",
+    pattern: /^admin\/accounts\/([^/]+)\/sessions(?:\/([^/]+))?$/,
+    handler: adminSessionsHandler,
+    auth: "admin",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.email = decodeURIComponent(match[1]);
+      if (match[2]) req.query.sessionId = match[2];
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^admin\/update$/,
+    handler: adminUpdateHandler,
+    auth: "admin",
+  },
+  {
+    method: "GET",
+    pattern: /^admin\/bookings$/,
+    handler: adminBookingsHandler,
+    auth: "admin",
+  },
+  {
+    method: "GET",
+    pattern: /^admin\/bookings\/([^/]+)$/,
+    handler: adminBookingsHandler,
+    auth: "admin",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.bookingId = match[1];
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^admin\/bookings\/migrate$/,
+    handler: adminBookingsHandler,
+    auth: "admin",
+    prepare: (req) => {
+      if (!req.query) req.query = {};
+      req.query.action = "migrate";
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^admin\/bookings\/([^/]+)\/checkin-token$/,
+    handler: adminBookingsHandler,
+    auth: "admin",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.bookingId = match[1];
+      req.query.action = "reissue";
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^admin\/points$/,
+    handler: adminPointsHandler,
+    auth: "admin",
+  },
+  {
+    method: "POST",
+    pattern: /^admin\/points\/(adjust|rebuild|expire)$/,
+    handler: adminPointsHandler,
+    auth: "admin",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.action = match[1];
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^admin\/tiers$/,
+    handler: adminTiersHandler,
+    auth: "admin",
+  },
+  {
+    method: "PUT",
+    pattern: /^admin\/tiers$/,
+    handler: adminTiersHandler,
+    auth: "admin",
+  },
+  {
+    method: "POST",
+    pattern: /^admin\/redemptions\/expire$/,
+    handler: adminRedemptionsHandler,
+    auth: "admin",
+    prepare: (req) => {
+      if (!req.query) req.query = {};
+      req.query.action = "expire";
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^admin\/redemptions\/([^/]+)$/,
+    handler: adminRedemptionsHandler,
+    auth: "admin",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.code = match[1];
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^admin\/redemptions\/([^/]+)\/cancel$/,
+    handler: adminRedemptionsHandler,
+    auth: "admin",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.code = match[1];
+      req.query.action = "cancel";
+    },
+  },
+  // Scheduled jobs (vercel.json crons)
+  {
+    method: "GET",
+    pattern: /^cron\/expire-redemptions$/,
+    handler: adminRedemptionsHandler,
+    auth: "cron",
+    prepare: (req) => {
+      if (!req.query) req.query = {};
+      req.query.action = "expire";
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^cron\/expire-points$/,
+    handler: adminPointsHandler,
+    auth: "cron",
+    prepare: (req) => {
+      if (!req.query) req.query = {};
+      req.query.action = "expire";
     },
   },
+  {
+    method: "GET",
+    pattern: /^admin\/api-keys$/,
+    handler: adminApiKeysHandler,
+    auth: "admin",
+  },
+  {
+    method: "POST",
+    pattern: /^admin\/api-keys$/,
+    handler: adminApiKeysHandler,
+    auth: "admin",
+  },
+  {
+    method: "POST",
+    pattern: /^admin\/api-keys\/([^/]+)\/rotate$/,
+    handler: adminApiKeysHandler,
+    auth: "admin",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.keyId = match[1];
+      req.query.action = "rotate";
+    },
+  },
+  {
+    method: "DELETE",
+    pattern: /^admin\/api-keys\/([^/]+)$/,
+    handler: adminApiKeysHandler,
+    auth: "admin",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.keyId = match[1];
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^admin\/migrations$/,
+    handler: adminMigrationsHandler,
+    auth: "admin",
+  },
+  {
+    method: "POST",
+    pattern: /^admin\/migrations\/run$/,
+    handler: adminMigrationsHandler,
+    auth: "admin",
+  },
+  {
+    method: "GET",
+    pattern: /^admin\/audit$/,
+    handler: adminAuditHandler,
+    auth: "admin",
+    // Filters entries by their audit action
+    actionParam: true,
+  },
   {
     method: "POST",
     pattern: /^partner\/visit$/,
     handler: partnerVisitHandler,
+    auth: "partner",
+    scope: (req) => req.body?.partnerId,
+    permission: "checkin",
+    apiKeyScope: "visits:write",
   },
   {
     method: "POST",
     pattern: /^partner\/mark-visited$/,
     handler: partnerMarkVisitedHandler,
+    auth: "partner",
+    scope: (req) => req.body?.partnerId,
+    permission: "checkin",
+    apiKeyScope: "visits:write",
   },
   {
     method: "GET",
     pattern: /^partner\/check-redemption$/,
     handler: partnerCheckRedemptionHandler,
+    auth: "partner",
+    permission: "redemptions",
+    apiKeyScope: "redemptions:write",
+    limits: REDEMPTION_CODE_LIMITS,
   },
   {
     method: "POST",
     pattern: /^partner\/check-redemption$/,
     handler: partnerCheckRedemptionHandler,
+    auth: "partner",
+    permission: "redemptions",
+    apiKeyScope: "redemptions:write",
+    limits: REDEMPTION_CODE_LIMITS,
+  },
+  {
+    method: "POST",
+    pattern: /^partner\/([^/]+)\/invites$/,
+    handler: partnerInvitesHandler,
+    auth: "partner",
+    scope: (req) => req.query.partnerId,
+    permission: "staff",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.partnerId = match[1];
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^partner\/([^/]+)\/api-keys$/,
+    handler: partnerApiKeysHandler,
+    auth: "partner",
+    scope: (req) => req.query.partnerId,
+    permission: "apiKeys",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.partnerId = match[1];
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^partner\/([^/]+)\/api-keys$/,
+    handler: partnerApiKeysHandler,
+    auth: "partner",
+    scope: (req) => req.query.partnerId,
+    permission: "apiKeys",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.partnerId = match[1];
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^partner\/([^/]+)\/api-keys\/([^/]+)\/rotate$/,
+    handler: partnerApiKeysHandler,
+    auth: "partner",
+    scope: (req) => req.query.partnerId,
+    permission: "apiKeys",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.partnerId = match[1];
+      req.query.keyId = match[2];
+      req.query.action = "rotate";
+    },
+  },
+  {
+    method: "DELETE",
+    pattern: /^partner\/([^/]+)\/api-keys\/([^/]+)$/,
+    handler: partnerApiKeysHandler,
+    auth: "partner",
+    scope: (req) => req.query.partnerId,
+    permission: "apiKeys",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.partnerId = match[1];
+      req.query.keyId = match[2];
+    },
+  },
+  // Must come after the fixed partner/* routes, which it would otherwise shadow
+  {
+    method: "GET",
+    pattern: /^partner\/([^/]+)$/,
+    handler: partnerByIdHandler,
+    auth: "partner",
+    scope: (req) => req.query.partnerId,
+    permission: "dashboard",
+    apiKeyScope: "analytics:read",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.partnerId = match[1];
+    },
   },
   // Bonus/Rewards endpoints
   {
     method: "GET",
     pattern: /^bonus\/user-points$/,
     handler: bonusUserPointsHandler,
+    auth: "customer",
+    scope: (req) => req.query.email,
   },
   {
     method: "GET",
     pattern: /^bonus\/user-points-fixed$/,
-    handler: bonusUserPointsFixedHandler,
+    handler: bonusUserPointsHandler,
+    auth: "customer",
+    scope: (req) => req.query.email,
   },
   {
     method: "POST",
     pattern: /^bonus\/redeem-reward$/,
     handler: bonusRedeemRewardHandler,
+    auth: "customer",
+    scope: (req) => req.body?.email,
+  },
+  {
+    method: "POST",
+    pattern: /^bonus\/redemptions\/([^/]+)\/cancel$/,
+    handler: bonusCancelRedemptionHandler,
+    auth: "customer",
+    prepare: (req, match) => {
+      if (!req.query) req.query = {};
+      req.query.code = match[1];
+    },
   },
   {
     method: "GET",
     pattern: /^bonus\/debug-user$/,
     handler: bonusDebugUserHandler,
+    auth: "admin",
   },
   // QR Registration endpoints
   {
     method: "POST",
     pattern: /^qr\/register$/,
     handler: qrRegisterImprovedHandler,
+    auth: "public",
+  },
+  {
+    method: "GET",
+    pattern: /^qr\/image$/,
+    handler: qrImageHandler,
+    auth: "public",
   },
   // Admin rewards management
   {
     method: "GET",
     pattern: /^admin\/rewards$/,
     handler: adminRewardsHandler,
+    auth: "admin",
   },
   {
     method: "POST",
     pattern: /^admin\/rewards$/,
     handler: adminRewardsHandler,
+    auth: "admin",
   },
   {
     method: "GET",
     pattern: /^admin\/rewards\/([^/]+)$/,
     handler: adminRewardsHandler,
+    auth: "admin",
     prepare: (req, match) => {
       if (!req.query) req.query = {};
       req.query.rewardId = match[1];
@@ -138,6 +827,7 @@ const routes = [
     method: "PUT",
     pattern: /^admin\/rewards\/([^/]+)$/,
     handler: adminRewardsHandler,
+    auth: "admin",
     prepare: (req, match) => {
       if (!req.query) req.query = {};
       req.query.rewardId = match[1];
@@ -147,6 +837,7 @@ const routes = [
     method: "DELETE",
     pattern: /^admin\/rewards\/([^/]+)$/,
     handler: adminRewardsHandler,
+    auth: "admin",
     prepare: (req, match) => {
       if (!req.query) req.query = {};
       req.query.rewardId = match[1];
@@ -160,16 +851,34 @@ export default async function router(req, res, rawPath) {
   if (req.query.route) {
     delete req.query.route;
   }
+  const requestedAction = req.query.action;
+  delete req.query.action;
 
   for (const route of routes) {
     const match = route.pattern.exec(path);
     if (match) {
+      if (route.actionParam && requestedAction !== undefined) {
+        req.query.action = requestedAction;
+      }
       if (req.method === "OPTIONS") {
         route.prepare?.(req, match);
         return route.handler(req, res);
       }
       if (route.method === req.method) {
         route.prepare?.(req, match);
+        const denied = await authorizeRoute(req, route);
+        if (denied) {
+          return res.status(denied.status).json(denied.body);
+        }
+        // After auth, so limits can key on req.auth
+        const limited = await checkRateLimits(req, route.limits);
+        if (limited) {
+          res.setHeader("Retry-After", String(limited.retryAfter));
+          return res.status(429).json({
+            error: "Too many requests",
+            retryAfter: limited.retryAfter,
+          });
+        }
         return route.handler(req, res);
       }
     }
@@ -177,7 +886,7 @@ export default async function router(req, res, rawPath) {
 
   if (req.method === "OPTIONS") {
     res.setHeader("Access-Control-Allow-Origin", "*");
-    res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,OPTIONS");
+    res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,PATCH,DELETE,OPTIONS");
     res.setHeader(
       "Access-Control-Allow-Headers",
       "Content-Type, Authorization, x-admin-secret"
@@ -1,34 +1,81 @@
-import { kv } from "@vercel/kv";
-import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
+import { kv } from "../../../lib/storage.js";
 import { z } from "zod";
+import { listSessions, revokeAllSessions } from "../../../lib/sessions.js";
+import { hashPassword, passwordSchema } from "../../../lib/passwords.js";
+import { STAFF_ROLES } from "../../../lib/memberships.js";
+import {
+  buildMemberships,
+  deleteAccount,
+  getAccount,
+  listAccounts,
+  setAccountDisabled,
+  updateAccount,
+} from "../../../lib/accounts.js";
+import { recordAudit } from "../../../lib/audit.js";
+import { disableTwoFactor } from "../../../lib/two-factor.js";
 
-const ADMIN_SECRET = process.env.ADMIN_SECRET || "";
 const ALLOWED_ORIGIN =
   process.env.ALLOWED_ORIGIN || process.env.DASHBOARD_BASE_URL || "";
-const JWT_SECRET = process.env.JWT_SECRET || "";
+
+const membershipsSchema = z
+  .array(
+    z.object({
+      partnerId: z.string().trim().min(1),
+      role: z.enum(STAFF_ROLES),
+    })
+  )
+  .min(1);
 
 const upsertSchema = z
   .object({
     email: z.string().email(),
-    password: z.string().min(8, "Password must be at least 8 characters"),
+    password: passwordSchema,
     partnerId: z.string().min(1, "partnerId is required").optional(),
     role: z.enum(["partner", "admin"]).default("partner"),
+    staffRole: z.enum(STAFF_ROLES).default("owner"),
+    memberships: membershipsSchema.optional(),
     name: z.string().min(1).max(120).optional(),
   })
   .refine(
-    (payload) => payload.role === "admin" || Boolean(payload.partnerId),
+    (payload) =>
+      payload.role === "admin" || Boolean(payload.partnerId || payload.memberships),
     {
-      message: "partnerId is required for partner accounts",
+      message: "partnerId or memberships is required for partner accounts",
       path: ["partnerId"],
     }
   );
 
+const updateSchema = z
+  .object({
+    role: z.enum(["partner", "admin"]).optional(),
+    partnerId: z.string().trim().min(1).optional(),
+    staffRole: z.enum(STAFF_ROLES).optional(),
+    memberships: membershipsSchema.optional(),
+    name: z.string().max(120).optional(),
+  })
+  .strict()
+  .refine((payload) => Object.keys(payload).length > 0, {
+    message: "Nothing to change",
+  });
+
+const disableSchema = z.object({
+  reason: z.string().max(500).optional(),
+});
+
+const listQuerySchema = z.object({
+  partnerId: z.string().trim().min(1).optional(),
+  role: z.enum(["partner", "admin"]).optional(),
+  status: z.enum(["active", "disabled"]).optional(),
+  search: z.string().trim().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  cursor: z.string().optional(),
+});
+
 function setCors(res) {
   if (ALLOWED_ORIGIN) {
     res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
   }
-  res.setHeader("Access-Control-Allow-Methods", "POST,PUT,OPTIONS");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,PATCH,DELETE,OPTIONS");
   res.setHeader(
     "Access-Control-Allow-Headers",
     "Content-Type, Authorization, x-admin-secret"
@@ -39,80 +86,171 @@ function respond(res, status, payload) {
   return res.status(status).json(payload);
 }
 
-function authorize(req) {
-  if (ADMIN_SECRET && req.headers["x-admin-secret"] === ADMIN_SECRET) {
-    return true;
-  }
+function normalize(str) {
+  return String(str || "").trim().toLowerCase();
+}
 
-  if (!JWT_SECRET) {
-    return false;
-  }
+function accountKey(email) {
+  return `partnerUser:${email}`;
+}
 
-  const authHeader = req.headers.authorization;
-  if (!authHeader || typeof authHeader !== "string") {
-    return false;
-  }
+// Records the account hash as it was before `change` and as it is after
+async function audited(req, email, action, change) {
+  const before = await kv.hgetall(accountKey(email));
+  const result = await change();
+  const after = await kv.hgetall(accountKey(email));
+  await recordAudit(req, {
+    action,
+    target: accountKey(email),
+    before: before?.email ? before : null,
+    after: after?.email ? after : null,
+  });
+  return result;
+}
 
-  if (!authHeader.startsWith("Bearer ")) {
-    return false;
-  }
+async function handleUpsert(req, res) {
+  const payload = upsertSchema.parse(req.body ?? {});
+  const email = payload.email.toLowerCase();
+  const passwordHash = await hashPassword(payload.password);
+  const memberships = buildMemberships(payload);
+  // The first listed partner is the primary one
+  const partnerId =
+    payload.partnerId?.trim() || payload.memberships?.[0]?.partnerId.toLowerCase() || "";
+  const existing = await kv.hgetall(accountKey(email));
+  const now = new Date().toISOString();
 
-  const token = authHeader.slice(7).trim();
-  if (!token) {
-    return false;
-  }
+  await audited(req, email, existing?.email ? "account.replace" : "account.create", () =>
+    kv.hset(accountKey(email), {
+      email,
+      passwordHash,
+      partnerId,
+      role: payload.role,
+      memberships: JSON.stringify(memberships),
+      name: payload.name || "",
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    })
+  );
 
-  try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    return payload && payload.role === "admin";
-  } catch (err) {
-    return false;
-  }
-}
+  await kv.sadd("partnerUsers", email);
 
-async function handleUpsert(body) {
-  const payload = upsertSchema.parse(body ?? {});
-  const email = payload.email.toLowerCase();
-  const passwordHash = await bcrypt.hash(payload.password, 12);
-  const partnerId = payload.partnerId?.trim() || "";
+  // New password, role or partner: existing logins must sign in again
+  const revokedSessions = existing?.email ? await revokeAllSessions(email) : 0;
 
-  await kv.hset(`partnerUser:${email}`, {
+  return respond(res, 200, {
+    success: true,
     email,
-    passwordHash,
     partnerId,
     role: payload.role,
-    name: payload.name || "",
-    updatedAt: new Date().toISOString(),
+    partners: memberships,
+    revokedSessions,
   });
+}
 
-  await kv.sadd("partnerUsers", email);
+async function handleList(req, res) {
+  const query = listQuerySchema.parse(req.query ?? {});
+  const page = await listAccounts(query);
+  return respond(res, 200, page);
+}
 
-  return {
-    success: true,
+async function handleGet(req, res, email) {
+  const account = await getAccount(email);
+  if (!account) {
+    return respond(res, 404, { error: "Account not found" });
+  }
+  const sessions = await listSessions(email);
+  return respond(res, 200, { account, sessions });
+}
+
+async function handleUpdate(req, res, email) {
+  const changes = updateSchema.parse(req.body ?? {});
+  const result = await audited(req, email, "account.update", () =>
+    updateAccount(email, changes)
+  );
+  return respond(res, 200, { success: true, ...result });
+}
+
+async function handleDisable(req, res, email, disabled) {
+  if (disabled && req.auth?.email === email) {
+    return respond(res, 400, { error: "You cannot disable your own account" });
+  }
+  const { reason } = disableSchema.parse(req.body ?? {});
+  const result = await audited(
+    req,
     email,
-    partnerId,
-    role: payload.role,
-  };
+    disabled ? "account.disable" : "account.enable",
+    () => setAccountDisabled(email, disabled, { reason })
+  );
+  return respond(res, 200, { success: true, ...result });
 }
 
-export default async function handler(req, res) {
-  setCors(res);
+async function handleDelete(req, res, email) {
+  if (req.auth?.email === email) {
+    return respond(res, 400, { error: "You cannot delete your own account" });
+  }
+  const deleted = await audited(req, email, "account.delete", () => deleteAccount(email));
+  if (!deleted) {
+    return respond(res, 404, { error: "Account not found" });
+  }
+  return respond(res, 200, { success: true, email });
+}
 
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
+// For a lost authenticator: the account enrolls again at its next login
+async function handleResetTwoFactor(req, res, email) {
+  if (!(await getAccount(email))) {
+    return respond(res, 404, { error: "Account not found" });
   }
+  await audited(req, email, "account.2fa_reset", () => disableTwoFactor(email));
+  const revokedSessions = await revokeAllSessions(email);
+  return respond(res, 200, { success: true, email, revokedSessions });
+}
 
-  if (!["POST", "PUT"].includes(req.method)) {
+async function route(req, res) {
+  const email = normalize(req.query?.email);
+  const { action } = req.query ?? {};
+
+  if (!email) {
+    if (req.method === "GET") return handleList(req, res);
+    if (["POST", "PUT"].includes(req.method)) return handleUpsert(req, res);
     return respond(res, 405, { error: "Method Not Allowed" });
   }
 
-  if (!authorize(req)) {
-    return respond(res, 401, { error: "Unauthorized" });
+  if (action === "disable" || action === "enable") {
+    if (req.method !== "POST") return respond(res, 405, { error: "Method Not Allowed" });
+    return handleDisable(req, res, email, action === "disable");
+  }
+
+  if (action === "reset-2fa") {
+    if (req.method !== "DELETE") return respond(res, 405, { error: "Method Not Allowed" });
+    return handleResetTwoFactor(req, res, email);
+  }
+
+  if (req.method === "GET") return handleGet(req, res, email);
+  if (req.method === "PATCH") return handleUpdate(req, res, email);
+  if (req.method === "DELETE") return handleDelete(req, res, email);
+  return respond(res, 405, { error: "Method Not Allowed" });
+}
+
+/**
+ * GET    /api/admin/accounts                  - list (partnerId, role, status, search, limit, cursor)
+ * POST   /api/admin/accounts                  - create or replace, with a password
+ * GET    /api/admin/accounts/{email}          - one account with its open sessions
+ * PATCH  /api/admin/accounts/{email}          - change role, partners or name
+ * DELETE /api/admin/accounts/{email}          - delete and log out
+ * POST   /api/admin/accounts/{email}/disable  - refuse logins and tokens ({ reason? })
+ * POST   /api/admin/accounts/{email}/enable   - allow logins again
+ * DELETE /api/admin/accounts/{email}/2fa      - turn off two-factor and log out
+ */
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
   }
 
   try {
-    const data = await handleUpsert(req.body);
-    return respond(res, 200, data);
+    return await route(req, res);
   } catch (err) {
     if (err instanceof z.ZodError) {
       return respond(res, 400, {
@@ -120,6 +258,12 @@ export default async function handler(req, res) {
         issues: err.flatten(),
       });
     }
+    if (err.code === "ACCOUNT_NOT_FOUND") {
+      return respond(res, 404, { error: err.message });
+    }
+    if (err.code === "NO_PARTNER") {
+      return respond(res, 400, { error: err.message });
+    }
 
     console.error("admin accounts error", err);
     return respond(res, 500, { error: "Internal server error" });
@@ -0,0 +1,108 @@
+import { z } from "zod";
+import {
+  API_KEY_SCOPES,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+} from "../../../lib/api-keys.js";
+import { recordAudit } from "../../../lib/audit.js";
+
+const ALLOWED_ORIGIN =
+  process.env.ALLOWED_ORIGIN || process.env.DASHBOARD_BASE_URL || "";
+
+const createSchema = z.object({
+  partnerId: z.string().trim().min(1, "partnerId is required"),
+  name: z.string().trim().min(1).max(120),
+  scopes: z.array(z.enum(API_KEY_SCOPES)).min(1),
+});
+
+function setCors(res) {
+  if (ALLOWED_ORIGIN) {
+    res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  }
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,DELETE,OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, x-admin-secret"
+  );
+}
+
+function respond(res, status, payload) {
+  return res.status(status).json(payload);
+}
+
+/**
+ * GET    /api/admin/api-keys?partnerId=        - list keys, of one partner or all
+ * POST   /api/admin/api-keys                   - create ({ partnerId, name, scopes })
+ * POST   /api/admin/api-keys/{keyId}/rotate    - new secret for a key
+ * DELETE /api/admin/api-keys/{keyId}           - revoke a key
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  const { keyId, action } = req.query;
+
+  try {
+    if (req.method === "GET") {
+      const items = await listApiKeys({ partnerId: req.query.partnerId });
+      return respond(res, 200, { items, scopes: API_KEY_SCOPES });
+    }
+
+    if (req.method === "POST" && !keyId) {
+      const payload = createSchema.parse(req.body ?? {});
+      const created = await createApiKey({
+        ...payload,
+        createdBy: req.auth?.email || "admin",
+      });
+      await recordAudit(req, {
+        action: "apikey.create",
+        target: `apikey:${created.apiKey.id}`,
+        after: created.apiKey,
+      });
+      return respond(res, 200, created);
+    }
+
+    if (req.method === "POST" && action === "rotate") {
+      const rotated = await rotateApiKey(keyId);
+      await recordAudit(req, {
+        action: "apikey.rotate",
+        target: `apikey:${keyId}`,
+        metadata: { partnerId: rotated.apiKey.partnerId, hint: rotated.apiKey.hint },
+      });
+      return respond(res, 200, rotated);
+    }
+
+    if (req.method === "DELETE" && keyId) {
+      const apiKey = await revokeApiKey(keyId);
+      await recordAudit(req, {
+        action: "apikey.revoke",
+        target: `apikey:${keyId}`,
+        metadata: { partnerId: apiKey.partnerId },
+      });
+      return respond(res, 200, { success: true, apiKey });
+    }
+
+    return respond(res, 405, { error: "Method Not Allowed" });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return respond(res, 400, {
+        error: "ValidationError",
+        issues: err.flatten(),
+      });
+    }
+    if (err.code === "API_KEY_NOT_FOUND") {
+      return respond(res, 404, { error: err.message });
+    }
+    if (err.code === "API_KEY_REVOKED") {
+      return respond(res, 400, { error: err.message });
+    }
+
+    console.error("admin api-keys error", err);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+}
@@ -0,0 +1,65 @@
+import { z } from "zod";
+import { queryAudit } from "../../../lib/audit.js";
+
+const ALLOWED_ORIGIN =
+  process.env.ALLOWED_ORIGIN || process.env.DASHBOARD_BASE_URL || "";
+
+const dateSchema = z
+  .string()
+  .refine((value) => !Number.isNaN(new Date(value).getTime()), "Invalid date");
+
+const querySchema = z.object({
+  actor: z.string().trim().min(1).optional(),
+  target: z.string().trim().min(1).optional(),
+  action: z.string().trim().min(1).optional(),
+  from: dateSchema.optional(),
+  to: dateSchema.optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(50),
+  cursor: z.string().optional(),
+});
+
+function setCors(res) {
+  if (ALLOWED_ORIGIN) {
+    res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  }
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, x-admin-secret"
+  );
+}
+
+function respond(res, status, payload) {
+  return res.status(status).json(payload);
+}
+
+/**
+ * GET /api/admin/audit - audit log, newest first
+ *   (actor, target, action, from, to, limit, cursor)
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET") {
+    return respond(res, 405, { error: "Method Not Allowed" });
+  }
+
+  try {
+    const query = querySchema.parse(req.query ?? {});
+    return respond(res, 200, await queryAudit(query));
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return respond(res, 400, {
+        error: "ValidationError",
+        issues: err.flatten(),
+      });
+    }
+
+    console.error("admin audit error", err);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+}
@@ -0,0 +1,160 @@
+import { z } from "zod";
+import {
+  getBooking,
+  listCustomerBookings,
+  listPartnerBookings,
+  migrateLegacyBookings,
+  queryBookings,
+} from "../../../lib/bookings.js";
+import {
+  buildQrImageUrl,
+  buildVerifyUrl,
+  issueCheckinToken,
+} from "../../../lib/checkin-tokens.js";
+import { recordAudit } from "../../../lib/audit.js";
+
+const ALLOWED_ORIGIN =
+  process.env.ALLOWED_ORIGIN || process.env.DASHBOARD_BASE_URL || "";
+const BASE_URL = process.env.BASE_URL || "https://zabava-server.vercel.app";
+
+function setCors(res) {
+  if (ALLOWED_ORIGIN) {
+    res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  }
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, x-admin-secret"
+  );
+}
+
+function respond(res, status, payload) {
+  return res.status(status).json(payload);
+}
+
+const pageSchema = z.object({
+  partnerId: z.string().optional(),
+  index: z.enum(["created", "visited", "date"]).default("created"),
+  from: z.string().datetime({ offset: true }).optional(),
+  to: z.string().datetime({ offset: true }).optional(),
+  order: z.enum(["asc", "desc"]).default("desc"),
+  limit: z.coerce.number().int().min(1).max(500).default(50),
+  cursor: z.string().optional(),
+});
+
+const PAGE_PARAMS = ["index", "from", "to", "order", "limit", "cursor"];
+
+const migrateSchema = z.object({
+  dryRun: z.boolean().optional(),
+});
+
+async function handleGet(req, res) {
+  const bookingId = req.query?.bookingId;
+  if (bookingId) {
+    const booking = await getBooking(bookingId);
+    if (!booking) {
+      return respond(res, 404, { error: "Booking not found" });
+    }
+    return respond(res, 200, { item: booking });
+  }
+
+  // Time-ordered pages, globally or for one partner
+  if (PAGE_PARAMS.some((param) => req.query?.[param] !== undefined)) {
+    const parsed = pageSchema.safeParse(req.query);
+    if (!parsed.success) {
+      return respond(res, 400, {
+        error: "ValidationError",
+        issues: parsed.error.flatten(),
+      });
+    }
+    try {
+      const page = await queryBookings(parsed.data);
+      return respond(res, 200, page);
+    } catch (err) {
+      if (err.code === "INVALID_CURSOR") {
+        return respond(res, 400, { error: err.message });
+      }
+      throw err;
+    }
+  }
+
+  if (req.query?.email) {
+    const items = await listCustomerBookings(req.query.email);
+    return respond(res, 200, { items });
+  }
+
+  if (req.query?.partnerId) {
+    const items = await listPartnerBookings(req.query.partnerId);
+    return respond(res, 200, { items });
+  }
+
+  return respond(res, 400, { error: "email or partnerId is required" });
+}
+
+// Issue a fresh check-in link, e.g. after the signing key was rotated
+async function handleReissue(req, res) {
+  const booking = await getBooking(req.query?.bookingId);
+  if (!booking) {
+    return respond(res, 404, { error: "Booking not found" });
+  }
+
+  const checkin = issueCheckinToken({
+    bookingId: booking.id,
+    partnerId: booking.partnerId || undefined,
+  });
+  await recordAudit(req, {
+    action: "booking.reissue_checkin",
+    target: `booking:${booking.id}`,
+    metadata: { checkinExpiresAt: checkin.expiresAt },
+  });
+  return respond(res, 200, {
+    bookingId: booking.id,
+    verifyUrl: buildVerifyUrl(BASE_URL, checkin.token),
+    qrImageUrl: buildQrImageUrl(BASE_URL, checkin.token),
+    checkinToken: checkin.token,
+    checkinExpiresAt: checkin.expiresAt,
+  });
+}
+
+async function handleMigrate(req, res) {
+  const parsed = migrateSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    return respond(res, 400, {
+      error: "ValidationError",
+      issues: parsed.error.flatten(),
+    });
+  }
+
+  const result = await migrateLegacyBookings(parsed.data);
+  if (!result.dryRun) {
+    await recordAudit(req, { action: "booking.migrate", target: "bookings", metadata: result });
+  }
+  return respond(res, 200, result);
+}
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === "GET") {
+      return await handleGet(req, res);
+    }
+
+    if (req.method === "POST" && req.query?.action === "migrate") {
+      return await handleMigrate(req, res);
+    }
+
+    if (req.method === "POST" && req.query?.action === "reissue") {
+      return await handleReissue(req, res);
+    }
+  } catch (err) {
+    console.error("admin bookings error", err);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+
+  return respond(res, 405, { error: "Method Not Allowed" });
+}
@@ -1,18 +1,17 @@
-import { kv } from "@vercel/kv";
-import { randomBytes } from "crypto";
-import jwt from "jsonwebtoken";
+import { kv } from "../../../lib/storage.js";
 import { z } from "zod";
+import { buildInviteUrl, createInvite } from "../../../lib/invites.js";
+import { recordAudit } from "../../../lib/audit.js";
+import { STAFF_ROLES, readMemberships } from "../../../lib/memberships.js";
 
-const ADMIN_SECRET = process.env.ADMIN_SECRET || "";
 const ALLOWED_ORIGIN =
   process.env.ALLOWED_ORIGIN || process.env.DASHBOARD_BASE_URL || "";
-const DASHBOARD_BASE_URL = process.env.DASHBOARD_BASE_URL || "";
-const JWT_SECRET = process.env.JWT_SECRET || "";
 
 const createSchema = z.object({
   email: z.string().email(),
   partnerId: z.string().min(1, "partnerId is required"),
   role: z.enum(["partner", "admin"]).default("partner"),
+  staffRole: z.enum(STAFF_ROLES).default("owner"),
   name: z.string().min(1).max(120).optional(),
   expiresInMinutes: z
     .number()
@@ -44,84 +43,18 @@ function respond(res, status, payload) {
   return res.status(status).json(payload);
 }
 
-function authorize(req) {
-  if (ADMIN_SECRET && req.headers["x-admin-secret"] === ADMIN_SECRET) {
-    return true;
-  }
-
-  if (!JWT_SECRET) {
-    return false;
-  }
-
-  const authHeader = req.headers.authorization;
-  if (!authHeader || typeof authHeader !== "string") {
-    return false;
-  }
-
-  if (!authHeader.startsWith("Bearer ")) {
-    return false;
-  }
-
-  const token = authHeader.slice(7).trim();
-  if (!token) {
-    return false;
-  }
-
-  try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    return payload && payload.role === "admin";
-  } catch (err) {
-    return false;
-  }
-}
-
-function buildInviteUrl(token, email) {
-  if (!DASHBOARD_BASE_URL) return null;
-  const base = DASHBOARD_BASE_URL.replace(/\/$/, "");
-  const params = new URLSearchParams({ token });
-  if (email) {
-    params.set("email", email);
-  }
-  return `${base}/signup?${params.toString()}`;
-}
-
 async function handleCreate(req, res) {
   const payload = createSchema.parse(req.body ?? {});
-  const token = randomBytes(24).toString("hex");
-  const inviteKey = `partnerInvite:${token}`;
-
-  const now = new Date();
-  const createdAtIso = now.toISOString();
-  const expiresInMinutes = payload.expiresInMinutes ?? 60 * 24 * 7;
-  const expiresAt = new Date(now.getTime() + expiresInMinutes * 60_000);
-
-  await kv.hset(inviteKey, {
-    token,
-    email: payload.email.toLowerCase(),
-    partnerId: payload.partnerId,
-    role: payload.role,
-    name: payload.name || "",
-    createdAt: createdAtIso,
-    expiresAt: expiresAt.toISOString(),
-    used: "false",
+  const invite = await createInvite({
+    ...payload,
+    invitedBy: req.auth?.email || "admin",
+  });
+  // The token lets anyone sign up, so the log names the invitee instead
+  await recordAudit(req, {
+    action: "invite.create",
+    target: `invite:${invite.email}`,
+    metadata: { partnerId: invite.partnerId, role: invite.role, staffRole: invite.staffRole },
   });
-
-  await kv.expire(inviteKey, expiresInMinutes * 60);
-  await kv.sadd("partnerInvites", inviteKey);
-
-  const invite = {
-    token,
-    partnerId: payload.partnerId,
-    role: payload.role,
-    email: payload.email,
-    name: payload.name || "",
-    createdAt: createdAtIso,
-    expiresAt: expiresAt.toISOString(),
-    used: false,
-    usedAt: null,
-    inviteUrl: buildInviteUrl(token, payload.email),
-  };
-
   return respond(res, 200, { invite });
 }
 
@@ -153,12 +86,17 @@ async function handleList(req, res) {
       const createdAt = record.createdAt || null;
       const expiresAt = record.expiresAt || null;
 
-      let used = record.used === "true";
+      let used = String(record.used) === "true";
       let usedAt = record.usedAt || null;
 
+      // Invites redeemed before `used` was recorded: the account has the access
       if (!used && email) {
         const existingUser = await kv.hgetall(`partnerUser:${email}`);
-        if (existingUser && existingUser.email) {
+        const hasAccess =
+          record.role === "admin"
+            ? existingUser?.role === "admin"
+            : Boolean(readMemberships(existingUser)[String(partnerId || "").toLowerCase()]);
+        if (existingUser && existingUser.email && hasAccess) {
           used = true;
           usedAt = usedAt || existingUser.createdAt || new Date().toISOString();
           await kv.hset(key, {
@@ -173,6 +111,7 @@ async function handleList(req, res) {
         email,
         partnerId,
         role: record.role || "partner",
+        staffRole: record.role === "admin" ? null : record.staffRole || "owner",
         name,
         createdAt,
         expiresAt,
@@ -198,10 +137,6 @@ export default async function handler(req, res) {
     return res.status(200).end();
   }
 
-  if (!authorize(req)) {
-    return respond(res, 401, { error: "Unauthorized" });
-  }
-
   try {
     if (req.method === "POST") {
       return await handleCreate(req, res);
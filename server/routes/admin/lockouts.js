@@ -0,0 +1,58 @@
+import { clearLoginFailures, listLockouts } from "../../../lib/rate-limit.js";
+import { recordAudit } from "../../../lib/audit.js";
+
+const ALLOWED_ORIGIN =
+  process.env.ALLOWED_ORIGIN || process.env.DASHBOARD_BASE_URL || "";
+
+function setCors(res) {
+  if (ALLOWED_ORIGIN) {
+    res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  }
+  res.setHeader("Access-Control-Allow-Methods", "GET, DELETE, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, x-admin-secret"
+  );
+}
+
+function respond(res, status, payload) {
+  return res.status(status).json(payload);
+}
+
+/**
+ * GET    /api/admin/lockouts          - accounts locked after failed logins
+ * DELETE /api/admin/lockouts/{email}  - lift a lockout and reset the count
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === "GET") {
+      const items = await listLockouts();
+      return respond(res, 200, { items });
+    }
+
+    if (req.method === "DELETE") {
+      const email = String(req.query.email || "").trim().toLowerCase();
+      if (!email) {
+        return respond(res, 400, { error: "email is required" });
+      }
+      const wasLocked = await clearLoginFailures(email);
+      await recordAudit(req, {
+        action: "lockout.clear",
+        target: `login:lockout:${email}`,
+        metadata: { wasLocked },
+      });
+      return respond(res, 200, { success: true, email, wasLocked });
+    }
+  } catch (err) {
+    console.error("admin lockouts error", err);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+
+  return respond(res, 405, { error: "Method Not Allowed" });
+}
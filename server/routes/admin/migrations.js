@@ -0,0 +1,91 @@
+import { z } from "zod";
+import { listMigrations, runMigrations } from "../../../lib/migrations.js";
+import { recordAudit } from "../../../lib/audit.js";
+
+const ALLOWED_ORIGIN =
+  process.env.ALLOWED_ORIGIN || process.env.DASHBOARD_BASE_URL || "";
+
+function setCors(res) {
+  if (ALLOWED_ORIGIN) {
+    res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  }
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, x-admin-secret"
+  );
+}
+
+function respond(res, status, payload) {
+  return res.status(status).json(payload);
+}
+
+const runSchema = z.object({
+  dryRun: z.boolean().optional(),
+  only: z.array(z.string().min(1)).optional(),
+  force: z.boolean().optional(),
+});
+
+async function handleList(req, res) {
+  const items = await listMigrations();
+  return respond(res, 200, { items });
+}
+
+async function handleRun(req, res) {
+  const parsed = runSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    return respond(res, 400, {
+      error: "ValidationError",
+      issues: parsed.error.flatten(),
+    });
+  }
+
+  try {
+    const result = await runMigrations(parsed.data);
+    if (!result.dryRun) {
+      await recordAudit(req, {
+        action: "migration.run",
+        target: "migrations",
+        metadata: {
+          results: result.results.map(({ id, status, changes }) => ({
+            id,
+            status,
+            changes: changes.length,
+          })),
+        },
+      });
+    }
+    return respond(res, 200, result);
+  } catch (err) {
+    if (err.code === "UNKNOWN_MIGRATION") {
+      return respond(res, 400, { error: err.message });
+    }
+    if (err.code === "MIGRATION_LOCKED") {
+      return respond(res, 409, { error: err.message });
+    }
+    throw err;
+  }
+}
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === "GET") {
+      return await handleList(req, res);
+    }
+
+    if (req.method === "POST") {
+      return await handleRun(req, res);
+    }
+  } catch (err) {
+    console.error("admin migrations error", err);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+
+  return respond(res, 405, { error: "Method Not Allowed" });
+}
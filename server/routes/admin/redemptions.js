@@ -0,0 +1,123 @@
+import { z } from "zod";
+import {
+  expireRedemptions,
+  getRedemption,
+  transitionRedemption,
+} from "../../../lib/redemptions.js";
+import { recordAudit } from "../../../lib/audit.js";
+
+const ALLOWED_ORIGIN =
+  process.env.ALLOWED_ORIGIN || process.env.DASHBOARD_BASE_URL || "";
+
+function setCors(res) {
+  if (ALLOWED_ORIGIN) {
+    res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  }
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, x-admin-secret"
+  );
+}
+
+function respond(res, status, payload) {
+  return res.status(status).json(payload);
+}
+
+const cancelSchema = z.object({
+  reason: z.string().trim().max(500).optional(),
+});
+
+const expireSchema = z.object({
+  limit: z.coerce.number().int().min(1).max(5000).optional(),
+});
+
+async function handleGet(req, res) {
+  const redemption = await getRedemption(req.query.code);
+  if (!redemption) {
+    return respond(res, 404, { error: "Redemption not found" });
+  }
+  return respond(res, 200, { redemption });
+}
+
+async function handleCancel(req, res) {
+  const parsed = cancelSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    return respond(res, 400, { error: "ValidationError", issues: parsed.error.flatten() });
+  }
+
+  const { reason } = parsed.data;
+  const { before, after, refunded } = await transitionRedemption(req.query.code, "cancelled", {
+    fields: { cancelledBy: "admin", ...(reason ? { cancelReason: reason } : {}) },
+  });
+  await recordAudit(req, {
+    action: "redemption.cancel",
+    target: `redemption:${after.id}`,
+    before,
+    after,
+  });
+  return respond(res, 200, { success: true, redemption: after, refundedPoints: refunded });
+}
+
+// Run by the scheduled job (GET) or by an admin (POST)
+async function handleExpire(req, res) {
+  const parsed = expireSchema.safeParse({ ...req.query, ...(req.body ?? {}) });
+  if (!parsed.success) {
+    return respond(res, 400, { error: "ValidationError", issues: parsed.error.flatten() });
+  }
+
+  const { expired, skipped, more } = await expireRedemptions({ limit: parsed.data.limit });
+  for (const { before, after } of expired) {
+    await recordAudit(req, {
+      action: "redemption.expire",
+      target: `redemption:${after.id}`,
+      before,
+      after,
+    });
+  }
+  return respond(res, 200, {
+    expired: expired.map(({ after, refunded }) => ({
+      code: after.id,
+      email: after.email,
+      refundedPoints: refunded,
+    })),
+    skipped,
+    more,
+  });
+}
+
+/**
+ * GET  /api/admin/redemptions/:code          - One redemption
+ * POST /api/admin/redemptions/:code/cancel   - Cancel a pending redemption and
+ *                                              refund it ({ reason? })
+ * POST /api/admin/redemptions/expire         - Expire and refund stale codes now
+ * GET  /api/cron/expire-redemptions          - The same, for the scheduled job
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    const { action } = req.query ?? {};
+    if (action === "expire") return await handleExpire(req, res);
+    if (req.method === "GET") return await handleGet(req, res);
+    if (req.method === "POST" && action === "cancel") return await handleCancel(req, res);
+  } catch (err) {
+    if (err.code === "REDEMPTION_NOT_FOUND") {
+      return respond(res, 404, { error: err.message });
+    }
+    if (err.code === "INVALID_TRANSITION") {
+      return respond(res, 409, { error: err.message, currentStatus: err.currentStatus });
+    }
+    if (err.code === "REDEMPTION_BUSY") {
+      return respond(res, 409, { error: err.message });
+    }
+    console.error("admin redemptions error", err);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+
+  return respond(res, 405, { error: "Method Not Allowed" });
+}
@@ -1,7 +1,17 @@
-import { kv } from '@vercel/kv';
-import { respond, setCors } from '../../../lib/utils.js';
+import { kv } from '../../../lib/storage.js';
+import { parseList, respond, setCors } from '../../../lib/utils.js';
+import { recordAudit } from '../../../lib/audit.js';
+import { CUSTOMER_SEGMENTS, WEEKDAYS, rewardWindow } from '../../../lib/reward-rules.js';
+import { loadTierConfig } from '../../../lib/loyalty-tiers.js';
 import { z } from 'zod';
 
+// ISO date or date-time; empty for no limit
+const dateField = z
+  .string()
+  .refine((value) => value === '' || !Number.isNaN(Date.parse(value)), 'Must be an ISO date')
+  .optional()
+  .default('');
+
 // Validation schemas
 const createRewardSchema = z.object({
   name: z.string().min(1, 'Name is required'),
@@ -9,14 +19,73 @@ const createRewardSchema = z.object({
   pointsCost: z.number().min(1, 'Points cost must be at least 1'),
   category: z.enum(['discount', 'freebie', 'experience', 'merchandise', 'other']),
   availableFor: z.array(z.string()).optional().default([]), // Partner IDs
-  stock: z.number().optional(),
+  // Units left; null or omitted means unlimited
+  stock: z.number().int().min(0).nullable().optional(),
+  // Redemptions per customer, in total and within each `period`
+  maxPerCustomer: z.number().int().min(1).nullable().optional(),
+  maxPerPeriod: z.number().int().min(1).nullable().optional(),
+  period: z.enum(['day', 'week', 'month']).nullable().optional(),
   imageUrl: z.string().optional().default(''), // Allow empty or non-URL for image
   redemptionInstructions: z.string().optional().default(''),
-  validUntil: z.string().optional().default('')
+  // Eligibility rules, see lib/reward-rules.js
+  validFrom: dateField,
+  validUntil: dateField,
+  daysOfWeek: z.array(z.enum(WEEKDAYS)).optional().default([]),
+  minVisits: z.number().int().min(1).nullable().optional(),
+  segments: z.array(z.enum(CUSTOMER_SEGMENTS)).optional().default([]),
+  // Loyalty tier ids the reward is kept for, see lib/loyalty-tiers.js
+  tiers: z.array(z.string().trim().toLowerCase().min(1)).optional().default([])
 });
 
 const updateRewardSchema = createRewardSchema.partial();
 
+const LIST_FIELDS = ['availableFor', 'daysOfWeek', 'segments', 'tiers'];
+
+// Stored hash fields are strings; an empty one means "no limit"
+function limitFields(data) {
+  const fields = {};
+  for (const name of ['stock', 'maxPerCustomer', 'maxPerPeriod', 'period', 'minVisits']) {
+    if (data[name] !== undefined) fields[name] = data[name] ?? '';
+  }
+  for (const name of LIST_FIELDS) {
+    if (data[name] !== undefined) fields[name] = JSON.stringify(data[name] || []);
+  }
+  return fields;
+}
+
+function readLists(reward) {
+  return Object.fromEntries(LIST_FIELDS.map((name) => [name, parseList(reward[name])]));
+}
+
+// Checks across fields, run on the reward as it will be stored. `tierIds`
+// are the tiers set up now; pass them when the request sets `tiers`
+function ruleErrors(reward, tierIds) {
+  const fieldErrors = {};
+  if (tierIds) {
+    const unknown = parseList(reward.tiers).filter((id) => !tierIds.includes(id));
+    if (unknown.length) {
+      fieldErrors.tiers = [`Unknown tier id(s): ${unknown.join(', ')}`];
+    }
+  }
+  if (readLimit(reward.maxPerPeriod) && !reward.period) {
+    fieldErrors.period = ['period is required with maxPerPeriod'];
+  }
+  const { from, until } = rewardWindow(reward);
+  if (from !== null && until !== null && from > until) {
+    fieldErrors.validUntil = ['validUntil must not be before validFrom'];
+  }
+  return Object.keys(fieldErrors).length ? { formErrors: [], fieldErrors } : null;
+}
+
+async function tierIds() {
+  const { tiers } = await loadTierConfig();
+  return tiers.map((tier) => tier.id);
+}
+
+function readLimit(value) {
+  return value === null || value === undefined || value === '' ? null : parseInt(value);
+}
+
 /**
  * Admin rewards management endpoints
  * GET /api/admin/rewards - List all rewards
@@ -31,15 +100,6 @@ export default async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Check admin authentication
-  const adminSecret = req.headers['x-admin-secret'];
-  const validSecret = process.env.ADMIN_SECRET || 'zabava';
-  
-  if (!adminSecret || adminSecret !== validSecret) {
-    console.log('Admin auth failed:', { provided: adminSecret, expected: validSecret });
-    return respond(res, 401, { error: 'Unauthorized - Invalid admin secret' });
-  }
-
   try {
     // Extract reward ID from path if present
     const pathParts = req.url.split('/');
@@ -80,6 +140,8 @@ async function handleGetRewards(req, res, rewardId) {
         const allRedemptions = await kv.keys('redemption:*');
         if (allRedemptions && Array.isArray(allRedemptions)) {
           for (const key of allRedemptions) {
+            // Only redemption:{code}; locks and idempotency keys share the prefix
+            if (key.split(':').length !== 2) continue;
             const redemption = await kv.hgetall(key);
             if (redemption && redemption.rewardId === rewardId) {
               redemptionCount++;
@@ -95,7 +157,7 @@ async function handleGetRewards(req, res, rewardId) {
       return respond(res, 200, {
         ...reward,
         id: rewardId,
-        availableFor: reward.availableFor ? JSON.parse(reward.availableFor) : [],
+        ...readLists(reward),
         statistics: {
           redemptions: redemptionCount,
           totalPointsSpent
@@ -103,87 +165,25 @@ async function handleGetRewards(req, res, rewardId) {
       });
     }
 
-    // Get all rewards - always use keys pattern for reliability
-    let rewardIds = [];
-    
-    try {
-      // Try to get all reward keys directly
-      const allKeys = await kv.keys('reward*');
-      console.log('Found all reward keys:', allKeys);
-      
-      if (allKeys && Array.isArray(allKeys)) {
-        // First try simple keys
-        const simpleKeys = allKeys.filter(key => key.startsWith('reward_simple:'));
-        if (simpleKeys.length > 0) {
-          console.log('Found simple keys:', simpleKeys);
-          rewardIds = simpleKeys.map(key => key.replace('reward_simple:', ''));
-        } else {
-          // Fall back to hash keys
-          const hashKeys = allKeys.filter(key => {
-            const parts = key.split(':');
-            return parts.length === 2 && parts[0] === 'reward';
-          });
-          if (hashKeys.length > 0) {
-            rewardIds = hashKeys.map(key => key.split(':')[1]);
-          }
-        }
-        
-        console.log('Extracted reward IDs:', rewardIds);
-      }
-    } catch (err) {
-      console.error('Failed to fetch reward keys:', err);
-      
-      // Try the set as a fallback
-      try {
-        const setIds = await kv.smembers('rewards');
-        if (setIds && setIds.length > 0) {
-          rewardIds = setIds;
-          console.log('Got IDs from set:', rewardIds);
-        }
-      } catch (setErr) {
-        console.error('Failed to fetch from set:', setErr);
-      }
-    }
-    
+    // Rewards are reward:{id} hashes indexed by the rewards set
+    const rewardIds = await kv.smembers('rewards') || [];
     const rewards = [];
 
     for (const id of rewardIds) {
       try {
-        // First try to get from simple storage
-        let reward = null;
-        let isSimple = false;
-        
-        try {
-          const simpleData = await kv.get(`reward_simple:${id}`);
-          if (simpleData) {
-            reward = typeof simpleData === 'string' ? JSON.parse(simpleData) : simpleData;
-            isSimple = true;
-            console.log(`Got reward ${id} from simple storage`);
-          }
-        } catch (simpleErr) {
-          console.log(`No simple data for ${id}`);
-        }
-        
-        // If not found in simple, try hash
-        if (!reward) {
-          reward = await kv.hgetall(`reward:${id}`);
-          console.log(`Got reward ${id} from hash storage`);
-        }
-        
-        if (reward && (reward.name || reward.id)) { // Check if reward has data
-          if (isSimple) {
-            // Simple format already has the right structure
-            rewards.push(reward);
-          } else {
-            // Hash format needs processing
-            rewards.push({
-              id,
-              ...reward,
-              availableFor: reward.availableFor ? JSON.parse(reward.availableFor) : [],
-              pointsCost: parseInt(reward.pointsCost) || 0,
-              stock: reward.stock ? parseInt(reward.stock) : null
-            });
-          }
+        const reward = await kv.hgetall(`reward:${id}`);
+        if (reward && reward.name) {
+          rewards.push({
+            id,
+            ...reward,
+            ...readLists(reward),
+            pointsCost: parseInt(reward.pointsCost) || 0,
+            stock: readLimit(reward.stock),
+            maxPerCustomer: readLimit(reward.maxPerCustomer),
+            maxPerPeriod: readLimit(reward.maxPerPeriod),
+            period: reward.period || null,
+            minVisits: readLimit(reward.minVisits)
+          });
         }
       } catch (err) {
         console.error(`Failed to fetch reward ${id}:`, err);
@@ -219,6 +219,10 @@ async function handleCreateReward(req, res) {
         details: validation.error.flatten()
       });
     }
+    const invalid = ruleErrors(validation.data, await tierIds());
+    if (invalid) {
+      return respond(res, 400, { error: 'Validation failed', details: invalid });
+    }
 
     const data = validation.data;
     const rewardId = `reward-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
@@ -228,10 +232,15 @@ async function handleCreateReward(req, res) {
       description: data.description,
       pointsCost: data.pointsCost,
       category: data.category,
-      availableFor: JSON.stringify(data.availableFor || []),
-      stock: data.stock || null,
+      stock: '',
+      maxPerCustomer: '',
+      maxPerPeriod: '',
+      period: '',
+      minVisits: '',
+      ...limitFields(data),
       imageUrl: data.imageUrl || '',
       redemptionInstructions: data.redemptionInstructions || '',
+      validFrom: data.validFrom || '',
       validUntil: data.validUntil || '',
       status: 'active',
       createdAt: new Date().toISOString(),
@@ -242,7 +251,6 @@ async function handleCreateReward(req, res) {
     console.log('Saving reward with ID:', rewardId);
     console.log('Reward data:', reward);
     
-    // Try multiple approaches to ensure storage
     try {
       // Save the reward data
       await kv.hset(`reward:${rewardId}`, reward);
@@ -251,14 +259,6 @@ async function handleCreateReward(req, res) {
       // Add to the rewards set
       await kv.sadd('rewards', rewardId);
       console.log('Added to rewards set');
-      
-      // Also save a simple key-value pair as backup
-      await kv.set(`reward_simple:${rewardId}`, JSON.stringify({
-        id: rewardId,
-        ...reward,
-        availableFor: data.availableFor || []
-      }));
-      console.log('Saved simple backup');
     } catch (saveError) {
       console.error('Error saving reward:', saveError);
       throw saveError;
@@ -271,13 +271,15 @@ async function handleCreateReward(req, res) {
       }
     }
 
+    await recordAudit(req, { action: 'reward.create', target: `reward:${rewardId}`, after: reward });
+
     return respond(res, 201, {
       success: true,
       message: 'Reward created successfully',
       reward: {
         id: rewardId,
         ...reward,
-        availableFor: data.availableFor || []
+        ...readLists(reward)
       }
     });
 
@@ -308,21 +310,25 @@ async function handleUpdateReward(req, res, rewardId) {
     }
 
     const updates = validation.data;
-    
+
     // Prepare updated data
     const updatedReward = {
       ...existing,
       ...updates,
-      availableFor: updates.availableFor ? JSON.stringify(updates.availableFor) : existing.availableFor,
+      ...limitFields(updates),
       updatedAt: new Date().toISOString()
     };
+    const invalid = ruleErrors(updatedReward, updates.tiers ? await tierIds() : null);
+    if (invalid) {
+      return respond(res, 400, { error: 'Validation failed', details: invalid });
+    }
 
     // Update reward
     await kv.hset(`reward:${rewardId}`, updatedReward);
 
     // Update partner associations if availableFor changed
     if (updates.availableFor) {
-      const oldPartners = existing.availableFor ? JSON.parse(existing.availableFor) : [];
+      const oldPartners = parseList(existing.availableFor);
       const newPartners = updates.availableFor;
 
       // Remove from old partners
@@ -340,13 +346,20 @@ async function handleUpdateReward(req, res, rewardId) {
       }
     }
 
+    await recordAudit(req, {
+      action: 'reward.update',
+      target: `reward:${rewardId}`,
+      before: existing,
+      after: updatedReward
+    });
+
     return respond(res, 200, {
       success: true,
       message: 'Reward updated successfully',
       reward: {
         id: rewardId,
         ...updatedReward,
-        availableFor: updates.availableFor || JSON.parse(existing.availableFor || '[]')
+        ...readLists(updatedReward)
       }
     });
 
@@ -367,18 +380,26 @@ async function handleDeleteReward(req, res, rewardId) {
   }
 
   // Soft delete - just mark as inactive
-  await kv.hset(`reward:${rewardId}`, {
+  const deleted = {
     ...existing,
     status: 'inactive',
     deletedAt: new Date().toISOString()
-  });
+  };
+  await kv.hset(`reward:${rewardId}`, deleted);
 
   // Remove from partner associations
-  const partners = existing.availableFor ? JSON.parse(existing.availableFor) : [];
+  const partners = parseList(existing.availableFor);
   for (const partnerId of partners) {
     await kv.srem(`partner:rewards:${partnerId}`, rewardId);
   }
 
+  await recordAudit(req, {
+    action: 'reward.delete',
+    target: `reward:${rewardId}`,
+    before: existing,
+    after: deleted
+  });
+
   return respond(res, 200, {
     success: true,
     message: 'Reward deleted successfully',
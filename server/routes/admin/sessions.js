@@ -0,0 +1,91 @@
+import {
+  listSessions,
+  revokeAllSessions,
+  revokeSession,
+} from "../../../lib/sessions.js";
+import { recordAudit } from "../../../lib/audit.js";
+
+const ALLOWED_ORIGIN =
+  process.env.ALLOWED_ORIGIN || process.env.DASHBOARD_BASE_URL || "";
+
+function setCors(res) {
+  if (ALLOWED_ORIGIN) {
+    res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  }
+  res.setHeader("Access-Control-Allow-Methods", "GET, DELETE, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, x-admin-secret"
+  );
+}
+
+function respond(res, status, payload) {
+  return res.status(status).json(payload);
+}
+
+function normalize(str) {
+  return String(str || "").trim().toLowerCase();
+}
+
+async function handleList(req, res, email) {
+  const items = await listSessions(email);
+  return respond(res, 200, { email, items });
+}
+
+async function handleRevoke(req, res, email) {
+  const { sessionId } = req.query;
+  if (!sessionId) {
+    const revoked = await revokeAllSessions(email);
+    await recordAudit(req, {
+      action: "session.revoke_all",
+      target: `sessions:${email}`,
+      metadata: { revoked },
+    });
+    return respond(res, 200, { success: true, email, revoked });
+  }
+
+  const sessions = await listSessions(email);
+  if (!sessions.some((session) => session.id === sessionId)) {
+    return respond(res, 404, { error: "Session not found" });
+  }
+  await revokeSession(sessionId);
+  await recordAudit(req, {
+    action: "session.revoke",
+    target: `session:${sessionId}`,
+    metadata: { email },
+  });
+  return respond(res, 200, { success: true, email, revoked: 1 });
+}
+
+/**
+ * GET    /api/admin/accounts/{email}/sessions        - list open sessions
+ * DELETE /api/admin/accounts/{email}/sessions        - revoke all of them
+ * DELETE /api/admin/accounts/{email}/sessions/{sid}  - revoke one
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  const email = normalize(req.query.email);
+  if (!email) {
+    return respond(res, 400, { error: "email is required" });
+  }
+
+  try {
+    if (req.method === "GET") {
+      return await handleList(req, res, email);
+    }
+
+    if (req.method === "DELETE") {
+      return await handleRevoke(req, res, email);
+    }
+  } catch (err) {
+    console.error("admin sessions error", err);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+
+  return respond(res, 405, { error: "Method Not Allowed" });
+}
@@ -0,0 +1,77 @@
+import { z } from "zod";
+import {
+  evaluateCustomerTier,
+  loadTierConfig,
+  saveTierConfig,
+  tierConfigSchema,
+} from "../../../lib/loyalty-tiers.js";
+import { recordAudit } from "../../../lib/audit.js";
+
+const ALLOWED_ORIGIN =
+  process.env.ALLOWED_ORIGIN || process.env.DASHBOARD_BASE_URL || "";
+
+function setCors(res) {
+  if (ALLOWED_ORIGIN) {
+    res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  }
+  res.setHeader("Access-Control-Allow-Methods", "GET, PUT, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, x-admin-secret"
+  );
+}
+
+function respond(res, status, payload) {
+  return res.status(status).json(payload);
+}
+
+async function handleGet(req, res) {
+  const email = String(req.query?.email || "").trim().toLowerCase();
+  if (email) {
+    return respond(res, 200, { email, tier: await evaluateCustomerTier(email) });
+  }
+  return respond(res, 200, await loadTierConfig());
+}
+
+async function handleUpdate(req, res) {
+  const parsed = tierConfigSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    return respond(res, 400, { error: "ValidationError", issues: parsed.error.flatten() });
+  }
+
+  const before = await loadTierConfig();
+  const after = await saveTierConfig(parsed.data);
+  await recordAudit(req, {
+    action: "tiers.update",
+    target: "loyalty:tiers",
+    before,
+    after,
+  });
+  return respond(res, 200, after);
+}
+
+/**
+ * GET /api/admin/tiers          - The loyalty tier setup
+ * GET /api/admin/tiers?email=   - A customer's tier, evaluated now
+ * PUT /api/admin/tiers          - Replace the setup ({ qualificationMonths?, tiers })
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === "GET") return await handleGet(req, res);
+    if (req.method === "PUT") return await handleUpdate(req, res);
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return respond(res, 400, { error: "ValidationError", issues: err.flatten() });
+    }
+    console.error("admin tiers error", err);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+
+  return respond(res, 405, { error: "Method Not Allowed" });
+}
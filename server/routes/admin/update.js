@@ -1,5 +1,12 @@
 // api/admin/update.js
-import { kv } from "@vercel/kv";
+import {
+  createBooking,
+  findCustomerBooking,
+  getBooking,
+  reassignBooking,
+  updateBooking,
+} from "../../../lib/bookings.js";
+import { recordAudit } from "../../../lib/audit.js";
 
 const ALLOWED_ORIGIN =
   process.env.ALLOWED_ORIGIN || process.env.DASHBOARD_BASE_URL || "";
@@ -9,56 +16,61 @@ export default async function handler(req, res) {
     res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
   }
   res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type,x-admin-secret");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type,Authorization,x-admin-secret"
+  );
   if (req.method === "OPTIONS") return res.status(200).end();
 
   if (req.method !== "POST") return res.status(405).end();
 
-  const ADMIN_SECRET = process.env.ADMIN_SECRET;
-  const headerSecret = req.headers["x-admin-secret"];
-  if (!ADMIN_SECRET || headerSecret !== ADMIN_SECRET) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
-
-  const { email, payload } = req.body ?? {};
-  if (!email || !payload || typeof payload !== "object") {
-    return res.status(400).json({ error: "Missing email or payload (object)" });
+  const { email, bookingId, payload } = req.body ?? {};
+  if ((!email && !bookingId) || !payload || typeof payload !== "object") {
+    return res
+      .status(400)
+      .json({ error: "Missing email/bookingId or payload (object)" });
   }
 
   try {
-    const normalized = String(email).trim().toLowerCase();
-    const key = `qr:email:${normalized}`;
-
-    // read current record (if any) to get old partner
-    const old = await kv.hgetall(key);
-    let oldPartner = null;
-    if (old && old.payload) {
-      try {
-        oldPartner = JSON.parse(old.payload).partner?.toLowerCase() || null;
-      } catch {}
-    }
+    const normalized = String(email || "").trim().toLowerCase();
+    const newPartner = payload.partner
+      ? String(payload.partner).toLowerCase()
+      : null;
 
-    // write new record (preserve used flag or createdAt if present)
-    await kv.hset(key, {
-      email: normalized,
-      used: old && old.used ? old.used : "false",
-      payload: JSON.stringify(payload),
-      createdAt:
-        old && old.createdAt ? old.createdAt : new Date().toISOString(),
+    // update the addressed booking, or the customer's latest one
+    let booking = await findCustomerBooking({
+      bookingId,
+      email: normalized || undefined,
     });
+    if (!booking && bookingId) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
 
-    // update partner indices
-    if (payload.partner) {
-      const newPartner = String(payload.partner).toLowerCase();
-      await kv.sadd(`partner:${newPartner}`, normalized);
-      await kv.sadd("partners", newPartner);
+    const before = booking;
+    if (!booking) {
+      booking = await createBooking({
+        email: normalized,
+        partnerId: newPartner,
+        payload,
+      });
+    } else {
+      // write new payload (preserve used flag and createdAt)
+      await updateBooking(booking.id, { payload: JSON.stringify(payload) });
 
-      if (oldPartner && oldPartner !== newPartner) {
-        await kv.srem(`partner:${oldPartner}`, normalized);
+      // update partner indices
+      if (newPartner) {
+        booking = await reassignBooking(booking, newPartner);
       }
     }
 
-    return res.status(200).json({ ok: true });
+    await recordAudit(req, {
+      action: before ? "booking.update" : "booking.create",
+      target: `booking:${booking.id}`,
+      before,
+      after: await getBooking(booking.id),
+    });
+
+    return res.status(200).json({ ok: true, bookingId: booking.id });
   } catch (e) {
     console.error("admin update error:", e);
     return res.status(500).json({ error: "server error" });
@@ -0,0 +1,94 @@
+import { z } from "zod";
+import { createSession, requestContext } from "../../../lib/sessions.js";
+import {
+  requestCustomerLogin,
+  verifyCustomerLogin,
+} from "../../../lib/customer-auth.js";
+
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
+
+const loginSchema = z.object({
+  email: z.string().email(),
+});
+
+const verifySchema = z.union([
+  z.object({ token: z.string().min(10, "Login token is required") }),
+  z.object({
+    email: z.string().email(),
+    code: z.string().regex(/^\d{6}$/, "The code has 6 digits"),
+  }),
+]);
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+}
+
+function respond(res, status, payload) {
+  return res.status(status).json(payload);
+}
+
+async function handleLogin(req, res) {
+  const { email } = loginSchema.parse(req.body ?? {});
+  await requestCustomerLogin(email);
+  return respond(res, 200, {
+    success: true,
+    message: "A login link and code have been sent",
+  });
+}
+
+async function handleVerify(req, res) {
+  const payload = verifySchema.parse(req.body ?? {});
+  try {
+    const email = await verifyCustomerLogin(payload);
+    const session = await createSession({ email, role: "customer" }, requestContext(req));
+    return respond(res, 200, {
+      token: session.token,
+      refreshToken: session.refreshToken,
+      customer: { email },
+      expiresIn: session.expiresIn,
+      refreshExpiresAt: session.refreshExpiresAt,
+    });
+  } catch (err) {
+    if (err.code === "INVALID_LOGIN_CODE") {
+      return respond(res, 401, { error: err.message });
+    }
+    throw err;
+  }
+}
+
+/**
+ * POST /api/auth/customer/login   - email a login link and code ({ email })
+ * POST /api/auth/customer/verify  - log in ({ token } or { email, code })
+ *
+ * Customer sessions refresh and log out through auth/refresh and auth/logout.
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    return respond(res, 405, { error: "Method Not Allowed" });
+  }
+
+  try {
+    const { action } = req.query;
+    if (action === "login") return await handleLogin(req, res);
+    if (action === "verify") return await handleVerify(req, res);
+    return respond(res, 404, { error: "Not found" });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return respond(res, 400, {
+        error: "ValidationError",
+        issues: err.flatten(),
+      });
+    }
+
+    console.error("auth/customer error", err);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+}
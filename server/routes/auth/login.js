@@ -1,15 +1,41 @@
-import { kv } from "@vercel/kv";
+import { kv } from "../../../lib/storage.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import { z } from "zod";
+import { createSession, requestContext } from "../../../lib/sessions.js";
+import { readMemberships } from "../../../lib/memberships.js";
+import { recordLogin } from "../../../lib/accounts.js";
+import {
+  clearLoginFailures,
+  getLockout,
+  recordLoginFailure,
+} from "../../../lib/rate-limit.js";
+import {
+  closeLoginChallenge,
+  confirmEnrollment,
+  createLoginChallenge,
+  failLoginChallenge,
+  isTwoFactorEnabled,
+  isTwoFactorRequired,
+  readLoginChallenge,
+  startEnrollment,
+  verifyTwoFactorCode,
+} from "../../../lib/two-factor.js";
+import { recordAudit } from "../../../lib/audit.js";
 
 const loginSchema = z.object({
   email: z.string().email("Email is required"),
   password: z.string().min(6, "Password is required"),
 });
 
+const challengeSchema = z.object({
+  challengeToken: z.string().min(10, "challengeToken is required"),
+});
+
+const codeSchema = challengeSchema.extend({
+  code: z.string().trim().min(6, "code is required").max(20),
+});
+
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "12h";
 const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
 
 function setCors(res) {
@@ -25,6 +51,14 @@ function respond(res, status, payload) {
   return res.status(status).json(payload);
 }
 
+function respondLocked(res, lockout) {
+  res.setHeader("Retry-After", String(lockout.retryAfter));
+  return respond(res, 429, {
+    error: "Too many failed logins, try again later",
+    retryAfter: lockout.retryAfter,
+  });
+}
+
 async function getUser(email) {
   const key = `partnerUser:${email}`;
   const record = await kv.hgetall(key);
@@ -37,10 +71,180 @@ async function getUser(email) {
     passwordHash: record.passwordHash,
     partnerId: record.partnerId,
     role: record.role || "partner",
+    memberships: readMemberships(record),
     name: record.name || null,
+    disabled: Boolean(record.disabledAt),
+    twoFactorEnabled: isTwoFactorEnabled(record),
+    twoFactorRequired: isTwoFactorRequired(record),
   };
 }
 
+async function openSession(req, res, user, extra = {}) {
+  const context = requestContext(req);
+  const session = await createSession(user, context);
+  await recordLogin(user.email, context);
+
+  return respond(res, 200, {
+    token: session.token,
+    refreshToken: session.refreshToken,
+    user: {
+      email: user.email,
+      role: user.role,
+      partnerId: user.partnerId,
+      partners: user.memberships,
+      name: user.name,
+    },
+    expiresIn: session.expiresIn,
+    refreshExpiresAt: session.refreshExpiresAt,
+    ...extra,
+  });
+}
+
+function respondChallengeError(res, err) {
+  if (err.code === "INVALID_TWO_FACTOR_CHALLENGE") {
+    return respond(res, 401, { error: err.message });
+  }
+  throw err;
+}
+
+async function handlePassword(req, res) {
+  const payload = loginSchema.parse(req.body ?? {});
+  const email = payload.email.toLowerCase();
+
+  const lockout = await getLockout(email);
+  if (lockout) {
+    return respondLocked(res, lockout);
+  }
+
+  const user = await getUser(email);
+  const validPassword =
+    user?.passwordHash &&
+    (await bcrypt.compare(payload.password, user.passwordHash));
+
+  // Unknown accounts count failures too, so lockouts do not reveal them
+  if (!validPassword) {
+    const locked = await recordLoginFailure(email);
+    if (locked) {
+      return respondLocked(res, locked);
+    }
+    return respond(res, 401, { error: "Invalid credentials" });
+  }
+
+  await clearLoginFailures(email);
+
+  // Only after the password check, so guessing does not reveal the state
+  if (user.disabled) {
+    return respond(res, 403, { error: "Account disabled" });
+  }
+
+  // The password alone opens no session: a code (or enrollment) comes next
+  if (user.twoFactorEnabled) {
+    const challenge = await createLoginChallenge(email, "verify");
+    return respond(res, 200, { twoFactorRequired: true, ...challenge });
+  }
+  if (user.twoFactorRequired) {
+    const challenge = await createLoginChallenge(email, "enroll");
+    return respond(res, 200, { twoFactorSetupRequired: true, ...challenge });
+  }
+
+  return openSession(req, res, user);
+}
+
+async function handleTwoFactor(req, res) {
+  const { challengeToken, code } = codeSchema.parse(req.body ?? {});
+  let email;
+  try {
+    ({ email } = await readLoginChallenge(challengeToken, "verify"));
+  } catch (err) {
+    return respondChallengeError(res, err);
+  }
+
+  const lockout = await getLockout(email);
+  if (lockout) {
+    return respondLocked(res, lockout);
+  }
+
+  const method = await verifyTwoFactorCode(email, code);
+  if (!method) {
+    await failLoginChallenge(challengeToken);
+    const locked = await recordLoginFailure(email);
+    if (locked) {
+      await closeLoginChallenge(challengeToken);
+      return respondLocked(res, locked);
+    }
+    return respond(res, 401, { error: "Invalid two-factor code" });
+  }
+
+  await closeLoginChallenge(challengeToken);
+  await clearLoginFailures(email);
+
+  const user = await getUser(email);
+  if (!user || user.disabled) {
+    return respond(res, 403, { error: "Account disabled" });
+  }
+  if (method === "recovery") {
+    await recordAudit(req, {
+      action: "account.2fa_recovery_code_used",
+      target: `partnerUser:${email}`,
+      actor: { type: user.role, via: "password", email },
+    });
+  }
+  return openSession(req, res, user);
+}
+
+// Admins who must use two-factor set it up before their first session
+async function handleEnrollStart(req, res) {
+  const { challengeToken } = challengeSchema.parse(req.body ?? {});
+  try {
+    const { email } = await readLoginChallenge(challengeToken, "enroll");
+    return respond(res, 200, await startEnrollment(email));
+  } catch (err) {
+    return respondChallengeError(res, err);
+  }
+}
+
+async function handleEnrollConfirm(req, res) {
+  const { challengeToken, code } = codeSchema.parse(req.body ?? {});
+  let email;
+  try {
+    ({ email } = await readLoginChallenge(challengeToken, "enroll"));
+  } catch (err) {
+    return respondChallengeError(res, err);
+  }
+
+  let recoveryCodes;
+  try {
+    ({ recoveryCodes } = await confirmEnrollment(email, code));
+  } catch (err) {
+    if (err.code === "INVALID_TWO_FACTOR_CODE" || err.code === "TWO_FACTOR_NOT_STARTED") {
+      await failLoginChallenge(challengeToken);
+      return respond(res, 400, { error: err.message });
+    }
+    throw err;
+  }
+
+  await closeLoginChallenge(challengeToken);
+  const user = await getUser(email);
+  await recordAudit(req, {
+    action: "account.2fa_enable",
+    target: `partnerUser:${email}`,
+    actor: { type: user.role, via: "password", email },
+  });
+  return openSession(req, res, user, { recoveryCodes });
+}
+
+/**
+ * POST /api/auth/login                  - password ({ email, password })
+ * POST /api/auth/login/2fa              - second step ({ challengeToken, code });
+ *                                         `code` may be a recovery code
+ * POST /api/auth/login/2fa/setup        - enrollment for admins who must use
+ *                                         two-factor ({ challengeToken })
+ * POST /api/auth/login/2fa/confirm      - first code; opens the session and
+ *                                         returns recovery codes
+ *
+ * Accounts without two-factor get their session from the password step;
+ * the others get `{ twoFactorRequired | twoFactorSetupRequired, challengeToken }`.
+ */
 export default async function handler(req, res) {
   setCors(res);
 
@@ -58,46 +262,12 @@ export default async function handler(req, res) {
   }
 
   try {
-    const payload = loginSchema.parse(req.body ?? {});
-    const email = payload.email.toLowerCase();
-    const user = await getUser(email);
-
-    if (!user || !user.passwordHash) {
-      return respond(res, 401, { error: "Invalid credentials" });
-    }
-
-    const validPassword = await bcrypt.compare(
-      payload.password,
-      user.passwordHash
-    );
-
-    if (!validPassword) {
-      return respond(res, 401, { error: "Invalid credentials" });
-    }
-
-    const token = jwt.sign(
-      {
-        sub: user.email,
-        partnerId: user.partnerId,
-        role: user.role,
-        name: user.name || undefined,
-      },
-      JWT_SECRET,
-      {
-        expiresIn: JWT_EXPIRES_IN,
-      }
-    );
-
-    return respond(res, 200, {
-      token,
-      user: {
-        email: user.email,
-        role: user.role,
-        partnerId: user.partnerId,
-        name: user.name,
-      },
-      expiresIn: JWT_EXPIRES_IN,
-    });
+    const { action } = req.query ?? {};
+    if (!action) return await handlePassword(req, res);
+    if (action === "2fa") return await handleTwoFactor(req, res);
+    if (action === "2fa-setup") return await handleEnrollStart(req, res);
+    if (action === "2fa-confirm") return await handleEnrollConfirm(req, res);
+    return respond(res, 404, { error: "Not found" });
   } catch (err) {
     if (err instanceof z.ZodError) {
       return respond(res, 400, {
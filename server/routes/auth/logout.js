@@ -0,0 +1,79 @@
+import { z } from "zod";
+import {
+  findRefreshSession,
+  revokeAllSessions,
+  revokeSession,
+} from "../../../lib/sessions.js";
+
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
+
+const logoutSchema = z.object({
+  refreshToken: z.string().min(1).optional(),
+});
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+}
+
+function respond(res, status, payload) {
+  return res.status(status).json(payload);
+}
+
+/**
+ * POST /api/auth/logout      - close the current session
+ * POST /api/auth/logout-all  - close every session of the logged-in user
+ *
+ * Logout identifies the session by the bearer token or, once the access token
+ * has expired, by the refresh token in the body.
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    return respond(res, 405, { error: "Method Not Allowed" });
+  }
+
+  try {
+    if (req.query.action === "all") {
+      const email = req.auth?.email;
+      if (!email) {
+        return respond(res, 400, { error: "Only user logins have sessions" });
+      }
+      const revoked = await revokeAllSessions(email);
+      return respond(res, 200, { success: true, revoked });
+    }
+
+    const { refreshToken } = logoutSchema.parse(req.body ?? {});
+    let sessionId = req.auth?.sessionId || null;
+    if (!sessionId && refreshToken) {
+      try {
+        sessionId = (await findRefreshSession(refreshToken))?.id || null;
+      } catch (err) {
+        if (err.code !== "INVALID_REFRESH_TOKEN") throw err;
+      }
+    }
+
+    if (!sessionId) {
+      return respond(res, 401, { error: "No session to log out of" });
+    }
+
+    await revokeSession(sessionId);
+    return respond(res, 200, { success: true });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return respond(res, 400, {
+        error: "ValidationError",
+        issues: err.flatten(),
+      });
+    }
+
+    console.error("auth/logout error", err);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+}
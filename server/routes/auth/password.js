@@ -0,0 +1,122 @@
+import { z } from "zod";
+import {
+  changePassword,
+  passwordSchema,
+  requestPasswordReset,
+  resetPassword,
+} from "../../../lib/passwords.js";
+import { recordAudit } from "../../../lib/audit.js";
+
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
+
+const forgotSchema = z.object({
+  email: z.string().email(),
+});
+
+const resetSchema = z.object({
+  token: z.string().min(10, "Reset token is required"),
+  password: passwordSchema,
+});
+
+const changeSchema = z.object({
+  currentPassword: z.string().min(1, "Current password is required"),
+  newPassword: passwordSchema,
+});
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+}
+
+function respond(res, status, payload) {
+  return res.status(status).json(payload);
+}
+
+async function handleForgot(req, res) {
+  const { email } = forgotSchema.parse(req.body ?? {});
+  await requestPasswordReset(email);
+  // Same answer whether or not the account exists
+  return respond(res, 200, {
+    success: true,
+    message: "If the account exists, a reset link has been sent",
+  });
+}
+
+async function handleReset(req, res) {
+  const { token, password } = resetSchema.parse(req.body ?? {});
+  try {
+    const email = await resetPassword(token, password);
+    await recordAudit(req, {
+      action: "account.password_reset",
+      target: `partnerUser:${email}`,
+      actor: { type: "account", via: "resetToken", email },
+    });
+    return respond(res, 200, { success: true, email });
+  } catch (err) {
+    if (err.code === "INVALID_RESET_TOKEN") {
+      return respond(res, 400, { error: err.message });
+    }
+    throw err;
+  }
+}
+
+async function handleChange(req, res) {
+  const email = req.auth?.email;
+  if (!email) {
+    return respond(res, 400, { error: "Only user logins have a password" });
+  }
+
+  const { currentPassword, newPassword } = changeSchema.parse(req.body ?? {});
+  try {
+    const revokedSessions = await changePassword(email, currentPassword, newPassword, {
+      sessionId: req.auth.sessionId,
+    });
+    await recordAudit(req, {
+      action: "account.password_change",
+      target: `partnerUser:${email}`,
+      metadata: { revokedSessions },
+    });
+    return respond(res, 200, { success: true, revokedSessions });
+  } catch (err) {
+    if (err.code === "INVALID_PASSWORD") {
+      return respond(res, 400, { error: err.message });
+    }
+    throw err;
+  }
+}
+
+/**
+ * POST /api/auth/forgot-password  - email a reset link ({ email })
+ * POST /api/auth/reset-password   - set a new password ({ token, password })
+ * POST /api/auth/change-password  - logged in ({ currentPassword, newPassword })
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    return respond(res, 405, { error: "Method Not Allowed" });
+  }
+
+  try {
+    const { action } = req.query;
+    if (action === "forgot") return await handleForgot(req, res);
+    if (action === "reset") return await handleReset(req, res);
+    if (action === "change") return await handleChange(req, res);
+    return respond(res, 404, { error: "Not found" });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return respond(res, 400, {
+        error: "ValidationError",
+        issues: err.flatten(),
+      });
+    }
+
+    console.error("auth/password error", err);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+}
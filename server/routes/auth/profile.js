@@ -1,9 +1,8 @@
-import jwt from "jsonwebtoken";
-import { z } from "zod";
-import { kv } from "@vercel/kv";
+import { kv } from "../../../lib/storage.js";
+import { ROLE_PERMISSIONS, readMemberships } from "../../../lib/memberships.js";
+import { twoFactorStatus } from "../../../lib/two-factor.js";
 
 const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
-const JWT_SECRET = process.env.JWT_SECRET;
 
 function setCors(res) {
   res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
@@ -22,17 +21,12 @@ async function loadUser(email) {
     email: String(data.email).toLowerCase(),
     partnerId: data.partnerId,
     role: data.role || "partner",
+    partners: readMemberships(data),
     name: data.name || null,
+    twoFactor: twoFactorStatus(data),
   };
 }
 
-const tokenSchema = z.object({
-  authorization: z
-    .string()
-    .startsWith("Bearer ", { message: "Missing bearer token" })
-    .transform((value) => value.slice(7).trim()),
-});
-
 export default async function handler(req, res) {
   setCors(res);
 
@@ -44,16 +38,9 @@ export default async function handler(req, res) {
     return respond(res, 405, { error: "Method Not Allowed" });
   }
 
-  if (!JWT_SECRET) {
-    console.error("JWT_SECRET is not configured");
-    return respond(res, 500, { error: "Server configuration error" });
-  }
-
   try {
-    const { authorization } = tokenSchema.parse(req.headers);
-
-    const payload = jwt.verify(authorization, JWT_SECRET);
-    const email = String(payload.sub || "").toLowerCase();
+    // The router has verified the token and its session
+    const email = req.auth?.email;
 
     if (!email) {
       return respond(res, 401, { error: "Invalid token" });
@@ -64,18 +51,19 @@ export default async function handler(req, res) {
       return respond(res, 401, { error: "Invalid token" });
     }
 
+    const permissions = Object.fromEntries(
+      Object.entries(user.partners).map(([partnerId, role]) => [
+        partnerId,
+        ROLE_PERMISSIONS[role],
+      ])
+    );
+
     return respond(res, 200, {
       user,
+      permissions,
     });
   } catch (err) {
-    if (err instanceof z.ZodError) {
-      return respond(res, 401, {
-        error: "Invalid token",
-        details: err.flatten(),
-      });
-    }
-
     console.error("auth/profile error", err);
-    return respond(res, 401, { error: "Invalid token" });
+    return respond(res, 500, { error: "Internal server error" });
   }
 }
@@ -0,0 +1,60 @@
+import { z } from "zod";
+import { refreshSession, requestContext } from "../../../lib/sessions.js";
+
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
+
+const refreshSchema = z.object({
+  refreshToken: z.string().min(1, "refreshToken is required"),
+});
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+}
+
+function respond(res, status, payload) {
+  return res.status(status).json(payload);
+}
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token. The refresh token is
+ * rotated: the one sent is spent and a new one is returned.
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    return respond(res, 405, { error: "Method Not Allowed" });
+  }
+
+  try {
+    const { refreshToken } = refreshSchema.parse(req.body ?? {});
+    const session = await refreshSession(refreshToken, requestContext(req));
+
+    return respond(res, 200, {
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      refreshExpiresAt: session.refreshExpiresAt,
+    });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return respond(res, 400, {
+        error: "ValidationError",
+        issues: err.flatten(),
+      });
+    }
+    if (["INVALID_REFRESH_TOKEN", "REFRESH_TOKEN_REUSED", "ACCOUNT_DISABLED"].includes(err.code)) {
+      return respond(res, 401, { error: err.message });
+    }
+
+    console.error("auth/refresh error", err);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+}
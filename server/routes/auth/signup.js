@@ -1,15 +1,18 @@
-import { kv } from "@vercel/kv";
+import { kv } from "../../../lib/storage.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import { z } from "zod";
+import { createSession, requestContext } from "../../../lib/sessions.js";
+import { hashPassword, passwordSchema } from "../../../lib/passwords.js";
+import { addMembership, readMemberships } from "../../../lib/memberships.js";
+import { recordLogin } from "../../../lib/accounts.js";
+import { recordAudit } from "../../../lib/audit.js";
 
 const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "12h";
 
 const signupSchema = z.object({
   email: z.string().email(),
-  password: z.string().min(8, "Password must be at least 8 characters"),
+  password: passwordSchema,
   token: z.string().min(10, "Invite token is required"),
   name: z.string().min(1).max(120).optional(),
 });
@@ -61,7 +64,7 @@ export default async function handler(req, res) {
       return respond(res, 400, { error: "Invalid or expired invite" });
     }
 
-    if (invite.used === "true") {
+    if (String(invite.used) === "true") {
       return respond(res, 400, { error: "Invite already used" });
     }
 
@@ -77,50 +80,87 @@ export default async function handler(req, res) {
 
     const userKey = `partnerUser:${email}`;
     const existing = await kv.hgetall(userKey);
-    if (existing && existing.email) {
-      return respond(res, 409, { error: "Account already exists" });
-    }
-
-    const passwordHash = await bcrypt.hash(payload.password, 12);
-    const partnerId = invite.partnerId;
     const role = invite.role || "partner";
+    const staffRole = invite.staffRole || "owner";
     const name = payload.name || invite.name || "";
+    let user;
 
-    await kv.hset(userKey, {
-      email,
-      passwordHash,
-      partnerId,
-      role,
-      name,
-      createdAt: new Date().toISOString(),
-    });
+    if (existing && existing.email) {
+      // Staff of one partner can join another with the login they already have
+      if (role !== "partner" || existing.role === "admin") {
+        return respond(res, 409, { error: "Account already exists" });
+      }
+      if (existing.disabledAt) {
+        return respond(res, 403, { error: "Account disabled" });
+      }
+      const passwordOk =
+        existing.passwordHash &&
+        (await bcrypt.compare(payload.password, existing.passwordHash));
+      if (!passwordOk) {
+        return respond(res, 409, {
+          error: "Account already exists; sign up with its current password to accept the invite",
+        });
+      }
+      const memberships = await addMembership(email, invite.partnerId, staffRole);
+      user = {
+        email,
+        partnerId: normalize(existing.partnerId) || invite.partnerId,
+        role: existing.role || "partner",
+        name: existing.name || name,
+        memberships,
+      };
+    } else {
+      const passwordHash = await hashPassword(payload.password);
+      const memberships = role === "admin" ? {} : { [invite.partnerId]: staffRole };
+      user = {
+        email,
+        partnerId: invite.partnerId,
+        role,
+        name,
+        memberships,
+      };
+
+      await kv.hset(userKey, {
+        email,
+        passwordHash,
+        partnerId: user.partnerId,
+        role,
+        name,
+        memberships: JSON.stringify(memberships),
+        createdAt: new Date().toISOString(),
+      });
+      await kv.sadd("partnerUsers", email);
+    }
 
-    await kv.sadd("partnerUsers", email);
     await kv.hset(inviteKey, {
       used: "true",
       usedAt: new Date().toISOString(),
     });
+    await recordAudit(req, {
+      action: existing?.email ? "account.join" : "account.create",
+      target: userKey,
+      before: existing?.email ? existing : null,
+      after: await kv.hgetall(userKey),
+      actor: { type: user.role, via: "invite", email },
+      metadata: { invitedBy: invite.invitedBy || null, partnerId: invite.partnerId || null },
+    });
 
-    const token = jwt.sign(
-      {
-        sub: email,
-        partnerId,
-        role,
-        name: name || undefined,
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    const context = requestContext(req);
+    const session = await createSession(user, context);
+    await recordLogin(email, context);
 
     return respond(res, 200, {
-      token,
+      token: session.token,
+      refreshToken: session.refreshToken,
       user: {
         email,
-        partnerId,
-        role,
-        name,
+        partnerId: user.partnerId,
+        role: user.role,
+        name: user.name,
+        partners: readMemberships(user),
       },
-      expiresIn: JWT_EXPIRES_IN,
+      expiresIn: session.expiresIn,
+      refreshExpiresAt: session.refreshExpiresAt,
     });
   } catch (err) {
     if (err instanceof z.ZodError) {
@@ -0,0 +1,126 @@
+import { z } from "zod";
+import { kv } from "../../../lib/storage.js";
+import {
+  confirmEnrollment,
+  disableTwoFactor,
+  isTwoFactorRequired,
+  regenerateRecoveryCodes,
+  startEnrollment,
+  twoFactorStatus,
+  verifyTwoFactorCode,
+} from "../../../lib/two-factor.js";
+import { recordAudit } from "../../../lib/audit.js";
+
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
+
+const codeSchema = z.object({
+  code: z.string().trim().min(6, "code is required").max(20),
+});
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+}
+
+function respond(res, status, payload) {
+  return res.status(status).json(payload);
+}
+
+async function handleStatus(req, res, email) {
+  const record = await kv.hgetall(`partnerUser:${email}`);
+  return respond(res, 200, twoFactorStatus(record));
+}
+
+async function handleSetup(req, res, email) {
+  return respond(res, 200, await startEnrollment(email));
+}
+
+async function handleConfirm(req, res, email) {
+  const { code } = codeSchema.parse(req.body ?? {});
+  const result = await confirmEnrollment(email, code, { keepSessionId: req.auth.sessionId });
+  await recordAudit(req, { action: "account.2fa_enable", target: `partnerUser:${email}` });
+  return respond(res, 200, { success: true, ...result });
+}
+
+// Turning two-factor off or replacing recovery codes takes a current code
+async function checkCode(req, email) {
+  const { code } = codeSchema.parse(req.body ?? {});
+  return Boolean(await verifyTwoFactorCode(email, code));
+}
+
+async function handleDisable(req, res, email) {
+  const record = await kv.hgetall(`partnerUser:${email}`);
+  if (isTwoFactorRequired(record)) {
+    return respond(res, 400, { error: "Two-factor authentication is required for admins" });
+  }
+  if (!(await checkCode(req, email))) {
+    return respond(res, 400, { error: "Invalid two-factor code" });
+  }
+  await disableTwoFactor(email);
+  await recordAudit(req, { action: "account.2fa_disable", target: `partnerUser:${email}` });
+  return respond(res, 200, { success: true });
+}
+
+async function handleRecoveryCodes(req, res, email) {
+  if (!(await checkCode(req, email))) {
+    return respond(res, 400, { error: "Invalid two-factor code" });
+  }
+  const result = await regenerateRecoveryCodes(email);
+  await recordAudit(req, {
+    action: "account.2fa_recovery_codes",
+    target: `partnerUser:${email}`,
+  });
+  return respond(res, 200, { success: true, ...result });
+}
+
+/**
+ * GET  /api/auth/2fa                  - two-factor status of the logged-in account
+ * POST /api/auth/2fa/setup            - new secret and otpauth URI (shown once)
+ * POST /api/auth/2fa/confirm          - turn on with the first code ({ code });
+ *                                       returns recovery codes, logs out other sessions
+ * POST /api/auth/2fa/disable          - turn off ({ code })
+ * POST /api/auth/2fa/recovery-codes   - replace recovery codes ({ code })
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  const email = req.auth?.email;
+  if (!email) {
+    return respond(res, 400, { error: "Only user logins have two-factor authentication" });
+  }
+
+  try {
+    const { action } = req.query ?? {};
+    if (req.method === "GET" && !action) return await handleStatus(req, res, email);
+    if (req.method !== "POST") return respond(res, 405, { error: "Method Not Allowed" });
+    if (action === "setup") return await handleSetup(req, res, email);
+    if (action === "confirm") return await handleConfirm(req, res, email);
+    if (action === "disable") return await handleDisable(req, res, email);
+    if (action === "recovery-codes") return await handleRecoveryCodes(req, res, email);
+    return respond(res, 404, { error: "Not found" });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return respond(res, 400, {
+        error: "ValidationError",
+        issues: err.flatten(),
+      });
+    }
+    if (err.code === "INVALID_TWO_FACTOR_CODE" || err.code === "TWO_FACTOR_NOT_STARTED") {
+      return respond(res, 400, { error: err.message });
+    }
+    if (err.code === "TWO_FACTOR_ENABLED" || err.code === "TWO_FACTOR_DISABLED") {
+      return respond(res, 409, { error: err.message });
+    }
+    if (err.code === "ACCOUNT_NOT_FOUND") {
+      return respond(res, 404, { error: err.message });
+    }
+
+    console.error("auth/2fa error", err);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+}
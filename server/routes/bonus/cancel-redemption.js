@@ -0,0 +1,59 @@
+import { transitionRedemption } from '../../../lib/redemptions.js';
+import { respond, setCors } from '../../../lib/utils.js';
+import { recordAudit } from '../../../lib/audit.js';
+
+/**
+ * POST /api/bonus/redemptions/:code/cancel
+ * Cancel one of the logged-in customer's pending redemptions and get the
+ * points back (admins may cancel any customer's)
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    return respond(res, 405, { error: "Method Not Allowed" });
+  }
+
+  try {
+    const isCustomer = req.auth?.type === 'customer';
+    const { before, after, refunded } = await transitionRedemption(req.query.code, "cancelled", {
+      // Customers can only reach their own codes
+      email: isCustomer ? req.auth.email : undefined,
+      fields: { cancelledBy: isCustomer ? "customer" : "admin" },
+    });
+    await recordAudit(req, {
+      action: "redemption.cancel",
+      target: `redemption:${after.id}`,
+      before,
+      after,
+    });
+
+    return respond(res, 200, {
+      success: true,
+      message: "Redemption cancelled",
+      code: after.id,
+      status: after.status,
+      refundedPoints: refunded,
+    });
+  } catch (error) {
+    if (error.code === "REDEMPTION_NOT_FOUND") {
+      return respond(res, 404, { error: error.message });
+    }
+    if (error.code === "INVALID_TRANSITION") {
+      return respond(res, 409, {
+        error: "Only pending redemptions can be cancelled",
+        currentStatus: error.currentStatus,
+      });
+    }
+    if (error.code === "REDEMPTION_BUSY") {
+      return respond(res, 409, { error: error.message });
+    }
+
+    console.error("Error cancelling redemption:", error);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+}
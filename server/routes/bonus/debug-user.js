@@ -1,4 +1,6 @@
-import { kv } from '@vercel/kv';
+import { kv } from '../../../lib/storage.js';
+import { listCustomerBookings } from '../../../lib/bookings.js';
+import { getBalance, listEntries } from '../../../lib/points-ledger.js';
 import { respond, setCors } from '../../../lib/utils.js';
 
 /**
@@ -27,12 +29,16 @@ export default async function handler(req, res) {
     
     const debug = {
       email: normalizedEmail,
+      bookings: [],
       qrRecords: {},
       partnerMemberships: {},
+      balance: null,
       pointsHistory: [],
       redemptions: []
     };
 
+    debug.bookings = await listCustomerBookings(normalizedEmail);
+
     // Check main QR record
     const mainKey = `qr:email:${normalizedEmail}`;
     const mainRecord = await kv.hgetall(mainKey);
@@ -91,15 +97,9 @@ export default async function handler(req, res) {
       }
     }
 
-    // Get points history
-    const pointsHistory = await kv.lrange(`points:history:${normalizedEmail}`, 0, 10) || [];
-    debug.pointsHistory = pointsHistory.map(item => {
-      try {
-        return typeof item === 'string' ? JSON.parse(item) : item;
-      } catch {
-        return item;
-      }
-    });
+    // Points ledger
+    debug.balance = await getBalance(normalizedEmail);
+    debug.pointsHistory = await listEntries(normalizedEmail, { limit: 10 });
 
     // Get redemptions
     const redemptions = await kv.lrange(`redemptions:${normalizedEmail}`, 0, 10) || [];
@@ -1,11 +1,16 @@
-import { kv } from '@vercel/kv';
+import { redeemReward } from '../../../lib/redemptions.js';
 import { respond, setCors } from '../../../lib/utils.js';
-import { v4 as uuidv4 } from 'uuid';
+import { recordAudit } from '../../../lib/audit.js';
+
+const REJECTED = ["REWARD_UNAVAILABLE", "OUT_OF_STOCK"];
+const CONFLICTS = ["IDEMPOTENCY_CONFLICT", "REDEMPTION_BUSY"];
 
 /**
  * POST /api/bonus/redeem-reward
- * Redeem a reward using user points
- * Body: { email, rewardId }
+ * Redeem a reward using the logged-in customer's points
+ * Body: { rewardId }, plus { email } when an admin redeems for a customer
+ * Header: Idempotency-Key (or body.idempotencyKey) - a retry with the same
+ * key returns the first redemption instead of spending again
  */
 export default async function handler(req, res) {
   setCors(res);
@@ -19,292 +24,93 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { email, rewardId } = req.body;
+    const { rewardId } = req.body;
+    // Customers are scoped to their own email by the router; admins name one
+    const email = req.body.email || (req.auth?.type === 'customer' ? req.auth.email : null);
+    const idempotencyKey = req.headers?.["idempotency-key"] || req.body.idempotencyKey;
 
     if (!email || !rewardId) {
       return respond(res, 400, { error: "Email and rewardId are required" });
     }
-
-    const normalizedEmail = String(email).trim().toLowerCase();
-
-    // Get reward details
-    const reward = await kv.hgetall(`reward:${rewardId}`);
-    if (!reward) {
-      return respond(res, 404, { error: "Reward not found" });
-    }
-
-    if (reward.status !== "active") {
-      return respond(res, 400, { error: "Reward is not available" });
-    }
-
-    const pointsCost = parseInt(reward.pointsCost) || 0;
-
-    // --- Compute user's available points comprehensively (align with user-points-final) ---
-    let totalPointsEarned = 0;
-    let totalPointsRedeemed = 0;
-    const visitedPartners = new Set();
-    const processedKeys = new Set();
-
-    // Base candidates to help discover partner id from QR record
-    const possibleQrKeys = [`qr:email:${normalizedEmail}`, `qr:email:${email}`];
-
-    const discoveredPartners = new Set();
-    for (const qrKey of possibleQrKeys) {
-      try {
-        const rec = await kv.hgetall(qrKey);
-        if (rec && Object.keys(rec).length > 0) {
-          const pid = (rec.partnerId || rec.partner_id || "").toLowerCase();
-          if (pid) discoveredPartners.add(pid);
-        }
-      } catch {}
-    }
-
-    // Load partners set and merge discovered/known ones
-    const allPartners = (await kv.smembers("partners")) || [];
-    const knownPartnerIds = ["osm001", "tx003", "lz001", "lz002", "olo001"];
-    for (const pid of [...knownPartnerIds, ...discoveredPartners]) {
-      if (!allPartners.includes(pid)) allPartners.push(pid);
-    }
-
-    // Helper to parse payload safely and derive points
-    const derivePointsFromRecord = (record, payload) => {
-      if (record.pointsAwarded) return parseInt(record.pointsAwarded);
-      if (payload && payload.estimatedPoints)
-        return parseInt(payload.estimatedPoints);
-      if (payload && payload.totalPrice)
-        return Math.floor(parseFloat(payload.totalPrice) / 100);
-      const ticketType = (payload?.ticket || "Standard").toLowerCase();
-      const numPeople = parseInt(payload?.numPeople) || 1;
-      switch (ticketType) {
-        case "vip":
-          return 50 * numPeople;
-        case "family":
-          return 30 * numPeople;
-        case "group":
-          return 20 * numPeople;
-        default:
-          return 10 * numPeople;
-      }
-    };
-
-    const isVisitedRecord = (record) => {
-      return (
-        record?.visited === "true" ||
-        record?.visited === true ||
-        record?.status === "Visited" ||
-        record?.status === "visited" ||
-        !!record?.visitedAt ||
-        (record?.used === "true" && !!record?.scannedAt)
-      );
-    };
-
-    for (const partnerId of allPartners) {
-      const pidLower = String(partnerId).trim().toLowerCase();
-
-      // Determine if user is associated with this partner
-      const partnerEmailsLower =
-        (await kv.smembers(`partner:${pidLower}`)) || [];
-      const partnerEmailsUpper =
-        (await kv.smembers(`partner:${partnerId.toUpperCase()}`)) || [];
-      const isRegistered =
-        partnerEmailsLower.includes(normalizedEmail) ||
-        partnerEmailsUpper.includes(normalizedEmail) ||
-        partnerEmailsUpper.includes(email);
-
-      // If not registered, still allow if a QR record explicitly ties to this partner
-      if (!isRegistered) {
-        const baseKey = `qr:email:${normalizedEmail}`;
-        const baseRec = await kv.hgetall(baseKey);
-        if (!(baseRec && (baseRec.partnerId || baseRec.partner_id))) {
-          continue;
-        }
-        const recPid = (
-          baseRec.partnerId ||
-          baseRec.partner_id ||
-          ""
-        ).toLowerCase();
-        if (recPid !== pidLower) continue;
-      }
-
-      visitedPartners.add(pidLower);
-
-      const keysToCheck = [
-        `qr:email:${normalizedEmail}`,
-        `qr:${normalizedEmail}:${pidLower}`,
-        `qr:${pidLower}:${normalizedEmail}`,
-      ];
-
-      for (const key of keysToCheck) {
-        if (processedKeys.has(key)) continue;
-        processedKeys.add(key);
-        try {
-          const record = await kv.hgetall(key);
-          if (!record || Object.keys(record).length === 0) continue;
-
-          // Validate ownership by partner when present
-          const recPid = (
-            record.partnerId ||
-            record.partner_id ||
-            ""
-          ).toLowerCase();
-          if (recPid && recPid !== pidLower) continue;
-
-          // Parse payload (handle double JSON)
-          let payload = {};
-          try {
-            if (record.payload) {
-              const first = JSON.parse(record.payload);
-              if (
-                first &&
-                typeof first === "object" &&
-                typeof first.data === "string"
-              ) {
-                try {
-                  payload = JSON.parse(first.data);
-                } catch {
-                  payload = first;
-                }
-              } else {
-                payload = first;
-              }
-            }
-          } catch {
-            try {
-              payload = record.payload ? JSON.parse(record.payload) : {};
-            } catch {
-              payload = {};
-            }
-          }
-
-          if (isVisitedRecord(record)) {
-            totalPointsEarned += derivePointsFromRecord(record, payload);
-          }
-        } catch {}
-      }
-    }
-
-    // Sum prior redemptions from points history
-    const pointsHistory =
-      (await kv.lrange(`points:history:${normalizedEmail}`, 0, -1)) || [];
-    for (const item of pointsHistory) {
-      try {
-        const entry = typeof item === "string" ? JSON.parse(item) : item;
-        if (entry?.type === "redemption" && entry.points) {
-          totalPointsRedeemed += parseInt(entry.points);
-        }
-      } catch {}
+    if (idempotencyKey && String(idempotencyKey).length > 200) {
+      return respond(res, 400, { error: "Idempotency key is too long" });
     }
 
-    const availablePoints = Math.max(
-      0,
-      totalPointsEarned - totalPointsRedeemed
-    );
+    const { redemption, reward, balance, replayed } = await redeemReward({
+      email,
+      rewardId: String(rewardId),
+      idempotencyKey: idempotencyKey ? String(idempotencyKey) : undefined,
+    });
 
-    // Check if user has enough points
-    if (availablePoints < pointsCost) {
-      return respond(res, 400, {
-        error: "Insufficient points",
-        required: pointsCost,
-        available: availablePoints,
+    if (!replayed) {
+      await recordAudit(req, {
+        action: "redemption.create",
+        target: `redemption:${redemption.id}`,
+        after: redemption,
       });
-    }
 
-    // Check if reward is available for user's visited partners
-    let availableFor = [];
-    try {
-      availableFor = reward.availableFor ? JSON.parse(reward.availableFor) : [];
-    } catch {
-      availableFor = [];
-    }
-
-    if (availableFor.length > 0) {
-      const hasEligiblePartner = availableFor.some((p) =>
-        visitedPartners.has(String(p).toLowerCase())
-      );
-      if (!hasEligiblePartner) {
-        return respond(res, 400, {
-          error: "Reward not available for your visited partners",
-          requiredPartners: availableFor,
-          yourPartners: Array.from(visitedPartners),
-        });
+      // Send notification (webhook) if configured
+      if (process.env.REDEMPTION_WEBHOOK_URL) {
+        fetch(process.env.REDEMPTION_WEBHOOK_URL, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            type: "reward_redemption",
+            redemption,
+            userEmail: redemption.email,
+            timestamp: new Date().toISOString(),
+          }),
+        }).catch(console.error);
       }
     }
 
-    // Generate redemption code
-    const redemptionCode = `RDM-${Date.now()}-${Math.random()
-      .toString(36)
-      .substring(2, 9)
-      .toUpperCase()}`;
-
-    // Create redemption record
-    const redemption = {
-      id: redemptionCode,
-      email: normalizedEmail,
-      rewardId,
-      rewardName: reward.name,
-      pointsSpent: pointsCost,
-      redeemedAt: new Date().toISOString(),
-      status: "pending", // pending, approved, delivered
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days
-    };
-
-    // Save redemption
-    await kv.lpush(
-      `redemptions:${normalizedEmail}`,
-      JSON.stringify(redemption)
-    );
-    await kv.hset(`redemption:${redemptionCode}`, redemption);
-
-    // Add to points history
-    const historyEntry = {
-      type: "redemption",
-      points: pointsCost,
-      rewardId,
-      rewardName: reward.name,
-      redemptionCode,
-      timestamp: new Date().toISOString(),
-    };
-    await kv.lpush(
-      `points:history:${normalizedEmail}`,
-      JSON.stringify(historyEntry)
-    );
-
-    // Update reward stock if applicable
-    if (reward.stock) {
-      const currentStock = parseInt(reward.stock) || 0;
-      if (currentStock > 0) {
-        await kv.hset(`reward:${rewardId}`, "stock", currentStock - 1);
-      }
-    }
-
-    // Send notification (webhook) if configured
-    if (process.env.REDEMPTION_WEBHOOK_URL) {
-      fetch(process.env.REDEMPTION_WEBHOOK_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          type: "reward_redemption",
-          redemption,
-          userEmail: normalizedEmail,
-          timestamp: new Date().toISOString(),
-        }),
-      }).catch(console.error);
-    }
-
     return respond(res, 200, {
       success: true,
       message: "Reward redeemed successfully",
+      replayed,
       redemption: {
-        code: redemptionCode,
-        rewardName: reward.name,
-        pointsSpent: pointsCost,
-        remainingPoints: availablePoints - pointsCost,
+        code: redemption.id,
+        rewardName: redemption.rewardName,
+        pointsSpent: Number(redemption.pointsSpent) || 0,
+        remainingPoints: Math.max(0, balance),
         expiresAt: redemption.expiresAt,
         instructions:
           reward.redemptionInstructions || "Please show this code at the venue",
       },
     });
   } catch (error) {
+    if (error.code === "REWARD_NOT_FOUND") {
+      return respond(res, 404, { error: error.message });
+    }
+    if (error.code === "INSUFFICIENT_POINTS") {
+      return respond(res, 400, {
+        error: "Insufficient points",
+        required: error.required,
+        available: error.available,
+      });
+    }
+    if (error.code === "NOT_ELIGIBLE") {
+      return respond(res, 400, {
+        error: error.message,
+        reasons: error.reasons,
+        requiredPartners: error.requiredPartners,
+        yourPartners: error.yourPartners,
+      });
+    }
+    if (error.code === "REDEMPTION_LIMIT") {
+      return respond(res, 400, {
+        error: error.message,
+        limit: error.limit,
+        ...(error.period ? { period: error.period } : {}),
+      });
+    }
+    if (REJECTED.includes(error.code)) {
+      return respond(res, 400, { error: error.message });
+    }
+    if (CONFLICTS.includes(error.code)) {
+      return respond(res, 409, { error: error.message });
+    }
+
     console.error("Error redeeming reward:", error);
     return respond(res, 500, {
       error: "Internal server error",
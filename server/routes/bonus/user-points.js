@@ -1,10 +1,24 @@
-import { kv } from '@vercel/kv';
-import { respond, setCors } from '../../../lib/utils.js';
+import { kv } from '../../../lib/storage.js';
+import { listCustomerBookings } from '../../../lib/bookings.js';
+import { loadPartnerMeta } from '../../../lib/partner-meta.js';
+import {
+  calculateBookingPoints,
+  getBalance,
+  isVisitedBooking,
+  listEntries
+} from '../../../lib/points-ledger.js';
+import { expireDuePoints, getExpiringPoints } from '../../../lib/points-expiry.js';
+import { getRedemption } from '../../../lib/redemptions.js';
+import { evaluateRewardRules, loadRewardCustomer } from '../../../lib/reward-rules.js';
+import { parseList, respond, setCors } from '../../../lib/utils.js';
 
 /**
  * GET /api/bonus/user-points
- * Fetch user's total points, visit history, and available rewards
- * Query params: email (required)
+ * Points balance, visits and ledger history for the logged-in customer
+ * (admins pass ?email=)
+ * Balances come from the points ledger; visits from the customer's bookings
+ * Lapsed points are expired first, and points expiring soon are listed
+ * The stored loyalty tier is shown (not re-evaluated), with progress toward the next one
  */
 export default async function handler(req, res) {
   setCors(res);
@@ -18,8 +32,9 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { email } = req.query;
-    
+    // Customers are scoped to their own email by the router; admins name one
+    const email = req.query.email || (req.auth?.type === 'customer' ? req.auth.email : null);
+
     if (!email) {
       return respond(res, 400, { error: 'Email is required' });
     }
@@ -27,138 +42,134 @@ export default async function handler(req, res) {
     const normalizedEmail = String(email).trim().toLowerCase();
     console.log('Fetching points for:', normalizedEmail);
 
-    // Fetch all user visits and calculate total points
-    const allPartners = await kv.smembers('partners') || [];
-    const visits = [];
-    let totalPoints = 0;
-    let totalRedeemed = 0;
-
-    // Check each partner for user visits
-    for (const partnerId of allPartners) {
-      const partnerEmails = await kv.smembers(`partner:${partnerId}`) || [];
-      
-      if (partnerEmails.includes(normalizedEmail)) {
-        // Get registration record - user might have multiple records with different partners
-        const recordKey = `qr:email:${normalizedEmail}:${partnerId}`;
-        let record = await kv.hgetall(recordKey);
-        
-        // Fallback to old key format if new format doesn't exist
-        if (!record || Object.keys(record).length === 0) {
-          const oldKey = `qr:email:${normalizedEmail}`;
-          const oldRecord = await kv.hgetall(oldKey);
-          // Check if this record belongs to this partner
-          if (oldRecord && oldRecord.partnerId === partnerId) {
-            record = oldRecord;
-          }
-        }
-        
-        if (record && Object.keys(record).length > 0) {
-          let payload = {};
-          try {
-            payload = record.payload ? JSON.parse(record.payload) : {};
-          } catch (e) {
-            console.log('Error parsing payload for', normalizedEmail, partnerId);
-          }
-          
-          const points = parseInt(payload.estimatedPoints) || 0;
-          
-          // Get partner metadata
-          const partnerMeta = await kv.hgetall(`partner:meta:${partnerId}`) || {};
-          
-          visits.push({
-            partnerId,
-            partnerName: partnerMeta.name || partnerId.toUpperCase(),
-            visitDate: record.visitedAt || record.scannedAt || record.createdAt || new Date().toISOString(),
-            pointsEarned: points,
-            status: record.visited === 'true' ? 'visited' : 'pending',
-            ticketType: payload.ticket || 'Standard'
-          });
-          
-          if (record.visited === 'true') {
-            totalPoints += points;
-          }
-        }
+    const allVisits = [];
+    const visitsByPartner = {};
+
+    await expireDuePoints(normalizedEmail);
+    const balance = await getBalance(normalizedEmail);
+    const expiring = await getExpiringPoints(normalizedEmail);
+    const ledgerEntries = await listEntries(normalizedEmail);
+
+    // Points actually credited per booking
+    const earnedByBooking = {};
+    for (const entry of ledgerEntries) {
+      if (entry.type === 'earn' && entry.bookingId) {
+        earnedByBooking[entry.bookingId] = entry.points;
       }
     }
 
-    // Get points history (earned and redeemed)
-    const pointsHistory = await kv.lrange(`points:history:${normalizedEmail}`, 0, -1) || [];
-    const parsedHistory = pointsHistory.map(item => {
-      try {
-        return typeof item === 'string' ? JSON.parse(item) : item;
-      } catch {
-        return item;
-      }
-    });
+    // Every booking the customer made, across all partners
+    const bookings = await listCustomerBookings(normalizedEmail);
 
-    // Calculate redeemed points
-    parsedHistory.forEach(entry => {
-      if (entry.type === 'redemption') {
-        totalRedeemed += entry.points;
-      }
-    });
+    for (const booking of bookings) {
+      const normalizedPartnerId = booking.partnerId;
+      if (!normalizedPartnerId) continue;
 
-    // Get available rewards
-    const allRewards = await kv.smembers('rewards') || [];
-    const availableRewards = [];
-    
-    for (const rewardId of allRewards) {
-      const reward = await kv.hgetall(`reward:${rewardId}`);
-      if (reward && reward.status === 'active') {
-        const rewardData = {
-          id: rewardId,
-          name: reward.name,
-          description: reward.description,
-          pointsCost: parseInt(reward.pointsCost) || 0,
-          category: reward.category,
-          imageUrl: reward.imageUrl,
-          availableFor: reward.availableFor ? JSON.parse(reward.availableFor) : [],
-          canRedeem: (totalPoints - totalRedeemed) >= parseInt(reward.pointsCost)
-        };
-        
-        // Check if user has visited any eligible partner
-        const visitedPartners = visits.map(v => v.partnerId);
-        const isEligible = rewardData.availableFor.length === 0 || 
-                          rewardData.availableFor.some(p => visitedPartners.includes(p));
-        
-        if (isEligible) {
-          availableRewards.push(rewardData);
-        }
+      const payload = booking.payload;
+      const isVisited = isVisitedBooking(booking);
+
+      // Credited points, or what the booking will earn once visited
+      const pointsForThisVisit =
+        earnedByBooking[booking.id] ?? (await calculateBookingPoints(booking));
+
+      // Create visit record
+      const visitInfo = {
+        bookingId: booking.id,
+        partnerId: normalizedPartnerId,
+        partnerName: await getPartnerName(normalizedPartnerId),
+        visitDate: booking.createdAt || new Date().toISOString(),
+        confirmedDate: booking.visitedAt || (isVisited ? booking.scannedAt : null),
+        status: isVisited ? 'visited' : 'pending',
+        ticketType: payload.ticket || payload.ticketType || booking.ticketType || 'Standard',
+        numPeople: parseInt(payload.numPeople) || 1,
+        transport: payload.Transport || 'No',
+        busRental: payload.Bus_Rental || payload.selectedBus || '',
+        cityCode: payload.cityCode || '',
+        categories: payload.Categories || payload.categories || '',
+        age: payload.Age || payload.age || '',
+        totalPrice: parseFloat(payload.totalPrice) || parseFloat(booking.totalPrice) || 0,
+        pointsEarned: pointsForThisVisit,
+        qrCode: booking.key,
+        registeredAt: booking.createdAt || new Date().toISOString()
+      };
+
+      allVisits.push(visitInfo);
+
+      // Track by partner
+      if (!visitsByPartner[normalizedPartnerId]) {
+        visitsByPartner[normalizedPartnerId] = [];
       }
+      visitsByPartner[normalizedPartnerId].push(visitInfo);
     }
 
-    // Get user's redemption history
-    const redemptions = await kv.lrange(`redemptions:${normalizedEmail}`, 0, -1) || [];
-    const parsedRedemptions = redemptions.map(item => {
+    // Get redemption history
+    const redemptionHistory = await kv.lrange(`redemptions:${normalizedEmail}`, 0, -1) || [];
+    const parsedRedemptions = [];
+    
+    for (const item of redemptionHistory) {
       try {
-        return typeof item === 'string' ? JSON.parse(item) : item;
-      } catch {
-        return item;
+        parsedRedemptions.push(typeof item === 'string' ? JSON.parse(item) : item);
+      } catch (e) {
+        console.log('Error parsing redemption:', e);
       }
-    });
+    }
+
+    // The list keeps redemptions as issued; show the ones returned as they are now
+    for (const [index, item] of parsedRedemptions.slice(0, 20).entries()) {
+      const current = item?.id ? await getRedemption(item.id) : null;
+      if (current) parsedRedemptions[index] = { ...item, ...current };
+    }
+
+    const totalPointsEarned = balance.earned + balance.adjusted;
+    const totalPointsRedeemed = balance.redeemed - balance.refunded;
+    const availablePoints = Math.max(0, balance.balance);
+
+    // Reads the stored loyalty tier too
+    const customer = await loadRewardCustomer(normalizedEmail, { bookings });
+
+    // Get available rewards
+    const availableRewards = await fetchAvailableRewards(availablePoints, customer);
 
     // Sort visits by date (most recent first)
-    visits.sort((a, b) => new Date(b.visitDate) - new Date(a.visitDate));
-    
-    // Sort rewards by points cost
-    availableRewards.sort((a, b) => a.pointsCost - b.pointsCost);
+    allVisits.sort((a, b) => new Date(b.visitDate) - new Date(a.visitDate));
+
+    // Build statistics
+    const statistics = {
+      totalVisits: allVisits.filter(v => v.status === 'visited').length,
+      pendingVisits: allVisits.filter(v => v.status === 'pending').length,
+      totalPartners: Object.keys(visitsByPartner).length,
+      totalRedemptions: parsedRedemptions.length,
+      visitsByPartner: Object.keys(visitsByPartner).map(partnerId => ({
+        partnerId,
+        partnerName: visitsByPartner[partnerId][0]?.partnerName || partnerId.toUpperCase(),
+        totalVisits: visitsByPartner[partnerId].filter(v => v.status === 'visited').length,
+        pendingVisits: visitsByPartner[partnerId].filter(v => v.status === 'pending').length,
+        totalPoints: visitsByPartner[partnerId]
+          .filter(v => v.status === 'visited')
+          .reduce((sum, v) => sum + v.pointsEarned, 0)
+      }))
+    };
+
+    console.log(`Final totals: Earned=${totalPointsEarned}, Redeemed=${totalPointsRedeemed}, Available=${availablePoints}`);
 
+    // Build response
     const response = {
       user: {
         email: normalizedEmail,
-        totalPoints,
-        redeemedPoints: totalRedeemed,
-        availablePoints: totalPoints - totalRedeemed
+        totalPoints: totalPointsEarned,
+        redeemedPoints: totalPointsRedeemed,
+        availablePoints: availablePoints,
+        expiredPoints: balance.expired,
+        expiringPoints: expiring.points,
+        nextExpiryAt: expiring.nextExpiresAt,
+        tier: customer.tier
       },
-      statistics: {
-        totalVisits: visits.filter(v => v.status === 'visited').length,
-        pendingVisits: visits.filter(v => v.status === 'pending').length,
-        totalPartners: new Set(visits.map(v => v.partnerId)).size,
-        totalRedemptions: parsedRedemptions.length
-      },
-      visits,
-      pointsHistory: parsedHistory.slice(0, 20), // Last 20 entries
-      redemptions: parsedRedemptions.slice(0, 10), // Last 10 redemptions
+      tier: tierSection(customer.loyalty),
+      pointsExpiry: expiring,
+      statistics,
+      visits: allVisits,
+      pointsHistory: ledgerEntries.slice(0, 50),
+      redemptions: parsedRedemptions.slice(0, 20),
       availableRewards,
       lastUpdated: new Date().toISOString()
     };
@@ -167,9 +178,88 @@ export default async function handler(req, res) {
 
   } catch (error) {
     console.error('Error fetching user points:', error);
-    return respond(res, 500, { 
+    return respond(res, 500, {
       error: 'Internal server error',
-      message: 'Failed to fetch user points data'
+      message: 'Failed to fetch user points data',
+      details: error.message
     });
   }
+}
+
+// Helper function to get partner name
+async function getPartnerName(partnerId) {
+  try {
+    const partnerMeta = await loadPartnerMeta(partnerId);
+    if (partnerMeta.name) {
+      return partnerMeta.name;
+    }
+  } catch (e) {
+    console.log('Error fetching partner name:', partnerId);
+  }
+  // Return formatted partner ID if no name found
+  return partnerId.toUpperCase();
+}
+
+// The customer's tier and what the next one takes
+function tierSection(loyalty) {
+  return {
+    current: loyalty.current,
+    since: loyalty.since,
+    heldUntil: loyalty.heldUntil,
+    qualificationMonths: loyalty.qualificationMonths,
+    stats: loyalty.stats,
+    next: loyalty.next
+  };
+}
+
+// Helper function to fetch available rewards
+// Rewards the customer may see; locked ones carry the reasons from
+// lib/reward-rules.js, the same check redeeming runs
+async function fetchAvailableRewards(availablePoints, customer) {
+  const rewards = [];
+  
+  try {
+    const rewardIds = await kv.smembers('rewards') || [];
+    
+    for (const rewardId of rewardIds.slice(0, 50)) {
+      try {
+        const reward = await kv.hgetall(`reward:${rewardId}`);
+        
+        if (reward && reward.status === 'active') {
+          const { eligible, hidden, reasons } = evaluateRewardRules(reward, customer);
+          
+          if (!hidden) {
+            const pointsCost = parseInt(reward.pointsCost) || 0;
+            const limited = reward.stock !== '' && reward.stock != null;
+            const stock = limited ? parseInt(reward.stock) : null;
+            rewards.push({
+              id: rewardId,
+              name: reward.name || 'Reward',
+              description: reward.description || '',
+              pointsCost,
+              category: reward.category || 'other',
+              imageUrl: reward.imageUrl || '',
+              canRedeem: eligible && availablePoints >= pointsCost && stock !== 0,
+              locked: !eligible,
+              lockedReasons: reasons,
+              availableFor: parseList(reward.availableFor),
+              tiers: parseList(reward.tiers),
+              stock,
+              validFrom: reward.validFrom || null,
+              validUntil: reward.validUntil || null
+            });
+          }
+        }
+      } catch (e) {
+        console.log('Error fetching reward:', rewardId);
+      }
+    }
+    
+    rewards.sort((a, b) => a.pointsCost - b.pointsCost);
+    
+  } catch (e) {
+    console.log('Error fetching rewards:', e);
+  }
+  
+  return rewards;
 }
\ No newline at end of file
@@ -0,0 +1,112 @@
+import { z } from "zod";
+import {
+  API_KEY_SCOPES,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+} from "../../../lib/api-keys.js";
+import { recordAudit } from "../../../lib/audit.js";
+
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
+
+const createSchema = z.object({
+  name: z.string().trim().min(1).max(120),
+  scopes: z.array(z.enum(API_KEY_SCOPES)).min(1),
+});
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+}
+
+function respond(res, status, payload) {
+  return res.status(status).json(payload);
+}
+
+// Another partner's key is as good as missing
+async function ownKey(partnerId, keyId) {
+  const apiKey = await getApiKey(keyId);
+  return apiKey && apiKey.partnerId === partnerId ? apiKey : null;
+}
+
+/**
+ * GET    /api/partner/{partnerId}/api-keys              - list keys
+ * POST   /api/partner/{partnerId}/api-keys              - create ({ name, scopes })
+ * POST   /api/partner/{partnerId}/api-keys/{id}/rotate  - new secret for a key
+ * DELETE /api/partner/{partnerId}/api-keys/{id}         - revoke a key
+ *
+ * Create and rotate answer with the full `key`, which is never shown again.
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  const partnerId = String(req.query.partnerId || "").trim().toLowerCase();
+  const { keyId, action } = req.query;
+
+  try {
+    if (req.method === "GET" && !keyId) {
+      return respond(res, 200, { items: await listApiKeys({ partnerId }) });
+    }
+
+    if (req.method === "POST" && !keyId) {
+      const payload = createSchema.parse(req.body ?? {});
+      const created = await createApiKey({
+        ...payload,
+        partnerId,
+        createdBy: req.auth?.email || "admin",
+      });
+      await recordAudit(req, {
+        action: "apikey.create",
+        target: `apikey:${created.apiKey.id}`,
+        after: created.apiKey,
+      });
+      return respond(res, 200, created);
+    }
+
+    if (keyId && !(await ownKey(partnerId, keyId))) {
+      return respond(res, 404, { error: "API key not found" });
+    }
+
+    if (req.method === "POST" && action === "rotate") {
+      const rotated = await rotateApiKey(keyId);
+      await recordAudit(req, {
+        action: "apikey.rotate",
+        target: `apikey:${keyId}`,
+        metadata: { partnerId: rotated.apiKey.partnerId, hint: rotated.apiKey.hint },
+      });
+      return respond(res, 200, rotated);
+    }
+
+    if (req.method === "DELETE" && keyId) {
+      const apiKey = await revokeApiKey(keyId);
+      await recordAudit(req, {
+        action: "apikey.revoke",
+        target: `apikey:${keyId}`,
+        metadata: { partnerId: apiKey.partnerId },
+      });
+      return respond(res, 200, { success: true, apiKey });
+    }
+
+    return respond(res, 405, { error: "Method Not Allowed" });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return respond(res, 400, {
+        error: "ValidationError",
+        issues: err.flatten(),
+      });
+    }
+    if (err.code === "API_KEY_REVOKED") {
+      return respond(res, 400, { error: err.message });
+    }
+
+    console.error("partner/api-keys error", err);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+}
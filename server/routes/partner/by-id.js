@@ -1,9 +1,7 @@
-import jwt from "jsonwebtoken";
 import { z } from "zod";
-import { loadPartnerData } from "../../../lib/partner-data.js";
+import { queryPartnerSubmissions } from "../../../lib/partner-data.js";
 
 const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
-const JWT_SECRET = process.env.JWT_SECRET;
 
 function setCors(res) {
   res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
@@ -11,27 +9,27 @@ function setCors(res) {
   res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
 }
 
-const requestSchema = z.object({
-  authorization: z
-    .string()
-    .startsWith("Bearer ", { message: "Missing bearer token" })
-    .transform((value) => value.slice(7).trim()),
+const booleanParam = z
+  .enum(["true", "false"])
+  .transform((value) => value === "true")
+  .optional();
+
+const querySchema = z.object({
+  from: z.string().datetime({ offset: true }).optional(),
+  to: z.string().datetime({ offset: true }).optional(),
+  visited: booleanParam,
+  used: booleanParam,
+  redemption: booleanParam,
+  ticket: z.string().trim().min(1).optional(),
+  search: z.string().trim().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(50),
+  cursor: z.string().optional(),
 });
 
 function respond(res, status, payload) {
   return res.status(status).json(payload);
 }
 
-function validateAccess(tokenPayload, requestedPartnerId) {
-  if (!tokenPayload) return false;
-  const role = tokenPayload.role || "partner";
-  if (role === "admin") {
-    return true;
-  }
-  const partnerId = (tokenPayload.partnerId || "").toLowerCase();
-  return partnerId && partnerId === String(requestedPartnerId).toLowerCase();
-}
-
 export default async function handler(req, res) {
   setCors(res);
 
@@ -44,44 +42,41 @@ export default async function handler(req, res) {
   }
 
   try {
-    if (!JWT_SECRET) {
-      console.error("JWT_SECRET is not configured");
-      return respond(res, 500, { error: "Server configuration error" });
-    }
-
-    const { authorization } = requestSchema.parse(req.headers ?? {});
-    let tokenPayload;
-    try {
-      tokenPayload = jwt.verify(authorization, JWT_SECRET);
-    } catch (err) {
-      return respond(res, 401, { error: "Invalid token" });
-    }
-
+    // The router has checked the partner token against this id
     const { partnerId } = req.query;
 
     if (!partnerId) {
       return res.status(400).json({ error: "Partner ID is required" });
     }
 
-    if (!validateAccess(tokenPayload, partnerId)) {
-      return respond(res, 403, { error: "Forbidden" });
+    const { partnerId: _partnerId, ...params } = req.query;
+    const parsed = querySchema.safeParse(params);
+    if (!parsed.success) {
+      return respond(res, 400, {
+        error: "ValidationError",
+        issues: parsed.error.flatten(),
+      });
     }
 
-    const { submissions, metrics } = await loadPartnerData(partnerId);
+    let page;
+    try {
+      page = await queryPartnerSubmissions(partnerId, parsed.data);
+    } catch (err) {
+      if (err.code === "INVALID_CURSOR") {
+        return respond(res, 400, { error: err.message });
+      }
+      throw err;
+    }
 
     return res.status(200).json({
-      submissions,
-      metrics,
+      submissions: page.submissions,
+      metrics: page.metrics,
+      total: page.total,
+      nextCursor: page.nextCursor,
       partner: partnerId,
       lastUpdated: new Date().toISOString(),
     });
   } catch (err) {
-    if (err instanceof z.ZodError) {
-      return respond(res, 401, {
-        error: "Invalid request",
-        details: err.flatten(),
-      });
-    }
     console.error("Partner endpoint error", err);
     return res.status(500).json({ error: "Server error" });
   }
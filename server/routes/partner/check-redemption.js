@@ -1,7 +1,9 @@
-import { kv } from "@vercel/kv";
-import jwt from "jsonwebtoken";
+import { kv } from "../../../lib/storage.js";
+import { getBooking } from "../../../lib/bookings.js";
+import { hasPartnerPermission } from "../../../lib/memberships.js";
+import { recordAudit } from "../../../lib/audit.js";
+import { getRedemption, isExpired, transitionRedemption } from "../../../lib/redemptions.js";
 
-const JWT_SECRET = process.env.JWT_SECRET;
 const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
 
 function setCors(res) {
@@ -17,7 +19,8 @@ function respond(res, status, payload) {
 /**
  * GET /api/partner/check-redemption?code=RDM-XXX
  * POST /api/partner/process-redemption
- * Allows partners to check redemption details and mark as used
+ * Allows partners to check redemption details and mark as used.
+ * Staff may only see and process codes issued for a venue they work at.
  */
 export default async function handler(req, res) {
   setCors(res);
@@ -26,18 +29,17 @@ export default async function handler(req, res) {
     return res.status(200).end();
   }
 
-  // Extract partner auth token
-  const authHeader = req.headers.authorization;
-  let partnerId = null;
+  // Staff may see and process codes for venues where they handle
+  // redemptions; codes not tied to a venue are for admins only
+  function canProcess(redemption) {
+    if (!redemption.partnerId) return req.auth?.type === "admin";
+    return hasPartnerPermission(req.auth, redemption.partnerId, "redemptions");
+  }
 
-  if (authHeader && authHeader.startsWith("Bearer ")) {
-    try {
-      const token = authHeader.substring(7);
-      const payload = jwt.verify(token, JWT_SECRET);
-      partnerId = payload.partnerId;
-    } catch (err) {
-      console.error("Auth error:", err);
-    }
+  // Recorded as processedBy; admins have no partner id of their own
+  function actingPartner(redemption) {
+    if (req.auth?.type === "admin") return "admin";
+    return String(redemption.partnerId || req.auth?.partnerId || "").toLowerCase() || "admin";
   }
 
   if (req.method === "GET") {
@@ -49,8 +51,7 @@ export default async function handler(req, res) {
     }
 
     try {
-      const redemptionKey = `redemption:${code}`;
-      const redemption = await kv.hgetall(redemptionKey);
+      const redemption = await getRedemption(code);
 
       if (!redemption) {
         return respond(res, 404, { 
@@ -59,26 +60,31 @@ export default async function handler(req, res) {
         });
       }
 
+      // The customer's details are only for the venue the code belongs to
+      if (!canProcess(redemption)) {
+        return respond(res, 403, {
+          error: "Redemption belongs to another partner"
+        });
+      }
+
       // Get the associated booking if exists
       let bookingInfo = null;
       if (redemption.appliedToBooking) {
-        const bookingData = await kv.hgetall(redemption.appliedToBooking);
-        if (bookingData) {
-          let payload = {};
-          try {
-            payload = JSON.parse(bookingData.payload || "{}");
-          } catch {}
-
+        const booking = await getBooking(
+          String(redemption.appliedToBooking).replace(/^booking:/, "")
+        );
+        if (booking) {
+          const payload = booking.payload;
           bookingInfo = {
-            email: bookingData.email,
-            visitDate: bookingData.createdAt,
-            partnerId: payload.partner_id || payload.partnerId,
+            email: booking.email,
+            visitDate: booking.createdAt,
+            partnerId: booking.partnerId || payload.partner_id || payload.partnerId,
             partnerName: payload.attractionName,
             ticketType: payload.ticket,
             numPeople: payload.numPeople,
             preferredDateTime: payload.preferredDateTime,
-            hasVisited: bookingData.visited === "true",
-            visitedAt: bookingData.visitedAt
+            hasVisited: booking.visited,
+            visitedAt: booking.visitedAt
           };
         }
       }
@@ -107,7 +113,7 @@ export default async function handler(req, res) {
         },
         booking: bookingInfo,
         isValid: redemption.status === "applied" && new Date(redemption.expiresAt) > new Date(),
-        canProcess: partnerId && (redemption.partnerId === partnerId || !redemption.partnerId)
+        canProcess: canProcess(redemption)
       });
     } catch (error) {
       console.error("Error checking redemption:", error);
@@ -120,10 +126,6 @@ export default async function handler(req, res) {
 
   if (req.method === "POST") {
     // Process/mark redemption as used
-    if (!partnerId) {
-      return respond(res, 401, { error: "Authentication required" });
-    }
-
     const { code, action } = req.body;
     
     if (!code || !action) {
@@ -140,7 +142,7 @@ export default async function handler(req, res) {
 
     try {
       const redemptionKey = `redemption:${code}`;
-      const redemption = await kv.hgetall(redemptionKey);
+      const redemption = await getRedemption(code);
 
       if (!redemption) {
         return respond(res, 404, { 
@@ -148,6 +150,12 @@ export default async function handler(req, res) {
         });
       }
 
+      if (!canProcess(redemption)) {
+        return respond(res, 403, {
+          error: "Redemption belongs to another partner"
+        });
+      }
+
       if (redemption.status === "used") {
         return respond(res, 400, { 
           error: "Redemption has already been processed" 
@@ -161,14 +169,26 @@ export default async function handler(req, res) {
         });
       }
 
+      if (action === "process" && isExpired(redemption)) {
+        return respond(res, 400, {
+          error: "Redemption has expired",
+          expiresAt: redemption.expiresAt
+        });
+      }
+
       const now = new Date().toISOString();
+      const partnerId = actingPartner(redemption);
 
       if (action === "process") {
         // Mark as used/delivered
-        await kv.hset(redemptionKey, {
-          status: "used",
-          processedBy: partnerId,
-          processedAt: now
+        const { before, after } = await transitionRedemption(code, "used", {
+          fields: { processedBy: partnerId, processedAt: now }
+        });
+        await recordAudit(req, {
+          action: "redemption.process",
+          target: redemptionKey,
+          before,
+          after
         });
 
         // Send webhook notification if configured
@@ -195,11 +215,15 @@ export default async function handler(req, res) {
           processedAt: now
         });
       } else {
-        // Reject redemption
-        await kv.hset(redemptionKey, {
-          status: "rejected",
-          rejectedBy: partnerId,
-          rejectedAt: now
+        // Reject redemption; the customer gets the points back
+        const { before, after, refunded } = await transitionRedemption(code, "rejected", {
+          fields: { rejectedBy: partnerId }
+        });
+        await recordAudit(req, {
+          action: "redemption.reject",
+          target: redemptionKey,
+          before,
+          after
         });
 
         return respond(res, 200, {
@@ -207,10 +231,18 @@ export default async function handler(req, res) {
           message: "Redemption rejected",
           code,
           status: "rejected",
-          rejectedAt: now
+          rejectedAt: after.rejectedAt,
+          refundedPoints: refunded
         });
       }
     } catch (error) {
+      // Changed by someone else since it was read above
+      if (error.code === "INVALID_TRANSITION" || error.code === "REDEMPTION_BUSY") {
+        return respond(res, 409, {
+          error: "Redemption was changed, check it again",
+          currentStatus: error.currentStatus
+        });
+      }
       console.error("Error processing redemption:", error);
       return respond(res, 500, { 
         error: "Failed to process redemption",
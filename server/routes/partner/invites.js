@@ -0,0 +1,72 @@
+import { z } from "zod";
+import { createInvite } from "../../../lib/invites.js";
+import { STAFF_ROLES } from "../../../lib/memberships.js";
+import { recordAudit } from "../../../lib/audit.js";
+
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
+
+const inviteSchema = z.object({
+  email: z.string().email(),
+  staffRole: z.enum(STAFF_ROLES).default("scanner"),
+  name: z.string().min(1).max(120).optional(),
+  expiresInMinutes: z
+    .number()
+    .int()
+    .positive()
+    .max(60 * 24 * 30)
+    .optional(),
+});
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+}
+
+function respond(res, status, payload) {
+  return res.status(status).json(payload);
+}
+
+/**
+ * POST /api/partner/{partnerId}/invites
+ * Owners invite staff to their venue ({ email, staffRole?, name? }).
+ * The router has already checked the caller's `staff` permission there.
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    return respond(res, 405, { error: "Method Not Allowed" });
+  }
+
+  try {
+    const payload = inviteSchema.parse(req.body ?? {});
+    const invite = await createInvite({
+      ...payload,
+      partnerId: req.query.partnerId,
+      role: "partner",
+      invitedBy: req.auth?.email || "admin",
+    });
+    // The token lets anyone sign up, so the log names the invitee instead
+    await recordAudit(req, {
+      action: "invite.create",
+      target: `invite:${invite.email}`,
+      metadata: { partnerId: invite.partnerId, role: invite.role, staffRole: invite.staffRole },
+    });
+    return respond(res, 200, { invite });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return respond(res, 400, {
+        error: "ValidationError",
+        issues: err.flatten(),
+      });
+    }
+
+    console.error("partner/invites error", err);
+    return respond(res, 500, { error: "Internal server error" });
+  }
+}
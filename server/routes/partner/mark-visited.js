@@ -1,15 +1,23 @@
-import { kv } from '@vercel/kv';
+import { kv } from '../../../lib/storage.js';
+import { findCustomerBooking, updateBooking } from '../../../lib/bookings.js';
+import { loadPartnerMeta } from '../../../lib/partner-meta.js';
+import { getBalance, listEntries } from '../../../lib/points-ledger.js';
+import { earnVisitPoints } from '../../../lib/loyalty-tiers.js';
+import { recordAudit } from '../../../lib/audit.js';
 import { z } from 'zod';
 
 /**
  * POST /api/partner/mark-visited
  * Mark a user as visited and award points
  * This is called when a partner confirms that a user actually visited
+ * Points are multiplied by the customer's loyalty tier, which is then
+ * re-evaluated with this visit counted
  */
 
 const markVisitedSchema = z.object({
   email: z.string().email(),
   partnerId: z.string(),
+  bookingId: z.string().optional(),
   visitDate: z.string().optional(),
   notes: z.string().optional()
 });
@@ -40,22 +48,26 @@ export default async function handler(req, res) {
       });
     }
 
-    const { email, partnerId, visitDate, notes } = validation.data;
+    const { email, partnerId, bookingId, visitDate, notes } = validation.data;
     const normalizedEmail = email.trim().toLowerCase();
     const normalizedPartnerId = partnerId.trim().toLowerCase();
     
     console.log(`Marking visit for ${normalizedEmail} at partner ${normalizedPartnerId}`);
 
-    // Get the registration record
-    const recordKey = `qr:email:${normalizedEmail}`;
-    const record = await kv.hgetall(recordKey);
+    // Get the booking being confirmed
+    const record = await findCustomerBooking({
+      bookingId,
+      email: normalizedEmail,
+      partnerId: normalizedPartnerId,
+      prefer: (booking) => !booking.visited
+    });
     
-    if (!record || Object.keys(record).length === 0) {
+    if (!record) {
       return res.status(404).json({ error: 'Registration not found' });
     }
 
     // Check if this registration belongs to the specified partner
-    const recordPartnerId = (record.partnerId || record.partner_id || '').toLowerCase();
+    const recordPartnerId = record.partnerId;
     if (recordPartnerId !== normalizedPartnerId) {
       return res.status(400).json({ 
         error: 'Registration does not belong to this partner',
@@ -65,85 +77,50 @@ export default async function handler(req, res) {
     }
 
     // Check if already marked as visited
-    if (record.visited === 'true') {
+    if (record.visited) {
       return res.status(400).json({ 
         error: 'Already marked as visited',
         visitedAt: record.visitedAt
       });
     }
 
-    // Parse the payload to calculate points
-    let payload = {};
-    let pointsEarned = 0;
-    
-    try {
-      payload = record.payload ? JSON.parse(record.payload) : {};
-      
-      // Calculate points based on the registration details
-      const totalPrice = parseFloat(payload.totalPrice) || 0;
-      const numPeople = parseInt(payload.numPeople) || 1;
-      const ticketType = payload.ticket || 'Standard';
-      
-      // Points calculation: 1 point per 100 units spent
-      if (payload.estimatedPoints) {
-        pointsEarned = parseInt(payload.estimatedPoints);
-      } else if (totalPrice > 0) {
-        pointsEarned = Math.floor(totalPrice / 100);
-      } else {
-        // Fallback calculation based on ticket type
-        switch (ticketType.toLowerCase()) {
-          case 'vip':
-            pointsEarned = 50 * numPeople;
-            break;
-          case 'family':
-            pointsEarned = 30 * numPeople;
-            break;
-          case 'group':
-            pointsEarned = 20 * numPeople;
-            break;
-          default:
-            pointsEarned = 10 * numPeople;
-        }
-      }
-      
-      // Bonus for transport
-      if (payload.Transport === 'Yes' || payload.Bus_Rental) {
-        pointsEarned += 5;
-      }
-    } catch (e) {
-      console.error('Error parsing payload:', e);
-      pointsEarned = 10; // Default points
-    }
+    const payload = record.payload;
 
     // Update the record to mark as visited
     const now = visitDate || new Date().toISOString();
-    const updatedRecord = {
-      ...record,
+    const visited = await updateBooking(record.id, {
       visited: 'true',
       visitedAt: now,
-      pointsAwarded: pointsEarned,
       visitNotes: notes || '',
       lastUpdated: now
-    };
-
-    // Save the updated record
-    await kv.hset(recordKey, updatedRecord);
+    });
 
-    // Add to points history
-    const historyEntry = {
-      type: 'earned',
-      points: pointsEarned,
-      partnerId: normalizedPartnerId,
+    // Credit the points at the customer's tier. A booking credited when it
+    // was scanned earns nothing more, so report what it earned back then
+    const { entry, tier } = await earnVisitPoints(visited, {
       partnerName: await getPartnerName(normalizedPartnerId),
-      timestamp: now,
       ticketType: payload.ticket || 'Standard',
-      visitId: recordKey
-    };
-    
-    await kv.lpush(`points:history:${normalizedEmail}`, JSON.stringify(historyEntry));
+      createdAt: now
+    });
+    const credited =
+      entry ||
+      (await listEntries(normalizedEmail)).find((item) => item.ref === `booking:${record.id}`);
+    const pointsEarned = Number(credited?.points) || 0;
+    const multiplier = Number(credited?.multiplier) || 1;
+    const basePoints = Number(credited?.basePoints) || pointsEarned;
+
+    const updated = await updateBooking(record.id, { pointsAwarded: pointsEarned });
+
+    await recordAudit(req, {
+      action: 'booking.visit',
+      target: `booking:${record.id}`,
+      before: record,
+      after: updated
+    });
 
     // Create a visit confirmation record for tracking
     const visitConfirmation = {
+      bookingId: record.id,
       email: normalizedEmail,
       partnerId: normalizedPartnerId,
       visitDate: now,
@@ -177,11 +154,16 @@ export default async function handler(req, res) {
       success: true,
       message: 'Visit confirmed successfully',
       visit: {
+        bookingId: record.id,
         email: normalizedEmail,
         partnerId: normalizedPartnerId,
         visitedAt: now,
         pointsAwarded: pointsEarned,
-        totalPointsNow: await getUserTotalPoints(normalizedEmail)
+        basePoints,
+        multiplier,
+        totalPointsNow: (await getBalance(normalizedEmail)).balance,
+        tier: tier.current?.id || null,
+        tierChanged: tier.changed
       }
     });
 
@@ -197,8 +179,8 @@ export default async function handler(req, res) {
 // Helper function to get partner name
 async function getPartnerName(partnerId) {
   try {
-    const partnerMeta = await kv.hgetall(`partner:meta:${partnerId}`);
-    if (partnerMeta && partnerMeta.name) {
+    const partnerMeta = await loadPartnerMeta(partnerId);
+    if (partnerMeta.name) {
       return partnerMeta.name;
     }
   } catch (e) {
@@ -206,46 +188,3 @@ async function getPartnerName(partnerId) {
   }
   return partnerId.toUpperCase();
 }
-
-// Helper function to get user's total points
-async function getUserTotalPoints(email) {
-  try {
-    let totalPoints = 0;
-    
-    // Get all partners
-    const partners = await kv.smembers('partners') || [];
-    
-    // Check each partner for user's visits
-    for (const partnerId of partners) {
-      const partnerEmails = await kv.smembers(`partner:${partnerId}`) || [];
-      if (partnerEmails.includes(email)) {
-        const recordKey = `qr:email:${email}`;
-        const record = await kv.hgetall(recordKey);
-        
-        if (record && record.visited === 'true') {
-          totalPoints += parseInt(record.pointsAwarded) || 0;
-        }
-      }
-    }
-    
-    // Also check points history
-    const history = await kv.lrange(`points:history:${email}`, 0, -1) || [];
-    for (const item of history) {
-      try {
-        const entry = JSON.parse(item);
-        if (entry.type === 'earned') {
-          totalPoints += parseInt(entry.points) || 0;
-        } else if (entry.type === 'redemption') {
-          totalPoints -= parseInt(entry.points) || 0;
-        }
-      } catch (e) {
-        // Skip invalid entries
-      }
-    }
-    
-    return totalPoints;
-  } catch (e) {
-    console.error('Error calculating total points:', e);
-    return 0;
-  }
-}
\ No newline at end of file
@@ -1,12 +1,14 @@
-import jwt from "jsonwebtoken";
 import { z } from "zod";
-import { kv } from "@vercel/kv";
-import { parsePayload } from "../../../lib/partner-data.js";
+import {
+  findCustomerBooking,
+  updateBooking,
+} from "../../../lib/bookings.js";
+import { earnVisitPoints } from "../../../lib/loyalty-tiers.js";
+import { recordAudit } from "../../../lib/audit.js";
 
 const ZAPIER_VISIT_HOOK = process.env.ZAPIER_VISIT_HOOK || "";
 
 const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
-const JWT_SECRET = process.env.JWT_SECRET;
 
 function setCors(res) {
   res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
@@ -17,24 +19,9 @@ function setCors(res) {
 const requestSchema = z.object({
   email: z.string().email(),
   partnerId: z.string().min(1),
+  bookingId: z.string().min(1).optional(),
 });
 
-const tokenSchema = z.object({
-  authorization: z
-    .string()
-    .startsWith("Bearer ", "Missing bearer token")
-    .transform((value) => value.slice(7).trim()),
-});
-
-function validateAccess(tokenPayload, requestedPartnerId) {
-  if (!tokenPayload) return false;
-  if (tokenPayload.role !== "partner") {
-    return false;
-  }
-  const partnerId = (tokenPayload.partnerId || "").toLowerCase();
-  return partnerId && partnerId === String(requestedPartnerId).toLowerCase();
-}
-
 function respond(res, status, payload) {
   return res.status(status).json(payload);
 }
@@ -50,45 +37,33 @@ export default async function handler(req, res) {
     return respond(res, 405, { error: "Method Not Allowed" });
   }
 
-  if (!JWT_SECRET) {
-    console.error("JWT_SECRET is not configured");
-    return respond(res, 500, { error: "Server configuration error" });
-  }
-
+  // The router has checked the partner token against body.partnerId
   try {
-    const { authorization } = tokenSchema.parse(req.headers ?? {});
-    let tokenPayload;
-    try {
-      tokenPayload = jwt.verify(authorization, JWT_SECRET);
-    } catch {
-      return respond(res, 401, { error: "Invalid token" });
-    }
-
     const body = requestSchema.parse(req.body ?? {});
     const partnerId = body.partnerId.toLowerCase();
 
-    if (!validateAccess(tokenPayload, partnerId)) {
-      return respond(res, 403, { error: "Forbidden" });
-    }
-
     const email = body.email.trim().toLowerCase();
-    const key = `qr:email:${email}`;
-    const record = await kv.hgetall(key);
+    const record = await findCustomerBooking({
+      bookingId: body.bookingId,
+      email,
+      partnerId,
+      prefer: (booking) => !booking.visited,
+    });
     if (!record) {
       return respond(res, 404, { error: "Submission not found" });
     }
 
-    const isMember = await kv.sismember(`partner:${partnerId}`, email);
-    if (!isMember) {
+    if (record.partnerId !== partnerId) {
       return respond(res, 403, { error: "Submission does not belong to this partner" });
     }
 
-    const parsedPayload = parsePayload(record);
+    const parsedPayload = record.payload;
 
-    if (String(record.visited || "").toLowerCase() === "true") {
+    if (record.visited) {
       return respond(res, 200, {
         email,
         partnerId,
+        bookingId: record.id,
         visited: true,
         visitedAt: record.visitedAt || record.scannedAt || record.createdAt || null,
         submission: parsedPayload,
@@ -97,10 +72,17 @@ export default async function handler(req, res) {
 
     const visitedAt = new Date().toISOString();
 
-    await kv.hset(key, {
+    const updated = await updateBooking(record.id, {
       visited: "true",
       visitedAt,
     });
+    await recordAudit(req, {
+      action: "booking.visit",
+      target: `booking:${record.id}`,
+      before: record,
+      after: updated,
+    });
+    await earnVisitPoints(updated, { createdAt: visitedAt });
 
     if (ZAPIER_VISIT_HOOK) {
       const attraction =
@@ -113,6 +95,7 @@ export default async function handler(req, res) {
       const hookBody = {
         email,
         partnerId,
+        bookingId: record.id,
         visitedAt,
         attraction,
         submission: {
@@ -133,6 +116,7 @@ export default async function handler(req, res) {
     return respond(res, 200, {
       email,
       partnerId,
+      bookingId: record.id,
       visited: true,
       visitedAt,
       submission: parsedPayload,
@@ -1,28 +1,13 @@
 // /api/pending.js
-import { kv } from "@vercel/kv";
+import { kv } from "../../lib/storage.js";
+import { recordAudit } from "../../lib/audit.js";
 
-const ADMIN_SECRET = process.env.ADMIN_SECRET || "";
-const PENDING_ACCESS_TOKEN = process.env.PENDING_ACCESS_TOKEN || "";
 const PENDING_ALLOWED_ORIGIN =
   process.env.PENDING_ALLOWED_ORIGIN ||
   process.env.ALLOWED_ORIGIN ||
   process.env.DASHBOARD_BASE_URL ||
   "";
 
-function isAuthorized(req) {
-  const pendingToken = req.headers["x-pending-token"];
-  if (PENDING_ACCESS_TOKEN && pendingToken === PENDING_ACCESS_TOKEN) {
-    return true;
-  }
-
-  const adminToken = req.headers["x-admin-secret"];
-  if (ADMIN_SECRET && adminToken === ADMIN_SECRET) {
-    return true;
-  }
-
-  return false;
-}
-
 // Support POST to set pending record by RID or email, and GET by rid or email.
 export default async function handler(req, res) {
   // allow CORS for Tilda demo; restrict in production
@@ -32,14 +17,10 @@ export default async function handler(req, res) {
   res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
   res.setHeader(
     "Access-Control-Allow-Headers",
-    "Content-Type, x-pending-token, x-admin-secret"
+    "Content-Type, x-api-key, x-pending-token, x-admin-secret"
   );
   if (req.method === "OPTIONS") return res.status(200).end();
 
-  if (!isAuthorized(req)) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
-
   try {
     if (req.method === "GET") {
       const rid = (req.query.rid || "").trim();
@@ -75,6 +56,7 @@ export default async function handler(req, res) {
           key: key || "",
         });
         await kv.expire(`pending:${String(rid)}`, ttl);
+        await recordAudit(req, { action: "pending.set", target: `pending:${String(rid)}` });
       }
 
       if (email) {
@@ -85,6 +67,7 @@ export default async function handler(req, res) {
           key: key || "",
         });
         await kv.expire(`pending:email:${n}`, ttl);
+        await recordAudit(req, { action: "pending.set", target: `pending:email:${n}` });
       }
 
       return res.status(200).json({ ok: true });
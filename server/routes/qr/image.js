@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import { z } from 'zod';
+import { buildVerifyUrl, verifyCheckinToken } from '../../../lib/checkin-tokens.js';
+import { encodeQr, renderPng, renderSvg } from '../../../lib/qrcode.js';
+import { respond, setCors } from '../../../lib/utils.js';
+
+const BASE_URL = process.env.BASE_URL || 'https://zabava-server.vercel.app';
+
+const querySchema = z.object({
+  token: z.string().min(1),
+  format: z.enum(['png', 'svg']).default('png'),
+  size: z.coerce.number().int().min(64).max(2048).default(300),
+  margin: z.coerce.number().int().min(0).max(16).default(4),
+  ecc: z
+    .string()
+    .transform((value) => value.toUpperCase())
+    .pipe(z.enum(['L', 'M', 'Q', 'H']))
+    .default('M')
+});
+
+/**
+ * GET /api/qr/image?token=...&format=png|svg&size=300&margin=4&ecc=M
+ * QR code image for a booking's signed verify URL
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return respond(res, 405, { error: 'Method Not Allowed' });
+  }
+
+  const parsed = querySchema.safeParse(req.query || {});
+  if (!parsed.success) {
+    return respond(res, 400, {
+      error: 'ValidationError',
+      issues: parsed.error.flatten()
+    });
+  }
+
+  const { token, format, size, margin, ecc } = parsed.data;
+
+  // Only render verify URLs this server signed
+  const check = verifyCheckinToken(token);
+  if (!check.ok) {
+    return respond(res, check.reason === 'expired' ? 410 : 403, {
+      error: 'Invalid check-in token',
+      reason: check.reason
+    });
+  }
+
+  // The image only depends on the query, so it can be cached until the token expires
+  const etag = `"${crypto
+    .createHash('sha1')
+    .update([token, format, size, margin, ecc].join('|'))
+    .digest('hex')}"`;
+  const maxAge = Math.max(
+    0,
+    Math.floor((new Date(check.expiresAt).getTime() - Date.now()) / 1000)
+  );
+  res.setHeader('Cache-Control', `public, max-age=${maxAge}, immutable`);
+  res.setHeader('ETag', etag);
+
+  if (req.headers?.['if-none-match'] === etag) {
+    return res.status(304).end();
+  }
+
+  try {
+    const qr = encodeQr(buildVerifyUrl(BASE_URL, token), { ecc });
+
+    if (format === 'svg') {
+      res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+      return res.status(200).send(renderSvg(qr, { size, margin }));
+    }
+
+    res.setHeader('Content-Type', 'image/png');
+    return res.status(200).send(renderPng(qr, { size, margin }));
+  } catch (error) {
+    console.error('Error generating QR image:', error);
+    return respond(res, 500, {
+      error: 'Internal server error',
+      message: 'Failed to generate QR code'
+    });
+  }
+}
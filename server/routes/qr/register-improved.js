@@ -1,10 +1,18 @@
-import { kv } from '@vercel/kv';
+import { createBooking } from '../../../lib/bookings.js';
+import {
+  buildQrImageUrl,
+  buildVerifyUrl,
+  issueCheckinToken
+} from '../../../lib/checkin-tokens.js';
+import { evaluateEarningRules } from '../../../lib/earning-rules.js';
+import { loadEarningRules } from '../../../lib/partner-meta.js';
 import { respond, setCors } from '../../../lib/utils.js';
+import { recordAudit } from '../../../lib/audit.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
  * POST /api/qr/register
- * Improved registration that stores each partner visit as a separate record
+ * Improved registration that stores each partner visit as a separate booking
  */
 export default async function handler(req, res) {
   setCors(res);
@@ -55,128 +63,60 @@ export default async function handler(req, res) {
       }
     }
 
-    // Calculate estimated points based on ticket type and number of people
-    let estimatedPoints = 0;
-    if (parsedData) {
-      const numPeople = parseInt(parsedData.numPeople) || 1;
-      const ticketType = (parsedData.ticket || 'Standard').toLowerCase();
-      
-      // Calculate base points based on ticket type
-      switch (ticketType) {
-        case 'vip':
-          estimatedPoints = 50 * numPeople;
-          break;
-        case 'family':
-          estimatedPoints = 30 * numPeople;
-          break;
-        case 'group':
-          estimatedPoints = 20 * numPeople;
-          break;
-        case 'adult':
-          estimatedPoints = 11; // Based on existing data
-          break;
-        default:
-          estimatedPoints = 10 * numPeople;
-      }
-      
-      // Add transport bonus
-      if (parsedData.Transport === 'Yes' || parsedData.Bus_Rental || parsedData.selectedBus) {
-        estimatedPoints += 5;
-      }
-      
-      // Alternative: Use total price if available
-      if (parsedData.totalPrice) {
-        const priceBasedPoints = Math.floor(parseFloat(parsedData.totalPrice) / 100);
-        estimatedPoints = Math.max(estimatedPoints, priceBasedPoints);
-      }
-    }
+    // Estimate the points this visit will earn under the partner's rules
+    const rules = await loadEarningRules(normalizedPartnerId);
+    const { points: estimatedPoints } = evaluateEarningRules(rules, parsedData || {});
 
-    // Store the main QR record with visit ID as part of the key
-    const mainQrKey = `qr:${normalizedEmail}:${normalizedPartnerId}:${visitId}`;
-    
-    const qrRecord = {
-      visitId,
-      email: normalizedEmail,
-      partnerId: normalizedPartnerId,
-      payload: JSON.stringify({
-        ...parsedData,
-        estimatedPoints
-      }),
-      status: 'pending',
-      visited: 'false',
-      visitedAt: null,
-      pointsAwarded: 0,
-      createdAt: timestamp,
-      updatedAt: timestamp
-    };
-    
-    await kv.hmset(mainQrKey, qrRecord);
-    
-    // Also maintain a simpler key for backward compatibility
-    const compatKey = `qr:email:${normalizedEmail}`;
-    const existingCompat = await kv.hgetall(compatKey);
-    
-    // Only update compat key if it's empty or for a different partner
-    if (!existingCompat || !existingCompat.partnerId || 
-        existingCompat.partnerId.toLowerCase() !== normalizedPartnerId) {
-      await kv.hmset(compatKey, qrRecord);
-    }
-    
-    // Add to user's visit list
-    const userVisitsKey = `user:visits:${normalizedEmail}`;
-    await kv.sadd(userVisitsKey, mainQrKey);
-    
-    // Add to partner's visit list
-    const partnerVisitsKey = `partner:visits:${normalizedPartnerId}`;
-    await kv.sadd(partnerVisitsKey, mainQrKey);
-    
-    // Add user to partner's member list (for partner-specific operations)
-    await kv.sadd(`partner:${normalizedPartnerId}`, normalizedEmail);
-    await kv.sadd(`partner:${normalizedPartnerId.toUpperCase()}`, normalizedEmail);
-    
-    // Track visit metadata
-    const visitMetaKey = `visit:meta:${visitId}`;
-    await kv.hmset(visitMetaKey, {
-      visitId,
+    // Store the visit as its own booking, indexed by customer and partner
+    const booking = await createBooking({
+      id: visitId,
       email: normalizedEmail,
       partnerId: normalizedPartnerId,
-      qrKey: mainQrKey,
-      status: 'pending',
-      createdAt: timestamp,
-      estimatedPoints
+      payload: parsedData,
+      fields: {
+        visitId,
+        status: 'pending',
+        pointsAwarded: 0,
+        estimatedPoints,
+        source: 'qr',
+        createdAt: timestamp,
+        updatedAt: timestamp
+      }
+    });
+    await recordAudit(req, {
+      action: 'booking.create',
+      target: `booking:${booking.id}`,
+      after: booking
     });
-    
-    // Add visit to chronological list
-    const chronoKey = `visits:chrono:${normalizedEmail}`;
-    await kv.lpush(chronoKey, JSON.stringify({
-      visitId,
-      partnerId: normalizedPartnerId,
-      qrKey: mainQrKey,
-      createdAt: timestamp,
-      estimatedPoints
-    }));
-    
-    // Limit chronological list to last 100 visits
-    await kv.ltrim(chronoKey, 0, 99);
     
     console.log('QR Registration successful:', {
       visitId,
+      bookingId: booking.id,
       email: normalizedEmail,
       partnerId: normalizedPartnerId,
-      qrKey: mainQrKey,
       estimatedPoints
     });
     
+    const baseUrl = process.env.BASE_URL || 'https://zabava-server.vercel.app';
+    const checkin = issueCheckinToken({
+      bookingId: booking.id,
+      partnerId: normalizedPartnerId
+    });
+
     // Return success response
     return respond(res, 200, {
       success: true,
       message: 'QR code registered successfully',
       data: {
         visitId,
+        bookingId: booking.id,
         email: normalizedEmail,
         partnerId: normalizedPartnerId,
         estimatedPoints,
         status: 'pending',
+        verifyUrl: buildVerifyUrl(baseUrl, checkin.token),
+        qrImageUrl: buildQrImageUrl(baseUrl, checkin.token),
+        checkinExpiresAt: checkin.expiresAt,
         createdAt: timestamp
       }
     });
@@ -1,67 +1,25 @@
-import { kv } from "@vercel/kv";
+import { v4 as uuidv4 } from "uuid";
+import {
+  bookingKey,
+  createBooking,
+  extractPartnerId,
+  normalizePartnerId,
+} from "../../lib/bookings.js";
+import {
+  buildQrImageUrl,
+  buildVerifyUrl,
+  issueCheckinToken,
+} from "../../lib/checkin-tokens.js";
+import { recordAudit } from "../../lib/audit.js";
+import {
+  getRedemption,
+  isExpired,
+  transitionRedemption,
+  undoApply,
+} from "../../lib/redemptions.js";
 
 const ERROR_WEBHOOK_URL = process.env.ERROR_WEBHOOK_URL || "";
 
-const PARTNER_KEY_CANDIDATES = [
-  "partner_id",
-  "partner",
-  "partnerId",
-  "partnerID",
-  "PartnerID",
-];
-
-async function safeSAdd(key, value) {
-  try {
-    await kv.sadd(key, value);
-  } catch (err) {
-    if (String(err?.message || "").includes("WRONGTYPE")) {
-      await kv.del(key);
-      await kv.sadd(key, value);
-    } else {
-      throw err;
-    }
-  }
-}
-
-function extractPartnerId(source) {
-  if (!source) return "";
-
-  const scan = (obj) => {
-    if (!obj || typeof obj !== "object") return "";
-    for (const key of PARTNER_KEY_CANDIDATES) {
-      if (obj[key]) {
-        return String(obj[key]);
-      }
-    }
-    return "";
-  };
-
-  if (typeof source === "string") {
-    try {
-      const parsed = JSON.parse(source);
-      const value = extractPartnerId(parsed);
-      if (value) {
-        return value;
-      }
-    } catch (err) {
-      console.warn("Failed to parse partner payload string", err);
-    }
-    return "";
-  }
-
-  const direct = scan(source);
-  if (direct) return direct;
-
-  if (source.data) {
-    const nested = extractPartnerId(source.data);
-    if (nested) {
-      return nested;
-    }
-  }
-
-  return "";
-}
-
 async function notifyError(context) {
   if (!ERROR_WEBHOOK_URL) return;
   try {
@@ -113,116 +71,118 @@ export default async function registerHandler(req, res) {
       return res.status(400).json({ error: "Invalid email format" });
     }
 
-    const key = `qr:email:${normalizedEmail}`;
+    const bookingId = uuidv4();
+    const key = bookingKey(bookingId);
     const createdAtIso = new Date().toISOString();
     const record = {
-      email: normalizedEmail,
-      used: "false",
-      payload: JSON.stringify(rest),
       createdAt: createdAtIso,
-      visited: "false",
-      visitedAt: "",
     };
 
-    // Handle redemption code if provided
+    const partnerKey = extractPartnerId(rest);
+
+    // Attach a redemption code the customer brought along
+    let applied = null;
     let redemptionInfo = null;
     if (redemptionCode) {
-      const redemptionKey = `redemption:${redemptionCode}`;
-      const redemptionData = await kv.hgetall(redemptionKey);
-      
-      if (redemptionData && redemptionData.email === normalizedEmail) {
-        // Check if redemption is still valid
-        const expiresAt = new Date(redemptionData.expiresAt);
-        const now = new Date();
-        
-        if (expiresAt > now && redemptionData.status === "pending") {
-          // Attach redemption to this booking
-          record.redemptionCode = redemptionCode;
-          record.hasRedemption = "true";
-          record.redemptionReward = redemptionData.rewardName;
-          record.redemptionValue = redemptionData.pointsSpent;
-          
-          // Update redemption status
-          await kv.hset(redemptionKey, "status", "applied");
-          await kv.hset(redemptionKey, "appliedToBooking", key);
-          await kv.hset(redemptionKey, "appliedAt", createdAtIso);
-          await kv.hset(redemptionKey, "partnerId", rest.partner_id || rest.partnerId || "");
-          
-          redemptionInfo = {
-            code: redemptionCode,
-            reward: redemptionData.rewardName,
-            value: redemptionData.pointsSpent,
-            status: "Applied to booking"
-          };
-        } else if (redemptionData.status === "used") {
-          return res.status(400).json({ 
-            error: "Redemption code has already been used",
-            code: redemptionCode 
-          });
-        } else if (expiresAt <= now) {
-          return res.status(400).json({ 
-            error: "Redemption code has expired",
-            code: redemptionCode,
-            expiredAt: expiresAt.toISOString()
-          });
-        }
-      } else if (redemptionData && redemptionData.email !== normalizedEmail) {
-        return res.status(400).json({ 
+      const redemptionData = await getRedemption(redemptionCode);
+
+      if (!redemptionData) {
+        return res.status(400).json({
+          error: "Invalid redemption code",
+          code: redemptionCode
+        });
+      }
+      if (redemptionData.email !== normalizedEmail) {
+        return res.status(400).json({
           error: "This redemption code belongs to a different user",
-          code: redemptionCode 
+          code: redemptionCode
         });
-      } else {
-        return res.status(400).json({ 
-          error: "Invalid redemption code",
-          code: redemptionCode 
+      }
+      if (redemptionData.status === "used") {
+        return res.status(400).json({
+          error: "Redemption code has already been used",
+          code: redemptionCode
         });
       }
-    }
-
-    // If user provided a redemption code, validate and attach it
-    if (redemptionCode) {
-      const redemptionKey = `redemption:${redemptionCode}`;
-      const redemptionData = await kv.hgetall(redemptionKey);
-      
-      if (redemptionData && redemptionData.email === normalizedEmail) {
-        // Check if redemption is still valid
-        const expiresAt = new Date(redemptionData.expiresAt);
-        if (expiresAt > new Date() && redemptionData.status === "pending") {
-          record.redemptionCode = redemptionCode;
-          record.redemptionDetails = JSON.stringify({
-            rewardName: redemptionData.rewardName,
-            pointsValue: redemptionData.pointsSpent,
-            redeemedAt: redemptionData.redeemedAt
-          });
-          
-          // Update redemption status to "approved" (being used)
-          await kv.hset(redemptionKey, "status", "approved");
-          await kv.hset(redemptionKey, "usedInBooking", key);
-          await kv.hset(redemptionKey, "usedAt", createdAtIso);
-        }
+      if (redemptionData.status === "expired" || isExpired(redemptionData)) {
+        return res.status(400).json({
+          error: "Redemption code has expired",
+          code: redemptionCode,
+          expiredAt: new Date(redemptionData.expiresAt).toISOString()
+        });
       }
-    }
-
-    let partnerKey = extractPartnerId(rest);
 
-    if (partnerKey) {
-      const normalizedPartnerKey = String(partnerKey).trim().toLowerCase();
+      try {
+        applied = await transitionRedemption(redemptionCode, "applied", {
+          email: normalizedEmail,
+          fields: {
+            appliedToBooking: key,
+            partnerId: normalizePartnerId(partnerKey),
+          },
+        });
+      } catch (err) {
+        if (err.code !== "INVALID_TRANSITION" && err.code !== "REDEMPTION_BUSY") throw err;
+        return res.status(400).json({
+          error: "Redemption code cannot be applied",
+          code: redemptionCode,
+          status: err.currentStatus || redemptionData.status
+        });
+      }
 
-      await safeSAdd(`partner:${normalizedPartnerKey}`, normalizedEmail);
-      await safeSAdd("partners", normalizedPartnerKey);
-      record.partnerId = normalizedPartnerKey;
+      record.redemptionCode = redemptionCode;
+      record.hasRedemption = "true";
+      record.redemptionReward = redemptionData.rewardName;
+      record.redemptionValue = redemptionData.pointsSpent;
+      redemptionInfo = {
+        code: redemptionCode,
+        reward: redemptionData.rewardName,
+        value: redemptionData.pointsSpent,
+        status: "Applied to booking"
+      };
     }
 
-    await kv.hset(key, record);
+    let booking;
+    try {
+      booking = await createBooking({
+        id: bookingId,
+        email: normalizedEmail,
+        partnerId: partnerKey,
+        payload: rest,
+        fields: record,
+      });
+    } catch (err) {
+      // Free the code again rather than leave it on a booking that isn't there
+      if (applied) await undoApply(redemptionCode, applied);
+      throw err;
+    }
+    if (applied) {
+      await recordAudit(req, {
+        action: "redemption.apply",
+        target: `redemption:${redemptionCode}`,
+        before: applied.before,
+        after: applied.after,
+      });
+    }
+    await recordAudit(req, {
+      action: "booking.create",
+      target: `booking:${bookingId}`,
+      after: booking,
+    });
 
     const baseUrl = process.env.BASE_URL || "https://zabava-server.vercel.app";
+    const checkin = issueCheckinToken({
+      bookingId,
+      partnerId: partnerKey || undefined,
+    });
 
     const response = {
       success: true,
       email: normalizedEmail,
-      verifyUrl: `${baseUrl}/api/verify?email=${encodeURIComponent(
-        normalizedEmail
-      )}`,
+      bookingId,
+      verifyUrl: buildVerifyUrl(baseUrl, checkin.token),
+      qrImageUrl: buildQrImageUrl(baseUrl, checkin.token),
+      checkinToken: checkin.token,
+      checkinExpiresAt: checkin.expiresAt,
       key,
       message: "Registration successful",
     };
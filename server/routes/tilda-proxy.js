@@ -2,6 +2,11 @@
 // POST endpoint to accept Tilda submissions, save them server-side (via /api/register),
 // then forward the payload (with register response) to your Zapier catch hook.
 
+import {
+  tokenFromVerifyUrl,
+  verifyCheckinToken,
+} from "../../lib/checkin-tokens.js";
+
 const ZAPIER_HOOK = process.env.ZAPIER_CATCH_HOOK || ""; // Zapier catch hook
 const BASE_URL = process.env.BASE_URL || "https://zabava-server.vercel.app"; // your server base
 
@@ -115,10 +120,28 @@ export default async function handler(req, res) {
     registerResult = { error: String(err) };
   }
 
+  // Only pass on a verify URL whose check-in token we signed ourselves
+  const checkin = verifyCheckinToken(
+    registerResult?.checkinToken || tokenFromVerifyUrl(registerResult?.verifyUrl)
+  );
+  if (!checkin.ok) {
+    console.warn("tilda-proxy: register returned no valid check-in token", {
+      reason: checkin.reason,
+    });
+  }
+  const registered = !!(registerResult && !registerResult.error && checkin.ok);
+
   // Attach register response so Zapier receives it and can use verifyUrl immediately
   const forwardPayload = {
     ...payload,
     _register: registerResult,
+    _checkin: checkin.ok
+      ? {
+          bookingId: checkin.bookingId,
+          verifyUrl: registerResult.verifyUrl,
+          expiresAt: checkin.expiresAt,
+        }
+      : null,
   };
 
   // 2) Forward to Zapier (best-effort). Do not block Tilda on Zapier failure.
@@ -142,7 +165,7 @@ export default async function handler(req, res) {
   // 3) Respond to Tilda quickly (200). Also include register/zapier result for debugging.
   return res.status(200).json({
     ok: true,
-    registered: !!(registerResult && !registerResult.error),
+    registered,
     registerResult,
     forwardedToZapier: forwarded,
   });
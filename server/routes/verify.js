@@ -1,8 +1,22 @@
-import { kv } from "@vercel/kv";
+import { kv } from "../../lib/storage.js";
+import {
+  findCustomerBooking,
+  getBooking,
+  updateBooking,
+} from "../../lib/bookings.js";
+import {
+  tokenFromVerifyUrl,
+  verifyCheckinToken,
+} from "../../lib/checkin-tokens.js";
+import { earnVisitPoints } from "../../lib/loyalty-tiers.js";
+import { recordAudit } from "../../lib/audit.js";
 
 // Optional: a Zapier hook to notify on scan (non-blocking)
 const ZAPIER_HOOK = process.env.ZAPIER_HOOK || "";
 const REGEN_LINK = process.env.REGEN_LINK || "https://example.com/regenerate";
+// Accept unsigned ?booking= / ?email= links printed before tokens existed
+const ALLOW_LEGACY_VERIFY_LINKS =
+  process.env.ALLOW_LEGACY_VERIFY_LINKS === "true";
 
 function escapeHtml(s) {
   return String(s).replace(
@@ -407,46 +421,110 @@ function renderAlreadyUsed(res, { email, scannedAt }) {
   });
 }
 
+const TOKEN_ERRORS = {
+  expired: {
+    statusCode: 410,
+    title: "QR code expired",
+    message: "This QR code has expired. Request a new one to check in.",
+  },
+  "partner-mismatch": {
+    statusCode: 403,
+    title: "Wrong venue",
+    message: "This QR code was issued for a different venue.",
+  },
+  unsigned: {
+    statusCode: 403,
+    title: "QR code no longer accepted",
+    message:
+      "This QR code uses an old format that is no longer accepted. Request a new one to check in.",
+  },
+  default: {
+    statusCode: 403,
+    title: "Invalid QR code",
+    message:
+      "This QR code could not be verified. It may have been altered or issued by someone else.",
+  },
+};
+
+function renderTokenError(res, reason) {
+  const error = TOKEN_ERRORS[reason] || TOKEN_ERRORS.default;
+  return renderPage(res, error.statusCode, {
+    status: "error",
+    title: error.title,
+    bodyHtml: `<p class="muted">${escapeHtml(error.message)}</p>`,
+    footerHtml: `<a class="action-btn" href="${escapeHtml(
+      REGEN_LINK
+    )}" target="_blank" rel="noopener">Request a new code</a>`,
+  });
+}
+
+function bookingIdFromPending(pending) {
+  if (!pending || typeof pending !== "object") return "";
+  const key = String(pending.key || "");
+  if (key.startsWith("booking:")) return key.slice("booking:".length);
+  if (pending.verifyUrl) {
+    try {
+      return new URL(pending.verifyUrl).searchParams.get("booking") || "";
+    } catch {}
+  }
+  return "";
+}
+
 export default async function handler(req, res) {
-  // Accept either ?email=... or ?rid=... (request id from Zapier/Tilda flow)
-  const query = req.method === "GET" ? req.query : req.query || {};
-  const emailQ = (query.email || "").trim().toLowerCase();
+  // Accept ?token=... (signed) or ?rid=... (request id from Zapier/Tilda flow).
+  // Unsigned ?booking=/?email= links only work with ALLOW_LEGACY_VERIFY_LINKS.
+  const query = req.query || {};
   const rid = (query.rid || "").trim();
 
+  let token = String(query.token || "").trim();
+  let bookingId = String(query.booking || "").trim();
+  let email = (query.email || "").trim().toLowerCase();
+
   // If rid provided, try to resolve a pending entry first
-  let email = emailQ;
-  if (!email && rid) {
+  if (!token && !bookingId && !email && rid) {
     try {
-      const pendKey = `pending:${rid}`;
-      const pending = await kv.get(pendKey);
-      if (pending && typeof pending === "object") {
-        // pending may include verifyUrl, email, key, qrUrl
-        if (pending.email) email = String(pending.email).trim().toLowerCase();
-        // if server stored the actual key, use it below; otherwise derive from email
-      }
+      const pending = await kv.hgetall(`pending:${rid}`);
+      token = pending?.verifyUrl ? tokenFromVerifyUrl(pending.verifyUrl) : "";
+      bookingId = bookingIdFromPending(pending);
+      if (pending?.email) email = String(pending.email).trim().toLowerCase();
     } catch (e) {
       console.warn("verify: pending lookup failed", String(e));
     }
   }
 
-  if (!email) {
+  let rec = null;
+  if (token) {
+    const check = verifyCheckinToken(token);
+    if (!check.ok) {
+      return renderTokenError(res, check.reason);
+    }
+    rec = await getBooking(check.bookingId);
+    if (rec && check.partnerId && rec.partnerId !== check.partnerId) {
+      return renderTokenError(res, "partner-mismatch");
+    }
+  } else if (bookingId || email) {
+    if (!ALLOW_LEGACY_VERIFY_LINKS) {
+      return renderTokenError(res, "unsigned");
+    }
+    // Legacy email links resolve to the customer's latest unused booking
+    rec = await findCustomerBooking({
+      bookingId,
+      email,
+      prefer: (booking) => !booking.used,
+    });
+  } else {
     return renderPage(res, 400, {
       status: "error",
-      title: "Missing email",
+      title: "Missing booking",
       bodyHtml:
-        '<p class="muted">We could not determine the email associated with this QR code.</p>',
+        '<p class="muted">We could not determine the booking associated with this QR code.</p>',
       footerHtml: `<a class="action-btn" href="${escapeHtml(
         REGEN_LINK
       )}" target="_blank" rel="noopener">Request new access</a>`,
     });
   }
 
-  const key = `qr:email:${email}`;
-
-  // Look up stored record
-  const rec = await kv.hgetall(key);
-
-  if (!rec || (rec.email && String(rec.email).toLowerCase() !== email)) {
+  if (!rec) {
     return renderPage(res, 404, {
       status: "error",
       title: "Invalid or expired code",
@@ -459,31 +537,43 @@ export default async function handler(req, res) {
   }
 
   // Lightweight lock to avoid race on rapid double scans
-  const lockKey = `${key}:lock`;
+  const lockKey = `${rec.key}:lock`;
   const gotLock = await kv.set(lockKey, "1", { nx: true, ex: 10 });
   if (!gotLock) {
     return renderAlreadyUsed(res, {
-      email: rec.email || email,
+      email: rec.email,
       scannedAt: rec.scannedAt,
     });
   }
 
   try {
-    const used = String(rec.used || "").toLowerCase() === "true";
-    if (used)
+    if (rec.used)
       return renderAlreadyUsed(res, {
-        email: rec.email || email,
+        email: rec.email,
         scannedAt: rec.scannedAt,
       });
 
     // Mark as used (single-use)
     const scannedAtIso = new Date().toISOString();
-    await kv.hset(key, { used: "true", scannedAt: scannedAtIso });
+    const scanned = await updateBooking(rec.id, {
+      used: "true",
+      scannedAt: scannedAtIso,
+    });
+    await recordAudit(req, {
+      action: "booking.checkin",
+      target: `booking:${rec.id}`,
+      before: rec,
+      after: scanned,
+    });
+
+    // A scanned booking counts as visited for points and tiers
+    await earnVisitPoints(scanned, { createdAt: scannedAtIso });
 
     // Notify Zapier (non-blocking)
     if (ZAPIER_HOOK) {
       const qs = new URLSearchParams({
-        email: rec.email || email,
+        email: rec.email,
+        bookingId: rec.id,
         scannedAt: scannedAtIso,
       }).toString();
       fetch(`${ZAPIER_HOOK}?${qs}`, { method: "GET" }).catch(() => {});
@@ -498,7 +588,7 @@ export default async function handler(req, res) {
     }
 
     return renderSuccess(res, {
-      email: rec.email || email,
+      email: rec.email,
       payload,
       scannedAt: scannedAtIso,
     });
@@ -0,0 +1,217 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  adminHeaders,
+  bearer,
+  customerHeaders,
+  partnerHeaders,
+  request,
+  resetStore,
+  signToken,
+} from "./helpers/http.js";
+
+const EMAIL = "jana@example.com";
+const PARTNER = "lz001";
+
+async function register(fields = {}) {
+  const res = await request("POST", "register", {
+    body: { email: EMAIL, partner_id: PARTNER, totalPrice: 1500, ...fields },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+function markVisited(headers, partnerId = PARTNER) {
+  return request("POST", "partner/mark-visited", {
+    headers,
+    body: { email: EMAIL, partnerId },
+  });
+}
+
+async function appliedRedemption(partnerId = PARTNER) {
+  await request("GET", "verify", {
+    query: Object.fromEntries(new URL((await register()).verifyUrl).searchParams),
+  });
+  const reward = await request("POST", "admin/rewards", {
+    headers: adminHeaders(),
+    body: { name: "Free coffee", pointsCost: 10, category: "freebie" },
+  });
+  const redeemed = await request("POST", "bonus/redeem-reward", {
+    headers: customerHeaders(EMAIL),
+    body: { rewardId: reward.body.reward.id },
+  });
+  const { code } = redeemed.body.redemption;
+  await register({ partner_id: partnerId, redemptionCode: code });
+  return code;
+}
+
+describe("route access levels", () => {
+  beforeEach(resetStore);
+
+  test("mark-visited requires a partner token", async () => {
+    await register();
+
+    const anonymous = await markVisited({});
+    assert.equal(anonymous.status, 401);
+
+    const forged = await markVisited(bearer(`${signToken({ partnerId: PARTNER })}x`));
+    assert.equal(forged.status, 401);
+    assert.equal(forged.body.error, "Invalid token");
+
+    const res = await markVisited(partnerHeaders(PARTNER));
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.visit.partnerId, PARTNER);
+  });
+
+  test("partners can only act on their own partner id", async () => {
+    await register();
+
+    const visit = await markVisited(partnerHeaders("tx003"));
+    assert.equal(visit.status, 403);
+
+    const dashboard = await request("GET", `partner/${PARTNER}`, {
+      headers: partnerHeaders("TX003"),
+    });
+    assert.equal(dashboard.status, 403);
+
+    const sameIdOtherCase = await request("GET", "partner/LZ001", {
+      headers: partnerHeaders(PARTNER),
+    });
+    assert.equal(sameIdOtherCase.status, 200);
+  });
+
+  test("admins pass partner routes for any partner", async () => {
+    await register();
+    const res = await markVisited(adminHeaders());
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+  });
+
+  test("check-redemption requires a partner token", async () => {
+    const get = await request("GET", "partner/check-redemption", {
+      query: { code: "RDM-NOPE" },
+    });
+    assert.equal(get.status, 401);
+
+    const post = await request("POST", "partner/check-redemption", {
+      body: { code: "RDM-NOPE", action: "process" },
+    });
+    assert.equal(post.status, 401);
+  });
+
+  test("partners cannot see or process another partner's redemption", async () => {
+    const code = await appliedRedemption(PARTNER);
+
+    const check = await request("GET", "partner/check-redemption", {
+      headers: partnerHeaders("tx003"),
+      query: { code },
+    });
+    assert.equal(check.status, 403);
+    assert.equal(check.body.redemption, undefined);
+
+    const res = await request("POST", "partner/check-redemption", {
+      headers: partnerHeaders("tx003"),
+      body: { code, action: "process" },
+    });
+    assert.equal(res.status, 403);
+
+    const own = await request("POST", "partner/check-redemption", {
+      headers: partnerHeaders(PARTNER),
+      body: { code, action: "process" },
+    });
+    assert.equal(own.status, 200);
+  });
+
+  test("codes not tied to a venue are for admins only", async () => {
+    await request("POST", "admin/points/adjust", {
+      headers: adminHeaders(),
+      body: { email: EMAIL, points: 10, reason: "Welcome bonus" },
+    });
+    const reward = await request("POST", "admin/rewards", {
+      headers: adminHeaders(),
+      body: { name: "Free coffee", pointsCost: 10, category: "freebie" },
+    });
+    const redeemed = await request("POST", "bonus/redeem-reward", {
+      headers: customerHeaders(EMAIL),
+      body: { rewardId: reward.body.reward.id },
+    });
+    const { code } = redeemed.body.redemption;
+
+    const staff = await request("GET", "partner/check-redemption", {
+      headers: partnerHeaders(PARTNER),
+      query: { code },
+    });
+    assert.equal(staff.status, 403);
+
+    const rejected = await request("POST", "partner/check-redemption", {
+      headers: partnerHeaders(PARTNER),
+      body: { code, action: "reject" },
+    });
+    assert.equal(rejected.status, 403);
+
+    const admin = await request("GET", "partner/check-redemption", {
+      headers: adminHeaders(),
+      query: { code },
+    });
+    assert.equal(admin.status, 200);
+    assert.equal(admin.body.redemption.email, EMAIL);
+  });
+
+  test("debug-user is admin only", async () => {
+    const anonymous = await request("GET", "bonus/debug-user", { query: { email: EMAIL } });
+    assert.equal(anonymous.status, 401);
+
+    const partner = await request("GET", "bonus/debug-user", {
+      headers: partnerHeaders(PARTNER),
+      query: { email: EMAIL },
+    });
+    assert.equal(partner.status, 401);
+
+    const admin = await request("GET", "bonus/debug-user", {
+      headers: adminHeaders(),
+      query: { email: EMAIL },
+    });
+    assert.equal(admin.status, 200);
+  });
+
+  test("admin/update accepts admin tokens as well as the secret", async () => {
+    const { bookingId } = await register();
+    const token = signToken({ sub: "boss@zabava.test", role: "admin" });
+
+    const res = await request("POST", "admin/update", {
+      headers: bearer(token),
+      body: { bookingId, payload: { ticket: "VIP" } },
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+  });
+
+  test("pending accepts the integration key but not partner tokens", async () => {
+    const body = { rid: "r1", verifyUrl: "https://api.test/api/verify?token=t" };
+
+    const partner = await request("POST", "pending", {
+      headers: partnerHeaders(PARTNER),
+      body,
+    });
+    assert.equal(partner.status, 401);
+
+    const saved = await request("POST", "pending", {
+      headers: { "x-pending-token": process.env.PENDING_ACCESS_TOKEN },
+      body,
+    });
+    assert.equal(saved.status, 200);
+
+    const read = await request("GET", "pending", {
+      headers: { "x-api-key": process.env.PENDING_ACCESS_TOKEN },
+      query: { rid: "r1" },
+    });
+    assert.equal(read.status, 200);
+    assert.equal(read.body.verifyUrl, body.verifyUrl);
+  });
+
+  test("public routes ignore invalid credentials", async () => {
+    const res = await request("POST", "register", {
+      headers: bearer("not-a-token"),
+      body: { email: EMAIL, partner_id: PARTNER },
+    });
+    assert.equal(res.status, 200);
+  });
+});
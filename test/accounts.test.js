@@ -0,0 +1,171 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminHeaders, bearer, request, resetStore } from "./helpers/http.js";
+
+const PASSWORD = "correct-horse";
+
+async function createAccount(email, fields = {}) {
+  const res = await request("POST", "admin/accounts", {
+    headers: adminHeaders(),
+    body: { email, password: PASSWORD, partnerId: "lz001", ...fields },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+}
+
+function login(email, password = PASSWORD) {
+  return request("POST", "auth/login", { body: { email, password } });
+}
+
+function admin(method, path, body) {
+  return request(method, path, { headers: adminHeaders(), body });
+}
+
+describe("admin account management", () => {
+  beforeEach(resetStore);
+
+  test("lists accounts filtered by partner, role and status", async () => {
+    await createAccount("anna@venue.test", { name: "Anna" });
+    await createAccount("bob@venue.test", { partnerId: "tx003" });
+    await createAccount("root@zabava.test", { role: "admin", partnerId: undefined });
+    await admin("POST", "admin/accounts/bob@venue.test/disable");
+
+    const all = await admin("GET", "admin/accounts");
+    assert.equal(all.status, 200);
+    assert.deepEqual(
+      all.body.items.map((account) => account.email),
+      ["anna@venue.test", "bob@venue.test", "root@zabava.test"]
+    );
+    assert.equal(all.body.items[0].passwordHash, undefined);
+
+    const byPartner = await request("GET", "admin/accounts", {
+      headers: adminHeaders(),
+      query: { partnerId: "TX003" },
+    });
+    assert.deepEqual(byPartner.body.items.map((account) => account.email), ["bob@venue.test"]);
+
+    const admins = await request("GET", "admin/accounts", {
+      headers: adminHeaders(),
+      query: { role: "admin" },
+    });
+    assert.deepEqual(admins.body.items.map((account) => account.email), ["root@zabava.test"]);
+
+    const active = await request("GET", "admin/accounts", {
+      headers: adminHeaders(),
+      query: { status: "active", search: "ann" },
+    });
+    assert.deepEqual(active.body.items.map((account) => account.email), ["anna@venue.test"]);
+
+    const firstPage = await request("GET", "admin/accounts", {
+      headers: adminHeaders(),
+      query: { limit: "2" },
+    });
+    assert.equal(firstPage.body.items.length, 2);
+    const secondPage = await request("GET", "admin/accounts", {
+      headers: adminHeaders(),
+      query: { limit: "2", cursor: firstPage.body.nextCursor },
+    });
+    assert.deepEqual(secondPage.body.items.map((account) => account.email), ["root@zabava.test"]);
+    assert.equal(secondPage.body.nextCursor, null);
+  });
+
+  test("shows the last login", async () => {
+    await createAccount("anna@venue.test");
+    const before = await admin("GET", "admin/accounts/anna@venue.test");
+    assert.equal(before.body.account.lastLoginAt, null);
+
+    assert.equal((await login("anna@venue.test")).status, 200);
+    const after = await admin("GET", "admin/accounts/anna@venue.test");
+    assert.ok(after.body.account.lastLoginAt);
+    assert.equal(after.body.sessions.length, 1);
+  });
+
+  test("changes partners and roles without touching the password", async () => {
+    await createAccount("anna@venue.test");
+    const session = await login("anna@venue.test");
+
+    const res = await admin("PATCH", "admin/accounts/anna@venue.test", {
+      memberships: [
+        { partnerId: "tx003", role: "owner" },
+        { partnerId: "lz001", role: "scanner" },
+      ],
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.account.partnerId, "lz001");
+    assert.deepEqual(res.body.account.partners, { tx003: "owner", lz001: "scanner" });
+    assert.equal(res.body.revokedSessions, 1);
+
+    // The old token carried the old access
+    const stale = await request("GET", "partner/lz001", { headers: bearer(session.body.token) });
+    assert.equal(stale.status, 401);
+
+    const again = await login("anna@venue.test");
+    assert.equal(again.status, 200);
+    const dashboard = await request("GET", "partner/lz001", {
+      headers: bearer(again.body.token),
+    });
+    assert.equal(dashboard.status, 403);
+
+    const renamed = await admin("PATCH", "admin/accounts/anna@venue.test", { name: "Anna K." });
+    assert.equal(renamed.body.revokedSessions, 0);
+
+    const promoted = await admin("PATCH", "admin/accounts/anna@venue.test", { role: "admin" });
+    assert.equal(promoted.body.account.role, "admin");
+    assert.deepEqual(promoted.body.account.partners, {});
+  });
+
+  test("rejects unknown accounts and empty changes", async () => {
+    const missing = await admin("PATCH", "admin/accounts/nobody@venue.test", { name: "X" });
+    assert.equal(missing.status, 404);
+
+    await createAccount("anna@venue.test");
+    const empty = await admin("PATCH", "admin/accounts/anna@venue.test", {});
+    assert.equal(empty.status, 400);
+  });
+
+  test("disabled accounts cannot log in or use their tokens", async () => {
+    await createAccount("anna@venue.test");
+    const session = await login("anna@venue.test");
+    const headers = bearer(session.body.token);
+    assert.equal((await request("GET", "auth/profile", { headers })).status, 200);
+
+    const disabled = await admin("POST", "admin/accounts/anna@venue.test/disable", {
+      reason: "Left the venue",
+    });
+    assert.equal(disabled.status, 200);
+    assert.equal(disabled.body.account.disabled, true);
+    assert.equal(disabled.body.account.disabledReason, "Left the venue");
+
+    const profile = await request("GET", "auth/profile", { headers });
+    assert.equal(profile.status, 401);
+
+    const refresh = await request("POST", "auth/refresh", {
+      body: { refreshToken: session.body.refreshToken },
+    });
+    assert.equal(refresh.status, 401);
+
+    const refused = await login("anna@venue.test");
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.error, "Account disabled");
+    assert.equal((await login("anna@venue.test", "wrong-password")).status, 401);
+
+    const enabled = await admin("POST", "admin/accounts/anna@venue.test/enable");
+    assert.equal(enabled.body.account.disabled, false);
+    assert.equal((await login("anna@venue.test")).status, 200);
+  });
+
+  test("deleting an account logs it out", async () => {
+    await createAccount("anna@venue.test");
+    const session = await login("anna@venue.test");
+
+    const deleted = await admin("DELETE", "admin/accounts/anna@venue.test");
+    assert.equal(deleted.status, 200);
+
+    const profile = await request("GET", "auth/profile", {
+      headers: bearer(session.body.token),
+    });
+    assert.equal(profile.status, 401);
+    assert.equal((await login("anna@venue.test")).status, 401);
+    assert.equal((await admin("GET", "admin/accounts/anna@venue.test")).status, 404);
+    assert.equal((await admin("DELETE", "admin/accounts/anna@venue.test")).status, 404);
+  });
+});
@@ -0,0 +1,181 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminHeaders, request, resetStore } from "./helpers/http.js";
+
+const EMAIL = "jana@example.com";
+
+function admin(method, path, options = {}) {
+  return request(method, path, { ...options, headers: adminHeaders() });
+}
+
+async function register(fields = {}) {
+  const res = await request("POST", "register", {
+    body: { email: EMAIL, partner_id: "lz001", totalPrice: 1500, ...fields },
+  });
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+describe("admin routes", () => {
+  beforeEach(resetStore);
+
+  test("every admin route rejects unauthenticated requests", async () => {
+    const routes = [
+      ["GET", "admin/overview"],
+      ["GET", "admin/partners"],
+      ["GET", "admin/analytics"],
+      ["GET", "admin/bookings?email=jana@example.com"],
+      ["GET", "admin/points?email=jana@example.com"],
+      ["GET", "admin/migrations"],
+      ["GET", "admin/rewards"],
+      ["POST", "admin/update"],
+    ];
+    for (const [method, path] of routes) {
+      const res = await request(method, path, { body: {} });
+      assert.equal(res.status, 401, `${method} ${path}`);
+    }
+  });
+
+  test("partner settings drive the points preview", async () => {
+    const saved = await admin("PUT", "admin/partners/LZ001", {
+      body: { earningRules: { basis: "ticket", ticketPoints: { vip: 100 } } },
+    });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    assert.equal(saved.body.partnerId, "lz001");
+
+    const preview = await admin("POST", "admin/partners/lz001/points-preview", {
+      body: { payload: { ticket: "VIP", numPeople: "2" } },
+    });
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.points, 200);
+
+    const item = await admin("GET", "admin/partners", { query: { partnerId: "lz001" } });
+    assert.equal(item.body.item.earningRules.basis, "ticket");
+  });
+
+  test("bookings can be listed, fetched and given a new check-in link", async () => {
+    const { bookingId } = await register();
+
+    const list = await admin("GET", "admin/bookings", { query: { email: EMAIL } });
+    assert.deepEqual(list.body.items.map((item) => item.id), [bookingId]);
+
+    const page = await admin("GET", "admin/bookings", {
+      query: { partnerId: "lz001", limit: 10 },
+    });
+    assert.deepEqual(page.body.items.map((item) => item.id), [bookingId]);
+    assert.equal(page.body.nextCursor, null);
+
+    const reissued = await admin("POST", `admin/bookings/${bookingId}/checkin-token`);
+    assert.equal(reissued.status, 200);
+    assert.match(reissued.body.verifyUrl, /token=/);
+
+    const missing = await admin("GET", "admin/bookings/nope");
+    assert.equal(missing.status, 404);
+  });
+
+  test("admin/update edits the payload and moves the booking to another partner", async () => {
+    const { bookingId } = await register();
+
+    const res = await admin("POST", "admin/update", {
+      body: { email: EMAIL, bookingId, payload: { partner: "tx003", ticket: "VIP" } },
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    const booking = await admin("GET", `admin/bookings/${bookingId}`);
+    assert.equal(booking.body.item.partnerId, "tx003");
+
+    const oldPartner = await admin("GET", "admin/bookings", { query: { partnerId: "lz001" } });
+    const newPartner = await admin("GET", "admin/bookings", { query: { partnerId: "tx003" } });
+    assert.equal(oldPartner.body.items.length, 0);
+    assert.equal(newPartner.body.items.length, 1);
+  });
+
+  test("points can be adjusted and show up in the customer balance", async () => {
+    const adjusted = await admin("POST", "admin/points/adjust", {
+      body: { email: EMAIL, points: 25, reason: "Goodwill" },
+    });
+    assert.equal(adjusted.status, 200);
+    assert.equal(adjusted.body.balance.balance, 25);
+
+    const invalid = await admin("POST", "admin/points/adjust", {
+      body: { email: EMAIL, points: 0, reason: "Nothing" },
+    });
+    assert.equal(invalid.status, 400);
+
+    const ledger = await admin("GET", "admin/points", { query: { email: EMAIL } });
+    assert.equal(ledger.body.entries.length, 1);
+    assert.equal(ledger.body.entries[0].type, "adjust");
+
+    const user = await request("GET", "bonus/user-points", {
+      headers: adminHeaders(),
+      query: { email: EMAIL },
+    });
+    assert.equal(user.body.user.availablePoints, 25);
+  });
+
+  test("rewards can be created, listed, updated and retired", async () => {
+    const created = await admin("POST", "admin/rewards", {
+      body: {
+        name: "Tote bag",
+        pointsCost: 40,
+        category: "merchandise",
+        availableFor: ["lz001"],
+      },
+    });
+    assert.equal(created.status, 201);
+    const { id } = created.body.reward;
+
+    const list = await admin("GET", "admin/rewards");
+    assert.deepEqual(list.body.rewards.map((reward) => reward.id), [id]);
+    assert.deepEqual(list.body.rewards[0].availableFor, ["lz001"]);
+
+    const updated = await admin("PUT", `admin/rewards/${id}`, {
+      body: { pointsCost: 50 },
+    });
+    assert.equal(updated.status, 200);
+
+    const single = await admin("GET", `admin/rewards/${id}`);
+    assert.equal(Number(single.body.pointsCost), 50);
+
+    const removed = await admin("DELETE", `admin/rewards/${id}`);
+    assert.equal(removed.status, 200);
+    const after = await admin("GET", `admin/rewards/${id}`);
+    assert.equal(after.body.status, "inactive");
+  });
+
+  test("overview and analytics summarize bookings", async () => {
+    await register();
+    await register({ email: "petr@example.com", totalPrice: 500 });
+
+    const overview = await admin("GET", "admin/overview");
+    assert.equal(overview.status, 200);
+    assert.equal(overview.body.totals.qrsGeneratedToday, 2);
+    assert.equal(overview.body.totals.unvisitedQRCodes, 2);
+
+    const metrics = await admin("GET", "admin/analytics");
+    assert.equal(metrics.status, 200);
+    assert.equal(metrics.body.totals.count, 2);
+    assert.equal(metrics.body.totals.revenue, 2000);
+
+    const submissions = await admin("GET", "admin/analytics", {
+      query: { mode: "submissions", search: "petr" },
+    });
+    assert.equal(submissions.body.total, 1);
+
+    const csv = await admin("GET", "admin/analytics", { query: { mode: "export" } });
+    assert.match(csv.headers["content-type"], /text\/csv/);
+    assert.equal(csv.body.split("\n").length, 3);
+  });
+
+  test("migrations report in dry runs and are recorded once applied", async () => {
+    const dryRun = await admin("POST", "admin/migrations/run", { body: { dryRun: true } });
+    assert.equal(dryRun.status, 200);
+    assert.ok(dryRun.body.results.every((result) => result.status === "pending"));
+
+    const run = await admin("POST", "admin/migrations/run", { body: {} });
+    assert.ok(run.body.results.every((result) => result.status === "applied"));
+
+    const list = await admin("GET", "admin/migrations");
+    assert.ok(list.body.items.every((item) => item.applied));
+  });
+});
@@ -0,0 +1,198 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  adminHeaders,
+  bearer,
+  partnerHeaders,
+  request,
+  resetStore,
+} from "./helpers/http.js";
+import { kv } from "../lib/storage.js";
+import { getBooking } from "../lib/bookings.js";
+
+const EMAIL = "jana@example.com";
+
+async function createKey(scopes, partnerId = "lz001") {
+  const res = await request("POST", "admin/api-keys", {
+    headers: adminHeaders(),
+    body: { partnerId, name: "Ticketing", scopes },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+function keyHeaders(key) {
+  return { "x-api-key": key };
+}
+
+function markVisited(headers, partnerId = "lz001") {
+  return request("POST", "partner/mark-visited", {
+    headers,
+    body: { email: EMAIL, partnerId },
+  });
+}
+
+describe("partner API keys", () => {
+  beforeEach(resetStore);
+
+  test("a key with the right scope reaches the route for its own partner", async () => {
+    const { key, apiKey } = await createKey(["visits:write"]);
+    assert.match(key, /^zbk_/);
+    assert.equal(apiKey.secretHash, undefined);
+
+    await request("POST", "register", { body: { email: EMAIL, partner_id: "lz001" } });
+
+    const res = await markVisited(keyHeaders(key));
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    const other = await markVisited(keyHeaders(key), "tx003");
+    assert.equal(other.status, 403);
+
+    // Bearer works too
+    const viaBearer = await markVisited(bearer(key));
+    assert.notEqual(viaBearer.status, 401);
+  });
+
+  test("keys only open routes for the scopes they hold", async () => {
+    const { key } = await createKey(["visits:write"]);
+
+    const dashboard = await request("GET", "partner/lz001", { headers: keyHeaders(key) });
+    assert.equal(dashboard.status, 403);
+    assert.equal(dashboard.body.scope, "analytics:read");
+
+    const admin = await request("GET", "admin/accounts", { headers: keyHeaders(key) });
+    assert.equal(admin.status, 401);
+
+    const pending = await request("GET", "pending", {
+      headers: keyHeaders(key),
+      query: { rid: "x" },
+    });
+    assert.equal(pending.status, 401);
+
+    const { key: analyticsKey } = await createKey(["analytics:read"]);
+    const allowed = await request("GET", "partner/lz001", {
+      headers: keyHeaders(analyticsKey),
+    });
+    assert.equal(allowed.status, 200);
+  });
+
+  test("bookings:write keys push bookings for their partner only", async () => {
+    const { key } = await createKey(["bookings:write"]);
+
+    const own = await request("POST", "register", {
+      headers: keyHeaders(key),
+      body: { email: EMAIL, partner_id: "LZ001" },
+    });
+    assert.equal(own.status, 200, JSON.stringify(own.body));
+
+    const other = await request("POST", "register", {
+      headers: keyHeaders(key),
+      body: { email: EMAIL, partner_id: "tx003" },
+    });
+    assert.equal(other.status, 403);
+  });
+
+  test("bookings:write keys are checked against every partner field register reads", async () => {
+    const { key } = await createKey(["bookings:write"]);
+    const register = (body) =>
+      request("POST", "register", { headers: keyHeaders(key), body: { email: EMAIL, ...body } });
+
+    const shapes = [
+      (id) => ({ partner_id: id }),
+      (id) => ({ partner: id }),
+      (id) => ({ partnerId: id }),
+      (id) => ({ partnerID: id }),
+      (id) => ({ PartnerID: id }),
+      (id) => ({ data: { partnerId: id } }),
+      (id) => ({ data: JSON.stringify({ partner_id: id }) }),
+    ];
+    for (const shape of shapes) {
+      const label = JSON.stringify(shape("x"));
+      const own = await register(shape("lz001"));
+      assert.equal(own.status, 200, `${label}: ${JSON.stringify(own.body)}`);
+      const booking = await getBooking(own.body.bookingId);
+      assert.equal(booking.partnerId, "lz001", label);
+
+      const other = await register(shape("tx003"));
+      assert.equal(other.status, 403, label);
+    }
+
+    const missing = await register({});
+    assert.equal(missing.status, 403);
+    const blank = await register({ partner_id: " " });
+    assert.equal(blank.status, 403);
+    assert.deepEqual((await kv.smembers("bookings:partner:tx003")) || [], []);
+  });
+
+  test("rotating replaces the secret and revoking disables the key", async () => {
+    const { key, apiKey } = await createKey(["analytics:read"]);
+
+    const rotated = await request("POST", `admin/api-keys/${apiKey.id}/rotate`, {
+      headers: adminHeaders(),
+    });
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.key, key);
+
+    const old = await request("GET", "partner/lz001", { headers: keyHeaders(key) });
+    assert.equal(old.status, 401);
+    assert.equal(old.body.error, "Invalid API key");
+
+    const fresh = await request("GET", "partner/lz001", {
+      headers: keyHeaders(rotated.body.key),
+    });
+    assert.equal(fresh.status, 200);
+
+    const revoked = await request("DELETE", `admin/api-keys/${apiKey.id}`, {
+      headers: adminHeaders(),
+    });
+    assert.equal(revoked.body.apiKey.revoked, true);
+
+    const after = await request("GET", "partner/lz001", {
+      headers: keyHeaders(rotated.body.key),
+    });
+    assert.equal(after.status, 401);
+  });
+
+  test("keys record when they were last used", async () => {
+    const { key } = await createKey(["analytics:read"]);
+    await request("GET", "partner/lz001", { headers: keyHeaders(key) });
+
+    const list = await request("GET", "admin/api-keys", {
+      headers: adminHeaders(),
+      query: { partnerId: "lz001" },
+    });
+    assert.equal(list.body.items.length, 1);
+    assert.ok(list.body.items[0].lastUsedAt);
+  });
+
+  test("partner owners manage their own keys; other staff cannot", async () => {
+    const owner = partnerHeaders("lz001");
+
+    const created = await request("POST", "partner/lz001/api-keys", {
+      headers: owner,
+      body: { name: "Ticketing", scopes: ["visits:write"] },
+    });
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+    assert.equal(created.body.apiKey.createdBy, "staff@lz001.test");
+
+    const list = await request("GET", "partner/lz001/api-keys", { headers: owner });
+    assert.equal(list.body.items.length, 1);
+
+    const manager = partnerHeaders("lz001", { partners: { lz001: "manager" } });
+    const denied = await request("GET", "partner/lz001/api-keys", { headers: manager });
+    assert.equal(denied.status, 403);
+
+    // Keys of another partner are invisible
+    const { apiKey: foreign } = await createKey(["visits:write"], "tx003");
+    const revoke = await request("DELETE", `partner/lz001/api-keys/${foreign.id}`, {
+      headers: owner,
+    });
+    assert.equal(revoke.status, 404);
+
+    const badScope = await request("POST", "partner/lz001/api-keys", {
+      headers: owner,
+      body: { name: "Everything", scopes: ["admin:write"] },
+    });
+    assert.equal(badScope.status, 400);
+  });
+});
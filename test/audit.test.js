@@ -0,0 +1,134 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  adminHeaders,
+  partnerHeaders,
+  request,
+  resetStore,
+} from "./helpers/http.js";
+
+const EMAIL = "jana@example.com";
+
+function admin(method, path, options = {}) {
+  return request(method, path, { ...options, headers: adminHeaders() });
+}
+
+function audit(query = {}) {
+  return admin("GET", "admin/audit", { query });
+}
+
+async function register() {
+  const res = await request("POST", "register", {
+    body: { email: EMAIL, partner_id: "lz001", totalPrice: 1500 },
+  });
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+describe("audit log", () => {
+  beforeEach(resetStore);
+
+  test("admin edits record the actor, the changed fields and the caller's IP", async () => {
+    const { bookingId } = await register();
+
+    const res = await request("POST", "admin/update", {
+      headers: { ...adminHeaders(), "x-forwarded-for": "203.0.113.7" },
+      body: { email: EMAIL, bookingId, payload: { partner: "tx003" } },
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    const log = await audit({ target: `booking:${bookingId}` });
+    assert.equal(log.status, 200);
+    assert.deepEqual(
+      log.body.items.map((entry) => entry.action),
+      ["booking.update", "booking.create"]
+    );
+
+    const [update, create] = log.body.items;
+    assert.equal(update.actor.id, "admin-secret");
+    assert.equal(update.ip, "203.0.113.7");
+    assert.deepEqual(update.changes.partnerId, { before: "lz001", after: "tx003" });
+    assert.ok(update.at);
+    assert.equal(create.created, true);
+    assert.equal(create.actor.id, "anonymous");
+  });
+
+  test("partner staff and API keys are recorded as themselves", async () => {
+    const { bookingId } = await register();
+
+    const visited = await request("POST", "partner/mark-visited", {
+      headers: partnerHeaders("lz001"),
+      body: { email: EMAIL, partnerId: "lz001" },
+    });
+    assert.equal(visited.status, 200, JSON.stringify(visited.body));
+
+    const byStaff = await audit({ actor: "staff@lz001.test" });
+    assert.equal(byStaff.body.items.length, 1);
+    assert.equal(byStaff.body.items[0].action, "booking.visit");
+    assert.equal(byStaff.body.items[0].target, `booking:${bookingId}`);
+    assert.equal(byStaff.body.items[0].changes.visited.after, true);
+
+    const created = await admin("POST", "admin/api-keys", {
+      body: { partnerId: "lz001", name: "Ticketing", scopes: ["bookings:write"] },
+    });
+    const { key, apiKey } = created.body;
+    await request("POST", "register", {
+      headers: { "x-api-key": key },
+      body: { email: EMAIL, partner_id: "lz001" },
+    });
+
+    const byKey = await audit({ actor: `apikey:${apiKey.id}` });
+    assert.equal(byKey.body.items.length, 1);
+    assert.equal(byKey.body.items[0].action, "booking.create");
+    assert.equal(byKey.body.items[0].actor.partnerId, "lz001");
+
+    const keyEvents = await audit({ target: `apikey:${apiKey.id}` });
+    assert.equal(keyEvents.body.items[0].action, "apikey.create");
+  });
+
+  test("entries filter by action and date range and page with a cursor", async () => {
+    for (const points of [5, 10, 15]) {
+      const res = await admin("POST", "admin/points/adjust", {
+        body: { email: EMAIL, points, reason: "Goodwill" },
+      });
+      assert.equal(res.status, 200);
+    }
+
+    const first = await audit({ action: "points.", limit: 2 });
+    assert.equal(first.body.items.length, 2);
+    assert.equal(first.body.items[0].metadata.points, 15);
+    assert.ok(first.body.nextCursor);
+
+    const second = await audit({ action: "points.", limit: 2, cursor: first.body.nextCursor });
+    assert.equal(second.body.items.length, 1);
+    assert.equal(second.body.items[0].metadata.points, 5);
+    assert.equal(second.body.nextCursor, null);
+
+    const future = await audit({ from: new Date(Date.now() + 60_000).toISOString() });
+    assert.equal(future.body.items.length, 0);
+
+    const past = await audit({ to: "2020-01-01T00:00:00.000Z" });
+    assert.equal(past.body.items.length, 0);
+
+    const invalid = await audit({ from: "yesterday-ish" });
+    assert.equal(invalid.status, 400);
+  });
+
+  test("secrets are never copied into the log", async () => {
+    const created = await admin("POST", "admin/accounts", {
+      body: { email: "owner@lz001.test", password: "Sup3r-secret!", partnerId: "lz001" },
+    });
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+
+    const log = await audit({ target: "partnerUser:owner@lz001.test" });
+    const [entry] = log.body.items;
+    assert.equal(entry.action, "account.create");
+    assert.deepEqual(entry.changes.passwordHash, { before: "[redacted]", after: "[redacted]" });
+    assert.equal(JSON.stringify(log.body).includes("$2"), false);
+  });
+
+  test("only admins can read the log", async () => {
+    const res = await request("GET", "admin/audit", { headers: partnerHeaders("lz001") });
+    assert.equal(res.status, 401);
+  });
+});
@@ -0,0 +1,340 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  adminHeaders,
+  bearer,
+  request,
+  resetStore,
+  signToken,
+} from "./helpers/http.js";
+import { kv } from "../lib/storage.js";
+import { listOutbox } from "../lib/mailer.js";
+
+async function createAccount(fields = {}) {
+  const res = await request("POST", "admin/accounts", {
+    headers: adminHeaders(),
+    body: {
+      email: "Staff@Venue.test",
+      password: "correct-horse",
+      partnerId: "lz001",
+      name: "Staff",
+      ...fields,
+    },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+describe("auth", () => {
+  beforeEach(resetStore);
+
+  test("login returns a token that the profile endpoint accepts", async () => {
+    await createAccount();
+
+    const login = await request("POST", "auth/login", {
+      body: { email: "staff@venue.test", password: "correct-horse" },
+    });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.user.partnerId, "lz001");
+    assert.equal(login.body.user.role, "partner");
+
+    const profile = await request("GET", "auth/profile", {
+      headers: bearer(login.body.token),
+    });
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.user.email, "staff@venue.test");
+  });
+
+  test("login rejects a wrong password and unknown accounts alike", async () => {
+    await createAccount();
+
+    const wrong = await request("POST", "auth/login", {
+      body: { email: "staff@venue.test", password: "wrong-password" },
+    });
+    const unknown = await request("POST", "auth/login", {
+      body: { email: "nobody@venue.test", password: "correct-horse" },
+    });
+    assert.equal(wrong.status, 401);
+    assert.equal(unknown.status, 401);
+    assert.deepEqual(wrong.body, unknown.body);
+  });
+
+  test("login validates its body", async () => {
+    const res = await request("POST", "auth/login", { body: { email: "nope" } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "ValidationError");
+  });
+
+  test("profile rejects missing, forged and expired tokens", async () => {
+    await createAccount();
+
+    const missing = await request("GET", "auth/profile");
+    assert.equal(missing.status, 401);
+
+    const forged = await request("GET", "auth/profile", {
+      headers: bearer(signToken({ sub: "staff@venue.test" }).replace(/.$/, "x")),
+    });
+    assert.equal(forged.status, 401);
+
+    const expired = await request("GET", "auth/profile", {
+      headers: bearer(signToken({ sub: "staff@venue.test" }, { expiresIn: -10 })),
+    });
+    assert.equal(expired.status, 401);
+  });
+
+  test("partner tokens cannot reach admin routes", async () => {
+    const token = signToken({ sub: "staff@venue.test", partnerId: "lz001", role: "partner" });
+    const res = await request("GET", "admin/overview", { headers: bearer(token) });
+    assert.equal(res.status, 401);
+  });
+
+  test("admin tokens reach admin routes", async () => {
+    const token = signToken({ sub: "boss@zabava.test", role: "admin" });
+    const res = await request("GET", "admin/overview", { headers: bearer(token) });
+    assert.equal(res.status, 200);
+  });
+});
+
+describe("sessions", () => {
+  beforeEach(resetStore);
+
+  async function login() {
+    await createAccount();
+    const res = await request("POST", "auth/login", {
+      headers: { "user-agent": "test-browser" },
+      body: { email: "staff@venue.test", password: "correct-horse" },
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.ok(res.body.refreshToken);
+    return res.body;
+  }
+
+  function profile(token) {
+    return request("GET", "auth/profile", { headers: bearer(token) });
+  }
+
+  test("refresh tokens rotate and a replayed one revokes the session", async () => {
+    const first = await login();
+
+    const refreshed = await request("POST", "auth/refresh", {
+      body: { refreshToken: first.refreshToken },
+    });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, first.refreshToken);
+    assert.equal((await profile(refreshed.body.token)).status, 200);
+
+    const replayed = await request("POST", "auth/refresh", {
+      body: { refreshToken: first.refreshToken },
+    });
+    assert.equal(replayed.status, 401);
+    assert.equal(replayed.body.error, "Refresh token was already used");
+
+    // The thief's replay also ends the legitimate session
+    const after = await request("POST", "auth/refresh", {
+      body: { refreshToken: refreshed.body.refreshToken },
+    });
+    assert.equal(after.status, 401);
+    assert.equal((await profile(refreshed.body.token)).status, 401);
+  });
+
+  test("logout revokes the access token before it expires", async () => {
+    const { token, refreshToken } = await login();
+
+    const res = await request("POST", "auth/logout", { headers: bearer(token) });
+    assert.equal(res.status, 200);
+
+    const after = await profile(token);
+    assert.equal(after.status, 401);
+    assert.equal(after.body.error, "Token revoked");
+
+    const refreshed = await request("POST", "auth/refresh", { body: { refreshToken } });
+    assert.equal(refreshed.status, 401);
+  });
+
+  test("logout works with only a refresh token", async () => {
+    const { token, refreshToken } = await login();
+    const res = await request("POST", "auth/logout", { body: { refreshToken } });
+    assert.equal(res.status, 200);
+    assert.equal((await profile(token)).status, 401);
+  });
+
+  test("logout-all closes every session of the user", async () => {
+    const one = await login();
+    const two = (
+      await request("POST", "auth/login", {
+        body: { email: "staff@venue.test", password: "correct-horse" },
+      })
+    ).body;
+
+    const res = await request("POST", "auth/logout-all", { headers: bearer(one.token) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.revoked, 2);
+    assert.equal((await profile(one.token)).status, 401);
+    assert.equal((await profile(two.token)).status, 401);
+  });
+
+  test("admins can list and revoke an account's sessions", async () => {
+    const { token } = await login();
+
+    const list = await request("GET", "admin/accounts/staff@venue.test/sessions", {
+      headers: adminHeaders(),
+    });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.items.length, 1);
+    assert.equal(list.body.items[0].userAgent, "test-browser");
+    assert.equal(list.body.items[0].refreshHash, undefined);
+
+    const missing = await request(
+      "DELETE",
+      "admin/accounts/staff@venue.test/sessions/nope",
+      { headers: adminHeaders() }
+    );
+    assert.equal(missing.status, 404);
+
+    const revoked = await request(
+      "DELETE",
+      `admin/accounts/staff@venue.test/sessions/${list.body.items[0].id}`,
+      { headers: adminHeaders() }
+    );
+    assert.equal(revoked.status, 200);
+    assert.equal((await profile(token)).status, 401);
+  });
+
+  test("changing an account through the admin API logs it out", async () => {
+    const { token } = await login();
+    const updated = await createAccount({ password: "another-horse" });
+    assert.equal(updated.revokedSessions, 1);
+    assert.equal((await profile(token)).status, 401);
+  });
+
+  test("refresh picks up role and partner changes", async () => {
+    const { refreshToken } = await login();
+    await createAccount({ partnerId: "tx003" });
+
+    // The admin change above revoked the session, so log in again
+    const again = await request("POST", "auth/login", {
+      body: { email: "staff@venue.test", password: "correct-horse" },
+    });
+    await kv.hset("partnerUser:staff@venue.test", {
+      partnerId: "osm001",
+      memberships: JSON.stringify({ osm001: "owner" }),
+    });
+    const refreshed = await request("POST", "auth/refresh", {
+      body: { refreshToken: again.body.refreshToken },
+    });
+    assert.equal(refreshed.status, 200);
+
+    const dashboard = await request("GET", "partner/osm001", {
+      headers: bearer(refreshed.body.token),
+    });
+    assert.equal(dashboard.status, 200);
+    assert.equal(
+      (await request("POST", "auth/refresh", { body: { refreshToken } })).status,
+      401
+    );
+  });
+});
+
+describe("password reset", () => {
+  beforeEach(resetStore);
+
+  async function resetLink(email = "staff@venue.test") {
+    const res = await request("POST", "auth/forgot-password", { body: { email } });
+    assert.equal(res.status, 200);
+    const [message] = await listOutbox({ to: email });
+    return message;
+  }
+
+  function loginWith(password) {
+    return request("POST", "auth/login", {
+      body: { email: "staff@venue.test", password },
+    });
+  }
+
+  test("a reset link sets a new password once and logs out old sessions", async () => {
+    await createAccount();
+    const { token } = (await loginWith("correct-horse")).body;
+
+    const message = await resetLink();
+    assert.equal(message.template, "password-reset");
+    assert.match(message.data.resetUrl, /^https:\/\/dashboard\.test\/reset-password\?token=/);
+
+    const reset = await request("POST", "auth/reset-password", {
+      body: { token: message.data.token, password: "battery-staple" },
+    });
+    assert.equal(reset.status, 200, JSON.stringify(reset.body));
+
+    assert.equal((await loginWith("correct-horse")).status, 401);
+    assert.equal((await loginWith("battery-staple")).status, 200);
+    assert.equal(
+      (await request("GET", "auth/profile", { headers: bearer(token) })).status,
+      401
+    );
+
+    const again = await request("POST", "auth/reset-password", {
+      body: { token: message.data.token, password: "another-horse" },
+    });
+    assert.equal(again.status, 400);
+  });
+
+  test("unknown accounts get the same answer and no mail", async () => {
+    const res = await request("POST", "auth/forgot-password", {
+      body: { email: "nobody@venue.test" },
+    });
+    assert.equal(res.status, 200);
+    assert.equal((await listOutbox()).length, 0);
+  });
+
+  test("requesting a new link cancels the previous one", async () => {
+    await createAccount();
+    const first = await resetLink();
+    const second = await resetLink();
+    assert.notEqual(first.data.token, second.data.token);
+
+    const stale = await request("POST", "auth/reset-password", {
+      body: { token: first.data.token, password: "battery-staple" },
+    });
+    assert.equal(stale.status, 400);
+  });
+
+  test("reset passwords follow the signup policy", async () => {
+    await createAccount();
+    const message = await resetLink();
+    const res = await request("POST", "auth/reset-password", {
+      body: { token: message.data.token, password: "short" },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "ValidationError");
+  });
+
+  test("logged-in users change their password with the current one", async () => {
+    await createAccount();
+    const current = (await loginWith("correct-horse")).body;
+    const other = (await loginWith("correct-horse")).body;
+
+    const wrong = await request("POST", "auth/change-password", {
+      headers: bearer(current.token),
+      body: { currentPassword: "nope-nope", newPassword: "battery-staple" },
+    });
+    assert.equal(wrong.status, 400);
+
+    const changed = await request("POST", "auth/change-password", {
+      headers: bearer(current.token),
+      body: { currentPassword: "correct-horse", newPassword: "battery-staple" },
+    });
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.revokedSessions, 1);
+
+    const profile = (token) => request("GET", "auth/profile", { headers: bearer(token) });
+    assert.equal((await profile(current.token)).status, 200);
+    assert.equal((await profile(other.token)).status, 401);
+    assert.equal((await loginWith("battery-staple")).status, 200);
+  });
+
+  test("change-password requires a login", async () => {
+    const res = await request("POST", "auth/change-password", {
+      body: { currentPassword: "correct-horse", newPassword: "battery-staple" },
+    });
+    assert.equal(res.status, 401);
+  });
+});
@@ -0,0 +1,194 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  adminHeaders,
+  customerHeaders,
+  partnerHeaders,
+  request,
+  resetStore,
+} from "./helpers/http.js";
+
+const EMAIL = "jana@example.com";
+const PARTNER = "lz001";
+
+const BOOKING = {
+  email: EMAIL,
+  partner_id: PARTNER,
+  ticket: "Family",
+  numPeople: "4",
+  totalPrice: 2000,
+  preferredDateTime: "2026-11-12T11:00",
+};
+
+async function register(body = BOOKING) {
+  const res = await request("POST", "register", { body });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+async function scan(verifyUrl) {
+  const url = new URL(verifyUrl);
+  return request("GET", "verify", { query: Object.fromEntries(url.searchParams) });
+}
+
+async function createReward(fields = {}) {
+  const res = await request("POST", "admin/rewards", {
+    headers: adminHeaders(),
+    body: {
+      name: "Free coffee",
+      pointsCost: 10,
+      category: "freebie",
+      ...fields,
+    },
+  });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body.reward;
+}
+
+async function points(email = EMAIL) {
+  const res = await request("GET", "bonus/user-points", { headers: customerHeaders(email) });
+  assert.equal(res.status, 200);
+  return res.body.user;
+}
+
+describe("registration → verify → visit → points → redeem → check-redemption", () => {
+  beforeEach(resetStore);
+
+  test("register returns a signed verify link and QR image", async () => {
+    const body = await register();
+
+    assert.ok(body.bookingId);
+    assert.match(body.verifyUrl, /^https:\/\/api\.test\/api\/verify\?token=/);
+    assert.match(body.qrImageUrl, /^https:\/\/api\.test\/api\/qr\/image\?token=/);
+
+    const image = await request("GET", "qr/image", {
+      query: { token: body.checkinToken, format: "svg" },
+    });
+    assert.equal(image.status, 200);
+    assert.match(image.headers["content-type"], /image\/svg\+xml/);
+  });
+
+  test("scanning the QR code marks the booking used and earns points once", async () => {
+    const { verifyUrl, bookingId } = await register();
+
+    const first = await scan(verifyUrl);
+    assert.equal(first.status, 200);
+    assert.match(first.headers["content-type"], /text\/html/);
+
+    const booking = await request("GET", `admin/bookings/${bookingId}`, {
+      headers: adminHeaders(),
+    });
+    assert.equal(booking.body.item.used, true);
+
+    const second = await scan(verifyUrl);
+    assert.match(second.body, /already/i);
+
+    assert.equal((await points()).availablePoints, 20);
+  });
+
+  test("a tampered token is rejected", async () => {
+    const { checkinToken } = await register();
+    const res = await request("GET", "verify", { query: { token: `${checkinToken}x` } });
+    assert.equal(res.status, 403);
+  });
+
+  test("partner visit confirmation credits the booking only once", async () => {
+    const { verifyUrl, bookingId } = await register();
+    await scan(verifyUrl);
+
+    const visit = await request("POST", "partner/visit", {
+      headers: partnerHeaders(PARTNER),
+      body: { email: EMAIL, partnerId: PARTNER, bookingId },
+    });
+    assert.equal(visit.status, 200, JSON.stringify(visit.body));
+
+    const user = await points();
+    assert.equal(user.availablePoints, 20);
+    assert.equal(user.totalPoints, 20);
+  });
+
+  test("partners cannot confirm visits for another partner", async () => {
+    const { bookingId } = await register();
+    const res = await request("POST", "partner/visit", {
+      headers: partnerHeaders("tx003"),
+      body: { email: EMAIL, partnerId: PARTNER, bookingId },
+    });
+    assert.equal(res.status, 403);
+  });
+
+  test("redeeming a reward debits the ledger and can be applied and processed", async () => {
+    await scan((await register()).verifyUrl);
+    const reward = await createReward();
+
+    const redeemed = await request("POST", "bonus/redeem-reward", {
+      headers: customerHeaders(EMAIL),
+      body: { rewardId: reward.id },
+    });
+    assert.equal(redeemed.status, 200, JSON.stringify(redeemed.body));
+    const { code } = redeemed.body.redemption;
+    assert.equal((await points()).availablePoints, 10);
+
+    // The customer books again and attaches the code
+    const withCode = await register({ ...BOOKING, redemptionCode: code });
+    assert.equal(withCode.redemption.code, code);
+
+    const check = await request("GET", "partner/check-redemption", {
+      headers: partnerHeaders(PARTNER),
+      query: { code },
+    });
+    assert.equal(check.status, 200);
+    assert.equal(check.body.redemption.status, "applied");
+    assert.equal(check.body.isValid, true);
+    assert.equal(check.body.booking.partnerId, PARTNER);
+    assert.equal(check.body.booking.hasVisited, false);
+
+    const processed = await request("POST", "partner/check-redemption", {
+      headers: partnerHeaders(PARTNER),
+      body: { code, action: "process" },
+    });
+    assert.equal(processed.status, 200);
+    assert.equal(processed.body.status, "used");
+
+    const again = await request("POST", "partner/check-redemption", {
+      headers: partnerHeaders(PARTNER),
+      body: { code, action: "process" },
+    });
+    assert.equal(again.status, 400);
+  });
+
+  test("redeeming without enough points fails and leaves the balance alone", async () => {
+    await scan((await register()).verifyUrl);
+    const reward = await createReward({ pointsCost: 500 });
+
+    const res = await request("POST", "bonus/redeem-reward", {
+      headers: customerHeaders(EMAIL),
+      body: { rewardId: reward.id },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Insufficient points");
+    assert.equal((await points()).availablePoints, 20);
+  });
+
+  test("partner-only rewards require a booking with that partner", async () => {
+    await scan((await register()).verifyUrl);
+    const reward = await createReward({ availableFor: ["tx003"] });
+
+    const res = await request("POST", "bonus/redeem-reward", {
+      headers: customerHeaders(EMAIL),
+      body: { rewardId: reward.id },
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.requiredPartners, ["tx003"]);
+  });
+
+  test("the partner dashboard lists the booking", async () => {
+    const { bookingId } = await register();
+    const res = await request("GET", `partner/${PARTNER}`, {
+      headers: partnerHeaders(PARTNER),
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 1);
+    assert.equal(res.body.submissions[0].bookingId, bookingId);
+    assert.equal(res.body.metrics.revenue, 2000);
+  });
+});
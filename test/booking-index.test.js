@@ -0,0 +1,98 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createStorage, setStorage } from "../lib/storage.js";
+import {
+  countBookings,
+  indexBookingTimes,
+  queryBookingIds,
+} from "../lib/booking-index.js";
+
+function at(minute) {
+  return new Date(Date.UTC(2026, 4, 1, 12, minute)).toISOString();
+}
+
+function add(id, minute, partnerId = "lz001") {
+  return indexBookingTimes({ id, partnerId, createdAt: at(minute), payload: {} });
+}
+
+async function allIds(options) {
+  const ids = [];
+  let cursor;
+  do {
+    const page = await queryBookingIds({ ...options, cursor });
+    ids.push(...page.ids);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return ids;
+}
+
+describe("booking time index", () => {
+  beforeEach(() => setStorage(createStorage("memory")));
+
+  test("ranges are inclusive at both ends, in either order", async () => {
+    for (let minute = 1; minute <= 5; minute += 1) {
+      await add(`bk_${minute}`, minute);
+    }
+    await add("bk_other", 3, "tx003");
+
+    const range = { from: at(2), to: at(4) };
+    assert.deepEqual(await allIds({ ...range, partnerId: "lz001" }), ["bk_4", "bk_3", "bk_2"]);
+    assert.deepEqual(await allIds({ ...range, partnerId: "lz001", order: "asc" }), [
+      "bk_2", "bk_3", "bk_4",
+    ]);
+    assert.equal((await allIds(range)).length, 4);
+    assert.deepEqual(await allIds({ from: at(5), partnerId: "lz001" }), ["bk_5"]);
+    assert.deepEqual(await allIds({ to: at(0), partnerId: "lz001" }), []);
+
+    assert.equal(await countBookings({ partnerId: "lz001" }), 5);
+    assert.equal(await countBookings(range), 4);
+  });
+
+  test("bookings sharing a time are neither repeated nor skipped across pages", async () => {
+    await add("bk_early", 1);
+    for (const id of ["bk_a", "bk_b", "bk_c", "bk_d", "bk_e"]) {
+      await add(id, 2);
+    }
+    await add("bk_late", 3);
+
+    for (const limit of [1, 2, 3, 4]) {
+      for (const order of ["desc", "asc"]) {
+        const ids = await allIds({ partnerId: "lz001", limit, order });
+        assert.equal(ids.length, 7, `limit ${limit} ${order}`);
+        assert.equal(new Set(ids).size, 7, `limit ${limit} ${order}`);
+        assert.equal(ids[order === "desc" ? 0 : 6], "bk_late");
+      }
+    }
+
+    // A booking added at an earlier time while paging shows up on a later page
+    const first = await queryBookingIds({ partnerId: "lz001", limit: 3 });
+    await add("bk_new", 0);
+    const rest = await allIds({ partnerId: "lz001", limit: 3, cursor: first.nextCursor });
+    assert.equal(new Set([...first.ids, ...rest]).size, 8);
+  });
+
+  test("cursors that cannot be read are refused", async () => {
+    await add("bk_1", 1);
+    const garbage = [
+      "not-a-cursor",
+      Buffer.from("abc:1").toString("base64url"),
+      Buffer.from("1000:-1").toString("base64url"),
+      Buffer.from("1000:1.5").toString("base64url"),
+    ];
+    for (const cursor of garbage) {
+      await assert.rejects(queryBookingIds({ cursor }), { code: "INVALID_CURSOR" }, cursor);
+    }
+  });
+
+  test("the last page has no cursor, and odd limits still return a page", async () => {
+    await add("bk_1", 1);
+    await add("bk_2", 2);
+    const exact = await queryBookingIds({ partnerId: "lz001", limit: 2 });
+    assert.deepEqual(exact.ids, ["bk_2", "bk_1"]);
+    assert.equal(exact.nextCursor, null);
+
+    // No usable limit means the default page size; a negative one, a single item
+    assert.equal((await queryBookingIds({ partnerId: "lz001", limit: 0 })).ids.length, 2);
+    assert.equal((await queryBookingIds({ limit: -5 })).ids.length, 1);
+  });
+});
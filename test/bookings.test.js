@@ -0,0 +1,119 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createStorage, kv, setStorage } from "../lib/storage.js";
+import {
+  getBooking,
+  listCustomerBookings,
+  listPartnerBookings,
+  migrateLegacyBookings,
+} from "../lib/bookings.js";
+
+const JANA = "jana@example.com";
+const PETR = "petr@example.com";
+
+// The layouts bookings replaced: one hash per customer, plus one per visit
+// from qr/register listed in `user:visits:{email}`
+async function seedLegacy() {
+  await kv.hset(`qr:email:${JANA}`, {
+    email: JANA,
+    used: "true",
+    visited: "false",
+    createdAt: "2025-03-01T10:00:00.000Z",
+    scannedAt: "2025-03-02T09:00:00.000Z",
+    payload: JSON.stringify({ partner_id: "LZ001", ticket: "Family", totalPrice: 2000 }),
+  });
+  await kv.hset(`qr:${JANA}:tx003:visit-1`, {
+    email: JANA,
+    partnerId: "tx003",
+    visitId: "visit-1",
+    createdAt: "2025-04-01T10:00:00.000Z",
+    payload: JSON.stringify({ ticket: "Standard" }),
+  });
+  await kv.sadd(`user:visits:${JANA}`, `qr:${JANA}:tx003:visit-1`);
+  await kv.hset(`qr:email:${PETR}`, {
+    email: PETR,
+    createdAt: "2025-05-01T10:00:00.000Z",
+    payload: JSON.stringify({ partnerId: "lz001" }),
+  });
+  await kv.sadd("partners", "lz001", "tx003");
+  await kv.sadd("partner:lz001", JANA, PETR);
+  await kv.sadd("partner:tx003", JANA);
+}
+
+async function indexes() {
+  const sets = {};
+  for (const key of ((await kv.keys("bookings:*")) || []).sort()) {
+    if ((await kv.type(key)) === "set") sets[key] = ((await kv.smembers(key)) || []).sort();
+  }
+  return sets;
+}
+
+describe("bookings", () => {
+  beforeEach(() => setStorage(createStorage("memory")));
+
+  test("a customer's legacy records become bookings on first read", async () => {
+    await seedLegacy();
+
+    const bookings = await listCustomerBookings(` ${JANA.toUpperCase()} `);
+    assert.equal(bookings.length, 2);
+    const [visit, main] = bookings;
+
+    assert.equal(visit.id, "visit-1");
+    assert.equal(visit.partnerId, "tx003");
+    assert.equal(visit.payload.ticket, "Standard");
+    assert.equal(visit.source, "legacy");
+
+    assert.equal(main.partnerId, "lz001");
+    assert.equal(main.used, true);
+    assert.equal(main.visited, false);
+    assert.equal(main.scannedAt, "2025-03-02T09:00:00.000Z");
+    assert.equal(main.payload.totalPrice, 2000);
+    assert.equal(main.legacyKey, `qr:email:${JANA}`);
+    assert.equal((await kv.hgetall(`qr:email:${JANA}`)).bookingId, main.id);
+
+    assert.deepEqual((await kv.smembers(`bookings:customer:${JANA}`)).sort(), [main.id, "visit-1"].sort());
+    assert.deepEqual(await kv.smembers("bookings:partner:lz001"), [main.id]);
+    assert.deepEqual(await kv.smembers("bookings:partner:tx003"), ["visit-1"]);
+
+    // Tagged records are not imported again
+    const again = await listCustomerBookings(JANA);
+    assert.deepEqual(again.map((booking) => booking.id), bookings.map((booking) => booking.id));
+  });
+
+  test("a partner's customers are imported once", async () => {
+    await seedLegacy();
+
+    const bookings = await listPartnerBookings("LZ001");
+    assert.deepEqual(bookings.map((booking) => booking.email), [PETR, JANA]);
+    assert.ok(await kv.sismember("bookings:migrated-partners", "lz001"));
+
+    // A partner already imported is read from its index only
+    await kv.hset("qr:email:late@example.com", { email: "late@example.com" });
+    await kv.sadd("partner:lz001", "late@example.com");
+    assert.equal((await listPartnerBookings("lz001")).length, 2);
+  });
+
+  test("the migration imports everything and is safe to run again", async () => {
+    await seedLegacy();
+
+    const dryRun = await migrateLegacyBookings({ dryRun: true });
+    assert.deepEqual(dryRun, { customers: 2, bookings: 3, dryRun: true });
+    assert.deepEqual(await indexes(), {});
+    assert.equal((await kv.hgetall(`qr:email:${JANA}`)).bookingId, undefined);
+
+    const first = await migrateLegacyBookings();
+    assert.equal(first.bookings, 3);
+    const after = await indexes();
+    assert.deepEqual(after["bookings:migrated-partners"], ["lz001", "tx003"]);
+    assert.equal(after[`bookings:customer:${JANA}`].length, 2);
+    assert.equal(after[`bookings:customer:${PETR}`].length, 1);
+    const petrId = after[`bookings:customer:${PETR}`][0];
+    assert.equal((await getBooking(petrId)).partnerId, "lz001");
+
+    // The second run finds the same bookings through their tags
+    const second = await migrateLegacyBookings();
+    assert.equal(second.bookings, 3);
+    assert.deepEqual(await indexes(), after);
+    assert.equal(((await kv.keys("booking:*")) || []).length, 3);
+  });
+});
@@ -0,0 +1,102 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { issueCheckinToken, verifyCheckinToken } from "../lib/checkin-tokens.js";
+
+function useKeys(t, keys) {
+  process.env.QR_SIGNING_KEYS = keys;
+  t.after(() => delete process.env.QR_SIGNING_KEYS);
+}
+
+function decodePayload(token) {
+  return JSON.parse(Buffer.from(token.split(".")[0], "base64url").toString("utf8"));
+}
+
+function withPayload(token, changes) {
+  const payload = Buffer.from(JSON.stringify({ ...decodePayload(token), ...changes }));
+  return `${payload.toString("base64url")}.${token.split(".")[1]}`;
+}
+
+describe("check-in tokens", () => {
+  beforeEach(() => {
+    delete process.env.QR_SIGNING_KEYS;
+    process.env.QR_SIGNING_SECRET = "test-signing-secret";
+  });
+
+  test("a token carries the booking and the partner it is for", () => {
+    const { token, expiresAt } = issueCheckinToken({ bookingId: "bk_1", partnerId: " LZ001 " });
+    const check = verifyCheckinToken(token);
+    assert.equal(check.ok, true);
+    assert.equal(check.bookingId, "bk_1");
+    assert.equal(check.partnerId, "lz001");
+    assert.equal(check.expiresAt, expiresAt);
+  });
+
+  test("any change to the payload or signature is caught", () => {
+    const { token } = issueCheckinToken({ bookingId: "bk_1", partnerId: "lz001" });
+    const [payload, signature] = token.split(".");
+
+    assert.equal(verifyCheckinToken(withPayload(token, { b: "bk_2" })).reason, "bad-signature");
+    assert.equal(verifyCheckinToken(withPayload(token, { p: "tx003" })).reason, "bad-signature");
+    const later = decodePayload(token).exp + 3600;
+    assert.equal(verifyCheckinToken(withPayload(token, { exp: later })).reason, "bad-signature");
+    assert.equal(verifyCheckinToken(`${payload}.${signature.slice(1)}x`).reason, "bad-signature");
+
+    for (const malformed of ["", payload, `${payload}.`, "not json.sig", `${token}.extra`]) {
+      assert.equal(verifyCheckinToken(malformed).reason, "malformed", malformed);
+    }
+  });
+
+  test("expired tokens are refused, even with a valid signature", () => {
+    const { token } = issueCheckinToken({ bookingId: "bk_1", expiresIn: -1 });
+    const check = verifyCheckinToken(token);
+    assert.equal(check.ok, false);
+    assert.equal(check.reason, "expired");
+    assert.equal(check.bookingId, "bk_1");
+  });
+
+  test("tokens signed with a retired key stay valid until the key is dropped", (t) => {
+    useKeys(t, "k1:first-secret");
+    const { token } = issueCheckinToken({ bookingId: "bk_1" });
+    assert.equal(decodePayload(token).kid, "k1");
+
+    process.env.QR_SIGNING_KEYS = "k2:second-secret,k1:first-secret";
+    assert.equal(verifyCheckinToken(token).ok, true);
+    assert.equal(decodePayload(issueCheckinToken({ bookingId: "bk_2" }).token).kid, "k2");
+
+    process.env.QR_SIGNING_KEYS = "k2:second-secret";
+    assert.equal(verifyCheckinToken(token).reason, "unknown-key");
+
+    // Reusing a key id for another secret does not keep old tokens valid
+    process.env.QR_SIGNING_KEYS = "k2:second-secret,k1:other-secret";
+    assert.equal(verifyCheckinToken(token).reason, "bad-signature");
+  });
+
+  test("without signing keys, the key is derived from JWT_SECRET rather than reused", (t) => {
+    const jwtSecret = process.env.JWT_SECRET;
+    delete process.env.QR_SIGNING_SECRET;
+    process.env.JWT_SECRET = "shared-jwt-secret";
+    t.after(() => {
+      if (jwtSecret === undefined) delete process.env.JWT_SECRET;
+      else process.env.JWT_SECRET = jwtSecret;
+    });
+
+    const { token } = issueCheckinToken({ bookingId: "bk_1" });
+    assert.equal(verifyCheckinToken(token).ok, true);
+
+    // A token signed with JWT_SECRET itself is not accepted
+    const payload = token.split(".")[0];
+    const forged = crypto.createHmac("sha256", "shared-jwt-secret").update(payload).digest("base64url");
+    assert.equal(verifyCheckinToken(`${payload}.${forged}`).reason, "bad-signature");
+
+    process.env.JWT_SECRET = "another-jwt-secret";
+    assert.equal(verifyCheckinToken(token).reason, "bad-signature");
+  });
+
+  test("issuing without a key is a configuration error", () => {
+    delete process.env.QR_SIGNING_SECRET;
+    delete process.env.JWT_SECRET;
+    assert.throws(() => issueCheckinToken({ bookingId: "bk_1" }), /not configured/);
+    assert.throws(() => issueCheckinToken({}), /bookingId is required/);
+  });
+});
@@ -0,0 +1,142 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  adminHeaders,
+  bearer,
+  customerHeaders,
+  partnerHeaders,
+  request,
+  resetStore,
+} from "./helpers/http.js";
+import { listOutbox } from "../lib/mailer.js";
+
+const EMAIL = "jana@example.com";
+
+async function requestCode(email = EMAIL) {
+  const res = await request("POST", "auth/customer/login", { body: { email } });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  const [message] = await listOutbox({ to: email });
+  return message.data;
+}
+
+function verify(body) {
+  return request("POST", "auth/customer/verify", { body });
+}
+
+describe("customer login", () => {
+  beforeEach(resetStore);
+
+  test("an emailed code opens a customer session", async () => {
+    const { code } = await requestCode();
+    assert.match(code, /^\d{6}$/);
+
+    const res = await verify({ email: "Jana@Example.com", code });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.customer.email, EMAIL);
+
+    const points = await request("GET", "bonus/user-points", {
+      headers: bearer(res.body.token),
+    });
+    assert.equal(points.status, 200, JSON.stringify(points.body));
+    assert.equal(points.body.user.email, EMAIL);
+
+    // Each code works once
+    assert.equal((await verify({ email: EMAIL, code })).status, 401);
+  });
+
+  test("the magic link token works on its own", async () => {
+    const { loginUrl } = await requestCode();
+    const token = new URL(loginUrl).searchParams.get("token");
+
+    const res = await verify({ token });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.customer.email, EMAIL);
+  });
+
+  test("asking again replaces the previous code", async () => {
+    const first = await requestCode();
+    const second = await requestCode();
+    if (first.code !== second.code) {
+      assert.equal((await verify({ email: EMAIL, code: first.code })).status, 401);
+    }
+    assert.equal((await verify({ email: EMAIL, code: second.code })).status, 200);
+  });
+
+  test("too many wrong codes drop the challenge", async () => {
+    const { code } = await requestCode();
+    const wrong = code === "000000" ? "111111" : "000000";
+    for (let i = 0; i < 5; i += 1) {
+      assert.equal((await verify({ email: EMAIL, code: wrong })).status, 401);
+    }
+    assert.equal((await verify({ email: EMAIL, code })).status, 401);
+  });
+
+  test("customer sessions refresh and log out like dashboard ones", async () => {
+    const { code } = await requestCode();
+    const session = await verify({ email: EMAIL, code });
+
+    const refreshed = await request("POST", "auth/refresh", {
+      body: { refreshToken: session.body.refreshToken },
+    });
+    assert.equal(refreshed.status, 200, JSON.stringify(refreshed.body));
+
+    const headers = bearer(refreshed.body.token);
+    assert.equal((await request("GET", "bonus/user-points", { headers })).status, 200);
+    assert.equal((await request("POST", "auth/logout", { headers })).status, 200);
+    assert.equal((await request("GET", "bonus/user-points", { headers })).status, 401);
+  });
+});
+
+describe("bonus endpoints", () => {
+  beforeEach(resetStore);
+
+  test("require a customer session or an admin", async () => {
+    const anonymous = await request("GET", "bonus/user-points", { query: { email: EMAIL } });
+    assert.equal(anonymous.status, 401);
+
+    const partner = await request("GET", "bonus/user-points", {
+      headers: partnerHeaders("lz001"),
+      query: { email: EMAIL },
+    });
+    assert.equal(partner.status, 401);
+
+    const redeem = await request("POST", "bonus/redeem-reward", {
+      body: { email: EMAIL, rewardId: "reward-1" },
+    });
+    assert.equal(redeem.status, 401);
+
+    const admin = await request("GET", "bonus/user-points", {
+      headers: adminHeaders(),
+      query: { email: EMAIL },
+    });
+    assert.equal(admin.status, 200);
+  });
+
+  test("customers only reach their own points", async () => {
+    const headers = customerHeaders(EMAIL);
+
+    const other = await request("GET", "bonus/user-points", {
+      headers,
+      query: { email: "someone@example.com" },
+    });
+    assert.equal(other.status, 403);
+
+    const spend = await request("POST", "bonus/redeem-reward", {
+      headers,
+      body: { email: "someone@example.com", rewardId: "reward-1" },
+    });
+    assert.equal(spend.status, 403);
+
+    const own = await request("GET", "bonus/user-points", {
+      headers,
+      query: { email: "JANA@example.com" },
+    });
+    assert.equal(own.status, 200);
+  });
+
+  test("customer tokens do not open partner or admin routes", async () => {
+    const headers = customerHeaders(EMAIL);
+    assert.equal((await request("GET", "partner/lz001", { headers })).status, 401);
+    assert.equal((await request("GET", "admin/accounts", { headers })).status, 401);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_EARNING_RULES,
+  earningRulesSchema,
+  evaluateEarningRules,
+} from "../lib/earning-rules.js";
+
+function points(rules, payload) {
+  return evaluateEarningRules(rules, payload).points;
+}
+
+describe("earning rules", () => {
+  test("the defaults reproduce the old hard-coded formula", () => {
+    assert.equal(points(null, {}), 10);
+    assert.equal(points(null, { ticket: "VIP", numPeople: 2 }), 100);
+    assert.equal(points(null, { ticket: " family ", numPeople: "3" }), 90);
+    assert.equal(points(null, { ticket: "Group", numPeople: 0 }), 20);
+    assert.equal(points(null, { totalPrice: 2599, ticket: "VIP" }), 25);
+    assert.equal(points(null, { ticket: "Family", Transport: "Yes" }), 35);
+    assert.equal(points(null, { Bus_Rental: "2 buses" }), 15);
+    assert.equal(points(null, { Bus_Rental: "" }), 10);
+    assert.equal(points(DEFAULT_EARNING_RULES, { estimatedPoints: "42" }), 42);
+  });
+
+  test("the basis decides which base applies, estimated points first", () => {
+    const payload = { totalPrice: 1000, ticket: "vip", numPeople: 2, estimatedPoints: 7 };
+    const rules = { pointsPerCurrencyUnit: 0.05, bonuses: [] };
+
+    assert.equal(points(rules, payload), 7);
+    const noEstimate = { ...rules, useEstimatedPoints: false };
+    assert.equal(points({ ...noEstimate, basis: "priceOrTicket" }, payload), 50);
+    assert.equal(points({ ...noEstimate, basis: "price" }, payload), 50);
+    assert.equal(points({ ...noEstimate, basis: "ticket" }, payload), 100);
+    assert.equal(points({ ...noEstimate, basis: "max" }, payload), 100);
+    assert.equal(points({ ...noEstimate, basis: "price" }, { ticket: "vip" }), 0);
+
+    const { breakdown } = evaluateEarningRules({ ...noEstimate, basis: "max" }, payload);
+    assert.equal(breakdown.basis, "max");
+    assert.equal(breakdown.pricePoints, 50);
+    assert.equal(breakdown.ticketPoints, 100);
+  });
+
+  test("ticket points can be flat or per person", () => {
+    const rules = { ticketPoints: { VIP: 40 }, defaultTicketPoints: 5, bonuses: [] };
+    assert.equal(points(rules, { ticketType: "vip", numPeople: 3 }), 120);
+    assert.equal(points({ ...rules, perPerson: false }, { ticket: "vip", numPeople: 3 }), 40);
+    assert.equal(points(rules, { ticket: "Student", numPeople: 2 }), 10);
+  });
+
+  test("bonus conditions", () => {
+    const bonus = (when, match) => ({
+      bonuses: [{ label: "B", when, match, points: 10 }],
+      useEstimatedPoints: false,
+      basis: "ticket",
+      defaultTicketPoints: 0,
+    });
+    const cases = [
+      [{ field: "lang", op: "equals", value: "CZ" }, { lang: " cz " }, true],
+      [{ field: "lang", op: "equals", value: "cz" }, {}, false],
+      [{ field: "lang", op: "notEquals", value: "cz" }, { lang: "en" }, true],
+      [{ field: "lang", op: "notEquals", value: "cz" }, {}, true],
+      [{ field: "lang", op: "in", value: ["en", "de"] }, { lang: "DE" }, true],
+      [{ field: "lang", op: "in", value: ["en", "de"] }, { lang: "cz" }, false],
+      [{ field: "kids", op: "in", value: [1, 2] }, { kids: 2 }, true],
+      [{ field: "kids", op: "present" }, { kids: 0 }, true],
+      [{ field: "kids", op: "present" }, { kids: null }, false],
+      [{ field: "numPeople", op: "gte", value: 10 }, { numPeople: "10" }, true],
+      [{ field: "numPeople", op: "gte", value: 10 }, { numPeople: "many" }, false],
+      [{ field: "numPeople", op: "lte", value: 2 }, { numPeople: 3 }, false],
+      [{ field: "paid", op: "equals", value: true }, { paid: true }, true],
+      [{ field: "paid", op: "equals", value: true }, { paid: "yes" }, false],
+    ];
+    for (const [condition, payload, matches] of cases) {
+      assert.equal(
+        points(bonus([condition]), payload),
+        matches ? 10 : 0,
+        `${JSON.stringify(condition)} on ${JSON.stringify(payload)}`
+      );
+    }
+
+    // A range is two conditions that must all hold
+    const range = bonus([
+      { field: "numPeople", op: "gte", value: 5 },
+      { field: "numPeople", op: "lte", value: 9 },
+    ]);
+    assert.deepEqual([4, 5, 9, 10].map((numPeople) => points(range, { numPeople })), [0, 10, 10, 0]);
+    const either = bonus(range.bonuses[0].when, "any");
+    assert.equal(points(either, { numPeople: 12 }), 10);
+  });
+
+  test("matching bonuses stack, per person where asked, before the caps", () => {
+    const rules = {
+      basis: "ticket",
+      defaultTicketPoints: 10,
+      bonuses: [
+        { label: "Weekend", when: [{ field: "day", op: "in", value: ["sat", "sun"] }], points: 5 },
+        { label: "Guide", when: [{ field: "guide", op: "present" }], points: 3, perPerson: true },
+        { label: "Late", when: [{ field: "late", op: "equals", value: "yes" }], points: -4 },
+      ],
+    };
+    const payload = { day: "Sun", guide: "yes", numPeople: 2 };
+
+    const result = evaluateEarningRules(rules, payload);
+    assert.equal(result.points, 20 + 5 + 6);
+    assert.deepEqual(result.breakdown.bonuses, [
+      { label: "Weekend", points: 5 },
+      { label: "Guide", points: 6 },
+    ]);
+    assert.equal(result.breakdown.capped, false);
+
+    assert.equal(points({ ...rules, maxPoints: 25 }, payload), 25);
+    assert.equal(evaluateEarningRules({ ...rules, maxPoints: 25 }, payload).breakdown.capped, true);
+    assert.equal(points({ ...rules, minPoints: 12 }, { numPeople: 1, late: "yes" }), 12);
+    assert.equal(points(rules, { numPeople: 1, late: "yes" }), 6);
+  });
+
+  test("invalid rules are rejected", () => {
+    const valid = earningRulesSchema.safeParse({
+      basis: "max",
+      pointsPerCurrencyUnit: "0.5",
+      ticketPoints: { vip: "60" },
+      bonuses: [{ when: [{ field: "Bus_Rental", op: "present" }], points: "5" }],
+    });
+    assert.equal(valid.success, true);
+    assert.equal(valid.data.pointsPerCurrencyUnit, 0.5);
+    assert.equal(valid.data.bonuses[0].match, "all");
+    assert.equal(valid.data.bonuses[0].perPerson, false);
+
+    const invalid = [
+      { basis: "cheapest" },
+      { pointsPerCurrencyUnit: -1 },
+      { ticketPoints: { vip: 1.5 } },
+      { defaultTicketPoints: "lots" },
+      { minPoints: 50, maxPoints: 10 },
+      { bonuses: [{ when: [], points: 5 }] },
+      { bonuses: [{ when: [{ field: "a", op: "equals" }], points: 5 }] },
+      { bonuses: [{ when: [{ field: "a", op: "matches", value: "x" }], points: 5 }] },
+      { bonuses: [{ when: [{ field: "", op: "present" }], points: 5 }] },
+      { bonuses: [{ when: [{ field: "a", op: "present" }], points: 2.5 }] },
+      { bonuses: [{ when: [{ field: "a", op: "present" }], points: 1, match: "some" }] },
+      {
+        bonuses: Array.from({ length: 21 }, () => ({
+          when: [{ field: "a", op: "present" }],
+          points: 1,
+        })),
+      },
+    ];
+    for (const rules of invalid) {
+      assert.equal(earningRulesSchema.safeParse(rules).success, false, JSON.stringify(rules).slice(0, 80));
+    }
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Test environment. Imported before any server module, because route modules
+ * read their configuration when they are first loaded.
+ */
+
+const WEBHOOKS = [
+  "ERROR_WEBHOOK_URL",
+  "MAIL_WEBHOOK_URL",
+  "REDEMPTION_PROCESSED_WEBHOOK_URL",
+  "REDEMPTION_WEBHOOK_URL",
+  "VISIT_WEBHOOK_URL",
+  "ZAPIER_CATCH_HOOK",
+  "ZAPIER_HOOK",
+  "ZAPIER_VISIT_HOOK",
+];
+
+Object.assign(process.env, {
+  STORAGE_BACKEND: "memory",
+  JWT_SECRET: "test-jwt-secret",
+  ADMIN_SECRET: "test-admin-secret",
+  BASE_URL: "https://api.test",
+  DASHBOARD_BASE_URL: "https://dashboard.test",
+  CUSTOMER_LOGIN_URL: "https://zabava.test/bonus/login",
+  ALLOWED_ORIGIN: "https://dashboard.test",
+  PENDING_ACCESS_TOKEN: "test-pending-token",
+  CRON_SECRET: "test-cron-secret",
+});
+
+// Never call out to real hooks or storage from a test run
+for (const name of [...WEBHOOKS, "KV_REST_API_URL", "KV_REST_API_TOKEN", "REDIS_URL"]) {
+  delete process.env[name];
+}
+delete process.env.QR_SIGNING_KEYS;
+delete process.env.QR_SIGNING_SECRET;
+delete process.env.ALLOW_LEGACY_VERIFY_LINKS;
+delete process.env.MAIL_TRANSPORT;
+
+// Route handlers log freely; keep test output readable unless asked not to
+if (!process.env.TEST_VERBOSE) {
+  for (const method of ["log", "info", "warn", "error"]) {
+    console[method] = () => {};
+  }
+}
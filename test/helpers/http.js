@@ -0,0 +1,120 @@
+import "./env.js";
+import jwt from "jsonwebtoken";
+import apiHandler from "../../api/index.js";
+import { createStorage, setStorage } from "../../lib/storage.js";
+
+/**
+ * Drives the real Vercel entry point (`api/index.js` → `server/router.js`)
+ * with mock request and response objects against an in-memory KV store.
+ */
+
+const ADMIN_HEADERS = { "x-admin-secret": process.env.ADMIN_SECRET };
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    finished: false,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.setHeader("Content-Type", "application/json");
+      return this.end(JSON.parse(JSON.stringify(payload)));
+    },
+    send(payload) {
+      return this.end(payload);
+    },
+    end(payload) {
+      if (payload !== undefined) this.body = payload;
+      this.finished = true;
+      return this;
+    },
+  };
+}
+
+/**
+ * Send one request through the router.
+ * @param {string} method
+ * @param {string} path - Path under `/api`, optionally with a query string
+ * @param {object} [options]
+ * @param {object} [options.query] - Added to the query string
+ * @param {object} [options.body] - Parsed JSON body
+ * @param {object} [options.headers]
+ * @returns {Promise<{ status: number, headers: object, body: any }>}
+ */
+async function request(method, path, { query, body, headers } = {}) {
+  const url = new URL(`/api/${String(path).replace(/^\/+/, "")}`, "https://api.test");
+  for (const [name, value] of Object.entries(query || {})) {
+    if (value !== undefined) url.searchParams.set(name, String(value));
+  }
+
+  // Vercel fills req.query from the query string before the handler runs
+  const req = {
+    method,
+    url: `${url.pathname}${url.search}`,
+    query: Object.fromEntries(url.searchParams),
+    headers: {
+      host: "api.test",
+      ...Object.fromEntries(
+        Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+      ),
+    },
+    body,
+  };
+
+  const res = createResponse();
+  await apiHandler(req, res);
+  if (!res.finished) {
+    throw new Error(`${method} ${path} returned without sending a response`);
+  }
+  return { status: res.statusCode, headers: res.headers, body: res.body };
+}
+
+/**
+ * Start from an empty KV store.
+ */
+function resetStore() {
+  setStorage(createStorage("memory"), "memory");
+}
+
+function bearer(token) {
+  return { authorization: `Bearer ${token}` };
+}
+
+function signToken(claims, options = { expiresIn: "1h" }) {
+  return jwt.sign(claims, process.env.JWT_SECRET, options);
+}
+
+function partnerHeaders(partnerId, claims = {}) {
+  return bearer(
+    signToken({ sub: `staff@${partnerId}.test`, partnerId, role: "partner", ...claims })
+  );
+}
+
+function customerHeaders(email) {
+  return bearer(signToken({ sub: email, role: "customer" }));
+}
+
+function adminHeaders() {
+  return { ...ADMIN_HEADERS };
+}
+
+export {
+  request,
+  resetStore,
+  bearer,
+  signToken,
+  partnerHeaders,
+  customerHeaders,
+  adminHeaders,
+};
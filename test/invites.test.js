@@ -0,0 +1,86 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminHeaders, request, resetStore } from "./helpers/http.js";
+
+async function invite(fields = {}) {
+  const res = await request("POST", "admin/invites", {
+    headers: adminHeaders(),
+    body: { email: "new@venue.test", partnerId: "lz001", ...fields },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.invite;
+}
+
+function signup(token, fields = {}) {
+  return request("POST", "auth/signup", {
+    body: {
+      email: "new@venue.test",
+      password: "long-enough-password",
+      token,
+      ...fields,
+    },
+  });
+}
+
+describe("partner invites", () => {
+  beforeEach(resetStore);
+
+  test("admins create invites with a dashboard signup link", async () => {
+    const created = await invite();
+    assert.equal(created.used, false);
+    assert.match(created.inviteUrl, /^https:\/\/dashboard\.test\/signup\?token=/);
+
+    const list = await request("GET", "admin/invites", { headers: adminHeaders() });
+    assert.equal(list.status, 200);
+    assert.deepEqual(
+      list.body.items.map((item) => item.token),
+      [created.token]
+    );
+  });
+
+  test("creating invites requires admin credentials", async () => {
+    const res = await request("POST", "admin/invites", {
+      headers: { "x-admin-secret": "wrong" },
+      body: { email: "new@venue.test", partnerId: "lz001" },
+    });
+    assert.equal(res.status, 401);
+  });
+
+  test("signing up with an invite creates a partner account", async () => {
+    const { token } = await invite({ name: "Venue staff" });
+
+    const res = await signup(token);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.user.partnerId, "lz001");
+    assert.equal(res.body.user.name, "Venue staff");
+
+    const login = await request("POST", "auth/login", {
+      body: { email: "new@venue.test", password: "long-enough-password" },
+    });
+    assert.equal(login.status, 200);
+
+    const list = await request("GET", "admin/invites", { headers: adminHeaders() });
+    assert.equal(list.body.items[0].used, true);
+  });
+
+  test("an invite can only be used once", async () => {
+    const { token } = await invite();
+    assert.equal((await signup(token)).status, 200);
+
+    const again = await signup(token, { email: "new@venue.test" });
+    assert.equal(again.status, 400);
+    assert.equal(again.body.error, "Invite already used");
+  });
+
+  test("an invite only works for the invited email", async () => {
+    const { token } = await invite();
+    const res = await signup(token, { email: "other@venue.test" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Invite email mismatch");
+  });
+
+  test("unknown invite tokens are rejected", async () => {
+    const res = await signup("0".repeat(48));
+    assert.equal(res.status, 400);
+  });
+});
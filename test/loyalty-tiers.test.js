@@ -0,0 +1,204 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  adminHeaders,
+  customerHeaders,
+  partnerHeaders,
+  request,
+  resetStore,
+} from "./helpers/http.js";
+import { evaluateCustomerTier } from "../lib/loyalty-tiers.js";
+import { kv } from "../lib/storage.js";
+
+const EMAIL = "jana@example.com";
+
+const TIERS = [
+  { id: "bronze", name: "Bronze" },
+  { id: "silver", name: "Silver", minVisits: 2, multiplier: 2, benefits: ["Free coat check"] },
+  { id: "gold", name: "Gold", minVisits: 3, minPartners: 2, multiplier: 3 },
+];
+
+function admin(method, path, options = {}) {
+  return request(method, path, { ...options, headers: adminHeaders() });
+}
+
+async function setTiers(tiers = TIERS, qualificationMonths = 12) {
+  const res = await admin("PUT", "admin/tiers", { body: { qualificationMonths, tiers } });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+async function visit(partnerId = "lz001", visitDate) {
+  await request("POST", "register", {
+    body: { email: EMAIL, partner_id: partnerId, totalPrice: 1000 },
+  });
+  const res = await request("POST", "partner/mark-visited", {
+    headers: partnerHeaders(partnerId),
+    body: { email: EMAIL, partnerId, ...(visitDate ? { visitDate } : {}) },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.visit;
+}
+
+async function userPoints() {
+  const res = await request("GET", "bonus/user-points", { headers: customerHeaders(EMAIL) });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+function monthsFromNow(months) {
+  const date = new Date();
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.getTime();
+}
+
+describe("loyalty tiers", () => {
+  beforeEach(resetStore);
+
+  test("admins define tiers lowest first", async () => {
+    const empty = await admin("GET", "admin/tiers");
+    assert.deepEqual(empty.body.tiers, []);
+
+    const descending = await admin("PUT", "admin/tiers", {
+      body: { tiers: [TIERS[2], TIERS[1]] },
+    });
+    assert.equal(descending.status, 400);
+
+    const duplicate = await admin("PUT", "admin/tiers", {
+      body: { tiers: [TIERS[0], { ...TIERS[1], id: "bronze" }] },
+    });
+    assert.equal(duplicate.status, 400);
+
+    const saved = await setTiers();
+    assert.equal(saved.tiers[1].multiplier, 2);
+    assert.equal(saved.tiers[0].multiplier, 1);
+    assert.equal((await admin("GET", "admin/tiers")).body.tiers.length, 3);
+
+    const log = await admin("GET", "admin/audit", { query: { action: "tiers.update" } });
+    assert.equal(log.body.items.length, 1);
+  });
+
+  test("visits earn at the customer's tier and move them up", async () => {
+    await setTiers();
+
+    const first = await visit();
+    assert.equal(first.multiplier, 1);
+    assert.equal(first.tier, "bronze");
+    const base = first.pointsAwarded;
+    assert.ok(base > 0);
+
+    // The visit that qualifies still earns at the old tier
+    const second = await visit();
+    assert.equal(second.pointsAwarded, base);
+    assert.equal(second.tier, "silver");
+    assert.equal(second.tierChanged, true);
+
+    const third = await visit();
+    assert.equal(third.pointsAwarded, base * 2);
+    assert.equal(third.basePoints, base);
+    assert.equal(third.tier, "silver");
+
+    const body = await userPoints();
+    assert.equal(body.user.tier, "silver");
+    assert.equal(body.user.availablePoints, base * 4);
+    assert.deepEqual(body.tier.current.benefits, ["Free coat check"]);
+    assert.deepEqual(body.tier.stats, { points: base * 4, visits: 3, partners: 1 });
+    assert.equal(body.tier.next.id, "gold");
+    assert.deepEqual(body.tier.next.remaining, { visits: 0, partners: 1 });
+    assert.equal(body.tier.next.progress, 0.5);
+
+    await visit("lz002");
+    assert.equal((await userPoints()).user.tier, "gold");
+  });
+
+  test("confirming a visit scanned earlier reports what the scan credited", async () => {
+    await setTiers();
+    const base = (await visit()).pointsAwarded;
+
+    // The scan credits at bronze and makes the customer silver
+    const registered = await request("POST", "register", {
+      body: { email: EMAIL, partner_id: "lz001", totalPrice: 1000 },
+    });
+    const url = new URL(registered.body.verifyUrl);
+    await request("GET", "verify", { query: Object.fromEntries(url.searchParams) });
+    assert.equal((await userPoints()).user.tier, "silver");
+
+    const res = await request("POST", "partner/mark-visited", {
+      headers: partnerHeaders("lz001"),
+      body: { email: EMAIL, partnerId: "lz001", bookingId: registered.body.bookingId },
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    const confirmed = res.body.visit;
+    assert.equal(confirmed.pointsAwarded, base);
+    assert.equal(confirmed.multiplier, 1);
+    assert.equal(confirmed.totalPointsNow, base * 2);
+  });
+
+  test("tier-only rewards unlock with the tier", async () => {
+    await setTiers();
+    const unknown = await admin("POST", "admin/rewards", {
+      body: { name: "Lounge access", pointsCost: 1, category: "experience", tiers: ["platinum"] },
+    });
+    assert.equal(unknown.status, 400);
+    assert.ok(unknown.body.details.fieldErrors.tiers);
+
+    const reward = await admin("POST", "admin/rewards", {
+      body: { name: "Lounge access", pointsCost: 1, category: "experience", tiers: ["silver"] },
+    });
+    assert.equal(reward.status, 201, JSON.stringify(reward.body));
+    const rewardId = reward.body.reward.id;
+    assert.deepEqual(reward.body.reward.tiers, ["silver"]);
+
+    await visit();
+    const locked = (await userPoints()).availableRewards.find((item) => item.id === rewardId);
+    assert.equal(locked.locked, true);
+    assert.equal(locked.lockedReasons[0].code, "TIER");
+
+    const refused = await request("POST", "bonus/redeem-reward", {
+      headers: customerHeaders(EMAIL),
+      body: { rewardId },
+    });
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.reasons[0].code, "TIER");
+
+    await visit();
+    const redeemed = await request("POST", "bonus/redeem-reward", {
+      headers: customerHeaders(EMAIL),
+      body: { rewardId },
+    });
+    assert.equal(redeemed.status, 200, JSON.stringify(redeemed.body));
+  });
+
+  test("reading rewards and balance does not store a tier", async () => {
+    await setTiers();
+    await request("POST", "register", {
+      body: { email: EMAIL, partner_id: "lz001", totalPrice: 1000 },
+    });
+    const body = await userPoints();
+    assert.equal(body.user.tier, "bronze");
+    assert.equal(body.tier.next.id, "silver");
+    assert.equal(await kv.exists(`loyalty:member:${EMAIL}`), 0);
+  });
+
+  test("customers keep a tier for the qualification period, then drop", async () => {
+    await setTiers();
+    const longAgo = new Date(monthsFromNow(-13)).toISOString();
+    await visit("lz001", longAgo);
+    await visit("lz001", longAgo);
+    assert.equal((await userPoints()).user.tier, "bronze");
+
+    // Qualified half a year ago, on visits that have left the window since
+    const then = await evaluateCustomerTier(EMAIL, { now: monthsFromNow(-6) });
+    assert.equal(then.current.id, "silver");
+
+    const held = await evaluateCustomerTier(EMAIL);
+    assert.equal(held.current.id, "silver");
+    assert.equal(held.stats.visits, 0);
+    assert.ok(new Date(held.heldUntil).getTime() > Date.now());
+
+    const dropped = await evaluateCustomerTier(EMAIL, { now: monthsFromNow(7) });
+    assert.equal(dropped.current.id, "bronze");
+    assert.equal(dropped.changed, true);
+    assert.equal(dropped.previous, "silver");
+  });
+});
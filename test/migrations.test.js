@@ -0,0 +1,89 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createStorage, kv, setStorage } from "../lib/storage.js";
+import { listMigrations, runMigrations } from "../lib/migrations.js";
+
+// Keys a run writes for itself rather than migrating
+const BOOKKEEPING = /^migrations:/;
+
+async function seedLegacyData() {
+  await kv.sadd("partners", "LZ001", "tx003");
+  await kv.sadd("partner:LZ001", "bk_old");
+  await kv.sadd("partner:lz001", "bk_new");
+  await kv.hset("partner:meta:LZ001", { name: "Lazy Zoo", city: "Brno" });
+  await kv.set("reward_simple:r1", JSON.stringify({ id: "r1", name: "Coffee", pointsCost: 10 }));
+  // Written before the time indexes existed
+  await kv.hset("booking:bk_old", {
+    id: "bk_old",
+    email: "jana@example.com",
+    partnerId: "lz001",
+    createdAt: "2025-01-10T10:00:00.000Z",
+  });
+}
+
+async function snapshot() {
+  const state = {};
+  for (const key of ((await kv.keys("*")) || []).sort()) {
+    if (BOOKKEEPING.test(key)) continue;
+    const type = await kv.type(key);
+    if (type === "set") state[key] = ((await kv.smembers(key)) || []).sort();
+    else if (type === "hash") state[key] = await kv.hgetall(key);
+    else if (type === "zset") state[key] = await kv.zrange(key, 0, -1, { withScores: true });
+    else state[key] = await kv.get(key);
+  }
+  return state;
+}
+
+describe("migrations", () => {
+  beforeEach(() => setStorage(createStorage("memory")));
+
+  test("a dry run reports changes and writes nothing", async () => {
+    await seedLegacyData();
+    const before = await snapshot();
+
+    const { dryRun, results } = await runMigrations({ dryRun: true });
+    assert.equal(dryRun, true);
+    assert.ok(results.every((result) => result.status === "pending"));
+    assert.ok(results[0].changes.length > 0);
+    assert.deepEqual(await snapshot(), before);
+    assert.ok((await listMigrations()).every((migration) => !migration.applied));
+  });
+
+  test("running twice, even forced, leaves the data as the first run did", async () => {
+    await seedLegacyData();
+
+    const first = await runMigrations();
+    assert.ok(first.results.every((result) => result.status === "applied"));
+    const migrated = await snapshot();
+    assert.deepEqual(migrated["partner:lz001"], ["bk_new", "bk_old"]);
+    assert.equal(migrated["partner:LZ001"], undefined);
+    assert.deepEqual(migrated.partners, ["lz001", "tx003"]);
+    assert.equal(migrated["reward:r1"].name, "Coffee");
+    assert.equal(migrated["reward_simple:r1"], undefined);
+    assert.equal(typeof migrated["partner:meta:lz001"], "object");
+    assert.deepEqual(migrated["bookings:by-created"], ["bk_old", Date.parse("2025-01-10T10:00:00.000Z")]);
+    assert.deepEqual(migrated["bookings:by-created:partner:lz001"], migrated["bookings:by-created"]);
+    assert.ok((await listMigrations()).every((migration) => migration.applied));
+
+    const again = await runMigrations();
+    assert.ok(again.results.every((result) => result.status === "skipped"));
+    assert.deepEqual(await snapshot(), migrated);
+
+    const forced = await runMigrations({ force: true });
+    // Only the index rebuilds, which re-add what is there, still report work
+    for (const result of forced.results) {
+      const changes = result.changes.filter((change) => change.action !== "rebuild");
+      assert.deepEqual(changes, [], result.id);
+    }
+    assert.deepEqual(await snapshot(), migrated);
+  });
+
+  test("unknown ids and overlapping runs are refused", async () => {
+    await assert.rejects(runMigrations({ only: ["999-nope"] }), { code: "UNKNOWN_MIGRATION" });
+
+    await kv.set("migrations:lock", "held");
+    await assert.rejects(runMigrations(), { code: "MIGRATION_LOCKED" });
+    // A dry run takes no lock
+    assert.equal((await runMigrations({ dryRun: true })).dryRun, true);
+  });
+});
@@ -0,0 +1,123 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createStorage, setStorage } from "../lib/storage.js";
+import { createBooking } from "../lib/bookings.js";
+import { queryPartnerSubmissions } from "../lib/partner-data.js";
+
+const PARTNER = "lz001";
+
+function day(n) {
+  return new Date(Date.UTC(2026, 4, n, 12)).toISOString();
+}
+
+function book(n, { payload = {}, ...fields } = {}) {
+  return createBooking({
+    id: `bk_${String(n).padStart(2, "0")}`,
+    email: `guest${n}@example.com`,
+    partnerId: PARTNER,
+    payload: { ticket: "Standard", totalPrice: 100, ...payload },
+    fields: { createdAt: day(n), ...fields },
+  });
+}
+
+function submissions(options = {}) {
+  return queryPartnerSubmissions(PARTNER, options);
+}
+
+async function allPages(query) {
+  const ids = [];
+  let cursor;
+  do {
+    const page = await submissions({ ...query, cursor });
+    ids.push(...page.submissions.map((item) => item.bookingId));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return ids;
+}
+
+describe("partner submissions", () => {
+  beforeEach(() => setStorage(createStorage("memory")));
+
+  test("filters narrow the page and the metrics alike", async () => {
+    await book(1, { visited: "true", used: "true" });
+    await book(2, { payload: { ticket: "Family", totalPrice: 300 } });
+    await book(3, { visited: "true", redemptionCode: "RDM-ABC" });
+    await book(4, { payload: { ticket: "family", totalPrice: 500 } });
+
+    const family = await submissions({ ticket: "Family" });
+    assert.deepEqual(
+      family.submissions.map((item) => item.bookingId),
+      ["bk_04", "bk_02"]
+    );
+    assert.equal(family.total, 2);
+    assert.equal(family.metrics.revenue, 800);
+
+    const visited = await submissions({ visited: true });
+    assert.equal(visited.total, 2);
+    assert.equal(visited.metrics.used, 1);
+
+    const redeemed = await submissions({ redemption: true });
+    assert.deepEqual(redeemed.submissions.map((item) => item.bookingId), ["bk_03"]);
+
+    const search = await submissions({ search: "GUEST2@" });
+    assert.deepEqual(search.submissions.map((item) => item.bookingId), ["bk_02"]);
+
+    const range = await submissions({ from: day(2), to: day(3) });
+    assert.deepEqual(
+      range.submissions.map((item) => item.bookingId),
+      ["bk_03", "bk_02"]
+    );
+    assert.equal(range.metrics.count, 2);
+  });
+
+  test("pages follow the creation index, with or without filters", async () => {
+    for (let n = 1; n <= 7; n += 1) {
+      await book(n, n % 2 ? { visited: "true" } : {});
+    }
+
+    const first = await submissions({ limit: 3 });
+    assert.equal(first.submissions.length, 3);
+    assert.equal(first.total, 7);
+    assert.equal(first.metrics.count, 7);
+    assert.ok(first.nextCursor);
+
+    assert.deepEqual(await allPages({ limit: 3 }), [
+      "bk_07", "bk_06", "bk_05", "bk_04", "bk_03", "bk_02", "bk_01",
+    ]);
+    assert.deepEqual(await allPages({ limit: 2, visited: true }), [
+      "bk_07", "bk_05", "bk_03", "bk_01",
+    ]);
+
+    // Totals come with the first page only
+    const second = await submissions({ limit: 3, cursor: first.nextCursor });
+    assert.equal(second.submissions.length, 3);
+    assert.equal(second.metrics, null);
+    assert.equal(second.total, null);
+
+    await assert.rejects(submissions({ cursor: "not-a-cursor" }), {
+      code: "INVALID_CURSOR",
+      message: "Invalid cursor",
+    });
+  });
+
+  test("a filter that rarely matches stops the page early instead of scanning everything", async () => {
+    await book(1, { visited: "true" });
+    for (let n = 2; n <= 2100; n += 1) {
+      await createBooking({
+        id: `bk_${n}`,
+        email: `guest${n}@example.com`,
+        partnerId: PARTNER,
+        fields: { createdAt: new Date(Date.UTC(2026, 4, 1, 12) + n * 1000).toISOString() },
+      });
+    }
+
+    const first = await submissions({ visited: true, limit: 10 });
+    assert.deepEqual(first.submissions, []);
+    assert.ok(first.nextCursor);
+    assert.equal(first.total, 1);
+
+    const second = await submissions({ visited: true, limit: 10, cursor: first.nextCursor });
+    assert.deepEqual(second.submissions.map((item) => item.bookingId), ["bk_01"]);
+    assert.equal(second.nextCursor, null);
+  });
+});
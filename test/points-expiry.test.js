@@ -0,0 +1,186 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminHeaders, bearer, customerHeaders, request, resetStore } from "./helpers/http.js";
+import { getStorage, setStorage } from "../lib/storage.js";
+import { earnForBooking, redeemPoints } from "../lib/points-ledger.js";
+import { expireAllPoints } from "../lib/points-expiry.js";
+
+const EMAIL = "jana@example.com";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function admin(method, path, options = {}) {
+  return request(method, path, { ...options, headers: adminHeaders() });
+}
+
+function monthsAgo(months, plusDays = 0) {
+  const date = new Date();
+  date.setUTCMonth(date.getUTCMonth() - months);
+  return new Date(date.getTime() + plusDays * DAY_MS).toISOString();
+}
+
+let bookings = 0;
+function earn(points, createdAt, email = EMAIL) {
+  bookings += 1;
+  return earnForBooking(
+    { id: `bk_${bookings}`, email, partnerId: "lz001" },
+    { points, createdAt }
+  );
+}
+
+function usePolicy(t, policy) {
+  process.env.POINTS_EXPIRY_POLICY = policy;
+  t.after(() => delete process.env.POINTS_EXPIRY_POLICY);
+}
+
+async function points(email = EMAIL) {
+  const res = await admin("GET", "admin/points", { query: { email } });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+describe("points expiry", () => {
+  beforeEach(resetStore);
+
+  test("points never expire without a policy", async () => {
+    await earn(100, monthsAgo(30));
+    const run = await admin("POST", "admin/points/expire", { body: { email: EMAIL } });
+    assert.equal(run.status, 200);
+    assert.equal(run.body.points, 0);
+    assert.equal((await points()).balance.balance, 100);
+  });
+
+  test("each earning expires on its own, and spending uses the oldest first", async (t) => {
+    usePolicy(t, "fixed");
+    await earn(100, monthsAgo(14)); // lapsed two months ago
+    await earn(50, monthsAgo(12, 10)); // lapses in ten days
+    await earn(40, monthsAgo(1));
+    await redeemPoints(EMAIL, 30, { createdAt: monthsAgo(13) });
+
+    const before = await points();
+    assert.equal(before.expiring.policy, "fixed");
+    assert.equal(before.expiring.points, 120);
+
+    const dryRun = await admin("POST", "admin/points/expire", {
+      body: { email: EMAIL, dryRun: true },
+    });
+    assert.equal(dryRun.body.points, 70);
+    assert.equal((await points()).balance.balance, 160);
+    const fromQuery = await admin("POST", "admin/points/expire", {
+      query: { email: EMAIL, dryRun: "true" },
+    });
+    assert.equal(fromQuery.status, 200, JSON.stringify(fromQuery.body));
+    assert.equal(fromQuery.body.points, 70);
+    assert.equal((await points()).balance.balance, 160);
+
+    const run = await admin("POST", "admin/points/expire", { body: { email: EMAIL } });
+    assert.equal(run.status, 200, JSON.stringify(run.body));
+    assert.equal(run.body.points, 70);
+    const again = await admin("POST", "admin/points/expire", { body: { email: EMAIL } });
+    assert.equal(again.body.points, 0);
+
+    const after = await points();
+    assert.equal(after.balance.balance, 90);
+    assert.equal(after.balance.expired, 70);
+    assert.equal(after.entries[0].type, "expire");
+
+    const customer = await request("GET", "bonus/user-points", {
+      headers: customerHeaders(EMAIL),
+    });
+    assert.equal(customer.body.user.availablePoints, 90);
+    assert.equal(customer.body.user.expiringPoints, 50);
+    assert.ok(new Date(customer.body.user.nextExpiryAt) > new Date());
+    assert.equal(customer.body.pointsExpiry.lots.length, 1);
+
+    const log = await admin("GET", "admin/audit", { query: { action: "points.expire" } });
+    assert.equal(log.body.items.length, 1);
+    assert.equal(log.body.items[0].metadata.points, 70);
+  });
+
+  test("redeeming spends the points closest to expiry and never lapsed ones", async (t) => {
+    usePolicy(t, "fixed");
+    const reward = await admin("POST", "admin/rewards", {
+      body: { name: "Free coffee", pointsCost: 60, category: "freebie" },
+    });
+    assert.equal(reward.status, 201, JSON.stringify(reward.body));
+    const rewardId = reward.body.reward.id;
+
+    await earn(100, monthsAgo(12, 10));
+    await earn(100, monthsAgo(1));
+    const redeemed = await request("POST", "bonus/redeem-reward", {
+      headers: customerHeaders(EMAIL),
+      body: { rewardId },
+    });
+    assert.equal(redeemed.status, 200, JSON.stringify(redeemed.body));
+    assert.equal((await points()).expiring.points, 40);
+
+    // Only lapsed points: they are expired before the balance is checked
+    await earn(100, monthsAgo(13), "petr@example.com");
+    const refused = await request("POST", "bonus/redeem-reward", {
+      headers: customerHeaders("petr@example.com"),
+      body: { rewardId },
+    });
+    assert.equal(refused.status, 400);
+    const petr = await points("petr@example.com");
+    assert.equal(petr.balance.balance, 0);
+    assert.equal(petr.entries[0].type, "expire");
+  });
+
+  test("the scheduled job expires the balance of inactive customers", async (t) => {
+    usePolicy(t, "inactivity");
+    await earn(100, monthsAgo(14));
+    await redeemPoints(EMAIL, 10, { createdAt: monthsAgo(13) });
+    await earn(100, monthsAgo(14), "petr@example.com");
+    await redeemPoints("petr@example.com", 10, { createdAt: monthsAgo(1) });
+
+    const anonymous = await request("GET", "cron/expire-points");
+    assert.equal(anonymous.status, 401);
+
+    const sweep = await request("GET", "cron/expire-points", {
+      headers: bearer("test-cron-secret"),
+    });
+    assert.equal(sweep.status, 200, JSON.stringify(sweep.body));
+    assert.equal(sweep.body.points, 90);
+    assert.deepEqual(
+      sweep.body.expired.map((item) => item.email),
+      [EMAIL]
+    );
+
+    assert.equal((await points()).balance.balance, 0);
+    const active = await points("petr@example.com");
+    assert.equal(active.balance.balance, 90);
+    assert.equal(active.expiring.points, 0);
+
+    const log = await admin("GET", "admin/audit", { query: { action: "points.expire" } });
+    assert.equal(log.body.items[0].actor.id, "cron");
+  });
+
+  test("the sweep reads customers a batch at a time, without KEYS", async (t) => {
+    usePolicy(t, "fixed");
+    const lapsed = [];
+    for (let n = 1; n <= 7; n += 1) {
+      lapsed.push(`guest${n}@example.com`);
+      await earn(10 * n, monthsAgo(14), `guest${n}@example.com`);
+    }
+    await earn(100, monthsAgo(1));
+
+    const store = getStorage();
+    const scanned = Object.create(store);
+    scanned.keys = () => {
+      throw new Error("KEYS is not used by the sweep");
+    };
+    setStorage(scanned, "memory");
+
+    const dryRun = await expireAllPoints({ dryRun: true, batchSize: 2 });
+    assert.equal(dryRun.customers, 8);
+    assert.equal(dryRun.points, 280);
+
+    const sweep = await expireAllPoints({ batchSize: 2 });
+    assert.equal(sweep.points, 280);
+    assert.deepEqual(sweep.expired.map((item) => item.email).sort(), lapsed);
+
+    // Customers left at zero are skipped next time
+    const again = await expireAllPoints({ batchSize: 3 });
+    assert.equal(again.customers, 1);
+    assert.equal(again.points, 0);
+  });
+});
@@ -0,0 +1,129 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createStorage, kv, setStorage } from "../lib/storage.js";
+import { createBooking, updateBooking } from "../lib/bookings.js";
+import {
+  earnForBooking,
+  getBalance,
+  listEntries,
+  rebuildLedger,
+} from "../lib/points-ledger.js";
+
+const JANA = "jana@example.com";
+
+// What the older calculators left behind: a `points:history` list (newest
+// first), the redemption list, and bookings confirmed before the ledger
+async function seedLegacy() {
+  await createBooking({
+    id: "bk_a",
+    email: JANA,
+    partnerId: "lz001",
+    fields: { visited: "true", visitedAt: "2025-03-02T10:00:00.000Z", pointsAwarded: "40" },
+  });
+  await createBooking({
+    id: "bk_b",
+    email: JANA,
+    partnerId: "tx003",
+    fields: { visited: "true", visitedAt: "2025-04-02T10:00:00.000Z", pointsAwarded: "100" },
+  });
+  await createBooking({ id: "bk_c", email: JANA, partnerId: "lz001" });
+
+  const history = [
+    { type: "earned", points: 40, partnerId: "LZ001", bookingId: "bk_a", timestamp: "2025-03-02T10:00:00.000Z" },
+    { type: "earned", points: 15, partnerId: "gone01", timestamp: "2025-03-10T10:00:00.000Z" },
+    { type: "redemption", points: 30, redemptionCode: "R1", timestamp: "2025-03-20T10:00:00.000Z" },
+  ];
+  for (const item of history) {
+    await kv.lpush(`points:history:${JANA}`, JSON.stringify(item));
+  }
+  for (const redemption of [
+    { id: "R1", pointsSpent: 30, rewardId: "r1", redeemedAt: "2025-03-20T10:00:00.000Z" },
+    { id: "R2", pointsSpent: 20, rewardId: "r2", redeemedAt: "2025-05-01T10:00:00.000Z" },
+  ]) {
+    await kv.rpush(`redemptions:${JANA}`, JSON.stringify(redemption));
+  }
+}
+
+describe("points ledger", () => {
+  beforeEach(() => setStorage(createStorage("memory")));
+
+  test("legacy history, bookings and redemptions are each counted once", async () => {
+    await seedLegacy();
+
+    const dryRun = await rebuildLedger(JANA, { dryRun: true });
+    assert.deepEqual(dryRun, { email: JANA, entries: 5, dryRun: true });
+    assert.equal(await kv.exists(`points:ledger:${JANA}`), 0);
+
+    const balance = await getBalance(JANA);
+    assert.equal(balance.balance, 105);
+    assert.equal(balance.earned, 155);
+    assert.equal(balance.redeemed, 50);
+
+    const entries = await listEntries(JANA);
+    assert.deepEqual(
+      entries.map((entry) => entry.ref).sort(),
+      ["booking:bk_a", "booking:bk_b", "history:1", "redemption:R1", "redemption:R2"]
+    );
+    assert.equal(entries.find((entry) => entry.ref === "booking:bk_a").source, "history");
+    assert.equal(entries.find((entry) => entry.ref === "booking:bk_b").source, "booking");
+    // Newest first
+    assert.equal(entries[0].ref, "redemption:R2");
+  });
+
+  test("rebuilding again writes nothing new", async () => {
+    await seedLegacy();
+    const first = await rebuildLedger(JANA);
+    assert.equal(first.entries, 5);
+
+    const second = await rebuildLedger(` ${JANA.toUpperCase()} `);
+    assert.equal(second.entries, 0);
+    assert.equal(second.balance.balance, 105);
+    assert.equal((await listEntries(JANA)).length, 5);
+  });
+
+  test("a visit credited before the first rebuild keeps the entry it was credited with", async () => {
+    await seedLegacy();
+    await createBooking({ id: "bk_new", email: JANA, partnerId: "lz001" });
+    // Routes mark the booking visited, then credit it
+    const visited = await updateBooking("bk_new", {
+      visited: "true",
+      visitedAt: "2025-06-01T10:00:00.000Z",
+    });
+
+    const entry = await earnForBooking(visited, { points: 30, basePoints: 20, multiplier: 1.5 });
+    assert.ok(entry, "the booking was credited by the rebuild instead");
+    assert.equal(entry.points, 30);
+
+    const credited = (await listEntries(JANA)).filter((item) => item.ref === "booking:bk_new");
+    assert.equal(credited.length, 1);
+    assert.equal(credited[0].multiplier, 1.5);
+    assert.equal(credited[0].basePoints, 20);
+    assert.equal(credited[0].source, undefined);
+    assert.equal((await getBalance(JANA)).balance, 105 + 30);
+
+    // Later rebuilds see the booking's entry and leave it be
+    assert.equal((await rebuildLedger(JANA)).entries, 0);
+    assert.equal(await earnForBooking(visited), null);
+  });
+
+  test("a failed write leaves the entry's ref free for a retry", async () => {
+    const store = createStorage("memory");
+    const failing = Object.create(store);
+    failing.multi = () => {
+      const tx = store.multi();
+      tx.exec = async () => {
+        throw new Error("connection reset");
+      };
+      return tx;
+    };
+    setStorage(failing);
+
+    const booking = await createBooking({ id: "bk_1", email: JANA, partnerId: "lz001" });
+    await assert.rejects(earnForBooking(booking, { points: 10 }), /connection reset/);
+    assert.equal(await kv.sismember(`points:ledger:refs:${JANA}`, "booking:bk_1"), 0);
+
+    setStorage(store);
+    assert.ok(await earnForBooking(booking, { points: 10 }));
+    assert.equal((await getBalance(JANA)).balance, 10);
+  });
+});
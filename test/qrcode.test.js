@@ -0,0 +1,112 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import jsQR from "jsqr";
+import { encodeQr, renderPng, renderSvg } from "../lib/qrcode.js";
+
+/**
+ * The encoder is checked by reading its output back with an independent
+ * decoder, across payload sizes (and so versions) and every ECC level.
+ */
+
+const SCALE = 3;
+const MARGIN = 4;
+
+function toImage(qr) {
+  const width = (qr.size + MARGIN * 2) * SCALE;
+  const data = new Uint8ClampedArray(width * width * 4).fill(255);
+  for (let py = 0; py < width; py += 1) {
+    const y = Math.floor(py / SCALE) - MARGIN;
+    for (let px = 0; px < width; px += 1) {
+      const x = Math.floor(px / SCALE) - MARGIN;
+      if (y >= 0 && y < qr.size && x >= 0 && x < qr.size && qr.modules[y][x]) {
+        data.fill(0, (py * width + px) * 4, (py * width + px) * 4 + 3);
+      }
+    }
+  }
+  return { data, width };
+}
+
+// Reads back what renderPng writes: one IDAT of 1-bit greyscale rows
+function pngToImage(png) {
+  assert.equal(png.toString("ascii", 12, 16), "IHDR");
+  const width = png.readUInt32BE(16);
+  assert.equal(png.readUInt32BE(20), width);
+  const idatLength = png.readUInt32BE(33);
+  assert.equal(png.toString("ascii", 37, 41), "IDAT");
+  const raw = zlib.inflateSync(png.subarray(41, 41 + idatLength));
+
+  const rowBytes = Math.ceil(width / 8);
+  const data = new Uint8ClampedArray(width * width * 4).fill(255);
+  for (let py = 0; py < width; py += 1) {
+    const offset = py * (rowBytes + 1);
+    assert.equal(raw[offset], 0);
+    for (let px = 0; px < width; px += 1) {
+      const white = raw[offset + 1 + (px >>> 3)] & (0x80 >>> (px & 7));
+      if (!white) data.fill(0, (py * width + px) * 4, (py * width + px) * 4 + 3);
+    }
+  }
+  return { data, width };
+}
+
+function decode({ data, width }) {
+  return jsQR(data, width, width, { inversionAttempts: "dontInvert" });
+}
+
+function payload(length) {
+  const alphabet = "https://zabava.test/api/verify?token=AbC-_09.~";
+  return Array.from({ length }, (_, i) => alphabet[(i * 7) % alphabet.length]).join("");
+}
+
+describe("qr code encoder", () => {
+  for (const ecc of ["L", "M", "Q", "H"]) {
+    test(`decodes at ECC level ${ecc} across versions`, () => {
+      let lastVersion = 0;
+      for (const length of [1, 10, 32, 78, 150, 300, 600, 900, 1200]) {
+        const text = payload(length);
+        const qr = encodeQr(text, { ecc });
+        assert.equal(qr.size, qr.version * 4 + 17);
+        assert.ok(qr.version >= lastVersion);
+        lastVersion = qr.version;
+
+        const result = decode(toImage(qr));
+        assert.ok(result, `${ecc} ${length} chars (version ${qr.version}) did not decode`);
+        assert.equal(result.data, text, `${ecc} ${length} chars`);
+        assert.equal(result.version, qr.version);
+      }
+      assert.ok(lastVersion >= 24, `1200 chars only reached version ${lastVersion}`);
+    });
+  }
+
+  test("more correction means a larger code for the same text", () => {
+    const text = payload(200);
+    const versions = ["L", "M", "Q", "H"].map((ecc) => encodeQr(text, { ecc }).version);
+    assert.deepEqual([...versions].sort((a, b) => a - b), versions);
+    assert.ok(versions[3] > versions[0]);
+  });
+
+  test("UTF-8 text survives the round trip", () => {
+    const text = "Zábava – vstupenka č. 42 ✓";
+    assert.equal(decode(toImage(encodeQr(text))).data, text);
+  });
+
+  test("the PNG renderer draws a readable code", () => {
+    for (const [text, ecc] of [["bk_1", "L"], [payload(400), "Q"], [payload(1200), "M"]]) {
+      const qr = encodeQr(text, { ecc });
+      const result = decode(pngToImage(renderPng(qr, { size: 400 })));
+      assert.ok(result, `${ecc} version ${qr.version} PNG did not decode`);
+      assert.equal(result.data, text);
+    }
+  });
+
+  test("the SVG draws one square per dark module", () => {
+    const qr = encodeQr("bk_1");
+    const dark = qr.modules.flat().filter(Boolean).length;
+    assert.equal(renderSvg(qr).match(/h1v1h-1z/g).length, dark);
+  });
+
+  test("refuses unknown levels and text that cannot fit", () => {
+    assert.throws(() => encodeQr("x", { ecc: "X" }), /Unknown error correction level/);
+    assert.throws(() => encodeQr(payload(3000), { ecc: "H" }), /too long/);
+  });
+});
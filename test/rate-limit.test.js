@@ -0,0 +1,185 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  adminHeaders,
+  partnerHeaders,
+  request,
+  resetStore,
+} from "./helpers/http.js";
+import { kv } from "../lib/storage.js";
+
+const EMAIL = "staff@venue.test";
+
+async function createAccount() {
+  const res = await request("POST", "admin/accounts", {
+    headers: adminHeaders(),
+    body: { email: EMAIL, password: "correct-horse", partnerId: "lz001" },
+  });
+  assert.equal(res.status, 200);
+}
+
+function login(password, headers = {}) {
+  return request("POST", "auth/login", {
+    headers,
+    body: { email: EMAIL, password },
+  });
+}
+
+async function failLogins(count) {
+  let res;
+  for (let i = 0; i < count; i += 1) {
+    res = await login("wrong-password");
+  }
+  return res;
+}
+
+describe("login lockouts", () => {
+  beforeEach(resetStore);
+
+  test("repeated failures lock the account, even for the right password", async () => {
+    await createAccount();
+
+    const fourth = await failLogins(4);
+    assert.equal(fourth.status, 401);
+
+    const fifth = await login("wrong-password");
+    assert.equal(fifth.status, 429);
+    assert.equal(fifth.headers["retry-after"], "60");
+
+    const right = await login("correct-horse");
+    assert.equal(right.status, 429);
+    assert.ok(right.body.retryAfter > 0);
+  });
+
+  test("unknown accounts lock the same way", async () => {
+    const res = await request("POST", "auth/login", {
+      body: { email: "nobody@venue.test", password: "wrong-password" },
+    });
+    assert.equal(res.status, 401);
+    for (let i = 0; i < 4; i += 1) {
+      await request("POST", "auth/login", {
+        body: { email: "nobody@venue.test", password: "wrong-password" },
+      });
+    }
+    const locked = await request("POST", "auth/login", {
+      body: { email: "nobody@venue.test", password: "wrong-password" },
+    });
+    assert.equal(locked.status, 429);
+  });
+
+  test("a successful login resets the failure count", async () => {
+    await createAccount();
+    await failLogins(4);
+    assert.equal((await login("correct-horse")).status, 200);
+    assert.equal((await failLogins(4)).status, 401);
+  });
+
+  test("each further lockout lasts twice as long", async () => {
+    await createAccount();
+    await failLogins(5);
+
+    // Let the first lockout lapse
+    await kv.hset(`login:lockout:${EMAIL}`, {
+      lockedUntil: new Date(Date.now() - 1000).toISOString(),
+    });
+    const res = await failLogins(5);
+    assert.equal(res.status, 429);
+    assert.equal(res.headers["retry-after"], "120");
+  });
+
+  test("admins can list and clear lockouts", async () => {
+    await createAccount();
+    await failLogins(5);
+
+    const list = await request("GET", "admin/lockouts", { headers: adminHeaders() });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.items.length, 1);
+    assert.equal(list.body.items[0].email, EMAIL);
+
+    const cleared = await request("DELETE", `admin/lockouts/${EMAIL}`, {
+      headers: adminHeaders(),
+    });
+    assert.equal(cleared.status, 200);
+    assert.equal(cleared.body.wasLocked, true);
+
+    assert.equal((await login("correct-horse")).status, 200);
+    const after = await request("GET", "admin/lockouts", { headers: adminHeaders() });
+    assert.equal(after.body.items.length, 0);
+  });
+});
+
+describe("route rate limits", () => {
+  beforeEach(resetStore);
+
+  test("redemption codes can only be checked a few times", async () => {
+    let res;
+    for (let i = 0; i < 10; i += 1) {
+      res = await request("GET", "partner/check-redemption", {
+        headers: partnerHeaders("lz001"),
+        query: { code: "RDM-GUESS" },
+      });
+      assert.equal(res.status, 404);
+    }
+
+    res = await request("GET", "partner/check-redemption", {
+      headers: partnerHeaders("lz001"),
+      query: { code: "RDM-GUESS" },
+    });
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers["retry-after"]) > 0);
+
+    // Another code is a different bucket
+    const other = await request("GET", "partner/check-redemption", {
+      headers: partnerHeaders("lz001"),
+      query: { code: "RDM-OTHER" },
+    });
+    assert.equal(other.status, 404);
+  });
+
+  test("register limits attempts per redemption code", async () => {
+    const body = {
+      email: "jana@example.com",
+      partner_id: "lz001",
+      redemptionCode: "RDM-GUESS",
+    };
+    for (let i = 0; i < 5; i += 1) {
+      const res = await request("POST", "register", { body });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, "Invalid redemption code");
+    }
+    assert.equal((await request("POST", "register", { body })).status, 429);
+
+    const { redemptionCode: _code, ...withoutCode } = body;
+    assert.equal((await request("POST", "register", { body: withoutCode })).status, 200);
+  });
+
+  test("legacy verify lookups are limited per IP", async () => {
+    const from = (ip) => ({ "x-forwarded-for": `${ip}, 10.0.0.1` });
+    for (let i = 0; i < 10; i += 1) {
+      const res = await request("GET", "verify", {
+        headers: from("203.0.113.5"),
+        query: { email: `guess${i}@example.com` },
+      });
+      assert.notEqual(res.status, 429);
+    }
+
+    const limited = await request("GET", "verify", {
+      headers: from("203.0.113.5"),
+      query: { email: "guess@example.com" },
+    });
+    assert.equal(limited.status, 429);
+
+    const otherIp = await request("GET", "verify", {
+      headers: from("198.51.100.7"),
+      query: { email: "guess@example.com" },
+    });
+    assert.notEqual(otherIp.status, 429);
+
+    // Signed tokens are not counted
+    const token = await request("GET", "verify", {
+      headers: from("203.0.113.5"),
+      query: { token: "abc.def" },
+    });
+    assert.notEqual(token.status, 429);
+  });
+});
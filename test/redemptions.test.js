@@ -0,0 +1,322 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  adminHeaders,
+  bearer,
+  customerHeaders,
+  partnerHeaders,
+  request,
+  resetStore,
+} from "./helpers/http.js";
+import { deleteIfEquals, getStorage, kv, setStorage } from "../lib/storage.js";
+import { listEntries } from "../lib/points-ledger.js";
+import { redeemReward, transitionRedemption, undoApply } from "../lib/redemptions.js";
+
+const EMAIL = "jana@example.com";
+
+function admin(method, path, options = {}) {
+  return request(method, path, { ...options, headers: adminHeaders() });
+}
+
+async function grant(points, email = EMAIL) {
+  const res = await admin("POST", "admin/points/adjust", {
+    body: { email, points, reason: "Welcome bonus" },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+}
+
+async function createReward(fields = {}) {
+  const res = await admin("POST", "admin/rewards", {
+    body: { name: "Free coffee", pointsCost: 10, category: "freebie", ...fields },
+  });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body.reward.id;
+}
+
+function redeem(rewardId, headers = {}) {
+  return request("POST", "bonus/redeem-reward", {
+    headers: { ...customerHeaders(EMAIL), ...headers },
+    body: { rewardId },
+  });
+}
+
+async function balance() {
+  const res = await request("GET", "bonus/user-points", { headers: customerHeaders(EMAIL) });
+  return res.body.user.availablePoints;
+}
+
+async function stock(rewardId) {
+  const res = await admin("GET", "admin/rewards");
+  return res.body.rewards.find((reward) => reward.id === rewardId).stock;
+}
+
+async function redeemed(rewardId) {
+  const res = await redeem(rewardId);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.redemption.code;
+}
+
+async function status(code) {
+  return (await admin("GET", `admin/redemptions/${code}`)).body.redemption.status;
+}
+
+async function applyToBooking(code) {
+  const res = await request("POST", "register", {
+    body: { email: EMAIL, partner_id: "lz001", redemptionCode: code },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+}
+
+function check(code, action) {
+  return request("POST", "partner/check-redemption", {
+    headers: partnerHeaders("lz001"),
+    body: { code, action },
+  });
+}
+
+async function backdate(code) {
+  const past = Date.now() - 1000;
+  await kv.hset(`redemption:${code}`, { expiresAt: new Date(past).toISOString() });
+  await kv.zadd("redemptions:open", { score: past, member: code });
+}
+
+describe("reward redemption", () => {
+  beforeEach(resetStore);
+
+  test("simultaneous redemptions never spend more points than the balance", async () => {
+    await grant(30);
+    const rewardId = await createReward({ pointsCost: 20 });
+
+    // The losers are refused for the balance, or told to retry while the
+    // first one holds the lock
+    const results = await Promise.all([redeem(rewardId), redeem(rewardId), redeem(rewardId)]);
+    assert.equal(results.filter((res) => res.status === 200).length, 1);
+    assert.ok(results.every((res) => [200, 400, 409].includes(res.status)));
+    assert.equal(await balance(), 10);
+  });
+
+  test("a lock is only released by the caller that holds it", async () => {
+    await kv.set("lock:test", "lock_theirs", { ex: 30 });
+    assert.equal(await deleteIfEquals("lock:test", "lock_ours"), false);
+    assert.equal(await kv.get("lock:test"), "lock_theirs");
+    assert.equal(await deleteIfEquals("lock:test", "lock_theirs"), true);
+    assert.equal(await kv.get("lock:test"), null);
+  });
+
+  test("limited stock is reserved and never goes below zero", async () => {
+    await grant(100);
+    await grant(100, "petr@example.com");
+    const rewardId = await createReward({ stock: 1 });
+
+    const [first, second] = await Promise.all([
+      redeem(rewardId),
+      request("POST", "bonus/redeem-reward", {
+        headers: customerHeaders("petr@example.com"),
+        body: { rewardId },
+      }),
+    ]);
+    assert.deepEqual([first.status, second.status].sort(), [200, 400]);
+    assert.equal(await stock(rewardId), 0);
+
+    const empty = await redeem(rewardId);
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.error, "Reward is out of stock");
+    assert.equal(await stock(rewardId), 0);
+
+    // Zero is a limit, not "unlimited"
+    const none = await createReward({ stock: 0 });
+    assert.equal((await redeem(none)).status, 400);
+  });
+
+  test("points and stock come back when the redemption cannot be saved", async () => {
+    await grant(50);
+    const rewardId = await createReward({ stock: 2 });
+
+    const store = getStorage();
+    const failing = Object.create(store);
+    failing.zadd = async (key, ...args) => {
+      if (key.startsWith("redemptions:open")) throw new Error("connection reset");
+      return store.zadd(key, ...args);
+    };
+    setStorage(failing, "memory");
+    await assert.rejects(redeemReward({ email: EMAIL, rewardId }), /connection reset/);
+    setStorage(store, "memory");
+
+    assert.equal(await balance(), 50);
+    assert.equal(await stock(rewardId), 2);
+    assert.deepEqual((await kv.keys("redemption:RDM-*")) || [], []);
+    assert.deepEqual((await kv.lrange(`redemptions:${EMAIL}`, 0, -1)) || [], []);
+
+    const entries = await listEntries(EMAIL);
+    const debit = entries.find((entry) => entry.type === "redeem");
+    const refund = entries.find((entry) => entry.type === "refund");
+    assert.equal(refund.ref, `${debit.ref}:refund`);
+    assert.equal(refund.points, 10);
+
+    await redeemed(rewardId);
+    assert.equal(await balance(), 40);
+  });
+
+  test("rewards cap redemptions per customer and per period", async () => {
+    await grant(100);
+    const lifetime = await createReward({ maxPerCustomer: 2 });
+    assert.equal((await redeem(lifetime)).status, 200);
+    assert.equal((await redeem(lifetime)).status, 200);
+    const third = await redeem(lifetime);
+    assert.equal(third.status, 400);
+    assert.equal(third.body.limit, 2);
+
+    const daily = await createReward({ maxPerPeriod: 1, period: "day" });
+    assert.equal((await redeem(daily)).status, 200);
+    const again = await redeem(daily);
+    assert.equal(again.status, 400);
+    assert.equal(again.body.period, "day");
+
+    const missing = await admin("POST", "admin/rewards", {
+      body: { name: "Cake", pointsCost: 5, category: "freebie", maxPerPeriod: 1 },
+    });
+    assert.equal(missing.status, 400);
+    assert.equal(await balance(), 70);
+  });
+
+  test("a retry with the same idempotency key debits once", async () => {
+    await grant(50);
+    const rewardId = await createReward({ stock: 5 });
+
+    const first = await redeem(rewardId, { "idempotency-key": "order-1" });
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    assert.equal(first.body.replayed, false);
+
+    const retry = await redeem(rewardId, { "idempotency-key": "order-1" });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.replayed, true);
+    assert.equal(retry.body.redemption.code, first.body.redemption.code);
+    assert.equal(retry.body.redemption.remainingPoints, 40);
+
+    assert.equal(await balance(), 40);
+    assert.equal(await stock(rewardId), 4);
+
+    const single = await admin("GET", `admin/rewards/${rewardId}`);
+    assert.equal(single.body.statistics.redemptions, 1);
+
+    const other = await createReward({ name: "Tea" });
+    const conflict = await redeem(other, { "idempotency-key": "order-1" });
+    assert.equal(conflict.status, 409);
+    assert.equal(await balance(), 40);
+  });
+
+  test("customers cancel pending redemptions and get the points and stock back", async () => {
+    await grant(50);
+    const rewardId = await createReward({ stock: 2, maxPerCustomer: 1 });
+    const code = await redeemed(rewardId);
+    assert.equal(await balance(), 40);
+
+    const stranger = await request("POST", `bonus/redemptions/${code}/cancel`, {
+      headers: customerHeaders("petr@example.com"),
+    });
+    assert.equal(stranger.status, 404);
+
+    const cancelled = await request("POST", `bonus/redemptions/${code}/cancel`, {
+      headers: customerHeaders(EMAIL),
+    });
+    assert.equal(cancelled.status, 200, JSON.stringify(cancelled.body));
+    assert.equal(cancelled.body.refundedPoints, 10);
+    assert.equal(await balance(), 50);
+    assert.equal(await stock(rewardId), 2);
+    assert.equal(await status(code), "cancelled");
+
+    const again = await admin("POST", `admin/redemptions/${code}/cancel`, { body: {} });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.currentStatus, "cancelled");
+    assert.equal(await balance(), 50);
+
+    // A cancelled redemption no longer counts toward the cap
+    await redeemed(rewardId);
+
+    const ledger = await request("GET", "bonus/user-points", { headers: customerHeaders(EMAIL) });
+    assert.equal(ledger.body.redemptions.find((item) => item.id === code).status, "cancelled");
+  });
+
+  test("applied codes are used or rejected at the venue; rejecting refunds", async () => {
+    await grant(50);
+    const rewardId = await createReward();
+    const used = await redeemed(rewardId);
+    const rejected = await redeemed(rewardId);
+
+    // Not yet applied at a venue, so no venue's staff may touch it
+    assert.equal((await check(used, "process")).status, 403);
+    await applyToBooking(used);
+    await applyToBooking(rejected);
+    assert.equal(await status(used), "applied");
+
+    const processed = await check(used, "process");
+    assert.equal(processed.status, 200, JSON.stringify(processed.body));
+    assert.equal(await status(used), "used");
+
+    const refused = await check(rejected, "reject");
+    assert.equal(refused.status, 200);
+    assert.equal(refused.body.refundedPoints, 10);
+    assert.equal(await balance(), 40);
+
+    // Applied and final codes can no longer be cancelled or applied again
+    const late = await admin("POST", `admin/redemptions/${used}/cancel`, { body: {} });
+    assert.equal(late.status, 409);
+    const reuse = await request("POST", "register", {
+      body: { email: EMAIL, partner_id: "lz001", redemptionCode: rejected },
+    });
+    assert.equal(reuse.status, 400);
+  });
+
+  test("codes are applied at the booking's venue, and an apply can be undone", async () => {
+    await grant(20);
+    const rewardId = await createReward();
+    const code = await redeemed(rewardId);
+
+    const res = await request("POST", "register", {
+      body: { email: EMAIL, partnerID: " LZ001 ", redemptionCode: code },
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    const processed = await check(code, "process");
+    assert.equal(processed.status, 200, JSON.stringify(processed.body));
+
+    // What register does when the booking cannot be saved
+    const other = await redeemed(rewardId);
+    const applied = await transitionRedemption(other, "applied", {
+      fields: { appliedToBooking: "booking:gone", partnerId: "lz001" },
+    });
+    assert.equal(await undoApply(other, applied), true);
+    const restored = (await admin("GET", `admin/redemptions/${other}`)).body.redemption;
+    assert.equal(restored.status, "pending");
+    assert.equal(restored.appliedToBooking, undefined);
+    await applyToBooking(other);
+  });
+
+  test("the scheduled sweep expires stale codes and refunds them", async () => {
+    await grant(50);
+    const rewardId = await createReward({ stock: 3 });
+    const stale = await redeemed(rewardId);
+    const fresh = await redeemed(rewardId);
+    await backdate(stale);
+
+    const anonymous = await request("GET", "cron/expire-redemptions");
+    assert.equal(anonymous.status, 401);
+
+    const sweep = await request("GET", "cron/expire-redemptions", {
+      headers: bearer("test-cron-secret"),
+    });
+    assert.equal(sweep.status, 200, JSON.stringify(sweep.body));
+    assert.deepEqual(sweep.body.expired.map((item) => item.code), [stale]);
+    assert.equal(await status(stale), "expired");
+    assert.equal(await status(fresh), "pending");
+    assert.equal(await balance(), 40);
+    assert.equal(await stock(rewardId), 2);
+
+    const rerun = await admin("POST", "admin/redemptions/expire", { body: {} });
+    assert.equal(rerun.body.expired.length, 0);
+    assert.equal(await balance(), 40);
+
+    const log = await admin("GET", "admin/audit", { query: { target: `redemption:${stale}` } });
+    assert.equal(log.body.items[0].action, "redemption.expire");
+    assert.equal(log.body.items[0].actor.id, "cron");
+  });
+});
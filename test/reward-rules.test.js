@@ -0,0 +1,145 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminHeaders, customerHeaders, request, resetStore } from "./helpers/http.js";
+import { WEEKDAYS } from "../lib/reward-rules.js";
+
+const EMAIL = "jana@example.com";
+const DAY = 24 * 60 * 60 * 1000;
+
+function admin(method, path, options = {}) {
+  return request(method, path, { ...options, headers: adminHeaders() });
+}
+
+async function createReward(fields = {}) {
+  const res = await admin("POST", "admin/rewards", {
+    body: { name: "Free coffee", pointsCost: 10, category: "freebie", ...fields },
+  });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body.reward.id;
+}
+
+// A booking at lz001, checked in through its verify link
+async function visit() {
+  const booking = await request("POST", "register", {
+    body: { email: EMAIL, partner_id: "lz001", totalPrice: 1000 },
+  });
+  const url = new URL(booking.body.verifyUrl);
+  const res = await request("GET", "verify", { query: Object.fromEntries(url.searchParams) });
+  assert.equal(res.status, 200);
+}
+
+async function listed(rewardId) {
+  const res = await request("GET", "bonus/user-points", { headers: customerHeaders(EMAIL) });
+  return res.body.availableRewards.find((reward) => reward.id === rewardId);
+}
+
+function redeem(rewardId) {
+  return request("POST", "bonus/redeem-reward", {
+    headers: customerHeaders(EMAIL),
+    body: { rewardId },
+  });
+}
+
+function isoDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+describe("reward eligibility rules", () => {
+  beforeEach(async () => {
+    resetStore();
+    const res = await admin("POST", "admin/points/adjust", {
+      body: { email: EMAIL, points: 100, reason: "Welcome bonus" },
+    });
+    assert.equal(res.status, 200);
+  });
+
+  test("rewards are only redeemable inside their window", async () => {
+    const upcoming = await createReward({ validFrom: new Date(Date.now() + DAY).toISOString() });
+    const ended = await createReward({ validUntil: isoDate(Date.now() - DAY) });
+    const lastDay = await createReward({ validUntil: isoDate(Date.now()) });
+
+    const locked = await listed(upcoming);
+    assert.equal(locked.locked, true);
+    assert.equal(locked.canRedeem, false);
+    assert.equal(locked.lockedReasons[0].code, "NOT_STARTED");
+    const early = await redeem(upcoming);
+    assert.equal(early.status, 400);
+    assert.equal(early.body.reasons[0].code, "NOT_STARTED");
+
+    assert.equal(await listed(ended), undefined);
+    assert.equal((await redeem(ended)).body.reasons[0].code, "ENDED");
+
+    // A bare date lasts until the end of that day
+    assert.equal((await listed(lastDay)).canRedeem, true);
+    assert.equal((await redeem(lastDay)).status, 200);
+  });
+
+  test("minimum visits and day-of-week rules say what is missing", async () => {
+    const today = WEEKDAYS[(new Date().getUTCDay() + 6) % 7];
+    const otherDays = WEEKDAYS.filter((day) => day !== today);
+    const loyal = await createReward({ minVisits: 2 });
+    const weekdayOnly = await createReward({ daysOfWeek: otherDays });
+    const todayOnly = await createReward({ daysOfWeek: [today] });
+
+    await visit();
+    const one = await listed(loyal);
+    assert.equal(one.locked, true);
+    assert.deepEqual(one.lockedReasons.map((reason) => reason.message), [
+      "Visit 1 more time to unlock",
+    ]);
+    assert.equal((await redeem(loyal)).status, 400);
+
+    await visit();
+    assert.equal((await listed(loyal)).locked, false);
+    assert.equal((await redeem(loyal)).status, 200);
+
+    assert.equal((await listed(weekdayOnly)).lockedReasons[0].code, "WRONG_DAY");
+    assert.equal((await redeem(weekdayOnly)).status, 400);
+    assert.equal((await redeem(todayOnly)).status, 200);
+  });
+
+  test("segment-targeted rewards are only shown to that segment", async () => {
+    const welcome = await createReward({ segments: ["new"] });
+    const comeBack = await createReward({ segments: ["returning", "lapsed"] });
+
+    assert.equal((await listed(welcome)).locked, false);
+    assert.equal(await listed(comeBack), undefined);
+
+    await visit();
+    assert.equal(await listed(welcome), undefined);
+    const refused = await redeem(welcome);
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.reasons[0].code, "SEGMENT");
+    assert.equal((await redeem(comeBack)).status, 200);
+  });
+
+  test("partner-only rewards are listed as locked until the customer books there", async () => {
+    const rewardId = await createReward({ availableFor: ["tx003"] });
+    const reward = await listed(rewardId);
+    assert.equal(reward.locked, true);
+    assert.equal(reward.lockedReasons[0].code, "PARTNER");
+  });
+
+  test("admins cannot save rules that contradict each other", async () => {
+    const backwards = await admin("POST", "admin/rewards", {
+      body: {
+        name: "Cake",
+        pointsCost: 5,
+        category: "freebie",
+        validFrom: "2026-06-01",
+        validUntil: "2026-05-01",
+      },
+    });
+    assert.equal(backwards.status, 400);
+    assert.ok(backwards.body.details.fieldErrors.validUntil);
+
+    const id = await createReward({ validFrom: "2026-06-01" });
+    const update = await admin("PUT", `admin/rewards/${id}`, { body: { validUntil: "soon" } });
+    assert.equal(update.status, 400);
+    const ok = await admin("PUT", `admin/rewards/${id}`, {
+      body: { validUntil: "2026-06-01", daysOfWeek: ["sat", "sun"], minVisits: 3 },
+    });
+    assert.equal(ok.status, 200);
+    assert.deepEqual(ok.body.reward.daysOfWeek, ["sat", "sun"]);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminHeaders, partnerHeaders, request } from "./helpers/http.js";
+
+describe("router", () => {
+  test("the API root answers a health check", async () => {
+    const res = await request("GET", "");
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { status: "ok" });
+  });
+
+  test("unknown paths return 404", async () => {
+    const res = await request("GET", "does/not/exist");
+    assert.equal(res.status, 404);
+  });
+
+  test("a known path with the wrong method returns 404", async () => {
+    const res = await request("DELETE", "register");
+    assert.equal(res.status, 404);
+  });
+
+  test("preflight requests are answered with CORS headers", async () => {
+    const res = await request("OPTIONS", "admin/overview");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers["access-control-allow-origin"], "https://dashboard.test");
+  });
+
+  test("preflights no route answers still allow every method the API uses", async () => {
+    const res = await request("OPTIONS", "no/such/route");
+    assert.equal(res.status, 200);
+    const methods = res.headers["access-control-allow-methods"].split(",");
+    for (const method of ["GET", "POST", "PUT", "PATCH", "DELETE"]) {
+      assert.ok(methods.includes(method), method);
+    }
+  });
+
+  test("fixed partner routes are not swallowed by partner/{id}", async () => {
+    const res = await request("GET", "partner/check-redemption", {
+      headers: partnerHeaders("lz001"),
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Redemption code is required");
+  });
+
+  test("a client's ?action= does not pick a handler branch", async () => {
+    const res = await request("GET", "admin/points", {
+      headers: adminHeaders(),
+      query: { email: "jana@example.com", action: "expire" },
+    });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.balance, JSON.stringify(res.body));
+  });
+});
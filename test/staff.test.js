@@ -0,0 +1,148 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  adminHeaders,
+  bearer,
+  partnerHeaders,
+  request,
+  resetStore,
+} from "./helpers/http.js";
+
+const PASSWORD = "long-enough-password";
+
+function staffHeaders(partners) {
+  const [partnerId] = Object.keys(partners);
+  return partnerHeaders(partnerId, { partners });
+}
+
+async function createAccount(email, fields) {
+  const res = await request("POST", "admin/accounts", {
+    headers: adminHeaders(),
+    body: { email, password: PASSWORD, ...fields },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+async function login(email) {
+  const res = await request("POST", "auth/login", {
+    body: { email, password: PASSWORD },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+describe("partner staff roles", () => {
+  beforeEach(resetStore);
+
+  test("scanners check visitors in but cannot open the dashboard", async () => {
+    const headers = staffHeaders({ lz001: "scanner" });
+
+    const dashboard = await request("GET", "partner/lz001", { headers });
+    assert.equal(dashboard.status, 403);
+
+    await request("POST", "register", {
+      body: { email: "jana@example.com", partner_id: "lz001" },
+    });
+    const visit = await request("POST", "partner/mark-visited", {
+      headers,
+      body: { email: "jana@example.com", partnerId: "lz001" },
+    });
+    assert.equal(visit.status, 200, JSON.stringify(visit.body));
+
+    const check = await request("GET", "partner/check-redemption", {
+      headers,
+      query: { code: "RDM-NONE" },
+    });
+    assert.equal(check.status, 404);
+  });
+
+  test("managers open the dashboard but cannot invite staff", async () => {
+    const headers = staffHeaders({ lz001: "manager" });
+
+    const dashboard = await request("GET", "partner/lz001", { headers });
+    assert.equal(dashboard.status, 200);
+
+    const invite = await request("POST", "partner/lz001/invites", {
+      headers,
+      body: { email: "new@venue.test" },
+    });
+    assert.equal(invite.status, 403);
+  });
+
+  test("tokens from before staff roles are owners of their partner", async () => {
+    const res = await request("POST", "partner/lz001/invites", {
+      headers: partnerHeaders("lz001"),
+      body: { email: "new@venue.test", staffRole: "manager" },
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.invite.staffRole, "manager");
+    assert.equal(res.body.invite.partnerId, "lz001");
+  });
+
+  test("owners can only invite staff to their own partner", async () => {
+    const res = await request("POST", "partner/tx003/invites", {
+      headers: staffHeaders({ lz001: "owner" }),
+      body: { email: "new@venue.test" },
+    });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("multi-partner accounts", () => {
+  beforeEach(resetStore);
+
+  test("one login covers every partner the account works at", async () => {
+    await createAccount("multi@venue.test", {
+      memberships: [
+        { partnerId: "lz001", role: "owner" },
+        { partnerId: "tx003", role: "scanner" },
+      ],
+    });
+
+    const session = await login("multi@venue.test");
+    assert.equal(session.user.partnerId, "lz001");
+    assert.deepEqual(session.user.partners, { lz001: "owner", tx003: "scanner" });
+
+    const headers = bearer(session.token);
+    assert.equal((await request("GET", "partner/lz001", { headers })).status, 200);
+    assert.equal((await request("GET", "partner/tx003", { headers })).status, 403);
+    assert.equal((await request("GET", "partner/ab002", { headers })).status, 403);
+
+    const profile = await request("GET", "auth/profile", { headers });
+    assert.equal(profile.status, 200);
+    assert.deepEqual(profile.body.permissions.tx003, ["checkin", "redemptions"]);
+  });
+
+  test("an owner's invite adds a partner to an existing account", async () => {
+    await createAccount("staff@venue.test", { partnerId: "lz001" });
+
+    const invite = await request("POST", "partner/tx003/invites", {
+      headers: staffHeaders({ tx003: "owner" }),
+      body: { email: "staff@venue.test", staffRole: "manager" },
+    });
+    assert.equal(invite.status, 200);
+    const { token } = invite.body.invite;
+
+    const wrongPassword = await request("POST", "auth/signup", {
+      body: { email: "staff@venue.test", password: "not-the-password", token },
+    });
+    assert.equal(wrongPassword.status, 409);
+
+    const joined = await request("POST", "auth/signup", {
+      body: { email: "staff@venue.test", password: PASSWORD, token },
+    });
+    assert.equal(joined.status, 200, JSON.stringify(joined.body));
+    assert.equal(joined.body.user.partnerId, "lz001");
+    assert.deepEqual(joined.body.user.partners, { lz001: "owner", tx003: "manager" });
+
+    const session = await login("staff@venue.test");
+    const dashboard = await request("GET", "partner/tx003", {
+      headers: bearer(session.token),
+    });
+    assert.equal(dashboard.status, 200);
+
+    const invites = await request("GET", "admin/invites", { headers: adminHeaders() });
+    assert.equal(invites.body.items[0].used, true);
+  });
+});
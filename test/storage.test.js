@@ -0,0 +1,211 @@
+import { after, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { createStorage, deleteIfEquals, setStorage } from "../lib/storage.js";
+import { DELETE_IF_EQUALS, MemoryStore } from "../lib/storage-memory.js";
+
+/**
+ * The memory store is driven through the same `VercelKV` client as
+ * production. The Redis backend is pointed at a small RESP server that runs
+ * commands on a memory store, so both ends of its protocol handling are real.
+ */
+
+function encodeReply(value) {
+  if (value === null || value === undefined) return "$-1\r\n";
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (typeof value === "number") return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encodeReply).join("")}`;
+  const text = String(value);
+  return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+}
+
+// Commands arrive as RESP arrays of bulk strings
+function parseCommands(buffer) {
+  const commands = [];
+  let offset = 0;
+  for (;;) {
+    const start = offset;
+    const header = buffer.indexOf("\r\n", offset);
+    if (header === -1 || buffer[offset] !== 0x2a) return { commands, rest: buffer.subarray(start) };
+    const count = Number(buffer.toString("utf8", offset + 1, header));
+    offset = header + 2;
+    const args = [];
+    for (let i = 0; i < count; i += 1) {
+      const lineEnd = buffer.indexOf("\r\n", offset);
+      if (lineEnd === -1) return { commands, rest: buffer.subarray(start) };
+      const length = Number(buffer.toString("utf8", offset + 1, lineEnd));
+      if (buffer.length < lineEnd + 2 + length + 2) return { commands, rest: buffer.subarray(start) };
+      args.push(buffer.toString("utf8", lineEnd + 2, lineEnd + 2 + length));
+      offset = lineEnd + 2 + length + 2;
+    }
+    commands.push(args);
+  }
+}
+
+function startFakeRedis(store, { chunked = false } = {}) {
+  const server = net.createServer((socket) => {
+    server.sockets.add(socket);
+    socket.on("close", () => server.sockets.delete(socket));
+    let buffer = Buffer.alloc(0);
+    let queued = null;
+    socket.on("data", (chunk) => {
+      const parsed = parseCommands(Buffer.concat([buffer, chunk]));
+      buffer = parsed.rest;
+      let out = "";
+      for (const command of parsed.commands) {
+        const name = command[0].toLowerCase();
+        if (name === "multi") {
+          queued = [];
+          out += "+OK\r\n";
+        } else if (name === "exec") {
+          const results = queued.map((queuedCommand) => {
+            const { result, error } = store.run(queuedCommand);
+            return error ? new Error(error) : result;
+          });
+          queued = null;
+          out += encodeReply(results);
+        } else if (queued) {
+          queued.push(command);
+          out += "+QUEUED\r\n";
+        } else {
+          const { result, error } = store.run(command);
+          out += error ? `-${error}\r\n` : encodeReply(result);
+        }
+      }
+      if (!chunked) {
+        socket.write(out);
+        return;
+      }
+      // Byte by byte, so replies arrive split at every possible point
+      for (const byte of Buffer.from(out)) socket.write(Buffer.from([byte]));
+    });
+  });
+  server.sockets = new Set();
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+async function exerciseClient(kv) {
+  assert.equal(await kv.set("greeting", "héllo wörld"), "OK");
+  assert.equal(await kv.get("greeting"), "héllo wörld");
+  assert.equal(await kv.get("missing"), null);
+
+  await kv.set("profile", { name: "Jana", visits: 3 });
+  assert.deepEqual(await kv.get("profile"), { name: "Jana", visits: 3 });
+
+  assert.equal(await kv.set("lock", "a", { nx: true, ex: 30 }), "OK");
+  assert.equal(await kv.set("lock", "b", { nx: true, ex: 30 }), null);
+  assert.ok((await kv.ttl("lock")) > 0);
+  assert.equal(await kv.eval(DELETE_IF_EQUALS, ["lock"], ["b"]), 0);
+  assert.equal(await kv.eval(DELETE_IF_EQUALS, ["lock"], ["a"]), 1);
+  assert.equal(await kv.get("lock"), null);
+
+  await kv.hset("booking:1", { email: "jana@example.com", visited: "false", points: 20 });
+  assert.deepEqual(await kv.hgetall("booking:1"), {
+    email: "jana@example.com",
+    visited: false,
+    points: 20,
+  });
+  assert.equal(await kv.hincrby("booking:1", "points", 5), 25);
+
+  await kv.zadd("index", { score: 2, member: "b" }, { score: 1, member: "a" });
+  await kv.zadd("index", { score: 3, member: "c" });
+  assert.deepEqual(
+    await kv.zrange("index", 3, 1, { byScore: true, rev: true, withScores: true, offset: 1, count: 5 }),
+    ["b", 2, "a", 1]
+  );
+
+  const tx = kv.multi();
+  tx.sadd("partners", "lz001", "tx003");
+  tx.incr("counter");
+  tx.smembers("partners");
+  const [added, counter, members] = await tx.exec();
+  assert.equal(added, 2);
+  assert.equal(counter, 1);
+  assert.deepEqual(members.sort(), ["lz001", "tx003"]);
+
+  const pipe = kv.pipeline();
+  pipe.get("counter");
+  pipe.scard("partners");
+  assert.deepEqual(await pipe.exec(), [1, 2]);
+
+  await assert.rejects(kv.incr("greeting"), /not an integer/);
+  await assert.rejects(kv.hget("greeting", "field"), /WRONGTYPE/);
+}
+
+describe("memory store", () => {
+  let kv;
+  beforeEach(() => {
+    kv = createStorage("memory");
+  });
+
+  test("speaks the KV client's commands", async () => {
+    await exerciseClient(kv);
+  });
+
+  test("keys expire", async () => {
+    await kv.set("short", "lived", { px: 20 });
+    assert.equal(await kv.exists("short"), 1);
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    assert.equal(await kv.get("short"), null);
+    assert.deepEqual(await kv.keys("*"), []);
+  });
+
+  test("scans and matches keys by pattern", async () => {
+    for (const key of ["qr:a", "qr:b", "qr:ab", "partner:x"]) await kv.set(key, 1);
+    assert.deepEqual((await kv.keys("qr:?")).sort(), ["qr:a", "qr:b"]);
+    const [cursor, keys] = await kv.scan(0, { match: "qr:*", count: 100 });
+    assert.equal(Number(cursor), 0);
+    assert.deepEqual(keys.sort(), ["qr:a", "qr:ab", "qr:b"]);
+  });
+
+  test("eval runs the compare-and-delete script and nothing else", async () => {
+    setStorage(kv);
+    await kv.set("lock", "token-1");
+    assert.equal(await deleteIfEquals("lock", "token-2"), false);
+    assert.equal(await deleteIfEquals("lock", "token-1"), true);
+    assert.equal(await deleteIfEquals("lock", "token-1"), false);
+
+    await kv.hset("hash", { field: "x" });
+    // Like the script's GET in Redis, a key of another type is an error
+    await assert.rejects(deleteIfEquals("hash", "x"), /WRONGTYPE/);
+    await assert.rejects(
+      kv.eval("return redis.call('del', KEYS[1])", ["hash"], []),
+      /script is not supported by the memory store/
+    );
+    assert.equal(await kv.exists("hash"), 1);
+  });
+
+  test("unknown commands are errors, not crashes", () => {
+    const store = new MemoryStore();
+    assert.deepEqual(store.run(["nosuchcommand"]), {
+      error: "ERR unknown command 'nosuchcommand'",
+    });
+  });
+});
+
+describe("redis backend", () => {
+  const servers = [];
+  async function connect(options) {
+    const server = await startFakeRedis(new MemoryStore(), options);
+    servers.push(server);
+    const { port } = server.address();
+    return createStorage("redis", { url: `redis://127.0.0.1:${port}` });
+  }
+
+  after(async () => {
+    for (const server of servers) {
+      for (const socket of server.sockets) socket.destroy();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test("round-trips commands, pipelines and transactions over RESP", async () => {
+    await exerciseClient(await connect());
+  });
+
+  test("reassembles replies that arrive in pieces", async () => {
+    await exerciseClient(await connect({ chunked: true }));
+  });
+});
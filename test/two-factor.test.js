@@ -0,0 +1,207 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminHeaders, bearer, request, resetStore } from "./helpers/http.js";
+import { totpCode } from "../lib/two-factor.js";
+
+const PASSWORD = "correct-horse";
+const ADMIN = "root@zabava.test";
+
+async function createAccount(email, fields = {}) {
+  const res = await request("POST", "admin/accounts", {
+    headers: adminHeaders(),
+    body: { email, password: PASSWORD, partnerId: "lz001", ...fields },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+}
+
+function login(email, password = PASSWORD) {
+  return request("POST", "auth/login", { body: { email, password } });
+}
+
+async function challenge(email) {
+  return (await login(email)).body.challengeToken;
+}
+
+// The current TOTP step, waiting out the last seconds of a step so codes
+// computed here are still valid when the server checks them
+async function currentStep() {
+  const seconds = Date.now() / 1000;
+  if (seconds % 30 > 27) {
+    await new Promise((resolve) => setTimeout(resolve, (30 - (seconds % 30)) * 1000 + 50));
+  }
+  return Math.floor(Date.now() / 1000 / 30);
+}
+
+async function enroll(token) {
+  const setup = await request("POST", "auth/2fa/setup", { headers: bearer(token) });
+  assert.equal(setup.status, 200, JSON.stringify(setup.body));
+  assert.match(setup.body.otpauthUri, /^otpauth:\/\/totp\//);
+
+  const step = await currentStep();
+  const confirm = await request("POST", "auth/2fa/confirm", {
+    headers: bearer(token),
+    body: { code: totpCode(setup.body.secret, step - 1) },
+  });
+  assert.equal(confirm.status, 200, JSON.stringify(confirm.body));
+  assert.equal(confirm.body.recoveryCodes.length, 10);
+  return { secret: setup.body.secret, step, recoveryCodes: confirm.body.recoveryCodes };
+}
+
+describe("two-factor authentication", () => {
+  beforeEach(resetStore);
+
+  test("enrolled accounts log in with a code after the password", async () => {
+    await createAccount("anna@venue.test");
+    const first = await login("anna@venue.test");
+    assert.ok(first.body.token);
+
+    const { secret, step } = await enroll(first.body.token);
+
+    // Enrolling logs out other sessions but keeps this one
+    const profile = await request("GET", "auth/profile", { headers: bearer(first.body.token) });
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.user.twoFactor.enabled, true);
+
+    const password = await login("anna@venue.test");
+    assert.equal(password.status, 200);
+    assert.equal(password.body.twoFactorRequired, true);
+    assert.equal(password.body.token, undefined);
+
+    const wrong = await request("POST", "auth/login/2fa", {
+      body: { challengeToken: password.body.challengeToken, code: "000000" },
+    });
+    assert.equal(wrong.status, 401);
+
+    const done = await request("POST", "auth/login/2fa", {
+      body: { challengeToken: password.body.challengeToken, code: totpCode(secret, step) },
+    });
+    assert.equal(done.status, 200, JSON.stringify(done.body));
+    assert.ok(done.body.token);
+
+    // A challenge opens one session, and a code works once
+    const again = await request("POST", "auth/login/2fa", {
+      body: { challengeToken: password.body.challengeToken, code: totpCode(secret, step) },
+    });
+    assert.equal(again.status, 401);
+
+    const replay = await login("anna@venue.test");
+    const replayed = await request("POST", "auth/login/2fa", {
+      body: { challengeToken: replay.body.challengeToken, code: totpCode(secret, step) },
+    });
+    assert.equal(replayed.status, 401);
+  });
+
+  test("recovery codes work once and can be replaced", async () => {
+    await createAccount("anna@venue.test");
+    const { token } = (await login("anna@venue.test")).body;
+    const { secret, step, recoveryCodes } = await enroll(token);
+
+    const recovered = await request("POST", "auth/login/2fa", {
+      body: {
+        challengeToken: await challenge("anna@venue.test"),
+        code: recoveryCodes[0].toUpperCase(),
+      },
+    });
+    assert.equal(recovered.status, 200, JSON.stringify(recovered.body));
+
+    const reuse = await request("POST", "auth/login/2fa", {
+      body: { challengeToken: await challenge("anna@venue.test"), code: recoveryCodes[0] },
+    });
+    assert.equal(reuse.status, 401);
+
+    const status = await request("GET", "auth/2fa", { headers: bearer(recovered.body.token) });
+    assert.equal(status.body.recoveryCodesLeft, 9);
+
+    const replaced = await request("POST", "auth/2fa/recovery-codes", {
+      headers: bearer(recovered.body.token),
+      body: { code: totpCode(secret, step) },
+    });
+    assert.equal(replaced.status, 200, JSON.stringify(replaced.body));
+
+    const old = await request("POST", "auth/login/2fa", {
+      body: { challengeToken: await challenge("anna@venue.test"), code: recoveryCodes[1] },
+    });
+    assert.equal(old.status, 401);
+  });
+
+  test("turning two-factor off takes a code", async () => {
+    await createAccount("anna@venue.test");
+    const { token } = (await login("anna@venue.test")).body;
+    const { secret, step } = await enroll(token);
+
+    const refused = await request("POST", "auth/2fa/disable", {
+      headers: bearer(token),
+      body: { code: "123456" },
+    });
+    assert.equal(refused.status, 400);
+
+    const disabled = await request("POST", "auth/2fa/disable", {
+      headers: bearer(token),
+      body: { code: totpCode(secret, step) },
+    });
+    assert.equal(disabled.status, 200);
+
+    const plain = await login("anna@venue.test");
+    assert.ok(plain.body.token);
+  });
+
+  test("admins can be required to enroll before their first session", async (t) => {
+    process.env.ADMIN_REQUIRE_2FA = "true";
+    t.after(() => delete process.env.ADMIN_REQUIRE_2FA);
+    await createAccount(ADMIN, { role: "admin", partnerId: undefined });
+
+    const password = await login(ADMIN);
+    assert.equal(password.body.twoFactorSetupRequired, true);
+    assert.equal(password.body.token, undefined);
+    const { challengeToken } = password.body;
+
+    // An enrollment challenge is not a login challenge
+    const shortcut = await request("POST", "auth/login/2fa", {
+      body: { challengeToken, code: "123456" },
+    });
+    assert.equal(shortcut.status, 401);
+
+    const setup = await request("POST", "auth/login/2fa/setup", { body: { challengeToken } });
+    assert.equal(setup.status, 200, JSON.stringify(setup.body));
+
+    const confirm = await request("POST", "auth/login/2fa/confirm", {
+      body: { challengeToken, code: totpCode(setup.body.secret) },
+    });
+    assert.equal(confirm.status, 200, JSON.stringify(confirm.body));
+    assert.ok(confirm.body.token);
+    assert.equal(confirm.body.recoveryCodes.length, 10);
+
+    const disable = await request("POST", "auth/2fa/disable", {
+      headers: bearer(confirm.body.token),
+      body: { code: totpCode(setup.body.secret) },
+    });
+    assert.equal(disable.status, 400);
+  });
+
+  test("admins reset a lost second factor", async () => {
+    await createAccount("anna@venue.test");
+    const { token } = (await login("anna@venue.test")).body;
+    await enroll(token);
+
+    const reset = await request("DELETE", "admin/accounts/anna@venue.test/2fa", {
+      headers: adminHeaders(),
+    });
+    assert.equal(reset.status, 200);
+
+    const gone = await request("GET", "auth/profile", { headers: bearer(token) });
+    assert.equal(gone.status, 401);
+
+    const plain = await login("anna@venue.test");
+    assert.ok(plain.body.token);
+
+    const log = await request("GET", "admin/audit", {
+      headers: adminHeaders(),
+      query: { target: "partnerUser:anna@venue.test" },
+    });
+    assert.deepEqual(
+      log.body.items.map((entry) => entry.action),
+      ["account.2fa_reset", "account.2fa_enable", "account.create"]
+    );
+    assert.equal(JSON.stringify(log.body).includes("totpSecret\":{\"before\":\"[redacted]"), true);
+  });
+});